@@ -0,0 +1,161 @@
+// ===============================
+// RESPONSE CACHE
+// TTL cache for idempotent upstream lookups, one namespace per capability.
+// An entry is fresh for ttlMs; for staleMs after that it is still served while
+// one background refresh runs (stale-while-revalidate). Each namespace is an
+// LRU capped at maxEntries, and concurrent misses for the same key share a
+// single upstream call. dump()/load() let the caller persist it.
+// ===============================
+
+const defaultShouldCache = (value) => value !== undefined && value !== null && value.success !== false;
+
+/**
+ * options: {
+ *   namespaces: { [name]: { ttlMs, staleMs?, maxEntries? } },
+ *   maxEntries = 500, now = Date.now,
+ *   onLookup({ namespace, result: 'hit' | 'stale' | 'miss' }),
+ *   onError(namespace, key, error)   // failed background refresh
+ * }
+ */
+function createResponseCache(options = {}) {
+  const now = options.now || Date.now;
+  const defaultMax = options.maxEntries || 500;
+  const spaces = new Map(); // name -> { ttlMs, staleMs, maxEntries, entries: Map, inflight: Map, hits, stale, misses }
+  let dirty = false;
+
+  for (const [name, cfg] of Object.entries(options.namespaces || {})) {
+    spaces.set(name, {
+      ttlMs: cfg.ttlMs,
+      staleMs: cfg.staleMs ?? cfg.ttlMs,
+      maxEntries: cfg.maxEntries || defaultMax,
+      entries: new Map(), // key -> { value, storedAt }
+      inflight: new Map(), // key -> Promise
+      hits: 0,
+      stale: 0,
+      misses: 0
+    });
+  }
+
+  function space(name) {
+    const s = spaces.get(name);
+    if (!s) throw new Error(`Unknown cache namespace: ${name}`);
+    return s;
+  }
+
+  function note(namespace, result) {
+    if (!options.onLookup) return;
+    try { options.onLookup({ namespace, result }); } catch (_) {}
+  }
+
+  function store(s, key, value) {
+    s.entries.delete(key);
+    s.entries.set(key, { value, storedAt: now() });
+    while (s.entries.size > s.maxEntries) s.entries.delete(s.entries.keys().next().value);
+    dirty = true;
+  }
+
+  // One upstream call per key at a time
+  function load(s, key, loader, shouldCache) {
+    if (s.inflight.has(key)) return s.inflight.get(key);
+    const p = (async () => {
+      try {
+        const value = await loader();
+        if (shouldCache(value)) store(s, key, value);
+        return value;
+      } finally {
+        s.inflight.delete(key);
+      }
+    })();
+    s.inflight.set(key, p);
+    return p;
+  }
+
+  return {
+    /**
+     * Serve `key` from the cache or run `loader`.
+     * Returns { value, cached, stale, ageMs }.
+     */
+    async wrap(namespace, key, loader, { shouldCache = defaultShouldCache } = {}) {
+      const s = space(namespace);
+      const k = String(key);
+      const entry = s.entries.get(k);
+      const age = entry ? now() - entry.storedAt : Infinity;
+
+      if (entry && age <= s.ttlMs) {
+        s.hits += 1;
+        s.entries.delete(k);
+        s.entries.set(k, entry); // LRU touch
+        note(namespace, 'hit');
+        return { value: entry.value, cached: true, stale: false, ageMs: age };
+      }
+
+      if (entry && age <= s.ttlMs + s.staleMs) {
+        s.stale += 1;
+        note(namespace, 'stale');
+        load(s, k, loader, shouldCache).catch((e) => {
+          if (options.onError) options.onError(namespace, k, e);
+        });
+        return { value: entry.value, cached: true, stale: true, ageMs: age };
+      }
+
+      s.misses += 1;
+      note(namespace, 'miss');
+      const value = await load(s, k, loader, shouldCache);
+      return { value, cached: false, stale: false, ageMs: 0 };
+    },
+
+    clear(namespace) {
+      let n = 0;
+      for (const [name, s] of spaces) {
+        if (namespace && name !== namespace) continue;
+        n += s.entries.size;
+        s.entries.clear();
+      }
+      dirty = true;
+      return n;
+    },
+
+    stats() {
+      return Array.from(spaces, ([namespace, s]) => ({
+        namespace,
+        entries: s.entries.size,
+        maxEntries: s.maxEntries,
+        ttlMs: s.ttlMs,
+        hits: s.hits,
+        stale: s.stale,
+        misses: s.misses
+      }));
+    },
+
+    isDirty() {
+      return dirty;
+    },
+
+    // JSON-safe copy of the entries that are still servable
+    dump() {
+      const out = { v: 1, savedAt: new Date(now()).toISOString(), namespaces: {} };
+      for (const [name, s] of spaces) {
+        out.namespaces[name] = Array.from(s.entries).filter(([, e]) => now() - e.storedAt <= s.ttlMs + s.staleMs);
+      }
+      dirty = false;
+      return out;
+    },
+
+    load(data) {
+      let n = 0;
+      for (const [name, list] of Object.entries(data?.namespaces || {})) {
+        const s = spaces.get(name);
+        if (!s || !Array.isArray(list)) continue;
+        for (const [key, e] of list) {
+          if (!e || typeof e.storedAt !== 'number' || now() - e.storedAt > s.ttlMs + s.staleMs) continue;
+          s.entries.set(String(key), { value: e.value, storedAt: e.storedAt });
+          n += 1;
+        }
+        while (s.entries.size > s.maxEntries) s.entries.delete(s.entries.keys().next().value);
+      }
+      return n;
+    }
+  };
+}
+
+module.exports = { createResponseCache };
@@ -0,0 +1,329 @@
+// ===============================
+// CONFIGURATION
+// Every setting the bot reads lives here: defaults, overridden by an optional
+// JSON file (CONFIG_FILE, default ./config.json), overridden by environment
+// variables. loadConfig() validates everything at startup and throws a
+// ConfigError listing each problem. Secrets are redacted whenever the config
+// object is logged or serialised.
+// ===============================
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+try { require('dotenv').config(); } catch (_) {}
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(p => `  • ${p}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// key -> { env, type, default, required, secret, help, ...type options }
+// env may list several variable names; the first one that is set wins.
+const CONFIG_SCHEMA = {
+  // Telegram
+  botToken: { env: 'BOT_TOKEN', type: 'string', required: true, secret: true, help: 'Bot API token from @BotFather' },
+  adminUserId: { env: 'ADMIN_USER_ID', type: 'chatId', required: true, help: 'Main admin Telegram id' },
+  admins: { env: 'ADMINS', type: 'list', default: [], help: 'Extra admin ids (comma separated)' },
+  botUsername: { env: 'BOT_USERNAME', type: 'string', default: 'OsintShit_Bot' },
+  channelId: { env: 'CHANNEL_ID', type: 'chatId', default: '-1003133803574', help: 'Channel users must join' },
+  channelUrl: { env: 'CHANNEL_URL', type: 'url', default: 'https://t.me/OsintShitUpdates' },
+  logChannel: { env: 'LOG_CHANNEL', type: 'chatId', default: '@OsintLogsUpdates', help: 'Mirror of commands and replies' },
+  logChannelModes: { env: 'LOG_CHANNEL_MODES', type: 'enumMap', values: ['full', 'meta', 'off'], default: {}, help: 'Per command mirror mode, e.g. ip=full,*=meta' },
+  logChannelScrub: { env: 'LOG_CHANNEL_SCRUB', type: 'list', values: ['secrets', 'emails', 'ids', 'phones'], default: ['secrets', 'emails', 'ids', 'phones'], help: 'What the mirror masks in full mode' },
+  logChannelMaxChars: { env: 'LOG_CHANNEL_MAX_CHARS', type: 'int', min: 100, max: 3500, default: 1500, help: 'Mirrored input/output is cut after this' },
+  logDigestIntervalMs: { env: 'LOG_DIGEST_INTERVAL_MS', type: 'int', min: 0, max: 300000, default: 10000, help: 'How often the mirror posts a digest (0 = every entry)' },
+  logDigestMaxEntries: { env: 'LOG_DIGEST_MAX_ENTRIES', type: 'int', min: 1, max: 500, default: 40, help: 'Post the digest early once this many entries wait' },
+  logDigestMaxBuffered: { env: 'LOG_DIGEST_MAX_BUFFERED', type: 'int', min: 20, max: 100000, default: 1000, help: 'Waiting entries past which new ones are sampled (half) and dropped' },
+  adminAuditChannel: { env: ['ADMIN_AUDIT_CHANNEL', 'ADMIN_LOG_CHANNEL'], type: 'chatId', default: null, help: 'Admin action log (defaults to logChannel)' },
+  timezone: { env: 'BOT_TIMEZONE', type: 'timezone', default: 'Asia/Kolkata' },
+
+  // Storage
+  dataDir: { env: 'DATA_DIR', type: 'string', default: '/data' },
+  storageBackend: { env: 'STORAGE_BACKEND', type: 'enum', values: ['json', 'sqlite'], default: 'json' },
+  stateSaveDebounceMs: { env: 'STATE_SAVE_DEBOUNCE_MS', type: 'int', min: 0, default: 1500 },
+  snapshotKeepHourly: { env: 'SNAPSHOT_KEEP_HOURLY', type: 'int', min: 0, default: 24 },
+  snapshotKeepDaily: { env: 'SNAPSHOT_KEEP_DAILY', type: 'int', min: 0, default: 7 },
+
+  // Credits
+  creditTxTimeoutMs: { env: 'CREDIT_TX_TIMEOUT_MS', type: 'int', min: 1000, default: 3 * 60 * 1000 },
+
+  // HTTP / webhook
+  botMode: { env: 'BOT_MODE', type: 'enum', values: ['polling', 'webhook'], default: null, help: 'Defaults to webhook when webhookUrl is set' },
+  port: { env: 'PORT', type: 'int', min: 0, max: 65535, default: 8080 },
+  httpServer: { env: 'HTTP_SERVER', type: 'bool', default: true, help: 'Health/metrics server in polling mode' },
+  webhookUrl: { env: 'WEBHOOK_URL', type: 'url', default: null },
+  webhookPath: { env: 'WEBHOOK_PATH', type: 'string', default: '/telegram' },
+  webhookSecret: { env: 'WEBHOOK_SECRET', type: 'string', pattern: /^[A-Za-z0-9_-]{1,256}$/, secret: true, default: null },
+  webhookConcurrency: { env: 'WEBHOOK_CONCURRENCY', type: 'int', min: 1, max: 100, default: 8, help: 'Webhook updates handled at once (one at a time per chat)' },
+  webhookMaxQueued: { env: 'WEBHOOK_MAX_QUEUED', type: 'int', min: 1, default: 500, help: 'Accepted webhook updates waiting or running before new ones get 503' },
+  webhookMaxQueuedPerChat: { env: 'WEBHOOK_MAX_QUEUED_PER_CHAT', type: 'int', min: 1, default: 20, help: 'The same, per chat, before its new updates get 429' },
+  shutdownGraceMs: { env: 'SHUTDOWN_GRACE_MS', type: 'int', min: 0, default: 15000 },
+  metricsToken: { env: 'METRICS_TOKEN', type: 'string', secret: true, default: null },
+
+  // Logs (stdout/stderr)
+  logLevel: { env: 'LOG_LEVEL', type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info' },
+  logLevels: { env: 'LOG_LEVELS', type: 'enumMap', values: ['debug', 'info', 'warn', 'error', 'off'], default: {}, help: 'Per module overrides, e.g. http=debug,storage=warn' },
+  logFormat: { env: 'LOG_FORMAT', type: 'enum', values: ['json', 'text'], default: 'json', help: 'text is easier to read locally' },
+
+  // Upstream providers (*FallbackUrls are tried in order when the primary fails)
+  downloaderApiUrl: { env: 'DOWNLOADER_API_URL', type: 'url', default: 'http://15.204.130.9:5150', help: '/snap /insta /pin /fb downloader' },
+  downloaderApiFallbackUrls: { env: 'DOWNLOADER_API_FALLBACK_URLS', type: 'urlList', default: [] },
+  imageApiUrl: { env: 'IMAGE_API_URL', type: 'url', default: 'https://tobi-insta-api.onrender.com', help: '/igdl /pindl /twtdl' },
+  imageApiFallbackUrls: { env: 'IMAGE_API_FALLBACK_URLS', type: 'urlList', default: [] },
+  aiApiUrl: { env: 'AI_API_URL', type: 'url', default: 'https://flip-apiakib.vercel.app/ai/gpt-5', help: '/ai, called as <url>?text=' },
+  aiApiFallbackUrls: { env: 'AI_API_FALLBACK_URLS', type: 'urlList', default: [] },
+  musicApiUrl: { env: 'MUSIC_API_URL', type: 'url', default: 'https://flip-apiakib.vercel.app/spotify', help: '/spotify and /spsearch (<url>/search, <url>/download)' },
+  musicApiFallbackUrls: { env: 'MUSIC_API_FALLBACK_URLS', type: 'urlList', default: [] },
+  providerFailureThreshold: { env: 'PROVIDER_FAILURE_THRESHOLD', type: 'int', min: 1, default: 5, help: 'Consecutive failures that open a circuit' },
+  providerCooldownMs: { env: 'PROVIDER_COOLDOWN_MS', type: 'int', min: 1000, default: 60000, help: 'How long an open circuit skips a provider' },
+  httpTimeoutMs: { env: 'HTTP_TIMEOUT_MS', type: 'int', min: 1000, default: 20000, help: 'Outbound request timeout unless an upstream sets its own' },
+  httpMaxResponseBytes: { env: 'HTTP_MAX_RESPONSE_BYTES', type: 'int', min: 1024, default: 50 * 1024 * 1024, help: 'Larger upstream responses are dropped' },
+  // Media job queue (TeraBox, Spotify download, image generation, YouTube processing)
+  jobConcurrency: { env: 'JOB_CONCURRENCY', type: 'int', min: 1, default: 4, help: 'Heavy media jobs running at once' },
+  jobPerUserConcurrency: { env: 'JOB_PER_USER_CONCURRENCY', type: 'int', min: 1, default: 1, help: 'Media jobs running at once per user' },
+  jobMaxQueued: { env: 'JOB_MAX_QUEUED', type: 'int', min: 0, default: 50, help: 'Waiting jobs before new ones are refused' },
+  jobMaxQueuedPerUser: { env: 'JOB_MAX_QUEUED_PER_USER', type: 'int', min: 0, default: 3 },
+  jobMaxWaitMs: { env: 'JOB_MAX_WAIT_MS', type: 'int', min: 10000, default: 5 * 60 * 1000, help: 'Queued jobs are dropped (and refunded) after this' },
+  // Outgoing Telegram API flood control
+  apiGlobalPerSecond: { env: 'API_GLOBAL_PER_SECOND', type: 'int', min: 1, max: 30, default: 30, help: 'Messages per second across all chats' },
+  apiGroupPerMinute: { env: 'API_GROUP_PER_MINUTE', type: 'int', min: 1, max: 20, default: 20, help: 'Messages per minute to one group or channel' },
+  apiMaxRetries: { env: 'API_MAX_RETRIES', type: 'int', min: 0, default: 3, help: 'Retries after a 429 or 5xx from Telegram' },
+  broadcastPerSecond: { env: 'BROADCAST_PER_SECOND', type: 'int', min: 1, max: 30, default: 20, help: 'Broadcast messages per second (leave room for normal replies)' },
+  // Token-bucket rate limits per command; "*" is the per-user limit across all commands
+  rateLimitEnabled: { env: 'RATE_LIMIT_ENABLED', type: 'bool', default: true },
+  rateLimits: { env: 'RATE_LIMITS', type: 'rateMap', default: {}, help: 'Standard tier overrides, e.g. dl=5/1m,*=30/1m' },
+  rateLimitsPremium: { env: 'RATE_LIMITS_PREMIUM', type: 'rateMap', default: {}, help: 'Premium tier overrides' },
+  cacheEnabled: { env: 'CACHE_ENABLED', type: 'bool', default: true, help: 'Cache /pincode /postoffice /ifsc /ip /spsearch /ff results' },
+  cacheTtls: { env: 'CACHE_TTLS', type: 'durationMap', default: {}, help: 'Per-lookup TTL overrides, e.g. ifsc=7d,ip=30m' },
+  cacheMaxEntries: { env: 'CACHE_MAX_ENTRIES', type: 'int', min: 1, default: 500, help: 'Entries kept per lookup' },
+  cachePersist: { env: 'CACHE_PERSIST', type: 'bool', default: false, help: 'Keep the cache in response_cache.json across restarts' },
+  teraboxApiUrl: { env: 'TERABOX_API_URL', type: 'url', default: 'https://teradl.tiiny.io/' },
+  teraboxApiKey: { env: 'TERABOX_API_KEY', type: 'string', secret: true, default: 'RushVx' },
+  rcApiKey: { env: 'RC_API_KEY', type: 'string', secret: true, default: 'xspydox' },
+  vehicleApiKey: { env: 'VEHICLE_API_KEY', type: 'string', secret: true, default: 'demo123' },
+  phoneApiKey: { env: 'PHONE_API_KEY', type: 'string', secret: true, default: 'Demo' },
+  mailtmBase: { env: 'MAILTM_BASE', type: 'url', default: 'https://api.mail.tm' }
+};
+
+// Each parser returns the typed value or throws with a short reason
+const CONFIG_TYPES = {
+  string(v, spec) {
+    const s = String(v).trim();
+    if (!s) throw new Error('must not be empty');
+    if (spec.pattern && !spec.pattern.test(s)) throw new Error(`must match ${spec.pattern}`);
+    return s;
+  },
+  int(v, spec) {
+    const s = String(v).trim();
+    if (!/^-?\d+$/.test(s)) throw new Error(`must be a whole number, got "${s}"`);
+    const n = parseInt(s, 10);
+    if (spec.min !== undefined && n < spec.min) throw new Error(`must be >= ${spec.min}`);
+    if (spec.max !== undefined && n > spec.max) throw new Error(`must be <= ${spec.max}`);
+    return n;
+  },
+  bool(v) {
+    if (typeof v === 'boolean') return v;
+    const s = String(v).trim().toLowerCase();
+    if (['1', 'true', 'on', 'yes'].includes(s)) return true;
+    if (['0', 'false', 'off', 'no'].includes(s)) return false;
+    throw new Error(`must be true/false, got "${v}"`);
+  },
+  url(v) {
+    const s = String(v).trim();
+    let u;
+    try { u = new URL(s); } catch (_) { throw new Error(`must be a URL, got "${s}"`); }
+    if (!/^https?:$/.test(u.protocol)) throw new Error('must be an http(s) URL');
+    return s;
+  },
+  list(v, spec = {}) {
+    const items = Array.isArray(v) ? v : String(v).split(',');
+    const out = items.map(x => String(x).trim()).filter(Boolean);
+    const bad = spec.values ? out.filter(x => !spec.values.includes(x)) : [];
+    if (bad.length) throw new Error(`unknown ${bad.join(', ')} (one of ${spec.values.join(', ')})`);
+    return out;
+  },
+  urlList(v, spec) {
+    return CONFIG_TYPES.list(v).map(u => CONFIG_TYPES.url(u, spec).replace(/\/+$/, ''));
+  },
+  // 90s, 30m, 12h, 7d or plain milliseconds
+  duration(v) {
+    const m = /^(\d+)\s*(ms|s|m|h|d)?$/.exec(String(v).trim().toLowerCase());
+    if (!m) throw new Error(`must be a duration like 30m or 12h, got "${v}"`);
+    return parseInt(m[1], 10) * { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 }[m[2] || 'ms'];
+  },
+  // name=duration pairs: "ifsc=7d,ip=30m" (or an object in config.json)
+  durationMap(v, spec) {
+    const out = {};
+    for (const [name, d] of namedPairs(v)) out[name] = CONFIG_TYPES.duration(d, spec);
+    return out;
+  },
+  // <count>/<duration>, e.g. 5/1m; "off" disables the rule (null)
+  rate(v) {
+    const s = String(v).trim().toLowerCase();
+    if (s === 'off') return null;
+    const m = /^(\d+)\s*\/\s*(\S+)$/.exec(s);
+    if (!m || parseInt(m[1], 10) < 1) throw new Error(`must look like 5/1m or off, got "${v}"`);
+    return { limit: parseInt(m[1], 10), windowMs: CONFIG_TYPES.duration(m[2]) };
+  },
+  // name=rate pairs: "dl=5/1m,*=30/1m,ai=off"
+  rateMap(v, spec) {
+    const out = {};
+    for (const [name, r] of namedPairs(v)) out[name] = CONFIG_TYPES.rate(r, spec);
+    return out;
+  },
+  // name=value pairs with values from spec.values: "http=debug,broadcast=off"
+  enumMap(v, spec) {
+    const out = {};
+    for (const [name, value] of namedPairs(v)) out[name] = CONFIG_TYPES.enum(value, spec);
+    return out;
+  },
+  enum(v, spec) {
+    const s = String(v).trim().toLowerCase();
+    if (!spec.values.includes(s)) throw new Error(`must be one of ${spec.values.join(', ')}, got "${v}"`);
+    return s;
+  },
+  // Numeric chat/user id or @username
+  chatId(v) {
+    const s = String(v).trim();
+    if (!/^-?\d+$/.test(s) && !/^@\w{4,}$/.test(s)) throw new Error(`must be a numeric id or @username, got "${s}"`);
+    return s;
+  },
+  timezone(v) {
+    const s = String(v).trim();
+    try { new Intl.DateTimeFormat('en-US', { timeZone: s }); } catch (_) { throw new Error(`unknown time zone "${s}"`); }
+    return s;
+  }
+};
+
+// "a=1,b=2" (or an object from config.json) -> [[name, value], ...]
+function namedPairs(v) {
+  if (v && typeof v === 'object' && !Array.isArray(v)) return Object.entries(v);
+  return CONFIG_TYPES.list(v).map(item => {
+    const i = item.indexOf('=');
+    if (i < 1) throw new Error(`expected name=value, got "${item}"`);
+    return [item.slice(0, i).trim(), item.slice(i + 1)];
+  });
+}
+
+// Modules that can back STORAGE_BACKEND=sqlite, in the order they are tried
+const SQLITE_DRIVERS = ['bun:sqlite', 'node:sqlite', 'better-sqlite3'];
+
+// The first SQLite driver this runtime can load, or null
+function findSqliteDriver() {
+  for (const name of SQLITE_DRIVERS) {
+    try {
+      require(name);
+      return name;
+    } catch (_) {}
+  }
+  return null;
+}
+
+function readConfigFile(file, problems) {
+  if (!file || !fs.existsSync(file)) return {};
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('top level must be an object');
+    for (const key of Object.keys(data)) {
+      if (!CONFIG_SCHEMA[key]) problems.push(`${path.basename(file)}: unknown key "${key}"`);
+    }
+    return data;
+  } catch (e) {
+    problems.push(`${file}: ${e.message}`);
+    return {};
+  }
+}
+
+function envValue(spec, env) {
+  for (const name of [].concat(spec.env || [])) {
+    if (env[name] !== undefined && String(env[name]).trim() !== '') return { value: env[name], source: `env ${name}` };
+  }
+  return null;
+}
+
+// Redacted plain copy, safe to print
+function redactConfig(config) {
+  const out = {};
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    const v = config[key];
+    out[key] = spec.secret ? (v ? '[redacted]' : null) : v;
+  }
+  return out;
+}
+
+/**
+ * Build the validated config. Throws ConfigError listing every problem.
+ * options: { env = process.env, file = CONFIG_FILE || ./config.json }
+ */
+function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const file = options.file || env.CONFIG_FILE || path.join(process.cwd(), 'config.json');
+  const problems = [];
+  if (env.CONFIG_FILE && !fs.existsSync(env.CONFIG_FILE)) problems.push(`CONFIG_FILE ${env.CONFIG_FILE} does not exist`);
+  const fromFile = readConfigFile(file, problems);
+
+  const values = {};
+  const sources = {};
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    const raw = envValue(spec, env) ||
+      (fromFile[key] !== undefined && fromFile[key] !== null ? { value: fromFile[key], source: path.basename(file) } : null);
+
+    if (!raw) {
+      if (spec.required) problems.push(`${[].concat(spec.env)[0]} is required${spec.help ? ` (${spec.help})` : ''}`);
+      values[key] = spec.default;
+      sources[key] = 'default';
+      continue;
+    }
+    try {
+      values[key] = CONFIG_TYPES[spec.type](raw.value, spec);
+      sources[key] = raw.source;
+    } catch (e) {
+      problems.push(`${key} (${raw.source}) ${e.message}`);
+      values[key] = spec.default;
+      sources[key] = raw.source;
+    }
+  }
+
+  // Derived values
+  if (!values.botMode) values.botMode = values.webhookUrl ? 'webhook' : 'polling';
+  if (values.botMode === 'webhook' && !values.webhookUrl) problems.push('WEBHOOK_URL is required when BOT_MODE=webhook');
+  if (values.webhookUrl) values.webhookUrl = values.webhookUrl.replace(/\/+$/, '');
+  values.webhookPath = '/' + String(values.webhookPath).replace(/^\/+/, '');
+  for (const key of ['downloaderApiUrl', 'imageApiUrl', 'aiApiUrl', 'musicApiUrl']) {
+    values[key] = values[key].replace(/\/+$/, '');
+  }
+  if (!values.adminAuditChannel) values.adminAuditChannel = values.logChannel;
+  if (values.storageBackend === 'sqlite' && !findSqliteDriver()) {
+    problems.push(`STORAGE_BACKEND=sqlite needs bun, Node 22.5+ or the better-sqlite3 package (this is Node ${process.versions.node}); install better-sqlite3 or use STORAGE_BACKEND=json`);
+  }
+
+  if (problems.length) throw new ConfigError(problems);
+
+  Object.defineProperties(values, {
+    sources: { value: Object.freeze(sources), enumerable: false },
+    toJSON: { value: () => redactConfig(values), enumerable: false },
+    [util.inspect.custom]: { value: () => redactConfig(values), enumerable: false }
+  });
+  return Object.freeze(values);
+}
+
+// [{ key, value, source, secret, help }] for display; secret values never included
+function describeConfig(config) {
+  return Object.entries(CONFIG_SCHEMA).map(([key, spec]) => ({
+    key,
+    value: spec.secret ? (config[key] ? 'set' : 'not set') : config[key],
+    source: config.sources?.[key] || 'default',
+    secret: !!spec.secret,
+    help: spec.help || ''
+  }));
+}
+
+// For durations typed by users (e.g. in bot commands)
+function parseDuration(v) {
+  return CONFIG_TYPES.duration(v);
+}
+
+module.exports = { loadConfig, describeConfig, redactConfig, parseDuration, findSqliteDriver, ConfigError, CONFIG_SCHEMA };
@@ -0,0 +1,175 @@
+// ===============================
+// OUTGOING FLOOD CONTROL (grammY API transformer)
+// Telegram allows about 30 messages/s per bot, roughly 1/s in a private chat
+// and 20/min in a group or channel. Message calls (send*, copy*, forward*,
+// edit*) wait here for a slot, in order per chat; everything else goes
+// straight through. A 429 pauses that chat for retry_after and retries the
+// call, a 5xx pauses it with exponential backoff, up to maxRetries times; the
+// retry goes first once the pause is over, so the chat's order is kept.
+// Install the same instance on every Api that shares the bot token.
+// ===============================
+
+const { createRateLimiter } = require('./ratelimit');
+
+const THROTTLED_METHOD_RE = /^(send|copy|forward|edit)/;
+
+class FloodQueueFullError extends Error {
+  constructor(chat) {
+    super(`Outgoing queue for chat ${chat} is full`);
+    this.name = 'FloodQueueFullError';
+  }
+}
+
+/**
+ * options: {
+ *   globalPerSecond = 30, privateBurst = 3 (then 1/s), groupPerMinute = 20,
+ *   maxRetries = 3, maxQueuePerChat = 1000, now = Date.now,
+ *   onRetry({ method, chat, reason: '429' | '5xx', waitMs }),
+ *   onWait({ method, chat, waitedMs })   // after a call got its slot
+ * }
+ */
+function createFloodControl(options = {}) {
+  const now = options.now || Date.now;
+  const maxRetries = options.maxRetries ?? 3;
+  const maxQueuePerChat = options.maxQueuePerChat ?? 1000;
+  const globalRule = { name: 'global', limit: options.globalPerSecond || 30, windowMs: 1000 };
+  const privateBurst = options.privateBurst || 3;
+  const groupPerMinute = options.groupPerMinute || 20;
+
+  const limiter = createRateLimiter({ now });
+  const waiting = []; // FIFO of { chat, rules, resolve }
+  const perChat = new Map(); // chat -> waiting count
+  const pausedUntil = new Map(); // chat -> time (after a 429 or 5xx)
+  let timer = null;
+  let retries = 0;
+
+  setInterval(() => {
+    limiter.sweep();
+    const t = now();
+    for (const [chat, until] of pausedUntil) if (until <= t) pausedUntil.delete(chat);
+  }, 60 * 1000).unref();
+
+  function emit(fn, arg) {
+    if (!fn) return;
+    try { fn(arg); } catch (_) {}
+  }
+
+  // Private chats have positive ids; groups, supergroups and channels negative ids or @names
+  function rulesFor(chat) {
+    const isPrivate = /^\d+$/.test(chat);
+    const chatRule = isPrivate
+      ? { name: `chat:${chat}`, limit: privateBurst, windowMs: privateBurst * 1000 }
+      : { name: `chat:${chat}`, limit: groupPerMinute, windowMs: 60 * 1000 };
+    return [globalRule, chatRule];
+  }
+
+  function pump() {
+    clearTimeout(timer);
+    timer = null;
+    const t = now();
+    const blocked = new Set(); // keep per-chat order: once one waits, later ones wait too
+    let nextIn = Infinity;
+
+    for (let i = 0; i < waiting.length; i++) {
+      const w = waiting[i];
+      if (blocked.has(w.chat)) continue;
+      const pause = (pausedUntil.get(w.chat) || 0) - t;
+      if (pause > 0) {
+        blocked.add(w.chat);
+        nextIn = Math.min(nextIn, pause);
+        continue;
+      }
+      pausedUntil.delete(w.chat);
+      const verdict = limiter.check('out', w.rules);
+      if (!verdict.allowed) {
+        blocked.add(w.chat);
+        nextIn = Math.min(nextIn, verdict.retryInMs);
+        continue;
+      }
+      waiting.splice(i, 1);
+      i -= 1;
+      leave(w.chat);
+      w.resolve();
+    }
+
+    if (waiting.length && nextIn < Infinity) timer = setTimeout(pump, Math.max(5, nextIn));
+  }
+
+  function leave(chat) {
+    const left = perChat.get(chat) - 1;
+    if (left > 0) perChat.set(chat, left);
+    else perChat.delete(chat);
+  }
+
+  // Retries go to the front so a chat's messages keep their order. A waiter
+  // whose signal aborts leaves the queue and rejects with the abort reason.
+  function acquire(chat, retry = false, signal = null) {
+    if (signal?.aborted) return Promise.reject(signal.reason);
+    if (!retry && (perChat.get(chat) || 0) >= maxQueuePerChat) return Promise.reject(new FloodQueueFullError(chat));
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        const i = waiting.indexOf(w);
+        if (i === -1) return;
+        waiting.splice(i, 1);
+        leave(chat);
+        reject(signal.reason);
+        pump();
+      };
+      const w = {
+        chat,
+        rules: rulesFor(chat),
+        resolve: () => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve();
+        }
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      if (retry) waiting.unshift(w);
+      else waiting.push(w);
+      perChat.set(chat, (perChat.get(chat) || 0) + 1);
+      pump();
+    });
+  }
+
+  async function transformer(prev, method, payload, signal) {
+    const target = payload?.chat_id;
+    if (!THROTTLED_METHOD_RE.test(method) || target === undefined || target === null) {
+      return prev(method, payload, signal);
+    }
+    const chat = String(target);
+
+    for (let attempt = 0; ; attempt++) {
+      const started = now();
+      await acquire(chat, attempt > 0, signal);
+      emit(options.onWait, { method, chat, waitedMs: now() - started });
+
+      const res = await prev(method, payload, signal);
+      if (res?.ok !== false || attempt >= maxRetries || signal?.aborted) return res;
+
+      let waitMs = 0;
+      let reason = null;
+      if (res.error_code === 429) {
+        reason = '429';
+        waitMs = (Number(res.parameters?.retry_after) || 1) * 1000;
+      } else if (res.error_code >= 500) {
+        reason = '5xx';
+        waitMs = 1000 * 2 ** attempt;
+      } else {
+        return res;
+      }
+      pausedUntil.set(chat, now() + waitMs);
+      retries += 1;
+      emit(options.onRetry, { method, chat, reason, waitMs });
+    }
+  }
+
+  return {
+    transformer,
+
+    stats() {
+      return { queued: waiting.length, chats: perChat.size, paused: pausedUntil.size, retries };
+    }
+  };
+}
+
+module.exports = { createFloodControl, FloodQueueFullError };
@@ -0,0 +1,186 @@
+// ===============================
+// MESSAGE BUILDER (Telegram HTML)
+// Every reply is Telegram HTML. Markup only comes from the html`` template
+// and the helpers below; anything interpolated into them (user names, API
+// results, ban reasons, broadcast text) is escaped, and a plain string passed
+// to toHtml() is treated as text. splitHtml() cuts long messages into parts
+// that fit Telegram's 4096 character limit, at a paragraph, line or word
+// break where possible, closing open tags at the end of a part and reopening
+// them at the start of the next.
+// ===============================
+
+const MAX_MESSAGE_LENGTH = 4096;
+
+// Trusted markup; create it with html``, the helpers or raw()
+class Html {
+  constructor(markup) {
+    this.markup = String(markup);
+  }
+
+  toString() {
+    return this.markup;
+  }
+}
+
+function escapeHtml(text = '') {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function isHtml(value) {
+  return value instanceof Html;
+}
+
+// Html stays as is, arrays are concatenated, null/undefined/false are dropped
+// and everything else is escaped as text
+function toHtml(value) {
+  if (value instanceof Html) return value;
+  if (Array.isArray(value)) return new Html(value.map(v => toHtml(v).markup).join(''));
+  if (value === null || value === undefined || value === false) return new Html('');
+  return new Html(escapeHtml(value));
+}
+
+function html(strings, ...values) {
+  let out = strings[0];
+  values.forEach((v, i) => { out += toHtml(v).markup + strings[i + 1]; });
+  return new Html(out);
+}
+
+// Markup that is already safe, e.g. a message catalog entry
+function raw(markup) {
+  return new Html(markup);
+}
+
+function join(parts, separator = '\n') {
+  const sep = toHtml(separator).markup;
+  return new Html(parts.filter(p => p !== null && p !== undefined && p !== false).map(p => toHtml(p).markup).join(sep));
+}
+
+const bold = (v) => html`<b>${v}</b>`;
+const italic = (v) => html`<i>${v}</i>`;
+const underline = (v) => html`<u>${v}</u>`;
+const code = (v) => html`<code>${v}</code>`;
+const spoiler = (v) => html`<tg-spoiler>${v}</tg-spoiler>`;
+const link = (label, url) => html`<a href="${url}">${label}</a>`;
+
+function pre(text, language) {
+  return language ? html`<pre><code class="language-${language}">${text}</code></pre>` : html`<pre>${text}</pre>`;
+}
+
+// The text Telegram would show for `value` (tags dropped, entities decoded),
+// for places that take no parse_mode: button labels, callback answers, files
+function plainText(value) {
+  return toHtml(value).markup
+    .replace(/<[^>]*>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+const TOKEN_RE = /<[^>]*>|&#?\w+;|[\s\S]/gu;
+const MIN_PART_FILL = 0.5; // break early at a newline rather than mid-word late
+
+/**
+ * Split markup into parts of at most `limit` characters. Tags and entities are
+ * never cut; a break needs to be in the second half of a part to be used,
+ * otherwise the part is cut at the limit.
+ */
+function splitHtml(markup, limit = MAX_MESSAGE_LENGTH) {
+  const text = toHtml(markup).markup;
+  if (text.length <= limit) return [text];
+
+  const parts = [];
+  const stack = []; // open tags: { name, open }
+  const closers = (tags) => tags.slice().reverse().map(t => `</${t.name}>`).join('');
+  const openers = (tags) => tags.map(t => t.open).join('');
+  let buf = '';
+  let head = 0; // length of the reopened tags at the start of buf
+  let breaks = []; // by rank (0 word, 1 line, 2 paragraph): { at, tags }
+
+  function cut() {
+    const min = head + Math.floor((limit - head) * MIN_PART_FILL);
+    const b = [breaks[2], breaks[1], breaks[0]].find(x => x && x.at >= min)
+      || { at: buf.length, tags: stack.slice() };
+    const body = buf.slice(0, b.at).replace(/\s+$/, '');
+    if (body.length > head) parts.push(body + closers(b.tags));
+    const reopen = openers(b.tags);
+    const rest = buf.slice(b.at);
+    buf = reopen + rest;
+    head = reopen.length;
+    breaks = breaks.map(x => (x && x.at > b.at ? { at: x.at - b.at + head, tags: x.tags } : undefined));
+  }
+
+  for (const token of text.match(TOKEN_RE) || []) {
+    const m = token[0] === '<' && token.length > 1 ? /^<(\/)?([a-z-]+)/i.exec(token) : null;
+    const opens = m && !m[1] && !token.endsWith('/>');
+    const needed = token.length + (opens ? m[2].length + 3 : 0); // an opening tag brings its closer
+    while (buf.length > head && buf.length + needed + closers(stack).length > limit) {
+      const before = buf.length;
+      cut();
+      if (buf.length >= before) break; // nothing left to move out
+    }
+    buf += token;
+
+    if (token[0] === '<' && token.length > 1) {
+      if (m && m[1]) {
+        const i = stack.map(t => t.name).lastIndexOf(m[2].toLowerCase());
+        if (i !== -1) stack.splice(i, 1);
+      } else if (opens) {
+        stack.push({ name: m[2].toLowerCase(), open: token });
+      }
+    } else if (token === '\n') {
+      const rank = buf.endsWith('\n\n') ? 2 : 1;
+      breaks[rank] = { at: buf.length, tags: stack.slice() };
+    } else if (token === ' ') {
+      breaks[0] = { at: buf.length, tags: stack.slice() };
+    }
+  }
+  if (buf.length > head && buf.slice(head).trim()) parts.push(buf + closers(stack));
+  return parts;
+}
+
+/**
+ * Telegram rejects bad markup with "can't parse entities: ... at byte offset N"
+ * (N counted in UTF-8). Escape the tag or entity that starts there so it is
+ * shown as text; null when no "<" or "&" starts at that offset.
+ */
+function escapeAtByte(markup, byteOffset) {
+  const text = toHtml(markup).markup;
+  let bytes = 0;
+  let i = 0;
+  while (i < text.length && bytes < byteOffset) {
+    const cp = text.codePointAt(i);
+    bytes += cp < 0x80 ? 1 : cp < 0x800 ? 2 : cp < 0x10000 ? 3 : 4;
+    i += cp < 0x10000 ? 1 : 2;
+  }
+  if (bytes !== byteOffset) return null;
+  if (text[i] === '<') return `${text.slice(0, i)}&lt;${text.slice(i + 1)}`;
+  if (text[i] === '&') return `${text.slice(0, i)}&amp;${text.slice(i + 1)}`;
+  return null;
+}
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  Html,
+  html,
+  raw,
+  join,
+  toHtml,
+  isHtml,
+  escapeHtml,
+  plainText,
+  splitHtml,
+  escapeAtByte,
+  bold,
+  italic,
+  underline,
+  code,
+  spoiler,
+  link,
+  pre
+};
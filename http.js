@@ -0,0 +1,191 @@
+// ===============================
+// HTTP CLIENT
+// Every outbound request goes through one client: default timeout and
+// headers, retries (network errors, timeouts, 429, 5xx and HTML block pages),
+// a response size cap and onRequest/onResponse hooks for metrics and logs.
+// client.provider(name, { baseUrl, ... }) scopes it to one upstream: paths
+// are resolved against its base URL, its settings override the defaults and
+// the hooks see its name. The transport (axios) can be swapped for a local
+// stand-in with useTransport(), e.g. by the test harness.
+// ===============================
+
+const axios = require('axios');
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+class HttpError extends Error {
+  /**
+   * fields: { status, data } for an unexpected status, { code } for a
+   * network error ('ETIMEDOUT', 'ETOOLARGE', ...), { blocked: true } when an
+   * HTML page (WAF, captcha) came back instead of data
+   */
+  constructor(message, fields = {}) {
+    super(message);
+    this.name = 'HttpError';
+    Object.assign(this, fields);
+  }
+}
+
+// req: { method, url, headers, data, timeout, responseType, signal, maxBytes }
+// -> { status, headers, data } for any status; throws on network errors
+async function axiosTransport(req) {
+  try {
+    const res = await axios.request({
+      method: req.method,
+      url: req.url,
+      headers: req.headers,
+      data: req.data,
+      timeout: req.timeout,
+      responseType: req.responseType,
+      signal: req.signal,
+      maxContentLength: req.maxBytes,
+      validateStatus: () => true
+    });
+    return { status: res.status, headers: res.headers || {}, data: res.data };
+  } catch (e) {
+    if (axios.isCancel(e)) throw e;
+    if (/maxContentLength/i.test(e?.message || '')) throw new HttpError(`Response larger than ${req.maxBytes} bytes`, { code: 'ETOOLARGE' });
+    const code = e?.code === 'ECONNABORTED' ? 'ETIMEDOUT' : (e?.code || 'ENETWORK');
+    throw new HttpError(e?.message || 'Network error', { code });
+  }
+}
+
+function resolveUrl(baseUrl, url, params) {
+  const full = /^https?:\/\//i.test(url || '')
+    ? url
+    : `${String(baseUrl || '').replace(/\/+$/, '')}${url ? (url.startsWith('/') || url.startsWith('?') ? url : `/${url}`) : ''}`;
+  if (!params) return full;
+  const u = new URL(full);
+  for (const [k, v] of Object.entries(params)) {
+    if (v !== undefined && v !== null) u.searchParams.append(k, String(v));
+  }
+  return u.toString();
+}
+
+// For hooks and logs: query strings often carry API keys
+function describeUrl(url) {
+  try {
+    const u = new URL(url);
+    return `${u.origin}${u.pathname}`;
+  } catch (_) {
+    return String(url).split('?')[0];
+  }
+}
+
+function isBlockPage(data) {
+  if (typeof data !== 'string') return false;
+  const s = data.slice(0, 800).toLowerCase();
+  return s.includes('<html') || s.includes('cloudflare') || s.includes('attention required');
+}
+
+function bodySize(data) {
+  if (Buffer.isBuffer(data) || data instanceof ArrayBuffer) return data.byteLength;
+  if (typeof data === 'string') return Buffer.byteLength(data);
+  return 0;
+}
+
+function retryable(e) {
+  if (e instanceof HttpError) return e.blocked || (e.status ? e.status === 429 || e.status >= 500 : e.code !== 'ETOOLARGE');
+  return false;
+}
+
+/**
+ * options (also accepted by provider() and per request):
+ *   timeout = 20000, retries = 0, retryDelayMs = 800 (times the attempt),
+ *   maxBytes = 50 MB, headers = {},
+ *   validateStatus(status) = 2xx,   // statuses handed back instead of thrown
+ *   allowHtml = false,              // keep an HTML page in a json response
+ * client-only:
+ *   transport(req), onRequest({ provider, method, url, attempt }),
+ *   onResponse({ provider, method, url, attempt, status, ms, error })
+ * Requests: get(url, opts), head(url, opts), post(url, data, opts),
+ * request({ method, url, params, data, responseType = 'json', signal, ... }).
+ */
+function createHttpClient(options = {}) {
+  let transport = options.transport || axiosTransport;
+  const defaults = {
+    timeout: 20000,
+    retries: 0,
+    retryDelayMs: 800,
+    maxBytes: 50 * 1024 * 1024,
+    validateStatus: (status) => status >= 200 && status < 300,
+    allowHtml: false
+  };
+  const pick = (key, ...layers) => layers.find(l => l && l[key] !== undefined)?.[key] ?? defaults[key];
+
+  function emit(fn, info) {
+    if (!fn) return;
+    try { fn(info); } catch (_) {}
+  }
+
+  async function attempt(req, settings) {
+    const res = await transport(req);
+    // HEAD answers carry the size of the resource, not of a body
+    const length = req.method === 'HEAD' ? 0 : Number(res.headers?.['content-length']) || bodySize(res.data);
+    if (length > req.maxBytes) throw new HttpError(`Response larger than ${req.maxBytes} bytes`, { code: 'ETOOLARGE' });
+    if (req.responseType === 'json' && !settings.allowHtml && isBlockPage(res.data)) {
+      throw new HttpError(`Blocked by upstream (HTML page), status ${res.status}`, { status: res.status, blocked: true });
+    }
+    if (!settings.validateStatus(res.status)) {
+      throw new HttpError(`HTTP ${res.status}`, { status: res.status, data: res.data });
+    }
+    return res;
+  }
+
+  async function request(opts, scope) {
+    const settings = {};
+    for (const key of Object.keys(defaults)) settings[key] = pick(key, opts, scope, options);
+    const req = {
+      method: String(opts.method || 'GET').toUpperCase(),
+      url: resolveUrl(scope.baseUrl, opts.url, opts.params),
+      headers: { ...options.headers, ...scope.headers, ...opts.headers },
+      data: opts.data,
+      timeout: settings.timeout,
+      responseType: opts.responseType || 'json',
+      signal: opts.signal,
+      maxBytes: settings.maxBytes
+    };
+    const info = { provider: scope.name || 'other', method: req.method, url: describeUrl(req.url) };
+
+    for (let i = 0; ; i++) {
+      const started = Date.now();
+      emit(options.onRequest, { ...info, attempt: i + 1 });
+      try {
+        const res = await attempt(req, settings);
+        emit(options.onResponse, { ...info, attempt: i + 1, status: res.status, ms: Date.now() - started });
+        return res;
+      } catch (e) {
+        emit(options.onResponse, { ...info, attempt: i + 1, status: e?.status || null, ms: Date.now() - started, error: e });
+        if (req.signal?.aborted || i >= settings.retries || !retryable(e)) throw e;
+        await sleep(settings.retryDelayMs * (i + 1));
+      }
+    }
+  }
+
+  function scoped(scope) {
+    return {
+      name: scope.name || null,
+      baseUrl: scope.baseUrl || null,
+      request: (opts) => request(opts, scope),
+      get: (url, opts = {}) => request({ ...opts, method: 'GET', url }, scope),
+      head: (url, opts = {}) => request({ ...opts, method: 'HEAD', url }, scope),
+      post: (url, data, opts = {}) => request({ ...opts, method: 'POST', url, data }, scope)
+    };
+  }
+
+  return {
+    ...scoped({}),
+
+    // Client for one upstream: { baseUrl, headers, timeout, retries, ... }
+    provider(name, providerOptions = {}) {
+      return scoped({ ...providerOptions, name });
+    },
+
+    // Replace how requests are made (null restores axios)
+    useTransport(fn) {
+      transport = fn || axiosTransport;
+    }
+  };
+}
+
+module.exports = { createHttpClient, axiosTransport, HttpError, describeUrl };
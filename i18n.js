@@ -0,0 +1,111 @@
+// ===============================
+// I18N (message catalogs)
+// One flat JSON catalog per language in locales/<code>.json (key -> text).
+// t() looks a key up in the requested language, then in the fallback
+// language, and fills {name} placeholders (through options.escape when the
+// catalogs hold markup). Plural forms live in `<key>_one`,
+// `<key>_other`, ... and are picked with Intl.PluralRules from vars.count.
+// A key missing everywhere comes back as the key itself, so a gap shows up in
+// the chat instead of breaking the handler.
+// ===============================
+
+const fs = require('fs');
+const path = require('path');
+
+// { code: catalog } for every locales/*.json in dir
+function loadCatalogs(dir) {
+  const catalogs = {};
+  for (const file of fs.readdirSync(dir)) {
+    if (!file.endsWith('.json')) continue;
+    const code = path.basename(file, '.json');
+    try {
+      catalogs[code] = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    } catch (e) {
+      throw new Error(`Invalid message catalog ${file}: ${e.message}`);
+    }
+  }
+  return catalogs;
+}
+
+function interpolate(text, vars, escape) {
+  return text.replace(/\{(\w+)\}/g, (m, name) => (vars[name] !== undefined && vars[name] !== null ? escape(vars[name]) : m));
+}
+
+/**
+ * options: {
+ *   catalogs: { [code]: { key: text } },
+ *   fallback = 'en',
+ *   escape(value) = String,  // how placeholder values are inserted
+ *   onMissing(key, locale)   // once per key, when no catalog has it
+ * }
+ */
+function createI18n(options = {}) {
+  const catalogs = options.catalogs || {};
+  const fallback = options.fallback || 'en';
+  const escape = options.escape || String;
+  if (!catalogs[fallback]) throw new Error(`No message catalog for the fallback language "${fallback}"`);
+  const reported = new Set();
+  const pluralRules = new Map(); // locale -> Intl.PluralRules
+
+  function pluralKey(locale, key, count) {
+    let rules = pluralRules.get(locale);
+    if (!rules) {
+      try { rules = new Intl.PluralRules(locale); } catch (_) { rules = new Intl.PluralRules(fallback); }
+      pluralRules.set(locale, rules);
+    }
+    return `${key}_${rules.select(count)}`;
+  }
+
+  function lookup(locale, key, count) {
+    for (const code of locale === fallback ? [fallback] : [locale, fallback]) {
+      const catalog = catalogs[code];
+      if (!catalog) continue;
+      if (typeof count === 'number') {
+        const text = catalog[pluralKey(code, key, count)] ?? catalog[`${key}_other`];
+        if (typeof text === 'string') return text;
+      }
+      if (typeof catalog[key] === 'string') return catalog[key];
+    }
+    return null;
+  }
+
+  return {
+    fallback,
+
+    t(locale, key, vars = {}) {
+      const text = lookup(locale, key, vars.count);
+      if (text === null) {
+        if (!reported.has(key) && options.onMissing) {
+          reported.add(key);
+          try { options.onMissing(key, locale); } catch (_) {}
+        }
+        return key;
+      }
+      return interpolate(text, vars, escape);
+    },
+
+    has(code) {
+      return !!catalogs[code];
+    },
+
+    // First supported language among the candidates ("hi-IN" counts as "hi")
+    resolve(...candidates) {
+      for (const c of candidates) {
+        if (!c) continue;
+        const code = String(c).toLowerCase();
+        if (catalogs[code]) return code;
+        const base = code.split(/[-_]/)[0];
+        if (catalogs[base]) return base;
+      }
+      return fallback;
+    },
+
+    // [{ code, name }] with the name each catalog gives itself
+    languages() {
+      return Object.keys(catalogs).sort((a, b) => (a === fallback ? -1 : b === fallback ? 1 : a.localeCompare(b)))
+        .map(code => ({ code, name: catalogs[code]['language.name'] || code }));
+    }
+  };
+}
+
+module.exports = { createI18n, loadCatalogs };
@@ -1,12 +1,75 @@
 const { Bot, InlineKeyboard, Api, InputFile } = require('grammy');
-const axios = require('axios');
 const crypto = require('crypto');
 const fs = require('fs');
+const http = require('http');
 const path = require('path');
+const zlib = require('zlib');
+const { loadConfig, describeConfig, parseDuration, findSqliteDriver, ConfigError, CONFIG_SCHEMA } = require('./config');
+const { createProviderRegistry } = require('./providers');
+const { createResponseCache } = require('./cache');
+const { createJobQueue, JobCancelledError, QueueFullError } = require('./jobs');
+const { createRateLimiter } = require('./ratelimit');
+const { createFloodControl } = require('./flood');
+const { createHttpClient } = require('./http');
+const { createLogger } = require('./logger');
+const { createLogRedactor } = require('./redact');
+const { createLogSink } = require('./logsink');
+const { AsyncLocalStorage } = require('async_hooks');
+const { parseWhen, nextRun, describeRule, formatLocal } = require('./schedule');
+const { createI18n, loadCatalogs } = require('./i18n');
+const { html, raw, join, toHtml, isHtml, escapeHtml, plainText, splitHtml, escapeAtByte, bold, italic, code, link, pre, MAX_MESSAGE_LENGTH } = require('./format');
+
+// Validated settings (env > config.json > defaults), see config.js
+let config;
+try {
+  config = loadConfig();
+} catch (e) {
+  if (!(e instanceof ConfigError)) throw e;
+  console.error(`❌ ${e.message}`); // no log settings without a valid config
+  process.exit(1);
+}
+
+// ===============================
+// LOGGING (see logger.js)
+// One JSON line per entry on stdout (warn/error on stderr). Inside an update
+// every entry carries update_id, user_id, command and duration_ms from the
+// update's AsyncLocalStorage store (set up by the outermost middleware), and
+// `job` inside a media queue job, so one user's run can be grepped end to end.
+// LOG_LEVEL sets the level, LOG_LEVELS overrides it per module.
+// ===============================
+const als = new AsyncLocalStorage();
+
+const logger = createLogger({
+  levels: { '*': config.logLevel, ...config.logLevels },
+  format: config.logFormat,
+  context: () => {
+    const store = als.getStore();
+    if (!store) return null;
+    return {
+      update_id: store.updateId,
+      user_id: store.from?.id,
+      command: store.command,
+      job: store.job,
+      duration_ms: store.startedAt ? Date.now() - store.startedAt : undefined
+    };
+  }
+});
+
+// Modules, as named in LOG_LEVELS
+const log = logger.child('bot');             // startup, shutdown, updates
+const commandLog = logger.child('commands'); // handler failures
+const httpLog = logger.child('http');        // outbound requests (http.js)
+const upstreamLog = logger.child('upstream'); // lookup/download API answers
+const telegramLog = logger.child('telegram'); // flood waits, log channel, DMs
+const storageLog = logger.child('storage');  // state, ledger, snapshots, restore
+const cacheLog = logger.child('cache');
+const jobLog = logger.child('jobs');
+const broadcastLog = logger.child('broadcast'); // broadcasts and schedules
+const serverLog = logger.child('server');    // health/metrics server, webhook
 
 
 // ===============================
-// HTTP HELPERS (RETRY + SAFETY)
+// HELPERS
 // ===============================
 const DEFAULT_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36';
 
@@ -20,49 +83,166 @@ function getCommandArgs(ctx) {
   const s = t.replace(/^\/\w+(?:@\w+)?\s*/i, '');
   return s.trim();
 }
-// Robust GET helper with retries + HTML-block detection
-async function axiosGetWithRetry(url, opts = {}, attempts = 3) {
-  const timeout = opts.timeout ?? 25000;
-  const headers = { 'user-agent': DEFAULT_UA, ...(opts.headers || {}) };
+// ===============================
+// METRICS (Prometheus text format, served on /metrics)
+// ===============================
+const METRIC_MAX_SERIES = 500; // per metric, guards against label explosions
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+const metrics = new Map(); // name -> { type, help, buckets, series: Map(labelKey -> series) }
+const metricCollectors = []; // run before each scrape to refresh gauges
 
-  let lastErr = null;
-  for (let i = 0; i < attempts; i++) {
-    try {
-      const res = await axios.get(url, {
-        timeout,
-        headers,
-        validateStatus: () => true,
-        responseType: opts.responseType || 'json'
-      });
+function defineMetric(name, type, help, buckets = LATENCY_BUCKETS) {
+  metrics.set(name, { type, help, buckets, series: new Map() });
+}
 
-      // Detect WAF / HTML blocks (common for free APIs)
-      const ct = String(res.headers?.['content-type'] || '').toLowerCase();
-      if (typeof res.data === 'string') {
-        const s = res.data.slice(0, 500).toLowerCase();
-        if (s.includes('<html') || s.includes('cloudflare') || s.includes('attention required')) {
-          const e = new Error(`Blocked by upstream (html/waf). status=${res.status} ct=${ct}`);
-          e._blocked = true;
-          throw e;
-        }
+function metricSeries(name, labels = {}) {
+  const m = metrics.get(name);
+  if (!m) return null;
+  const key = JSON.stringify(labels);
+  let series = m.series.get(key);
+  if (!series) {
+    if (m.series.size >= METRIC_MAX_SERIES) return null;
+    series = m.type === 'histogram'
+      ? { labels, counts: new Array(m.buckets.length).fill(0), sum: 0, count: 0 }
+      : { labels, value: 0 };
+    m.series.set(key, series);
+  }
+  return series;
+}
+
+function incCounter(name, labels, by = 1) {
+  const series = metricSeries(name, labels);
+  if (series) series.value += by;
+}
+
+function setGauge(name, labels, value) {
+  const series = metricSeries(name, labels);
+  if (series) series.value = Number(value) || 0;
+}
+
+function observeHistogram(name, labels, value) {
+  const m = metrics.get(name);
+  const series = metricSeries(name, labels);
+  if (!series) return;
+  m.buckets.forEach((b, i) => { if (value <= b) series.counts[i] += 1; });
+  series.sum += value;
+  series.count += 1;
+}
+
+function secondsSince(startedNs) {
+  return Number(process.hrtime.bigint() - startedNs) / 1e9;
+}
+
+function formatMetricLabels(labels, extra = {}) {
+  const all = { ...labels, ...extra };
+  const parts = Object.entries(all).map(([k, v]) => `${k}="${String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function renderMetrics() {
+  for (const collect of metricCollectors) {
+    try { collect(); } catch (e) { log.error('metrics collector failed', e); }
+  }
+  const lines = [];
+  for (const [name, m] of metrics) {
+    lines.push(`# HELP ${name} ${m.help}`, `# TYPE ${name} ${m.type}`);
+    for (const series of m.series.values()) {
+      if (m.type !== 'histogram') {
+        lines.push(`${name}${formatMetricLabels(series.labels)} ${series.value}`);
+        continue;
       }
+      m.buckets.forEach((b, i) => lines.push(`${name}_bucket${formatMetricLabels(series.labels, { le: b })} ${series.counts[i]}`));
+      lines.push(`${name}_bucket${formatMetricLabels(series.labels, { le: '+Inf' })} ${series.count}`);
+      lines.push(`${name}_sum${formatMetricLabels(series.labels)} ${series.sum}`);
+      lines.push(`${name}_count${formatMetricLabels(series.labels)} ${series.count}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
 
-      if (res.status >= 200 && res.status < 300) return res;
-      const e = new Error(`HTTP ${res.status}`);
-      e._status = res.status;
-      e._data = res.data;
-      throw e;
-    } catch (err) {
-      lastErr = err;
-      // exponential-ish backoff
-      if (i < attempts - 1) await sleep(800 * (i + 1));
+defineMetric('bot_updates_total', 'counter', 'Updates handled, by command (or callback prefix / update type)');
+defineMetric('bot_update_errors_total', 'counter', 'Updates whose handler threw, by command');
+defineMetric('bot_handler_duration_seconds', 'histogram', 'Time spent in the middleware chain per update');
+defineMetric('bot_upstream_calls_total', 'counter', 'Upstream provider calls by outcome (ok, failed = success:false, error = threw)');
+defineMetric('bot_upstream_duration_seconds', 'histogram', 'Upstream provider call latency');
+defineMetric('bot_state_saves_total', 'counter', 'State saves by outcome');
+defineMetric('bot_state_save_duration_seconds', 'histogram', 'Time spent writing state to storage', [0.001, 0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5]);
+defineMetric('bot_state_pending_changes', 'gauge', 'Changed records not yet written to storage');
+defineMetric('bot_yt_jobs_active', 'gauge', 'YouTube jobs currently tracked in global.__ytJobs');
+defineMetric('bot_users', 'gauge', 'Known users by kind');
+defineMetric('process_resident_memory_bytes', 'gauge', 'Resident memory size in bytes');
+defineMetric('nodejs_heap_used_bytes', 'gauge', 'V8 heap in use');
+defineMetric('bot_uptime_seconds', 'gauge', 'Seconds since the process started');
+
+// Wrap a provider function (getXInfo, downloadX, ...) so every call is counted and timed
+function instrumentUpstream(provider, fn) {
+  return async function (...args) {
+    return observeUpstream(provider, () => fn.apply(this, args));
+  };
+}
+
+async function observeUpstream(provider, run) {
+  const started = process.hrtime.bigint();
+  let outcome = 'ok';
+  try {
+    const res = await run();
+    if (res && res.success === false) outcome = 'failed';
+    return res;
+  } catch (e) {
+    outcome = 'error';
+    throw e;
+  } finally {
+    incCounter('bot_upstream_calls_total', { provider, outcome });
+    observeHistogram('bot_upstream_duration_seconds', { provider }, secondsSince(started));
+  }
+}
+
+// ===============================
+// HTTP CLIENT (see http.js)
+// Every outbound request, Telegram file downloads included. Each upstream
+// gets a scoped client (httpClient.provider) next to the functions using it.
+// Failed attempts are logged without the query string, which often holds
+// an API key.
+// ===============================
+defineMetric('bot_http_requests_total', 'counter', 'Outbound HTTP attempts by upstream and status (error = no response)');
+defineMetric('bot_http_request_duration_seconds', 'histogram', 'Outbound HTTP attempt latency by upstream');
+
+const httpClient = createHttpClient({
+  timeout: config.httpTimeoutMs,
+  maxBytes: config.httpMaxResponseBytes,
+  headers: { 'user-agent': DEFAULT_UA },
+  onResponse: ({ provider, method, url, attempt, status, ms, error }) => {
+    incCounter('bot_http_requests_total', { provider, status: status ? String(status) : 'error' });
+    observeHistogram('bot_http_request_duration_seconds', { provider }, ms / 1000);
+    if (error && error.name !== 'CanceledError') {
+      httpLog.warn('request failed', { provider, method, url: url.split(config.botToken).join('<token>'), attempt, status, ms, error: error.message, code: error.code });
+    } else {
+      httpLog.debug('request', { provider, method, url: url.split(config.botToken).join('<token>'), attempt, status, ms });
     }
   }
-  throw lastErr || new Error('Request failed');
+});
+
+// Scoped clients for a primary base URL and its fallbacks, named by host
+function upstreamApis(bases, settings = {}) {
+  return bases.map(base => httpClient.provider(providerHost(base), { ...settings, baseUrl: base }));
+}
+
+// Low-cardinality label for an update: command name, callback prefix or update type
+function metricCommandLabel(ctx) {
+  const text = ctx.message?.text || ctx.message?.caption || '';
+  const cmd = text.match(/^\/([A-Za-z0-9_]{1,32})(?:@\w+)?(?:\s|$)/);
+  if (cmd) return cmd[1].toLowerCase();
+  const data = ctx.callbackQuery?.data;
+  if (typeof data === 'string') return `cb:${(data.match(/^[A-Za-z]+/) || ['other'])[0].slice(0, 24)}`;
+  return Object.keys(ctx.update || {}).find(k => k !== 'update_id') || 'unknown';
 }
 
 // ===============================
 // YTCONTENT PROCESS POLLER (REAL-TIME TEXT UPDATES)
 // ===============================
+const ytProcessApi = httpClient.provider('ytcontent', { timeout: 45000, retries: 1 });
+const ytResolveApi = httpClient.provider('flip-yt-downloader', { baseUrl: 'https://flip-yt-downloader-akib.vercel.app', timeout: 45000, retries: 1 });
+
 // Poll a ytcontent "videoProcess" URL until it returns a real fileUrl (not "In Processing...")
 async function pollYtcontentProcess(processUrl, opts = {}) {
   const intervalMs = opts.intervalMs ?? 2500;
@@ -70,7 +250,7 @@ async function pollYtcontentProcess(processUrl, opts = {}) {
   let last = null;
 
   for (let i = 0; i < maxTries; i++) {
-    const res = await axiosGetWithRetry(processUrl, { timeout: 45000, responseType: 'json' }, 2);
+    const res = await ytProcessApi.get(processUrl);
     const data = res.data || {};
     last = data;
 
@@ -114,32 +294,107 @@ function formatYtProcessHtml(apiJson, processUrl, meta = {}) {
 
   const extra =
     (speedText || etaText)
-      ? `\n<b>Speed:</b> <code>${escapeHtml(speedText || '…')}</code>\n<b>ETA:</b> <code>${escapeHtml(etaText || '…')}</code>\n`
+      ? html`\n<b>Speed:</b> ${code(speedText || '…')}\n<b>ETA:</b> ${code(etaText || '…')}\n`
       : '\n';
 
-  return (
-`🎬 <b>YouTube Processing</b>\n\n` +
-`<b>Progress:</b> <code>${escapeHtml(String(percentRaw))}</code>\n` +
-`<b>Est. Size:</b> <code>${escapeHtml(String(size))}</code>\n` +
-`<b>File:</b> <code>${escapeHtml(String(name))}</code>` +
-extra +
-`<b>Status:</b> <code>${escapeHtml(String(fileUrl))}</code>\n` +
-`<b>Process:</b> <code>${escapeHtml(String(processUrl))}</code>`
-  );
-}
-
-// Initialize bot with proper error handling
-const botToken = process.env.BOT_TOKEN;
+  return html`🎬 <b>YouTube Processing</b>
 
-if (!botToken) {
-  console.error('❌ BOT_TOKEN environment variable is not set!');
-  console.error('Please set BOT_TOKEN in Railway environment variables');
-  process.exit(1);
+<b>Progress:</b> ${code(percentRaw)}
+<b>Est. Size:</b> ${code(size)}
+<b>File:</b> ${code(name)}${extra}<b>Status:</b> ${code(fileUrl)}
+<b>Process:</b> ${code(processUrl)}`;
 }
 
+// Initialize bot (BOT_TOKEN is checked by loadConfig)
+const botToken = config.botToken;
+
 // Initialize bot
 const bot = new Bot(botToken);
 
+// ===============================
+// OUTGOING FLOOD CONTROL (see flood.js)
+// Installed before any other transformer so it sits closest to the network;
+// logApi below shares the same instance (one limit per bot token).
+// ===============================
+defineMetric('bot_api_queue_depth', 'gauge', 'Outgoing Telegram calls waiting for a send slot');
+defineMetric('bot_api_queue_wait_seconds', 'histogram', 'Time outgoing Telegram calls waited for a send slot', [0, 0.05, 0.25, 1, 2.5, 5, 15, 30, 60, 300]);
+defineMetric('bot_api_retries_total', 'counter', 'Outgoing Telegram calls retried, by method and reason (429, 5xx)');
+
+const floodControl = createFloodControl({
+  globalPerSecond: config.apiGlobalPerSecond,
+  groupPerMinute: config.apiGroupPerMinute,
+  maxRetries: config.apiMaxRetries,
+  onWait: ({ waitedMs }) => observeHistogram('bot_api_queue_wait_seconds', {}, waitedMs / 1000),
+  onRetry: ({ method, chat, reason, waitMs }) => {
+    incCounter('bot_api_retries_total', { method, reason });
+    if (reason === '429') telegramLog.warn('flood limit, retrying', { chat, method, wait_ms: waitMs });
+  }
+});
+bot.api.config.use(floodControl.transformer);
+
+metricCollectors.push(() => setGauge('bot_api_queue_depth', {}, floodControl.stats().queued));
+
+// Per-update metrics and log context (outermost middleware so the timing
+// covers every handler and every log entry of the update is correlated)
+bot.use(async (ctx, next) => {
+  const command = metricCommandLabel(ctx);
+  const started = process.hrtime.bigint();
+  const store = {
+    updateId: ctx.update?.update_id,
+    from: ctx.from,
+    chat: ctx.chat,
+    at: new Date().toISOString(),
+    startedAt: Date.now(),
+    command,
+    updateType: ctx.update?.callback_query ? 'callback_query' : (ctx.message ? 'message' : 'update'),
+    text: ctx.message?.text,
+    data: ctx.update?.callback_query?.data,
+  };
+
+  return als.run(store, async () => {
+    try {
+      await next();
+    } catch (e) {
+      incCounter('bot_update_errors_total', { command });
+      throw e;
+    } finally {
+      incCounter('bot_updates_total', { command });
+      observeHistogram('bot_handler_duration_seconds', { command }, secondsSince(started));
+      log.debug('update handled');
+    }
+  });
+});
+
+// ===============================
+// I18N (see i18n.js and locales/)
+// ctx.t(key, vars) answers in the user's language: the one picked with
+// /language, else their Telegram language, else English. Keys missing from
+// a catalog fall back to English. Catalog texts are HTML (see format.js) and
+// the vars are escaped; ctx.label() gives the plain text for buttons.
+// ===============================
+const i18n = createI18n({
+  catalogs: loadCatalogs(path.join(__dirname, 'locales')),
+  fallback: 'en',
+  escape: (value) => toHtml(value).markup,
+  onMissing: (key, locale) => log.warn('missing message key', { key, locale })
+});
+
+function userLocale(user, languageCode) {
+  return i18n.resolve(user?.language, languageCode || user?.languageCode);
+}
+
+function languageName(code) {
+  return i18n.languages().find(l => l.code === code)?.name || code;
+}
+
+bot.use(async (ctx, next) => {
+  const user = ctx.from?.id ? users.get(String(ctx.from.id)) : null;
+  ctx.locale = userLocale(user, ctx.from?.language_code);
+  ctx.t = (key, vars) => raw(i18n.t(ctx.locale, key, vars));
+  ctx.label = (key, vars) => plainText(ctx.t(key, vars));
+  return next();
+});
+
 
 
 // ===============================
@@ -167,11 +422,8 @@ bot.use(async (ctx, next) => {
       ctx.replyWithMarkdownV2 = (text, other) => _orig(_appendVersionFooter(text), other);
     }
 
-    // Wrap API sendMessage for background jobs / plain objects
-    if (ctx.api && typeof ctx.api.sendMessage === 'function') {
-      const _origSendMessage = ctx.api.sendMessage.bind(ctx.api);
-      ctx.api.sendMessage = (chatId, text, other = {}) => _origSendMessage(chatId, _appendVersionFooter(text), other);
-    }
+    // Messages sent through sendHtml() get the footer there, once, under the last part
+    if (ctx.api) FOOTER_APIS.add(ctx.api);
 
     // Wrap API media senders to append footer into caption (when present)
     const wrapCaption = (fnName) => {
@@ -210,8 +462,44 @@ bot.use(async (ctx, next) => {
 
     if (bannedUsers.has(uid)) {
       const b = bannedUsers.get(uid) || {};
-      const reason = b.reason ? `\n\n📝 Reason: ${b.reason}` : '';
-      return ctx.reply(`⛔ You are banned from using this bot.${reason}`);
+      const reason = b.reason ? html`\n\n${ctx.t('error.banned_reason', { reason: b.reason })}` : '';
+      return sendFormattedMessage(ctx, html`${ctx.t('error.banned')}${reason}`);
+    }
+  } catch (_) {}
+  return next();
+});
+
+// ===============================
+// USER ACTIVITY
+// lastSeenAt and languageCode feed broadcast audiences. lastSeenAt is only
+// rewritten when it is older than LAST_SEEN_RESOLUTION_MS so that busy users
+// do not cause a state write per update. A user marked inactive by a
+// broadcast (blocked the bot) is reachable again once they write to it.
+// ===============================
+const LAST_SEEN_RESOLUTION_MS = 10 * 60 * 1000;
+
+bot.use(async (ctx, next) => {
+  try {
+    const user = ctx.from?.id ? users.get(String(ctx.from.id)) : null;
+    if (user) {
+      const now = new Date();
+      const lang = ctx.from.language_code || null;
+      let changed = false;
+      if (!(user.lastSeenAt instanceof Date) || now - user.lastSeenAt >= LAST_SEEN_RESOLUTION_MS) {
+        user.lastSeenAt = now;
+        changed = true;
+      }
+      if (lang && user.languageCode !== lang) {
+        user.languageCode = lang;
+        changed = true;
+      }
+      if (user.inactive) {
+        delete user.inactive;
+        delete user.inactiveReason;
+        delete user.inactiveSince;
+        changed = true;
+      }
+      if (changed) touchUser(user);
     }
   } catch (_) {}
   return next();
@@ -223,16 +511,19 @@ bot.use(async (ctx, next) => {
 // Sends every command and bot response to a log channel (e.g. @OsintLogsUpdates)
 // Requirements:
 // 1) Add your bot as ADMIN in the channel
-// 2) Set LOG_CHANNEL in env (recommended) OR use default below
+// 2) Set LOG_CHANNEL in env (recommended) OR use the default in config.js
+// What is mirrored depends on the command (see redact.js): lookups of people
+// and anything carrying credentials only show who ran what, everything else is
+// scrubbed of secrets and personal data and truncated. LOG_CHANNEL_MODES
+// overrides the mode per command.
+// Entries are posted in batches, one line each, not one message per event.
 // ===============================
-const { AsyncLocalStorage } = require('async_hooks');
-const als = new AsyncLocalStorage();
-
-const LOG_CHANNEL = process.env.LOG_CHANNEL || '@OsintLogsUpdates'; // can be @channelusername or numeric channel id
-const logApi = new Api(botToken); // separate API (no transformers) to avoid recursion
+const LOG_CHANNEL = config.logChannel; // can be @channelusername or numeric channel id
+const logApi = new Api(botToken); // separate API (no logging transformer) to avoid recursion
+logApi.config.use(floodControl.transformer);
 
 // Optional separate admin-audit channel (falls back to LOG_CHANNEL)
-const ADMIN_AUDIT_CHANNEL = process.env.ADMIN_AUDIT_CHANNEL || process.env.ADMIN_LOG_CHANNEL || LOG_CHANNEL;
+const ADMIN_AUDIT_CHANNEL = config.adminAuditChannel;
 
 // Send a compact admin audit entry (best-effort)
 async function adminAudit(action, ctx, details = '') {
@@ -250,17 +541,17 @@ async function adminAudit(action, ctx, details = '') {
     const uname = user.username ? `@${user.username}` : (user.first_name || 'user');
     const uid = user.id ? String(user.id) : 'unknown';
     const cid = chat.id ? String(chat.id) : 'unknown';
-    const when = new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+    const when = new Date().toLocaleString('en-IN', { timeZone: config.timezone });
 
-    const msg =
-      `🛡️ <b>ADMIN AUDIT</b>\n` +
-      `<b>Action:</b> <code>${escapeHtml(String(action))}</code>\n` +
-      `<b>By:</b> ${escapeHtml(uname)} (<code>${escapeHtml(uid)}</code>)\n` +
-      `<b>Chat:</b> <code>${escapeHtml(cid)}</code>\n` +
-      `<b>When:</b> <code>${escapeHtml(when)}</code>\n` +
-      (details ? `\n<b>Details:</b>\n${escapeHtml(String(details)).slice(0, 3500)}` : '');
+    const msg = html`🛡️ <b>ADMIN AUDIT</b>
+<b>Action:</b> ${code(action)}
+<b>By:</b> ${uname} (${code(uid)})
+<b>Chat:</b> ${code(cid)}
+<b>When:</b> ${code(when)}
+${details ? html`\n<b>Details:</b>\n${String(details).slice(0, 3500)}` : ''}`;
 
-    await logApi.sendMessage(ADMIN_AUDIT_CHANNEL, msg, { parse_mode: 'HTML', disable_web_page_preview: true });
+    // Not awaited: the channel is rate limited (see OUTGOING FLOOD CONTROL)
+    sendHtml(logApi, ADMIN_AUDIT_CHANNEL, msg, { disable_web_page_preview: true }).catch(() => {});
   } catch (_) {}
 }
 
@@ -282,35 +573,20 @@ function recordCommandUse(user, cmd) {
   user._lastCommand = cmd;
   if (!user.commandStats[cmd]) user.commandStats[cmd] = { uses: 0, creditsSpent: 0, creditsRefunded: 0 };
   user.commandStats[cmd].uses += 1;
+  touchUser(user);
 }
-function refundCredits(user, amount = 1, cmd = null) {
-  if (!user) return;
-  user.credits += amount;
+function bumpCommandCreditStat(user, cmd, field, amount) {
+  if (!user || !amount) return;
   const c = cmd || user._lastCommand || 'unknown';
   ensureCommandStats(user);
   if (!user.commandStats[c]) user.commandStats[c] = { uses: 0, creditsSpent: 0, creditsRefunded: 0 };
-  user.commandStats[c].creditsRefunded += amount;
+  user.commandStats[c][field] = (user.commandStats[c][field] || 0) + amount;
+  touchUser(user);
 }
 
-function escapeHtml(s = '') {
-  return String(s)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;');
-}
-
-async function sendLogText(html) {
+async function sendLogText(message) {
   if (!LOG_CHANNEL) return;
-  const MAX = 3900; // keep margin for HTML tags
-  const chunks = [];
-  let buf = html;
-  while (buf.length > MAX) {
-    chunks.push(buf.slice(0, MAX));
-    buf = buf.slice(MAX);
-  }
-  chunks.push(buf);
-
-  for (const chunk of chunks) {
+  for (const chunk of splitHtml(message)) {
     try {
       await logApi.sendMessage(LOG_CHANNEL, chunk, {
         parse_mode: 'HTML',
@@ -318,64 +594,153 @@ async function sendLogText(html) {
       });
     } catch (e) {
       // Don't crash the bot if logging fails (e.g. bot not admin / wrong channel)
-      console.error('⚠️ Log channel send failed:', e?.description || e?.message || e);
+      telegramLog.error('log channel send failed', e);
       break;
     }
   }
 }
 
-function formatUser(store) {
-  if (!store) return 'Unknown';
-  const u = store.from || {};
-  const name = [u.first_name, u.last_name].filter(Boolean).join(' ') || 'Unknown';
-  const uname = u.username ? `@${u.username}` : '';
-  const id = u.id ? String(u.id) : '';
-  return `${escapeHtml(name)} ${escapeHtml(uname)} <code>${escapeHtml(id)}</code>`.trim();
+// Lookups of people, credentials, redeem codes and other users' records
+const LOG_CHANNEL_META_COMMANDS = [
+  'tempmail', 'num', 'basicnum', 'paknum', 'pak', 'pan', 'tginfo', 'rc', 'vehicle', 'email', 'ig', 'igreels', 'ip', 'myip',
+  'backup', 'restore', 'gencode', 'gencodebulk', 'redeem', 'checkuser', 'history'
+];
+// Buttons are mirrored under the command they belong to
+const LOG_CHANNEL_CALLBACK_COMMANDS = { tm: 'tempmail', imgopt: 'img', ytq: 'yt', ytstop: 'yt', hist: 'history', histu: 'history', restore: 'restore', snapr: 'snapshots' };
+
+const logRedactor = createLogRedactor({
+  modes: { ...Object.fromEntries(LOG_CHANNEL_META_COMMANDS.map(c => [c, 'meta'])), ...config.logChannelModes },
+  scrub: config.logChannelScrub,
+  secrets: Object.keys(CONFIG_SCHEMA).filter(key => CONFIG_SCHEMA[key].secret).map(key => config[key]).filter(Boolean),
+  maxChars: config.logChannelMaxChars
+});
+
+// A redeem code in an admin log line: whole only when the command is mirrored
+// in full, otherwise just enough to tell codes apart
+function logRedeemCode(command, codeStr) {
+  return logRedactor.mode(command) === 'full' ? codeStr : `…${codeStr.slice(-4)}`;
 }
 
-function formatChat(store) {
-  if (!store) return 'Unknown';
-  const c = store.chat || {};
-  const title = c.title || c.username || c.id || 'Unknown';
-  const type = c.type || '';
-  const id = c.id ? String(c.id) : '';
-  return `${escapeHtml(String(title))} ${type ? `(${escapeHtml(type)})` : ''} <code>${escapeHtml(id)}</code>`.trim();
+// Mode key for a mirror entry: the command (aliases resolved) or the command
+// behind a button, 'message' for other updates and 'background' for sends
+// outside any update (broadcasts, schedules)
+function logChannelCommand(store) {
+  if (!store) return 'background';
+  const cmd = typeof store.text === 'string' && store.text.match(/^\/([A-Za-z0-9_]{1,32})(?:@\w+)?(?:\s|$)/);
+  if (cmd) {
+    const name = cmd[1].toLowerCase();
+    return commandRegistry.get(name)?.name || name;
+  }
+  const prefix = typeof store.data === 'string' && store.data.match(/^([a-z]+)_/)?.[1];
+  if (prefix) return LOG_CHANNEL_CALLBACK_COMMANDS[prefix] || prefix;
+  return 'message';
 }
 
-// Log EVERY incoming command/callback
-bot.use(async (ctx, next) => {
-  const store = {
-    updateId: ctx.update?.update_id,
-    from: ctx.from,
-    chat: ctx.chat,
-    at: new Date().toISOString(),
-    updateType: ctx.update?.callback_query ? 'callback_query' : (ctx.message ? 'message' : 'update'),
-    text: ctx.message?.text,
-    data: ctx.update?.callback_query?.data,
+// Mirror entries are plain data (they also go into the .jsonl attachment)
+function logEntryUser(store) {
+  const u = store?.from || {};
+  return { id: u.id || null, username: u.username || null, name: [u.first_name, u.last_name].filter(Boolean).join(' ') || null };
+}
+
+function logEntryChat(store) {
+  const c = store?.chat || {};
+  return { id: c.id ?? null, type: c.type || null, title: c.title || c.username || null };
+}
+
+const logTime = (at) => new Date(at).toLocaleTimeString('en-GB', { timeZone: config.timezone, hour12: false });
+
+// One line per entry; the mirrored text is flattened and cut to keep the
+// digest compact (the attachment has it in full)
+function renderLogEntry(e) {
+  const who = e.user?.username ? `@${e.user.username}` : (e.user?.name || 'Unknown');
+  const where = e.chat?.id !== null && e.chat?.id !== undefined && String(e.chat.id) !== String(e.user?.id)
+    ? html` in ${e.chat.title || ''} ${code(String(e.chat.id))}`
+    : '';
+  const line = (text) => {
+    const flat = String(text).replace(/\s+/g, ' ').trim();
+    return code(flat.length > 200 ? `${flat.slice(0, 200)}…` : flat);
   };
+  const head = html`${code(logTime(e.at))} ${e.type === 'response' ? '📤' : '📥'} ${who} ${code(String(e.user?.id || '?'))}${where}`;
+  if (e.type === 'response') {
+    const to = e.to !== undefined && String(e.to) !== String(e.chat?.id) ? html` → ${code(String(e.to))}` : '';
+    const content = e.text === null ? html`<i>(hidden, ${e.length} characters)</i>` : line(e.text);
+    return html`${head} ${italic(e.method)}${to}: ${content}`;
+  }
+  const input = e.text === null
+    ? html`${code(e.type === 'command' ? `/${e.command}` : e.command)} <i>(arguments hidden)</i>`
+    : line(e.text);
+  return html`${head} ${input}`;
+}
 
-  return als.run(store, async () => {
-    try {
-      const isCommand = typeof store.text === 'string' && store.text.trim().startsWith('/');
-      const isCallback = typeof store.data === 'string' && store.data.length > 0;
-
-      if (isCommand || isCallback) {
-        const payload = isCommand ? store.text.trim() : store.data;
-        const kind = isCommand ? '📥 <b>COMMAND</b>' : '📥 <b>CALLBACK</b>';
-        const html =
-          `${kind}\n` +
-          `👤 <b>User:</b> ${formatUser(store)}\n` +
-          `💬 <b>Chat:</b> ${formatChat(store)}\n` +
-          `🕒 <b>Time:</b> <code>${escapeHtml(store.at)}</code>\n` +
-          `🧾 <b>Input:</b>\n<pre>${escapeHtml(payload)}</pre>`;
-        await sendLogText(html);
-      }
-    } catch (e) {
-      console.error('⚠️ Incoming log error:', e?.message || e);
+function logDigestHeader(entries, info) {
+  const range = entries.length
+    ? `${logTime(entries[0].at)}–${logTime(entries[entries.length - 1].at)}`
+    : logTime(Date.now());
+  const lost = info.dropped || info.sampled
+    ? html`\n⚠️ Under load: ${info.dropped} dropped, ${info.sampled} sampled out`
+    : '';
+  return html`🧾 <b>LOG</b> ${entries.length} ${entries.length === 1 ? 'entry' : 'entries'} · ${range}${lost}`;
+}
+
+defineMetric('bot_log_entries_total', 'counter', 'Log channel mirror entries by outcome (kept, sampled, dropped)');
+defineMetric('bot_log_digests_total', 'counter', 'Log channel digests posted, by kind (message, file)');
+
+// Mirror entries are batched: one digest every LOG_DIGEST_INTERVAL_MS or
+// LOG_DIGEST_MAX_ENTRIES, a .jsonl attachment when it would not fit in one
+// message (see logsink.js)
+const logSink = createLogSink({
+  intervalMs: config.logDigestIntervalMs,
+  maxEntries: config.logDigestMaxEntries,
+  maxBuffered: config.logDigestMaxBuffered,
+  render: (entries, info) => html`${logDigestHeader(entries, info)}\n${join(entries.map(renderLogEntry))}`.markup,
+  summarize: (entries, info) => {
+    const counts = {};
+    for (const e of entries) counts[e.command] = (counts[e.command] || 0) + 1;
+    const top = Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, 10)
+      .map(([name, n]) => html`${code(name)} ${n}`);
+    return html`${logDigestHeader(entries, info)}\n${join(top, ', ')}`.markup;
+  },
+  sendText: (text) => sendLogText(raw(text)),
+  sendFile: (buffer, filename, caption) => (LOG_CHANNEL
+    ? logApi.sendDocument(LOG_CHANNEL, new InputFile(buffer, filename), { caption, parse_mode: 'HTML' })
+    : undefined),
+  onDrop: (reason) => incCounter('bot_log_entries_total', { outcome: reason === 'full' ? 'dropped' : 'sampled' }),
+  onFlush: ({ kind }) => incCounter('bot_log_digests_total', { kind }),
+  onError: (e) => telegramLog.error('log digest send failed', e)
+});
+
+function addLogEntry(entry) {
+  if (!LOG_CHANNEL) return;
+  if (logSink.add(entry)) incCounter('bot_log_entries_total', { outcome: 'kept' });
+}
+
+// Log EVERY incoming command/callback (store: see the per-update middleware)
+bot.use(async (ctx, next) => {
+  const store = als.getStore();
+  try {
+    const isCommand = typeof store?.text === 'string' && store.text.trim().startsWith('/');
+    const isCallback = typeof store?.data === 'string' && store.data.length > 0;
+
+    const command = logChannelCommand(store);
+    const mode = logRedactor.mode(command);
+    if ((isCommand || isCallback) && mode !== 'off') {
+      const payload = isCommand ? store.text.trim() : store.data;
+      addLogEntry({
+        at: store.at,
+        type: isCommand ? 'command' : 'callback',
+        update_id: store.updateId,
+        user: logEntryUser(store),
+        chat: logEntryChat(store),
+        command,
+        mode,
+        text: mode === 'full' ? logRedactor.clean(payload) : null
+      });
     }
+  } catch (e) {
+    telegramLog.error('incoming log failed', e);
+  }
 
-    return next();
-  });
+  return next();
 });
 
 // Log EVERY outgoing response (sendMessage/editMessageText/sendPhoto/etc.)
@@ -408,6 +773,9 @@ bot.api.config.use(async (prev, method, payload, signal) => {
       method === 'sendPoll';
 
     if (!shouldLog) return result;
+    const command = logChannelCommand(store);
+    const mode = logRedactor.mode(command);
+    if (mode === 'off') return result;
 
     let preview = '';
     if (method === 'sendMessage' || method === 'editMessageText') {
@@ -420,17 +788,21 @@ bot.api.config.use(async (prev, method, payload, signal) => {
       preview = payload?.question || '[poll]';
     }
 
-    const chatId = payload?.chat_id ?? payload?.to_chat_id ?? '';
-    const html =
-      `📤 <b>BOT RESPONSE</b>\n` +
-      `👤 <b>User:</b> ${formatUser(store)}\n` +
-      `💬 <b>Chat:</b> ${formatChat(store)}\n` +
-      `🎯 <b>To:</b> <code>${escapeHtml(String(chatId))}</code>\n` +
-      `🧩 <b>Method:</b> <code>${escapeHtml(method)}</code>\n` +
-      `📝 <b>Content:</b>\n<pre>${escapeHtml(String(preview || ''))}</pre>`;
-    await sendLogText(html);
+    const text = plainText(raw(String(preview || '')));
+    addLogEntry({
+      type: 'response',
+      update_id: store?.updateId,
+      user: logEntryUser(store),
+      chat: logEntryChat(store),
+      command,
+      mode,
+      method,
+      to: targetChat ?? null,
+      length: text.length,
+      text: mode === 'full' ? logRedactor.clean(text) : null
+    });
   } catch (e) {
-    console.error('⚠️ Outgoing log error:', e?.message || e);
+    telegramLog.error('outgoing log failed', e);
   }
 
   return result;
@@ -438,49 +810,133 @@ bot.api.config.use(async (prev, method, payload, signal) => {
 
 
 // ===============================
-// CONFIGURATION (EDIT ONLY THIS)
+// CONFIGURATION (set in env or config.json, see config.js)
 // ===============================
-const BOT_TOKEN = process.env.BOT_TOKEN;
-const CHANNEL_ID = -1003133803574; // Osint Updates (CONFIRMED)
-const CHANNEL_URL = 'https://t.me/OsintShitUpdates';
+const BOT_TOKEN = config.botToken;
+const CHANNEL_ID = config.channelId; // Osint Updates
+const CHANNEL_URL = config.channelUrl;
 
 // Admin Telegram IDs
-const ADMINS = String(process.env.ADMINS || process.env.ADMIN_USER_ID || '')
-  .split(',')
-  .map(s => String(s || '').trim())
-  .filter(Boolean);
+const ADMINS = config.admins.length ? config.admins : [config.adminUserId];
 
 // ===============================
-// MEMORY STORAGE (NO DB)
+// MEMORY STORAGE (persisted by the storage backend below)
 // ===============================
-const users = new Map();
-const registrationRequests = new Map();
-const verifiedUsers = new Set(); // Track users who have verified channel membership
-const registeredUsers = new Set(); // Track users who have completed registration
 
-// Ban system (in-memory; resets on restart)
+// Dirty-key tracking: collection -> Set of keys changed since the last save.
+// Adding/removing entries is tracked by TrackedMap/TrackedSet. In-place edits
+// of a stored record (user.credits, user.isPremium, entry.uses, ...) are not
+// visible to the map, so they must be reported with touchUser/touchRecord.
+let __stateLoading = false;
+const __dirtyKeys = new Map();
+let __metaDirty = false;
+
+function markKeyDirty(collection, key) {
+  if (__stateLoading) return;
+  if (!__dirtyKeys.has(collection)) __dirtyKeys.set(collection, new Set());
+  __dirtyKeys.get(collection).add(key);
+  markDirty();
+}
+
+function touchRecord(collection, key) {
+  if (key === undefined || key === null) return;
+  markKeyDirty(collection, String(key));
+}
+
+function touchUser(user) {
+  if (user && user.telegramId !== undefined) touchRecord('users', user.telegramId);
+}
+
+// Non-collection state (autoRegisterEnabled)
+function touchMeta() {
+  if (__stateLoading) return;
+  __metaDirty = true;
+  markDirty();
+}
+
+class TrackedMap extends Map {
+  constructor(collection) {
+    super();
+    this.collection = collection;
+  }
+  set(k, v) {
+    super.set(k, v);
+    markKeyDirty(this.collection, k);
+    return this;
+  }
+  delete(k) {
+    const r = super.delete(k);
+    if (r) markKeyDirty(this.collection, k);
+    return r;
+  }
+  clear() {
+    for (const k of this.keys()) markKeyDirty(this.collection, k);
+    super.clear();
+  }
+}
+
+class TrackedSet extends Set {
+  constructor(collection) {
+    super();
+    this.collection = collection;
+  }
+  add(v) {
+    if (!this.has(v)) {
+      super.add(v);
+      markKeyDirty(this.collection, v);
+    }
+    return this;
+  }
+  delete(v) {
+    const r = super.delete(v);
+    if (r) markKeyDirty(this.collection, v);
+    return r;
+  }
+  clear() {
+    for (const v of this.values()) markKeyDirty(this.collection, v);
+    super.clear();
+  }
+}
+
+const users = new TrackedMap('users');
+const registrationRequests = new TrackedMap('registrationRequests');
+const verifiedUsers = new TrackedSet('verifiedUsers'); // Track users who have verified channel membership
+const registeredUsers = new TrackedSet('registeredUsers'); // Track users who have completed registration
+
+// Ban system
 // bannedUsers: Map<telegramId, { by: string, at: string, reason: string }>
-const bannedUsers = new Map();
+const bannedUsers = new TrackedMap('bannedUsers');
 
 // Auto-register toggle (admin controlled)
 let autoRegisterEnabled = true; // ON by default
 
-// Redeem code storage (in-memory; resets on restart)
+// Redeem code storage
 // code -> { credits, maxUses, uses, redeemedBy:Set<string>, createdBy, createdAt, expiresAt }
-const redeemCodes = new Map();
+const redeemCodes = new TrackedMap('redeemCodes');
 // Storage for revoke/expired/used-up codes (for stats & safety)
-const revokedCodes = new Set(); // normalized codes revoked by admin
-const expiredCodes = new Set(); // normalized codes expired and cleaned up
+const revokedCodes = new TrackedSet('revokedCodes'); // normalized codes revoked by admin
+const expiredCodes = new TrackedSet('expiredCodes'); // normalized codes expired and cleaned up
+
+// Broadcast jobs (see BROADCAST ENGINE)
+// id -> { id, kind, text, status, filters, cursor, lastRecipientId, sent, failed, failures, createdBy, createdAt, ... }
+const broadcasts = new TrackedMap('broadcasts');
+// Scheduled broadcasts (see SCHEDULED BROADCASTS)
+// id -> { id, rule, draft, chatId, nextRunAt, runs, lastRunAt, lastJobId, createdBy, createdAt }
+const schedules = new TrackedMap('schedules');
+
+const TRACKED_MAPS = { users, registrationRequests, bannedUsers, redeemCodes, broadcasts, schedules };
+const TRACKED_SETS = { verifiedUsers, registeredUsers, revokedCodes, expiredCodes };
 
 // ===============================
 // PERSISTENT STORAGE (/data)
 // ===============================
 // Railway persistent volume: mount to /data (or set DATA_DIR)
-const DATA_DIR = process.env.DATA_DIR || '/data';
-const STATE_FILE = path.join(DATA_DIR, 'bot_state.json');
-const STATE_TMP = path.join(DATA_DIR, 'bot_state.tmp.json');
+const DATA_DIR = config.dataDir;
+// json (default): bot_state.json rewritten on every save
+// sqlite: bot_state.sqlite, only changed records are written
+const STORAGE_BACKEND = config.storageBackend;
+const STATE_SAVE_DEBOUNCE_MS = config.stateSaveDebounceMs;
 
-let __stateLoading = false;
 let __saveTimer = null;
 let __saveInFlight = false;
 let __savePending = false;
@@ -493,59 +949,61 @@ function safeParseJson(s) {
   try { return JSON.parse(s); } catch (_) { return null; }
 }
 
-function snapshotState() {
-  // Convert Maps/Sets into JSON-safe objects
-  const usersObj = {};
-  for (const [k, v] of users.entries()) {
-    usersObj[String(k)] = {
-      ...v,
-      // Dates -> ISO
-      registrationDate: v?.registrationDate instanceof Date ? v.registrationDate.toISOString() : (v?.registrationDate || null),
-      lastSeenAt: v?.lastSeenAt instanceof Date ? v.lastSeenAt.toISOString() : (v?.lastSeenAt || null)
-    };
-  }
-
-  const regReqObj = {};
-  for (const [k, v] of registrationRequests.entries()) {
-    regReqObj[String(k)] = {
-      ...v,
-      timestamp: v?.timestamp instanceof Date ? v.timestamp.toISOString() : (v?.timestamp || null)
-    };
-  }
-
-  const bannedObj = {};
-  for (const [k, v] of bannedUsers.entries()) {
-    bannedObj[String(k)] = { ...v };
-  }
+function toIso(d) {
+  return d instanceof Date ? d.toISOString() : (d || null);
+}
 
-  // Redeem codes (optional but useful)
-  const redeemObj = {};
-  for (const [k, v] of redeemCodes.entries()) {
-    redeemObj[String(k)] = {
-      ...v,
-      redeemedBy: Array.isArray(v?.redeemedBy) ? v.redeemedBy : Array.from(v?.redeemedBy || []),
-      createdAt: v?.createdAt instanceof Date ? v.createdAt.toISOString() : (v?.createdAt || null),
-      expiresAt: v?.expiresAt instanceof Date ? v.expiresAt.toISOString() : (v?.expiresAt || null)
-    };
-  }
+// Per-collection record -> JSON-safe object
+const RECORD_SERIALIZERS = {
+  users: (v) => ({
+    ...v,
+    // Dates -> ISO
+    registrationDate: toIso(v?.registrationDate),
+    lastSeenAt: toIso(v?.lastSeenAt)
+  }),
+  registrationRequests: (v) => ({ ...v, timestamp: toIso(v?.timestamp) }),
+  bannedUsers: (v) => ({ ...v }),
+  redeemCodes: (v) => ({
+    ...v,
+    redeemedBy: Array.isArray(v?.redeemedBy) ? v.redeemedBy : Array.from(v?.redeemedBy || []),
+    createdAt: toIso(v?.createdAt),
+    expiresAt: toIso(v?.expiresAt)
+  }),
+  broadcasts: (v) => ({ ...v }),
+  schedules: (v) => ({ ...v })
+};
+
+function serializeMap(collection) {
+  const out = {};
+  for (const [k, v] of TRACKED_MAPS[collection].entries()) out[String(k)] = RECORD_SERIALIZERS[collection](v);
+  return out;
+}
 
+function snapshotState() {
+  // Convert Maps/Sets into JSON-safe objects
   return {
-    v: 1,
+    v: STATE_VERSION,
     savedAt: new Date().toISOString(),
-    users: usersObj,
-    registrationRequests: regReqObj,
+    users: serializeMap('users'),
+    registrationRequests: serializeMap('registrationRequests'),
     verifiedUsers: Array.from(verifiedUsers),
     registeredUsers: Array.from(registeredUsers),
-    bannedUsers: bannedObj,
+    bannedUsers: serializeMap('bannedUsers'),
     autoRegisterEnabled: !!autoRegisterEnabled,
-    redeemCodes: redeemObj,
+    redeemCodes: serializeMap('redeemCodes'),
     revokedCodes: Array.from(revokedCodes),
-    expiredCodes: Array.from(expiredCodes)
+    expiredCodes: Array.from(expiredCodes),
+    broadcasts: serializeMap('broadcasts'),
+    schedules: serializeMap('schedules')
   };
 }
 
-function applyState(state) {
+// Fills `into` (the live collections by default, or empty Maps/Sets under the
+// same names that a restore swaps in once everything parsed)
+function applyState(state, into = null) {
   if (!state || typeof state !== 'object') return;
+  const { users, registrationRequests, verifiedUsers, registeredUsers, bannedUsers, redeemCodes, revokedCodes, expiredCodes, broadcasts, schedules } =
+    into || { ...TRACKED_MAPS, ...TRACKED_SETS };
 
   // users
   if (state.users && typeof state.users === 'object') {
@@ -577,8 +1035,8 @@ function applyState(state) {
     }
   }
 
-  // auto register
-  if (typeof state.autoRegisterEnabled === 'boolean') autoRegisterEnabled = state.autoRegisterEnabled;
+  // auto register (a restore sets it after the swap)
+  if (!into && typeof state.autoRegisterEnabled === 'boolean') autoRegisterEnabled = state.autoRegisterEnabled;
 
   // redeem codes
   if (state.redeemCodes && typeof state.redeemCodes === 'object') {
@@ -592,99 +1050,477 @@ function applyState(state) {
   }
   if (Array.isArray(state.revokedCodes)) state.revokedCodes.forEach(c => revokedCodes.add(String(c)));
   if (Array.isArray(state.expiredCodes)) state.expiredCodes.forEach(c => expiredCodes.add(String(c)));
-}
 
-function loadStateFromDisk() {
-  ensureDataDir();
-  try {
-    if (!fs.existsSync(STATE_FILE)) return;
-    const raw = fs.readFileSync(STATE_FILE, 'utf8');
-    const st = safeParseJson(raw);
-    if (!st) return;
-    __stateLoading = true;
-    applyState(st);
-  } catch (e) {
-    console.error('⚠️ Failed to load state:', e?.message || e);
-  } finally {
-    __stateLoading = false;
+  // broadcast jobs
+  if (state.broadcasts && typeof state.broadcasts === 'object') {
+    for (const [id, b] of Object.entries(state.broadcasts)) {
+      const job = { ...b };
+      // Jobs saved by older releases carry their recipient list
+      if (Array.isArray(b?.recipients)) job.recipients = b.recipients.map(String);
+      else delete job.recipients;
+      broadcasts.set(String(id), job);
+    }
+  }
+
+  // scheduled broadcasts
+  if (state.schedules && typeof state.schedules === 'object') {
+    for (const [id, sch] of Object.entries(state.schedules)) schedules.set(String(id), { ...sch });
   }
 }
 
-async function saveStateToDisk() {
-  if (__saveInFlight) { __savePending = true; return; }
-  __saveInFlight = true;
-  try {
-    ensureDataDir();
-    const data = snapshotState();
-    // Atomic write
-    fs.writeFileSync(STATE_TMP, JSON.stringify(data, null, 2), 'utf8');
-    fs.renameSync(STATE_TMP, STATE_FILE);
-  } catch (e) {
-    console.error('⚠️ Failed to save state:', e?.message || e);
-  } finally {
-    __saveInFlight = false;
-    if (__savePending) {
-      __savePending = false;
-      // schedule a follow-up save
-      setTimeout(() => saveStateToDisk().catch(() => {}), 250);
+// ===============================
+// STATE MIGRATIONS
+// Any release that renames or reshapes stored fields bumps STATE_VERSION and
+// appends a step here. Older states are upgraded one step at a time on load
+// (after a copy of the original is written to DATA_DIR); a state written by a
+// newer build is refused instead of being silently truncated.
+// ===============================
+const STATE_VERSION = 2;
+
+const STATE_MIGRATIONS = [
+  {
+    to: 2,
+    description: 'registration requests: at -> timestamp',
+    up(state) {
+      for (const req of Object.values(state.registrationRequests || {})) {
+        if (!req || typeof req !== 'object') continue;
+        if (!req.timestamp && req.at) req.timestamp = req.at;
+        delete req.at;
+      }
+      return state;
     }
   }
-}
+];
 
-function markDirty() {
-  if (__stateLoading) return;
-  if (__saveTimer) return;
-  __saveTimer = setTimeout(async () => {
-    __saveTimer = null;
-    await saveStateToDisk();
-  }, 1500);
+// States written before versioning have no v
+function stateVersionOf(state) {
+  const v = Number(state?.v);
+  return Number.isInteger(v) && v > 0 ? v : 1;
 }
 
-function wrapMapForPersistence(map) {
-  const _set = map.set.bind(map);
-  const _delete = map.delete.bind(map);
-  const _clear = map.clear.bind(map);
-  map.set = (k, v) => { const r = _set(k, v); markDirty(); return r; };
-  map.delete = (k) => { const r = _delete(k); markDirty(); return r; };
-  map.clear = () => { const r = _clear(); markDirty(); return r; };
-  return map;
+// Upgrade a raw state object in place. Returns the list of applied steps.
+function migrateState(state) {
+  const from = stateVersionOf(state);
+  if (from > STATE_VERSION) {
+    throw new Error(`State version ${from} is newer than this build supports (v${STATE_VERSION})`);
+  }
+
+  const applied = [];
+  let current = from;
+  for (const step of STATE_MIGRATIONS) {
+    if (step.to <= current) continue;
+    if (step.to !== current + 1) throw new Error(`No migration path from v${current} to v${step.to}`);
+    step.up(state);
+    current = step.to;
+    state.v = current;
+    applied.push(`v${current - 1} -> v${current}: ${step.description}`);
+  }
+  if (current !== STATE_VERSION) throw new Error(`No migration path from v${current} to v${STATE_VERSION}`);
+  return applied;
 }
-function wrapSetForPersistence(set) {
-  const _add = set.add.bind(set);
-  const _delete = set.delete.bind(set);
-  const _clear = set.clear.bind(set);
-  set.add = (v) => { const r = _add(v); markDirty(); return r; };
-  set.delete = (v) => { const r = _delete(v); markDirty(); return r; };
-  set.clear = () => { const r = _clear(); markDirty(); return r; };
-  return set;
+
+// Keep a one-off copy of a state document next to bot_state.json
+function writeStateCopy(state, label) {
+  ensureDataDir();
+  const file = path.join(DATA_DIR, `bot_state.${label}.${Date.now()}.json`);
+  fs.writeFileSync(file, JSON.stringify(state, null, 2), 'utf8');
+  return file;
 }
 
+// ===============================
+// STORAGE BACKENDS
+// Every backend implements:
+//   load()                  -> snapshotState()-shaped object, or null when empty
+//   save(changes, snapshot) -> persist; changes = { records: [[collection, key, value|undefined]],
+//                              members: [[collection, member, present]], meta: {..}|null },
+//                              snapshot() returns the full state for backends without partial writes
+//   appendLedger(entry) / loadLedger() -> credit ledger entries (oldest first)
+//   close()
+// ===============================
+function createJsonStorage(dir) {
+  const stateFile = path.join(dir, 'bot_state.json');
+  const stateTmp = path.join(dir, 'bot_state.tmp.json');
+  const ledgerFile = path.join(dir, 'credit_ledger.jsonl');
 
-// Load saved state (if volume is mounted)
-loadStateFromDisk();
+  return {
+    name: 'json',
+    stateFile,
+    load() {
+      if (!fs.existsSync(stateFile)) return null;
+      return safeParseJson(fs.readFileSync(stateFile, 'utf8'));
+    },
+    // A JSON file has no partial writes: rewrite the whole snapshot
+    save(_changes, snapshot) {
+      // Atomic write
+      fs.writeFileSync(stateTmp, JSON.stringify(snapshot(), null, 2), 'utf8');
+      fs.renameSync(stateTmp, stateFile);
+    },
+    appendLedger(entry) {
+      fs.appendFileSync(ledgerFile, JSON.stringify(entry) + '\n', 'utf8');
+    },
+    loadLedger() {
+      if (!fs.existsSync(ledgerFile)) return [];
+      return fs.readFileSync(ledgerFile, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(safeParseJson)
+        .filter(Boolean);
+    },
+    close() {}
+  };
+}
 
-// Wrap maps/sets so any mutation auto-saves
-wrapMapForPersistence(users);
-wrapMapForPersistence(registrationRequests);
-wrapMapForPersistence(bannedUsers);
-wrapMapForPersistence(redeemCodes);
-wrapSetForPersistence(verifiedUsers);
-wrapSetForPersistence(registeredUsers);
-wrapSetForPersistence(revokedCodes);
-wrapSetForPersistence(expiredCodes);
+// bun:sqlite (Procfile runs bun), node:sqlite (Node >= 22.5) or better-sqlite3
+// (an optional dependency). All three share exec / prepare().run / prepare().all.
+// loadConfig() already refused STORAGE_BACKEND=sqlite when none of them loads.
+const SQLITE_OPENERS = {
+  'bun:sqlite': (m, file) => new m.Database(file, { create: true }),
+  'node:sqlite': (m, file) => new m.DatabaseSync(file),
+  'better-sqlite3': (m, file) => new m(file)
+};
+
+function openSqliteDatabase(file) {
+  const driver = findSqliteDriver();
+  if (!driver) throw new Error('No SQLite driver available (need bun, Node >= 22.5 or the better-sqlite3 package)');
+  return { db: SQLITE_OPENERS[driver](require(driver), file), driver };
+}
 
-// Save one last time on shutdown (best-effort)
-process.once('SIGTERM', () => { try { saveStateToDisk(); } catch (_) {} });
-process.once('SIGINT', () => { try { saveStateToDisk(); } catch (_) {} });
+function createSqliteStorage(dir) {
+  const file = path.join(dir, 'bot_state.sqlite');
+  const { db, driver } = openSqliteDatabase(file);
+
+  [
+    'PRAGMA journal_mode = WAL',
+    'CREATE TABLE IF NOT EXISTS records (collection TEXT NOT NULL, key TEXT NOT NULL, value TEXT NOT NULL, PRIMARY KEY (collection, key))',
+    'CREATE TABLE IF NOT EXISTS set_members (collection TEXT NOT NULL, member TEXT NOT NULL, PRIMARY KEY (collection, member))',
+    'CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL)',
+    'CREATE TABLE IF NOT EXISTS credit_ledger (seq INTEGER PRIMARY KEY AUTOINCREMENT, user_id TEXT NOT NULL, entry TEXT NOT NULL)',
+    'CREATE INDEX IF NOT EXISTS credit_ledger_user ON credit_ledger (user_id)'
+  ].forEach(sql => db.exec(sql));
+
+  const stmt = {
+    upsertRecord: db.prepare('INSERT INTO records (collection, key, value) VALUES (?, ?, ?) ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value'),
+    deleteRecord: db.prepare('DELETE FROM records WHERE collection = ? AND key = ?'),
+    addMember: db.prepare('INSERT OR IGNORE INTO set_members (collection, member) VALUES (?, ?)'),
+    deleteMember: db.prepare('DELETE FROM set_members WHERE collection = ? AND member = ?'),
+    setMeta: db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value'),
+    appendLedger: db.prepare('INSERT INTO credit_ledger (user_id, entry) VALUES (?, ?)'),
+    allRecords: db.prepare('SELECT collection, key, value FROM records'),
+    allMembers: db.prepare('SELECT collection, member FROM set_members'),
+    allMeta: db.prepare('SELECT key, value FROM meta'),
+    allLedger: db.prepare('SELECT entry FROM credit_ledger ORDER BY seq')
+  };
 
+  function transaction(fn) {
+    db.exec('BEGIN');
+    try {
+      fn();
+      db.exec('COMMIT');
+    } catch (e) {
+      try { db.exec('ROLLBACK'); } catch (_) {}
+      throw e;
+    }
+  }
 
-const usedUpCodes = new Set();
-const redeemStats = { generated: 0, redeemed: 0 };  // normalized codes that hit maxUses
-const adminId = process.env.ADMIN_USER_ID;
-// ===============================
-// VERSION (persisted in /data)
+  return {
+    name: 'sqlite',
+    driver,
+    file,
+    load() {
+      const records = stmt.allRecords.all();
+      const members = stmt.allMembers.all();
+      const meta = stmt.allMeta.all();
+      if (!records.length && !members.length && !meta.length) return null;
+
+      const state = {};
+      for (const { key, value } of meta) state[key] = safeParseJson(value);
+      for (const { collection, key, value } of records) {
+        if (!state[collection] || typeof state[collection] !== 'object') state[collection] = {};
+        state[collection][key] = safeParseJson(value);
+      }
+      for (const { collection, member } of members) {
+        if (!Array.isArray(state[collection])) state[collection] = [];
+        state[collection].push(member);
+      }
+      return state;
+    },
+    save(changes) {
+      transaction(() => {
+        for (const [collection, key, value] of changes.records) {
+          if (value === undefined) stmt.deleteRecord.run(collection, String(key));
+          else stmt.upsertRecord.run(collection, String(key), JSON.stringify(value));
+        }
+        for (const [collection, member, present] of changes.members) {
+          if (present) stmt.addMember.run(collection, String(member));
+          else stmt.deleteMember.run(collection, String(member));
+        }
+        for (const [key, value] of Object.entries(changes.meta || {})) {
+          stmt.setMeta.run(key, JSON.stringify(value));
+        }
+      });
+    },
+    appendLedger(entry) {
+      stmt.appendLedger.run(String(entry.userId), JSON.stringify(entry));
+    },
+    loadLedger() {
+      return stmt.allLedger.all().map(r => safeParseJson(r.entry)).filter(Boolean);
+    },
+    close() {
+      try { db.close(); } catch (_) {}
+    }
+  };
+}
+
+// Full state as a change set (used to import a JSON state into SQLite)
+function changesFromState(state) {
+  const changes = { records: [], members: [], meta: { v: state.v || 1 } };
+  for (const collection of Object.keys(TRACKED_MAPS)) {
+    for (const [key, value] of Object.entries(state[collection] || {})) changes.records.push([collection, key, value]);
+  }
+  for (const collection of Object.keys(TRACKED_SETS)) {
+    for (const member of state[collection] || []) changes.members.push([collection, member, true]);
+  }
+  if (typeof state.autoRegisterEnabled === 'boolean') changes.meta.autoRegisterEnabled = state.autoRegisterEnabled;
+  return changes;
+}
+
+function createStorage(backend) {
+  ensureDataDir();
+  if (backend === 'json') return createJsonStorage(DATA_DIR);
+  if (backend !== 'sqlite') throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected json or sqlite)`);
+
+  const sqlite = createSqliteStorage(DATA_DIR);
+  // First start on SQLite: import the existing JSON state and ledger once
+  const json = createJsonStorage(DATA_DIR);
+  if (!sqlite.load()) {
+    const st = json.load();
+    if (st) {
+      sqlite.save(changesFromState(st));
+      for (const entry of json.loadLedger()) sqlite.appendLedger(entry);
+      storageLog.info('imported JSON state into SQLite', { file: json.stateFile });
+    }
+  }
+  return sqlite;
+}
+
+let storage;
+try {
+  storage = createStorage(STORAGE_BACKEND);
+  storageLog.info('storage backend ready', { backend: storage.name, driver: storage.driver });
+} catch (e) {
+  storageLog.error('storage init failed', e);
+  process.exit(1);
+}
+
+function loadStateFromDisk() {
+  let st = null;
+  try {
+    st = storage.load();
+  } catch (e) {
+    storageLog.error('state load failed', e);
+  }
+  if (!st) return;
+
+  const from = stateVersionOf(st);
+  if (from > STATE_VERSION) {
+    storageLog.error('stored state is newer than this build, refusing to start (deploy a newer release or restore a backup)', { state_version: from, supported: STATE_VERSION });
+    process.exit(1);
+  }
+
+  let migrated = false;
+  if (from < STATE_VERSION) {
+    try {
+      const copy = writeStateCopy(st, `pre-migration.v${from}`);
+      storageLog.info('pre-migration copy written', { file: copy });
+      for (const step of migrateState(st)) storageLog.info('state migrated', { step });
+      migrated = true;
+    } catch (e) {
+      storageLog.error('state migration failed, refusing to start', e);
+      process.exit(1);
+    }
+  }
+
+  try {
+    __stateLoading = true;
+    applyState(st);
+  } catch (e) {
+    storageLog.error('state load failed', e);
+  } finally {
+    __stateLoading = false;
+  }
+
+  // Write the upgraded records back through the normal save path
+  if (migrated) markAllStateDirty();
+}
+
+function markAllStateDirty() {
+  for (const [collection, map] of Object.entries(TRACKED_MAPS)) {
+    for (const key of map.keys()) markKeyDirty(collection, key);
+  }
+  for (const [collection, set] of Object.entries(TRACKED_SETS)) {
+    for (const member of set.values()) markKeyDirty(collection, member);
+  }
+  touchMeta();
+}
+
+// Take the pending dirty keys and turn them into a change set
+function takeStateChanges() {
+  const changes = { records: [], members: [], meta: null };
+  for (const [collection, keys] of __dirtyKeys) {
+    const map = TRACKED_MAPS[collection];
+    const set = TRACKED_SETS[collection];
+    for (const key of keys) {
+      if (map) changes.records.push([collection, key, map.has(key) ? RECORD_SERIALIZERS[collection](map.get(key)) : undefined]);
+      else if (set) changes.members.push([collection, key, set.has(key)]);
+    }
+  }
+  __dirtyKeys.clear();
+  if (__metaDirty) {
+    changes.meta = { v: STATE_VERSION, autoRegisterEnabled: !!autoRegisterEnabled };
+    __metaDirty = false;
+  }
+  return changes;
+}
+
+// Put a failed change set back so the next save retries it
+function requeueStateChanges(changes) {
+  for (const [collection, key] of [...changes.records, ...changes.members]) {
+    if (!__dirtyKeys.has(collection)) __dirtyKeys.set(collection, new Set());
+    __dirtyKeys.get(collection).add(key);
+  }
+  if (changes.meta) __metaDirty = true;
+}
+
+async function saveStateToDisk() {
+  if (__saveInFlight) { __savePending = true; return; }
+  __saveInFlight = true;
+  const changes = takeStateChanges();
+  const started = process.hrtime.bigint();
+  try {
+    ensureDataDir();
+    storage.save(changes, snapshotState);
+    incCounter('bot_state_saves_total', { outcome: 'ok' });
+  } catch (e) {
+    requeueStateChanges(changes);
+    incCounter('bot_state_saves_total', { outcome: 'error' });
+    storageLog.error('state save failed', e);
+  } finally {
+    observeHistogram('bot_state_save_duration_seconds', { backend: storage.name }, secondsSince(started));
+    __saveInFlight = false;
+    if (__savePending) {
+      __savePending = false;
+      // schedule a follow-up save
+      setTimeout(() => saveStateToDisk().catch(() => {}), 250);
+    }
+  }
+}
+
+metricCollectors.push(() => {
+  let pending = __metaDirty ? 1 : 0;
+  for (const keys of __dirtyKeys.values()) pending += keys.size;
+  setGauge('bot_state_pending_changes', {}, pending);
+});
+
+function markDirty() {
+  if (__stateLoading) return;
+  if (__saveTimer) return;
+  __saveTimer = setTimeout(async () => {
+    __saveTimer = null;
+    await saveStateToDisk();
+  }, STATE_SAVE_DEBOUNCE_MS);
+}
+
+
+// Load saved state (if volume is mounted). shutdown() saves it one last time.
+loadStateFromDisk();
+
+// ===============================
+// STATE SNAPSHOTS (DATA_DIR/snapshots)
+// Gzipped copies of snapshotState, one per hour and one per day (UTC), pruned
+// to SNAPSHOT_KEEP_HOURLY / SNAPSHOT_KEEP_DAILY. Restored through /snapshots.
+// ===============================
+const SNAPSHOT_DIR = path.join(DATA_DIR, 'snapshots');
+const SNAPSHOT_KEEP = {
+  hourly: config.snapshotKeepHourly,
+  daily: config.snapshotKeepDaily
+};
+const SNAPSHOT_CHECK_MS = 10 * 60 * 1000;
+const SNAPSHOT_NAME_RE = /^state-(hourly|daily)-(\d{8}(?:T\d{2})?)\.json\.gz$/;
+
+function snapshotStamp(kind, d = new Date()) {
+  const iso = d.toISOString(); // 2025-01-31T13:...
+  const day = iso.slice(0, 10).replace(/-/g, '');
+  return kind === 'hourly' ? `${day}T${iso.slice(11, 13)}` : day;
+}
+
+function listStateSnapshots() {
+  let names = [];
+  try { names = fs.readdirSync(SNAPSHOT_DIR); } catch (_) { return []; }
+  const out = [];
+  for (const name of names) {
+    const m = name.match(SNAPSHOT_NAME_RE);
+    if (!m) continue;
+    try {
+      const st = fs.statSync(path.join(SNAPSHOT_DIR, name));
+      out.push({ name, kind: m[1], stamp: m[2], size: st.size, at: st.mtime });
+    } catch (_) {}
+  }
+  // Stamps sort chronologically as strings
+  return out.sort((a, b) => (a.stamp < b.stamp ? 1 : a.stamp > b.stamp ? -1 : 0));
+}
+
+function writeStateSnapshot(kind, now = new Date()) {
+  const name = `state-${kind}-${snapshotStamp(kind, now)}.json.gz`;
+  const file = path.join(SNAPSHOT_DIR, name);
+  fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, zlib.gzipSync(JSON.stringify(snapshotState())));
+  fs.renameSync(tmp, file);
+  return name;
+}
+
+function pruneStateSnapshots() {
+  const byKind = { hourly: [], daily: [] };
+  for (const snap of listStateSnapshots()) byKind[snap.kind].push(snap);
+  for (const [kind, list] of Object.entries(byKind)) {
+    for (const snap of list.slice(SNAPSHOT_KEEP[kind])) {
+      try { fs.unlinkSync(path.join(SNAPSHOT_DIR, snap.name)); } catch (_) {}
+    }
+  }
+}
+
+// Write whichever of this hour's / today's snapshots is missing
+function runStateSnapshots() {
+  try {
+    const now = new Date();
+    const existing = new Set(listStateSnapshots().map(s => s.name));
+    for (const kind of ['hourly', 'daily']) {
+      if (!SNAPSHOT_KEEP[kind]) continue;
+      if (existing.has(`state-${kind}-${snapshotStamp(kind, now)}.json.gz`)) continue;
+      storageLog.info('state snapshot written', { file: writeStateSnapshot(kind, now) });
+    }
+    pruneStateSnapshots();
+  } catch (e) {
+    storageLog.error('state snapshot failed', e);
+  }
+}
+
+function readStateSnapshot(name) {
+  if (!SNAPSHOT_NAME_RE.test(name)) throw new Error('Invalid snapshot name');
+  return zlib.gunzipSync(fs.readFileSync(path.join(SNAPSHOT_DIR, name))).toString('utf8');
+}
+
+setTimeout(runStateSnapshots, 5000).unref();
+setInterval(runStateSnapshots, SNAPSHOT_CHECK_MS).unref();
+
+
+const usedUpCodes = new Set();
+const redeemStats = { generated: 0, redeemed: 0 };  // normalized codes that hit maxUses
+const adminId = config.adminUserId;
+// ===============================
+// VERSION (persisted in /data)
 // ===============================
-const BOTMETA_DATA_DIR = process.env.DATA_DIR || '/data';
+const BOTMETA_DATA_DIR = config.dataDir;
 const META_FILE = require('path').join(BOTMETA_DATA_DIR, 'bot_meta.json');
 let BOT_VERSION = 'v9';
 // Footer is annoying if always on; keep it OFF by default and allow admins to toggle.
@@ -702,7 +1538,7 @@ function _loadBotMeta() {
       }
     }
   } catch (e) {
-    console.error('[META] Failed to load bot meta:', e.message);
+    storageLog.error('bot meta load failed', e);
   }
 }
 
@@ -715,17 +1551,23 @@ function _saveBotMeta() {
       'utf8'
     );
   } catch (e) {
-    console.error('[META] Failed to save bot meta:', e.message);
+    storageLog.error('bot meta save failed', e);
   }
 }
 
 _loadBotMeta();
 
+// APIs of incoming updates; what the bot sends on its own has no footer
+const FOOTER_APIS = new WeakSet();
+
+function _versionFooter() {
+  return FOOTER_ENABLED ? `\n━━━━━━━━━━━━\n🧩 Version: ${escapeHtml(BOT_VERSION)}` : '';
+}
+
 function _appendVersionFooter(text) {
   if (typeof text !== 'string' || !text) return text;
   if (text.includes('🧩 Version:')) return text;
-  if (!FOOTER_ENABLED) return text;
-  return `${text}\n━━━━━━━━━━━━\n🧩 Version: ${BOT_VERSION}`;
+  return text + _versionFooter();
 }
 
 
@@ -733,18 +1575,12 @@ function _appendVersionFooter(text) {
 let maintenanceMode = false;
 let maintenanceMessage = "Bot is currently under maintenance. Please try again later.";
 
-// Validate admin ID
-if (!adminId) {
-  console.error('❌ ADMIN_USER_ID environment variable is not set!');
-  process.exit(1);
-}
+log.info('configuration loaded', { admin_id: adminId });
 
-console.log('✅ Environment variables loaded successfully');
-console.log(`🤖 Bot Token: ${botToken.substring(0, 10)}...`);
-console.log(`👑 Admin ID: ${adminId}`);
-
-// Initialize admin user(s)
-for (const aid of Array.from(new Set([String(adminId || ''), ...(ADMINS || [])].map(x => String(x || '').trim()).filter(Boolean)))) {
+// Initialize admin user(s). A restore keeps these records even when the
+// backup predates them.
+const CONFIGURED_ADMIN_IDS = Array.from(new Set([String(adminId || ''), ...(ADMINS || [])].map(x => String(x || '').trim()).filter(Boolean)));
+for (const aid of CONFIGURED_ADMIN_IDS) {
   users.set(String(aid), {
     telegramId: String(aid),
     username: 'admin',
@@ -764,8 +1600,7 @@ async function checkChannelMembership(userId) {
   try {
     const member = await bot.api.getChatMember(CHANNEL_ID, userId);
     
-    // Log the result for debugging
-    console.log('[JOIN CHECK]', userId, member.status);
+    telegramLog.debug('channel membership', { user: userId, status: member.status });
     
     // Check for all possible member statuses including 'restricted'
     return [
@@ -775,7 +1610,7 @@ async function checkChannelMembership(userId) {
       'restricted'
     ].includes(member.status);
   } catch (error) {
-    console.error('[JOIN CHECK ERROR]', error);
+    telegramLog.error('channel membership check failed', { user: userId, err: error });
     return false;
   }
 }
@@ -859,19 +1694,86 @@ function findAllUrlsDeep(obj, out = []) {
 }
 
 // API Functions
+// IP lookups go through the ipInfo provider chain (see UPSTREAM PROVIDERS)
 async function getIpInfo(ip) {
+  return providers.call('ipInfo', ip);
+}
+
+const ipinfoApi = httpClient.provider('ipinfo.io', { baseUrl: 'https://ipinfo.io', timeout: 15000 });
+const ipwhoApi = httpClient.provider('ipwho.is', { baseUrl: 'https://ipwho.is', timeout: 15000 });
+const ipApiComApi = httpClient.provider('ip-api.com', { baseUrl: 'http://ip-api.com', timeout: 15000 });
+
+async function ipinfoLookup(ip) {
   try {
-    const url = ip ? `https://ipinfo.io/${ip}/json` : 'https://ipinfo.io/json';
-    const response = await axios.get(url);
+    const response = await ipinfoApi.get(ip ? `/${encodeURIComponent(ip)}/json` : '/json');
     return { success: true, data: response.data };
   } catch (error) {
     return { success: false, error: 'Failed to fetch IP information' };
   }
 }
 
+// Fallbacks, reshaped like ipinfo.io so /ip and /myip output stays the same
+async function ipwhoLookup(ip) {
+  try {
+    const response = await ipwhoApi.get(`/${ip ? encodeURIComponent(ip) : ''}`);
+    const d = response.data || {};
+    if (d.success === false) return { success: false, error: d.message || 'Failed to fetch IP information' };
+    return {
+      success: true,
+      data: {
+        ip: d.ip,
+        city: d.city,
+        region: d.region,
+        country: d.country_code,
+        loc: d.latitude !== undefined ? `${d.latitude},${d.longitude}` : undefined,
+        org: d.connection ? [d.connection.asn ? `AS${d.connection.asn}` : '', d.connection.org || d.connection.isp].filter(Boolean).join(' ') : undefined,
+        postal: d.postal,
+        timezone: d.timezone?.id
+      }
+    };
+  } catch (error) {
+    return { success: false, error: 'Failed to fetch IP information' };
+  }
+}
+
+async function ipApiLookup(ip) {
+  try {
+    const response = await ipApiComApi.get(`/json/${ip ? encodeURIComponent(ip) : ''}`);
+    const d = response.data || {};
+    if (d.status !== 'success') return { success: false, error: d.message || 'Failed to fetch IP information' };
+    return {
+      success: true,
+      data: {
+        ip: d.query,
+        city: d.city,
+        region: d.regionName,
+        country: d.countryCode,
+        loc: `${d.lat},${d.lon}`,
+        org: d.as || d.org || d.isp,
+        postal: d.zip,
+        timezone: d.timezone
+      }
+    };
+  } catch (error) {
+    return { success: false, error: 'Failed to fetch IP information' };
+  }
+}
+
+const phoneApi = httpClient.provider('hitackgrop', { baseUrl: 'https://hitackgrop.vercel.app' });
+const callTraceApi = httpClient.provider('ab-calltraceapi', { baseUrl: 'https://ab-calltraceapi.vercel.app' });
+const instaInfoApi = httpClient.provider('anmolinstainfo', { baseUrl: 'https://anmolinstainfo.worldgreeker.workers.dev' });
+const panApi = httpClient.provider('abbas-free', { baseUrl: 'https://abbas-free.bitaimkingfree.workers.dev' });
+const tgIdApi = httpClient.provider('meowmeow', { baseUrl: 'https://meowmeow.rf.gd' });
+const binApi = httpClient.provider('binsapi', { baseUrl: 'https://binsapi.vercel.app' });
+const deepBinApi = httpClient.provider('bins.stormx', { baseUrl: 'https://bins.stormx.pw', retries: 2 });
+const tempMailStatusApi = httpClient.provider('tobi-tempmail', { baseUrl: 'https://tobi-tempmail-api.vercel.app', retries: 1 });
+const vehicleApi = httpClient.provider('vehicle-api', { baseUrl: 'https://vehicle-api-isuzu3-8895-nexusxnikhils-projects.vercel.app' });
+const rcApi = httpClient.provider('vehicle-advance-info', { baseUrl: 'https://vehicle-advance-info-spydox.vercel.app', timeout: 25000, retries: 2 });
+const freeFireApi = httpClient.provider('anku-ffapi', { baseUrl: 'https://anku-ffapi-inky.vercel.app' });
+
 async function getPhoneNumberInfo(number) {
   try {
-    const response = await axios.get(`https://hitackgrop.vercel.app/get_data?mobile=${number}&key=Demo`);
+    const response = await phoneApi.get('/get_data', { params: { mobile: number, key: config.phoneApiKey } });
     return { success: true, data: response.data };
   } catch (error) {
     return { success: false, error: 'Failed to fetch phone number information' };
@@ -880,7 +1782,7 @@ async function getPhoneNumberInfo(number) {
 
 async function getBasicNumberInfo(number) {
   try {
-    const response = await axios.get(`https://ab-calltraceapi.vercel.app/info?number=${number}`);
+    const response = await callTraceApi.get('/info', { params: { number } });
     return { success: true, data: response.data };
   } catch (error) {
     return { success: false, error: 'Failed to fetch basic number information' };
@@ -889,7 +1791,7 @@ async function getBasicNumberInfo(number) {
 
 async function getInstagramInfo(username) {
   try {
-    const response = await axios.get(`https://anmolinstainfo.worldgreeker.workers.dev/user?username=${encodeURIComponent(username)}`, { timeout: 20000 });
+    const response = await instaInfoApi.get('/user', { params: { username } });
     return { success: true, data: response.data };
   } catch (error) {
     return { success: false, error: 'Failed to fetch Instagram information' };
@@ -898,21 +1800,17 @@ async function getInstagramInfo(username) {
 
 async function getInstagramPosts(username) {
   try {
-    const url = `https://anmolinstainfo.worldgreeker.workers.dev/posts?username=${encodeURIComponent(username)}`;
-    const res = await axiosGetWithRetry(url, { timeout: 30000 }, 4);
+    const res = await instaInfoApi.get('/posts', { params: { username }, timeout: 30000, retries: 3 });
     return { success: true, data: res.data };
   } catch (error) {
-    console.error('getInstagramPosts error:', error?.message || error);
+    upstreamLog.error('instagram posts failed', error);
     return { success: false, error: 'Failed to fetch Instagram reels/posts information' };
   }
 }
 
 async function getPanInfo(pan) {
   try {
-    const response = await axios.get(
-      `https://abbas-free.bitaimkingfree.workers.dev/?pan=${encodeURIComponent(pan)}`,
-      { timeout: 20000 }
-    );
+    const response = await panApi.get('/', { params: { pan } });
     return { success: true, data: response.data };
   } catch (error) {
     return { success: false, error: 'Failed to fetch PAN information' };
@@ -921,17 +1819,12 @@ async function getPanInfo(pan) {
 
 async function getTelegramIdInfo(tgId) {
   try {
-    const res = await axios.get(
-      `https://meowmeow.rf.gd/gand/unkownrandi.php?tg=${encodeURIComponent(tgId)}`,
-      {
-        timeout: 20000,
-        validateStatus: () => true,
-        headers: {
-          'user-agent': DEFAULT_UA,
-          'accept': 'application/json,text/html,*/*'
-        }
-      }
-    );
+    const res = await tgIdApi.get('/gand/unkownrandi.php', {
+      params: { tg: tgId },
+      validateStatus: () => true,
+      allowHtml: true,
+      headers: { 'accept': 'application/json,text/html,*/*' }
+    });
 
     // 🛑 If upstream returns HTML/JS challenge instead of JSON
     if (typeof res.data === 'string') {
@@ -974,7 +1867,7 @@ async function getTelegramIdInfo(tgId) {
 
 async function getBinInfo(bin) {
   try {
-    const response = await axios.get(`https://binsapi.vercel.app/api/bin?bin=${bin}`);
+    const response = await binApi.get('/api/bin', { params: { bin } });
     return { success: true, data: response.data };
   } catch (error) {
     return { success: false, error: 'Failed to fetch BIN information' };
@@ -983,8 +1876,7 @@ async function getBinInfo(bin) {
 
 async function getDeepBinInfo(bin) {
   try {
-    const url = `https://bins.stormx.pw/bin/${encodeURIComponent(String(bin))}`;
-    const res = await axiosGetWithRetry(url, { timeout: 20000 }, 3);
+    const res = await deepBinApi.get(`/bin/${encodeURIComponent(String(bin))}`);
     return { success: true, data: res.data };
   } catch (error) {
     return { success: false, error: 'Failed to fetch Deep BIN information' };
@@ -993,7 +1885,7 @@ async function getDeepBinInfo(bin) {
 
 async function getTempMailStatus() {
   try {
-    const res = await axiosGetWithRetry('https://tobi-tempmail-api.vercel.app/', { timeout: 20000 }, 2);
+    const res = await tempMailStatusApi.get('/');
     return { success: true, data: res.data };
   } catch (error) {
     return { success: false, error: 'Failed to fetch temp mail info' };
@@ -1003,7 +1895,7 @@ async function getTempMailStatus() {
 
 async function getVehicleInfo(vehicleNumber) {
   try {
-    const response = await axios.get(`https://vehicle-api-isuzu3-8895-nexusxnikhils-projects.vercel.app/api/vehicle?apikey=demo123&vehical=${vehicleNumber}`);
+    const response = await vehicleApi.get('/api/vehicle', { params: { apikey: config.vehicleApiKey, vehical: vehicleNumber } });
     return { success: true, data: response.data };
   } catch (error) {
     return { success: false, error: 'Failed to fetch vehicle information' };
@@ -1015,19 +1907,17 @@ async function getVehicleInfo(vehicleNumber) {
 // ===============================
 async function getRcInfo(query) {
   try {
-    const apiKey = 'xspydox'; // Provided key
-    const url = `https://vehicle-advance-info-spydox.vercel.app/?q=${encodeURIComponent(query)}&apikey=${apiKey}`;
-    const res = await axiosGetWithRetry(url, { timeout: 25000 }, 3);
-    return { success: true, data: res.data, api: url };
+    const res = await rcApi.get('/', { params: { q: query, apikey: config.rcApiKey } });
+    return { success: true, data: res.data };
   } catch (error) {
-    console.error('RC API error:', error?.message || error);
+    upstreamLog.error('RC lookup failed', error);
     return { success: false, error: 'Failed to fetch RC information' };
   }
 }
 
 async function getFreeFireStats(uid) {
   try {
-    const response = await axios.get(`https://anku-ffapi-inky.vercel.app/ff?uid=${uid}`);
+    const response = await freeFireApi.get('/ff', { params: { uid } });
     return { success: true, data: response.data };
   } catch (error) {
     return { success: false, error: 'Failed to fetch Free Fire statistics' };
@@ -1038,17 +1928,44 @@ async function getFreeFireStats(uid) {
 // INDIA POSTAL (PINCODE / POST OFFICE)
 // ===============================
 async function getIndiaPincodeInfo(pincode) {
+  return providers.call('pincode', pincode);
+}
+
+const postalApi = httpClient.provider('postalpincode.in', { baseUrl: 'https://api.postalpincode.in' });
+const zippopotamApi = httpClient.provider('zippopotam.us', { baseUrl: 'https://api.zippopotam.us' });
+
+async function postalPincodeLookup(pincode) {
   try {
-    const res = await axios.get(`https://api.postalpincode.in/pincode/${encodeURIComponent(pincode)}`, { timeout: 20000 });
+    const res = await postalApi.get(`/pincode/${encodeURIComponent(pincode)}`);
     return { success: true, data: res.data };
   } catch (error) {
     return { success: false, error: 'Failed to fetch India pincode information' };
   }
 }
 
+// Fallback with fewer fields, reshaped like api.postalpincode.in
+async function zippopotamPincodeLookup(pincode) {
+  try {
+    const res = await zippopotamApi.get(`/in/${encodeURIComponent(pincode)}`, { validateStatus: (st) => st === 200 || st === 404 });
+    const places = res.status === 200 && Array.isArray(res.data?.places) ? res.data.places : [];
+    return {
+      success: true,
+      data: [{
+        Message: places.length ? `Number of pincode(s) found:${places.length}` : 'No records found',
+        Status: places.length ? 'Success' : 'Error',
+        PostOffice: places.length
+          ? places.map(pl => ({ Name: pl['place name'], State: pl.state, Country: 'India', Pincode: String(pincode) }))
+          : null
+      }]
+    };
+  } catch (error) {
+    return { success: false, error: 'Failed to fetch India pincode information' };
+  }
+}
+
 async function getIndiaPostOfficeInfo(query) {
   try {
-    const res = await axios.get(`https://api.postalpincode.in/postoffice/${encodeURIComponent(query)}`, { timeout: 20000 });
+    const res = await postalApi.get(`/postoffice/${encodeURIComponent(query)}`);
     return { success: true, data: res.data };
   } catch (error) {
     return { success: false, error: 'Failed to fetch India post office information' };
@@ -1058,9 +1975,11 @@ async function getIndiaPostOfficeInfo(query) {
 // ===============================
 // PAK REHU LOOKUP (SEPARATE /pak)
 // ===============================
+const rehuPakApi = httpClient.provider('rehu-pak-info', { baseUrl: 'https://rehu-pak-info.vercel.app', timeout: 30000 });
+
 async function getRehuPakInfo(query) {
   try {
-    const res = await axios.get(`https://rehu-pak-info.vercel.app/api/lookup?query=${encodeURIComponent(query)}&pretty=1`, { timeout: 30000 });
+    const res = await rehuPakApi.get('/api/lookup', { params: { query, pretty: 1 } });
     return { success: true, data: res.data };
   } catch (error) {
     return { success: false, error: 'Failed to fetch /pak lookup information' };
@@ -1070,9 +1989,11 @@ async function getRehuPakInfo(query) {
 // ===============================
 // IFSC LOOKUP (TEXT OUTPUT)
 // ===============================
+const ifscApi = httpClient.provider('ab-ifscinfoapi', { baseUrl: 'https://ab-ifscinfoapi.vercel.app' });
+
 async function getIfscInfo(ifsc) {
   try {
-    const res = await axios.get(`https://ab-ifscinfoapi.vercel.app/info?ifsc=${encodeURIComponent(ifsc)}`, { timeout: 20000 });
+    const res = await ifscApi.get('/info', { params: { ifsc } });
     return { success: true, data: res.data };
   } catch (error) {
     return { success: false, error: 'Failed to fetch IFSC information' };
@@ -1082,8 +2003,10 @@ async function getIfscInfo(ifsc) {
 // ===============================
 // YOUTUBE THUMBNAIL (SEND AS IMAGE)
 // ===============================
+const thumbnailApi = httpClient.provider('old-studio-thum-down', { baseUrl: 'https://old-studio-thum-down.oldhacker7866.workers.dev', timeout: 45000 });
+
 async function sendYouTubeThumb(ctx, ytUrl) {
-  const thumbApi = `https://old-studio-thum-down.oldhacker7866.workers.dev/?url=${encodeURIComponent(ytUrl)}`;
+  const thumbApi = `${thumbnailApi.baseUrl}/?url=${encodeURIComponent(ytUrl)}`;
 
   const apiMeta = {
     ok: false,
@@ -1096,14 +2019,10 @@ async function sendYouTubeThumb(ctx, ytUrl) {
   };
 
   // Robust: fetch ourselves, then upload buffer to Telegram.
-  const res = await axios.get(thumbApi, {
-    timeout: 45000,
+  const res = await thumbnailApi.get(thumbApi, {
     responseType: 'arraybuffer',
     validateStatus: () => true,
-    headers: {
-      'accept': 'image/*,application/json;q=0.9,*/*;q=0.8',
-      'user-agent': 'Mozilla/5.0'
-    }
+    headers: { 'accept': 'image/*,application/json;q=0.9,*/*;q=0.8' }
   });
 
   apiMeta.status = res.status;
@@ -1117,11 +2036,9 @@ async function sendYouTubeThumb(ctx, ytUrl) {
     const pretty = JSON.stringify(payload, null, 2);
     await sendFormattedMessage(
       ctx,
-      `🎨 *Thumbnail API Response*
+      html`🎨 <b>Thumbnail API Response</b>
 
-\`\`\`json
-${pretty}
-\`\`\``
+${pre(pretty, 'json')}`
     );
   }
 
@@ -1153,11 +2070,11 @@ ${pretty}
     apiMeta.ok = true;
     apiMeta.extractedImageUrl = foundUrl;
     apiMeta.note = "Extracted image URL from JSON response";
-    const imgRes = await axios.get(foundUrl, {
+    const imgRes = await httpClient.get(foundUrl, {
       timeout: 45000,
       responseType: 'arraybuffer',
       validateStatus: () => true,
-      headers: { 'accept': 'image/*,*/*;q=0.8', 'user-agent': 'Mozilla/5.0' }
+      headers: { 'accept': 'image/*,*/*;q=0.8' }
     });
 
     const imgCt = String(imgRes.headers?.['content-type'] || '').toLowerCase();
@@ -1201,17 +2118,13 @@ ${pretty}
 
 
 // NEW: Pakistani Government Number Information API
+const pakGovtApi = httpClient.provider('govt-pakistan-number-info', { baseUrl: 'https://govt-pakistan-number-info.vercel.app' });
+
 async function getPakistaniGovtNumberInfo(number) {
   try {
-    const response = await axios.post(
-      'https://govt-pakistan-number-info.vercel.app/search',
-      { query: number.toString() },
-      {
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+    const response = await pakGovtApi.post('/search', { query: number.toString() }, {
+      headers: { 'Content-Type': 'application/json' }
+    });
     
     if (response.data && response.data.success) {
       return { 
@@ -1226,7 +2139,7 @@ async function getPakistaniGovtNumberInfo(number) {
       };
     }
   } catch (error) {
-    console.error('Error calling Pakistani government number API:', error);
+    upstreamLog.error('pakistan govt number lookup failed', error);
     return { 
       success: false, 
       error: 'Failed to fetch Pakistani government number information' 
@@ -1234,9 +2147,11 @@ async function getPakistaniGovtNumberInfo(number) {
   }
 }
 
+const emailValidationApi = httpClient.provider('emailvalidation.io', { baseUrl: 'https://emailvalidation.io' });
+
 async function validateEmail(email) {
   try {
-    const response = await axios.get(`https://emailvalidation.io/api/verify?email=${encodeURIComponent(email)}`);
+    const response = await emailValidationApi.get('/api/verify', { params: { email } });
     return { success: true, data: response.data };
   } catch (error) {
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -1254,11 +2169,14 @@ async function validateEmail(email) {
   }
 }
 
-// Social Media Video Downloader API Functions
-async function downloadSnapchat(videoUrl) {
+// Social Media Video Downloader API Functions (api: one of downloaderApis).
+// A failure carries the HTTP status so a refused link (4xx) does not count
+// against the provider's circuit breaker.
+const downloaderApis = upstreamApis([config.downloaderApiUrl, ...config.downloaderApiFallbackUrls], { timeout: 30000 });
+
+async function downloadSnapchat(videoUrl, api = downloaderApis[0]) {
   try {
-    const apiUrl = `http://15.204.130.9:5150/snap?video=${encodeURIComponent(videoUrl)}`;
-    const response = await axios.get(apiUrl, { timeout: 30000 });
+    const response = await api.get('/snap', { params: { video: videoUrl } });
     
     // Check if the response contains a m3u8 playlist
     if (typeof response.data === 'string' && response.data.includes('.m3u8')) {
@@ -1278,63 +2196,59 @@ async function downloadSnapchat(videoUrl) {
     
     return { success: true, data: response.data };
   } catch (error) {
-    return { success: false, error: 'Failed to download Snapchat video' };
+    return { success: false, error: 'Failed to download Snapchat video', status: error?.status };
   }
 }
 
-async function downloadInstagram(videoUrl) {
+async function downloadInstagram(videoUrl, api = downloaderApis[0]) {
   try {
-    const apiUrl = `http://15.204.130.9:5150/insta?video=${encodeURIComponent(videoUrl)}`;
-    const response = await axios.get(apiUrl, { timeout: 30000 });
+    const response = await api.get('/insta', { params: { video: videoUrl } });
     return { success: true, data: response.data };
   } catch (error) {
-    return { success: false, error: 'Failed to download Instagram video' };
+    return { success: false, error: 'Failed to download Instagram video', status: error?.status };
   }
 }
 
-async function downloadPinterest(videoUrl) {
+async function downloadPinterest(videoUrl, api = downloaderApis[0]) {
   try {
-    const apiUrl = `http://15.204.130.9:5150/pin?video=${encodeURIComponent(videoUrl)}`;
-    const response = await axios.get(apiUrl, { timeout: 30000 });
+    const response = await api.get('/pin', { params: { video: videoUrl } });
     return { success: true, data: response.data };
   } catch (error) {
-    return { success: false, error: 'Failed to download Pinterest video' };
+    return { success: false, error: 'Failed to download Pinterest video', status: error?.status };
   }
 }
 
-async function downloadFacebook(videoUrl) {
+async function downloadFacebook(videoUrl, api = downloaderApis[0]) {
   try {
-    const apiUrl = `http://15.204.130.9:5150/fb?video=${encodeURIComponent(videoUrl)}`;
-    const response = await axios.get(apiUrl, { timeout: 30000 });
+    const response = await api.get('/fb', { params: { video: videoUrl } });
     return { success: true, data: response.data };
   } catch (error) {
-    return { success: false, error: 'Failed to download Facebook video' };
+    return { success: false, error: 'Failed to download Facebook video', status: error?.status };
   }
 }
 
+const teraboxApi = httpClient.provider('teradl', { baseUrl: config.teraboxApiUrl, timeout: 65000 });
+
 // Fixed TeraBox download function
 async function downloadTeraBox(videoUrl) {
   try {
-    const apiKey = process.env.TERABOX_API_KEY || 'RushVx';
-    const base = process.env.TERABOX_API_URL || 'https://teradl.tiiny.io/';
-    const apiUrl = `${base}?key=${encodeURIComponent(apiKey)}&link=${encodeURIComponent(videoUrl)}`;
+    const res = await teraboxApi.get('', { params: { key: config.teraboxApiKey, link: videoUrl } });
 
-    const res = await axiosGetWithRetry(apiUrl, { timeout: 65000 }, 1);
+    upstreamLog.debug('terabox answered', { status: res.status });
 
-    // Log the response for debugging (keep short)
-    try { console.log('TeraBox API status:', res.status); } catch (_) {}
-
-    return { success: true, data: res.data, apiUrl };
+    return { success: true, data: res.data };
   } catch (error) {
-    console.error('TeraBox API Error:', error?._data || error?.message || error);
+    upstreamLog.error('terabox failed', { err: error, data: error?.data });
     return { success: false, error: 'Failed to fetch download link from TeraBox API.' };
   }
 }
 
 // Retry until we extract at least one direct http(s) download link
-async function downloadTeraBoxWithRetry(videoUrl, attempts = 4) {
+// (stops between attempts once `signal` is aborted)
+async function downloadTeraBoxWithRetry(videoUrl, attempts = 4, signal = null) {
   let last = null;
   for (let i = 0; i < attempts; i++) {
+    signal?.throwIfAborted();
     last = await downloadTeraBox(videoUrl);
     if (last.success) {
       const items = extractTeraBoxItems(last.data);
@@ -1387,15 +2301,15 @@ function extractTeraBoxItems(data) {
 // Instagram (posts), Twitter (tweet images), Pinterest (pin images)
 // API: https://tobi-insta-api.onrender.com/
 // ===============================
-const TOBI_INSTA_API = 'https://tobi-insta-api.onrender.com';
+const imageApis = upstreamApis([config.imageApiUrl, ...config.imageApiFallbackUrls], { timeout: 35000, retries: 2 });
 
 function isProbablyShortUrl(u) {
   return /(t\.co|bit\.ly|tinyurl\.com|shorturl|cutt\.ly|pin\.it)/i.test(u || '');
 }
 
-async function resolveShortUrl(url) {
+async function resolveShortUrl(url, api = imageApis[0]) {
   try {
-    const res = await axiosGetWithRetry(`${TOBI_INSTA_API}/resolve?url=${encodeURIComponent(url)}`, { timeout: 20000 }, 2);
+    const res = await api.get('/resolve', { params: { url }, timeout: 20000, retries: 1 });
     // try common keys
     const resolved =
       res.data?.finalUrl ||
@@ -1457,7 +2371,7 @@ async function sendImagesAsAlbum(ctx, urls, caption) {
 
   // First, send caption message (no crop)
   if (caption) {
-    try { await ctx.reply(caption); } catch (_) {}
+    try { await sendFormattedMessage(ctx, caption); } catch (_) {}
   }
 
   for (let i = 0; i < batch.length; i++) {
@@ -1470,21 +2384,215 @@ async function sendImagesAsAlbum(ctx, urls, caption) {
       await sleep(400);
     } catch (e) {
       // fallback: send link
-      try { await ctx.reply(`⬇️ ${u}`); } catch (_) {}
+      try { await sendFormattedMessage(ctx, `⬇️ ${u}`); } catch (_) {}
     }
   }
   return true;
 }
 
-async function tobiDownloadImages(kind, url) {
-  const target = isProbablyShortUrl(url) ? await resolveShortUrl(url) : url;
-  const endpoint = `${TOBI_INSTA_API}/${kind}?url=${encodeURIComponent(target)}`;
-  const res = await axiosGetWithRetry(endpoint, { timeout: 35000 }, 3);
+async function tobiDownloadImages(kind, url, api = imageApis[0]) {
+  const target = isProbablyShortUrl(url) ? await resolveShortUrl(url, api) : url;
+  const endpoint = `${api.baseUrl}/${kind}?url=${encodeURIComponent(target)}`;
+  const res = await api.get(endpoint);
   const data = res.data;
   const urls = extractImageUrls(data);
   return { endpoint, input: url, resolved: target, data, urls };
 }
 
+// Upstream metrics. The provider functions above are plain bindings, so
+// rebinding them here instruments every call site at once.
+getIpInfo = instrumentUpstream('getIpInfo', getIpInfo);
+getPhoneNumberInfo = instrumentUpstream('getPhoneNumberInfo', getPhoneNumberInfo);
+getBasicNumberInfo = instrumentUpstream('getBasicNumberInfo', getBasicNumberInfo);
+getInstagramInfo = instrumentUpstream('getInstagramInfo', getInstagramInfo);
+getInstagramPosts = instrumentUpstream('getInstagramPosts', getInstagramPosts);
+getPanInfo = instrumentUpstream('getPanInfo', getPanInfo);
+getTelegramIdInfo = instrumentUpstream('getTelegramIdInfo', getTelegramIdInfo);
+getBinInfo = instrumentUpstream('getBinInfo', getBinInfo);
+getDeepBinInfo = instrumentUpstream('getDeepBinInfo', getDeepBinInfo);
+getTempMailStatus = instrumentUpstream('getTempMailStatus', getTempMailStatus);
+getVehicleInfo = instrumentUpstream('getVehicleInfo', getVehicleInfo);
+getRcInfo = instrumentUpstream('getRcInfo', getRcInfo);
+getFreeFireStats = instrumentUpstream('getFreeFireStats', getFreeFireStats);
+getIndiaPincodeInfo = instrumentUpstream('getIndiaPincodeInfo', getIndiaPincodeInfo);
+getIndiaPostOfficeInfo = instrumentUpstream('getIndiaPostOfficeInfo', getIndiaPostOfficeInfo);
+getRehuPakInfo = instrumentUpstream('getRehuPakInfo', getRehuPakInfo);
+getIfscInfo = instrumentUpstream('getIfscInfo', getIfscInfo);
+getPakistaniGovtNumberInfo = instrumentUpstream('getPakistaniGovtNumberInfo', getPakistaniGovtNumberInfo);
+validateEmail = instrumentUpstream('validateEmail', validateEmail);
+downloadSnapchat = instrumentUpstream('downloadSnapchat', downloadSnapchat);
+downloadInstagram = instrumentUpstream('downloadInstagram', downloadInstagram);
+downloadPinterest = instrumentUpstream('downloadPinterest', downloadPinterest);
+downloadFacebook = instrumentUpstream('downloadFacebook', downloadFacebook);
+downloadTeraBox = instrumentUpstream('downloadTeraBox', downloadTeraBox);
+tobiDownloadImages = instrumentUpstream('tobiDownloadImages', tobiDownloadImages);
+
+// ===============================
+// UPSTREAM PROVIDERS (priority order + circuit breakers, see providers.js)
+// Primary URLs and *_FALLBACK_URLS come from config.js; /providers shows health.
+// ===============================
+const providers = createProviderRegistry({
+  failureThreshold: config.providerFailureThreshold,
+  cooldownMs: config.providerCooldownMs,
+  onCall: ({ capability, provider, ok, clientError }) => incCounter('bot_provider_calls_total', { capability, provider, outcome: ok ? 'ok' : (clientError ? 'client_error' : 'error') })
+});
+
+function providerHost(base) {
+  try { return new URL(base).host; } catch (_) { return String(base); }
+}
+
+// { success: false } shaped answer for callers that check result.success
+const providerUnavailable = (error) => ({ success: false, error });
+
+const VIDEO_DOWNLOADERS = { snap: downloadSnapchat, insta: downloadInstagram, pin: downloadPinterest, fb: downloadFacebook };
+
+providers.define('videoDownload', downloaderApis.map(api => ({
+  name: api.name,
+  call: (platform, url) => VIDEO_DOWNLOADERS[platform](url, api)
+})), { unavailable: providerUnavailable });
+
+// Throws on failure; an empty `urls` list is a valid answer (nothing found)
+providers.define('imageDownload', imageApis.map(api => ({
+  name: api.name,
+  call: (kind, url) => tobiDownloadImages(kind, url, api)
+})));
+
+const aiApis = upstreamApis([config.aiApiUrl, ...config.aiApiFallbackUrls], { timeout: 30000, retries: 1 });
+providers.define('aiChat', aiApis.map(api => ({
+  name: api.name,
+  call: (prompt) => askAiApi(api, prompt)
+})));
+
+const musicApis = upstreamApis([config.musicApiUrl, ...config.musicApiFallbackUrls], { timeout: 35000, retries: 1 });
+providers.define('musicSearch', musicApis.map(api => ({
+  name: api.name,
+  call: (query) => searchMusicApi(api, query)
+})));
+
+providers.define('ipInfo', [
+  { name: 'ipinfo.io', call: ipinfoLookup },
+  { name: 'ipwho.is', call: ipwhoLookup },
+  { name: 'ip-api.com', call: ipApiLookup }
+], { unavailable: providerUnavailable });
+
+providers.define('pincode', [
+  { name: 'postalpincode.in', call: postalPincodeLookup },
+  { name: 'zippopotam.us', call: zippopotamPincodeLookup }
+], { unavailable: providerUnavailable });
+
+defineMetric('bot_provider_calls_total', 'counter', 'Provider registry calls by capability, provider and outcome');
+defineMetric('bot_provider_circuit_state', 'gauge', 'Circuit breaker state per provider (0 closed, 1 half-open, 2 open)');
+metricCollectors.push(() => {
+  const code = { closed: 0, half_open: 1, open: 2 };
+  for (const st of providers.stats()) setGauge('bot_provider_circuit_state', { capability: st.capability, provider: st.provider }, code[st.state]);
+});
+
+// ===============================
+// RESPONSE CACHE (idempotent lookups, see cache.js)
+// Successful results only; a stale entry is still served for one more TTL
+// while it refreshes in the background. CACHE_TTLS overrides the defaults.
+// ===============================
+const RESPONSE_CACHE_TTLS = {
+  pincode: 24 * 60 * 60 * 1000,
+  postoffice: 24 * 60 * 60 * 1000,
+  ifsc: 7 * 24 * 60 * 60 * 1000,
+  ip: 60 * 60 * 1000,
+  spsearch: 30 * 60 * 1000,
+  ff: 10 * 60 * 1000
+};
+const RESPONSE_CACHE_FILE = path.join(DATA_DIR, 'response_cache.json');
+
+defineMetric('bot_cache_requests_total', 'counter', 'Response cache lookups by namespace and result (hit, stale, miss)');
+defineMetric('bot_cache_entries', 'gauge', 'Entries held in the response cache per namespace');
+
+const responseCache = createResponseCache({
+  maxEntries: config.cacheMaxEntries,
+  namespaces: Object.fromEntries(Object.entries(RESPONSE_CACHE_TTLS).map(([name, ttlMs]) => [name, { ttlMs: config.cacheTtls[name] ?? ttlMs }])),
+  onLookup: ({ namespace, result }) => incCounter('bot_cache_requests_total', { namespace, result }),
+  onError: (namespace, key, e) => cacheLog.error('background refresh failed', { namespace, err: e })
+});
+
+metricCollectors.push(() => {
+  for (const st of responseCache.stats()) setGauge('bot_cache_entries', { namespace: st.namespace }, st.entries);
+});
+
+// { value, cached, stale, ageMs }; bypasses the cache when CACHE_ENABLED=off
+async function cachedLookup(namespace, key, loader) {
+  if (!config.cacheEnabled) return { value: await loader(), cached: false, stale: false, ageMs: 0 };
+  return responseCache.wrap(namespace, key, loader, { shouldCache: (r) => !!r?.success && r.data !== undefined && r.data !== null });
+}
+
+function formatCacheAge(ms) {
+  const s = Math.max(0, Math.round(ms / 1000));
+  if (s < 60) return `${s}s`;
+  if (s < 3600) return `${Math.round(s / 60)}m`;
+  if (s < 86400) return `${Math.round(s / 3600)}h`;
+  return `${Math.round(s / 86400)}d`;
+}
+
+// Marker line appended to responses served from the cache
+function cachedNote(hit) {
+  return hit?.cached ? `\n♻️ Cached result (${formatCacheAge(hit.ageMs)} old)` : '';
+}
+
+function saveResponseCache() {
+  if (!config.cachePersist || !responseCache.isDirty()) return;
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const tmp = `${RESPONSE_CACHE_FILE}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(responseCache.dump()));
+    fs.renameSync(tmp, RESPONSE_CACHE_FILE);
+  } catch (e) {
+    cacheLog.error('cache save failed', e);
+  }
+}
+
+if (config.cacheEnabled && config.cachePersist) {
+  try {
+    if (fs.existsSync(RESPONSE_CACHE_FILE)) {
+      const n = responseCache.load(JSON.parse(fs.readFileSync(RESPONSE_CACHE_FILE, 'utf8')));
+      cacheLog.info('cache loaded', { entries: n });
+    }
+  } catch (e) {
+    cacheLog.error('cache load failed', e);
+  }
+  setInterval(saveResponseCache, 5 * 60 * 1000).unref();
+}
+
+// AI chat answer text; empty answers count as a provider failure
+async function askAiApi(api, prompt) {
+  const res = await observeUpstream('aiChat', () => api.get('', { params: { text: prompt } }));
+  const data = res.data || {};
+
+  // API response example:
+  // { status: true, model: 'gpt-5', text: '...' }
+  const answer =
+    (typeof data === 'string' ? data : null) ||
+    data.text ||
+    data.response ||
+    data.result ||
+    data.answer ||
+    data.data ||
+    '';
+
+  if (!String(answer).trim()) return { success: false, error: 'AI returned empty response' };
+  return { success: true, answer: String(answer) };
+}
+
+// Track list from <base>/search
+async function searchMusicApi(api, query) {
+  const res = await observeUpstream('spotifySearch', () => api.get('/search', { params: { q: query } }));
+  const data = res.data || {};
+
+  const items =
+    (Array.isArray(data?.data) ? data.data : null) ||
+    (Array.isArray(data?.tracks) ? data.tracks : null) ||
+    (Array.isArray(data?.data?.tracks) ? data.data.tracks : null) ||
+    (Array.isArray(data?.items) ? data.items : null) ||
+    [];
+  return { success: true, items };
+}
+
 // Auto-detect platform from URL
 function detectPlatform(url) {
   if (/instagram\.com/.test(url)) return 'insta';
@@ -1501,7 +2609,7 @@ function detectPlatform(url) {
 // Check if video can be sent directly to Telegram
 async function canSendAsVideo(url) {
   try {
-    const head = await axios.head(url, { timeout: 10000 });
+    const head = await httpClient.head(url, { timeout: 10000 });
     const size = Number(head.headers['content-length'] || 0);
     const type = head.headers['content-type'] || '';
 
@@ -1517,7 +2625,7 @@ async function canSendAsVideo(url) {
 // Get video file information
 async function getVideoInfo(url) {
   try {
-    const head = await axios.head(url, { timeout: 10000 });
+    const head = await httpClient.head(url, { timeout: 10000 });
     const size = Number(head.headers['content-length'] || 0);
     const type = head.headers['content-type'] || '';
     
@@ -1590,50 +2698,35 @@ async function sendVideoSmart(ctx, videoUrl, caption) {
       // fallback to link
       const msg = `${fullCaption}\n\n⬇️ Download Link:\n${videoUrl}`;
       if (typeof ctx?.reply === "function") {
-        await ctx.reply(msg, { disable_web_page_preview: true });
+        await sendFormattedMessage(ctx, msg, { disable_web_page_preview: true });
       } else {
-        await api.sendMessage(chatId, msg, { disable_web_page_preview: true });
+        await sendHtml(api, chatId, msg, { disable_web_page_preview: true });
       }
       return false;
     }
   } catch (err) {
-    console.error(err);
+    telegramLog.error('video send failed', err);
     try {
       const api = (ctx && ctx.api) ? ctx.api : (bot && bot.api ? bot.api : null);
       const chatId = ctx?.chat?.id ?? ctx?.chatId ?? ctx?.message?.chat?.id ?? ctx?.msg?.chat?.id ?? null;
       if (api && chatId) {
         const msg = `${caption}\n\n⬇️ Download Link:\n${videoUrl}`;
-        await api.sendMessage(chatId, msg, { disable_web_page_preview: true });
+        await sendHtml(api, chatId, msg, { disable_web_page_preview: true });
       }
     } catch (_) {}
     return false;
   }
 }
 
-
-// Escape Markdown to avoid Telegram parse errors
-function escapeMd(text = "") {
-  return text
-    .toString()
-    .replace(/[_*[\]()~`>#+=|{}.!-]/g, "\\$&");
-}
-
-// Escape HTML to avoid Telegram HTML parse errors
-function escapeHtml(text = "") {
-  return text
-    .toString()
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/\"/g, "&quot;")
-    .replace(/'/g, "&#39;");
+// Fixed TeraBox multi-video downloads handler (runs in a media queue slot)
+async function handleTeraBox(ctx, url, signal = null) {
+  return runMediaJob(ctx, 'terabox', (job) => sendTeraBoxFiles(ctx, url, job.signal), { signal });
 }
 
-// Fixed TeraBox multi-video downloads handler
-async function handleTeraBox(ctx, url) {
+async function sendTeraBoxFiles(ctx, url, signal) {
   try {
     // Auto-retry: many free TeraBox APIs sometimes return empty/temporary responses
-    const result = await downloadTeraBoxWithRetry(url, 4);
+    const result = await downloadTeraBoxWithRetry(url, 4, signal);
 
     if (!result.success) {
       await sendFormattedMessage(ctx, '❌ Failed to process TeraBox link.');
@@ -1672,8 +2765,7 @@ Download:
 ${item.download}`;
 
       if (i > 0) await sleep(1100);
-      // No Markdown here (links often contain underscores/brackets and can break parsing)
-      await ctx.reply(msg, { disable_web_page_preview: true });
+      await sendFormattedMessage(ctx, msg, { disable_web_page_preview: true });
     }
 
     // Optional: show that we retried
@@ -1683,23 +2775,23 @@ ${item.download}`;
 
     return true;
   } catch (error) {
-    console.error('Error handling TeraBox:', error);
+    if (signal?.aborted) throw error;
+    upstreamLog.error('terabox handling failed', error);
     await sendFormattedMessage(ctx, '❌ Error processing TeraBox link.');
     return false;
   }
 }
 
-// Handle single video downloads (FIXED for [object Object])
-async function handleSingleVideo(ctx, url, platform) {
+// Handle single video downloads (FIXED for [object Object]); stops before
+// replying once `signal` (the command's) is aborted
+async function handleSingleVideo(ctx, url, platform, signal = null) {
   try {
     let result;
 
     // Call the appropriate download function
-    if (platform === 'insta') result = await downloadInstagram(url);
-    else if (platform === 'fb') result = await downloadFacebook(url);
-    else if (platform === 'snap') result = await downloadSnapchat(url);
-    else if (platform === 'pin') result = await downloadPinterest(url);
+    if (VIDEO_DOWNLOADERS[platform]) result = await providers.call('videoDownload', platform, url);
     else return sendFormattedMessage(ctx, '❌ Unsupported platform.');
+    signal?.throwIfAborted();
 
     if (!result.success) {
       return sendFormattedMessage(ctx, `❌ Failed to download ${platform} video.`);
@@ -1732,7 +2824,7 @@ async function handleSingleVideo(ctx, url, platform) {
 
     // Final validation
     if (!isHttpUrl(videoUrl)) {
-      console.error(`Could not extract video URL for ${platform}. Full API Response:`, JSON.stringify(result.data, null, 2));
+      upstreamLog.warn('no video URL in downloader answer', { platform, data: result.data });
       return sendFormattedMessage(ctx, `❌ Failed to get direct ${platform} video URL from API.`);
     }
 
@@ -1741,7 +2833,8 @@ async function handleSingleVideo(ctx, url, platform) {
     return true;
 
   } catch (error) {
-    console.error(`Error handling ${platform}:`, error);
+    if (signal?.aborted) throw error;
+    upstreamLog.error('video download failed', { platform, err: error });
     return sendFormattedMessage(ctx, `❌ Error processing ${platform} video.`);
   }
 }
@@ -1774,39 +2867,234 @@ function getUserAgentInfo() {
   };
 }
 
-// Helper function to deduct credits
-function deductCredits(user, amount = 1) {
-  if (user.isPremium) {
-    return true; // Premium users don't lose credits
+// ===============================
+// CREDIT LEDGER
+// Append-only record of every balance change, kept by the storage backend
+// (credit_ledger.jsonl or the credit_ledger table). Every mutation of user.credits goes through adjustCredits/setUserCredits.
+//
+// reason: charge | refund | admin_give | admin_remove | admin_give_all |
+//         admin_remove_all | admin_set | lucky | redeem | approval_bonus |
+//         reset | sync | restore
+// ===============================
+const creditLedger = new Map(); // userId -> [entry, ...] (oldest first)
+let __ledgerSeq = 0;
+
+function indexLedgerEntry(entry) {
+  const id = String(entry.userId);
+  if (!creditLedger.has(id)) creditLedger.set(id, []);
+  creditLedger.get(id).push(entry);
+}
+
+function loadCreditLedger() {
+  try {
+    for (const entry of storage.loadLedger()) {
+      if (entry.userId !== undefined) indexLedgerEntry(entry);
+    }
+  } catch (e) {
+    storageLog.error('credit ledger load failed', e);
   }
-  
-  if (user.credits >= amount) {
-    user.credits -= amount;
-    // Track per-command spend
-    try {
-      const cmd = user._lastCommand || 'unknown';
-      ensureCommandStats(user);
-      if (!user.commandStats[cmd]) user.commandStats[cmd] = { uses: 0, creditsSpent: 0, creditsRefunded: 0 };
-      user.commandStats[cmd].creditsSpent += amount;
-    } catch (_) {}
-    return true;
+}
+
+function appendLedgerEntry(entry) {
+  indexLedgerEntry(entry);
+  try {
+    storage.appendLedger(entry);
+  } catch (e) {
+    storageLog.error('credit ledger write failed', e);
   }
-  
-  return false;
 }
 
-// Helper function to get or create user
-function getOrCreateUser(ctx) {
-  const telegramId = ctx.from?.id.toString();
-  const username = ctx.from?.username;
-  const firstName = ctx.from?.first_name;
-  const lastName = ctx.from?.last_name;
+/**
+ * Change a user's balance by delta and record why.
+ * meta = { reason, command?, actor? }  (actor: admin id, user id or 'system')
+ * Returns the ledger entry (null when delta is 0).
+ */
+function adjustCredits(user, delta, meta = {}) {
+  if (!user) return null;
+  const d = Number(delta) || 0;
+  if (!d) return null;
+
+  user.credits = (Number(user.credits) || 0) + d;
+  touchUser(user);
+
+  const entry = {
+    id: `${Date.now().toString(36)}${(++__ledgerSeq).toString(36)}`,
+    at: new Date().toISOString(),
+    userId: String(user.telegramId),
+    delta: d,
+    balance: user.credits,
+    reason: meta.reason || 'unknown',
+    command: meta.command || null,
+    actor: meta.actor !== undefined && meta.actor !== null ? String(meta.actor) : 'system'
+  };
+  appendLedgerEntry(entry);
+  return entry;
+}
 
-  if (!telegramId) return null;
+// Set an absolute balance (recorded as the difference)
+function setUserCredits(user, value, meta = {}) {
+  if (!user) return null;
+  return adjustCredits(user, (Number(value) || 0) - (Number(user.credits) || 0), meta);
+}
 
-  // Check if user exists, if not create new user
-  if (!users.has(telegramId)) {
-    users.set(telegramId, {
+// Newest first
+function getCreditHistory(userId, { offset = 0, limit = 10 } = {}) {
+  const all = creditLedger.get(String(userId)) || [];
+  const total = all.length;
+  const start = Math.max(0, total - offset - limit);
+  const end = Math.max(0, total - offset);
+  return { total, entries: all.slice(start, end).reverse() };
+}
+
+function formatLedgerEntry(e) {
+  const when = new Date(e.at).toLocaleString('en-IN', { timeZone: config.timezone, dateStyle: 'short', timeStyle: 'short' });
+  const sign = e.delta > 0 ? `+${e.delta}` : String(e.delta);
+  const cmd = e.command ? ` /${e.command}` : '';
+  const by = e.actor && e.actor !== 'system' && e.actor !== String(e.userId) ? ` (by ${e.actor})` : '';
+  return `${when} • ${sign} • ${e.reason}${cmd}${by} • bal ${e.balance}`;
+}
+
+const HISTORY_PAGE_SIZE = 10;
+
+// prefix: callback prefix for the page buttons (hist_<page> / histu_<userId>_<page>)
+function renderCreditHistory(userId, page, prefix) {
+  const { total, entries } = getCreditHistory(userId, { offset: page * HISTORY_PAGE_SIZE, limit: HISTORY_PAGE_SIZE });
+  const pages = Math.max(1, Math.ceil(total / HISTORY_PAGE_SIZE));
+
+  const text = total
+    ? `🧾 Credit History (${total} entries) — page ${page + 1}/${pages}\n\n${entries.map(formatLedgerEntry).join('\n')}`
+    : '🧾 Credit History\n\nNo credit changes recorded yet.';
+
+  const hasNewer = page > 0;
+  const hasOlder = page + 1 < pages;
+  if (!hasNewer && !hasOlder) return { text, reply_markup: undefined };
+
+  const kb = new InlineKeyboard();
+  if (hasNewer) kb.text('⬅️ Newer', `${prefix}${page - 1}`);
+  if (hasOlder) kb.text('Older ➡️', `${prefix}${page + 1}`);
+  return { text, reply_markup: kb };
+}
+
+loadCreditLedger();
+
+// ===============================
+// CREDIT TRANSACTIONS
+// reserve -> commit | rollback. A reservation takes the credits off the
+// balance right away and records a hold on the user (persisted with the
+// rest of the user record), so a crash mid-handler is rolled back on the
+// next start instead of silently keeping the credit.
+// ===============================
+const CREDIT_TX_TIMEOUT_MS = config.creditTxTimeoutMs;
+let __creditTxSeq = 0;
+
+// Returns a transaction, or null when the balance is too low.
+// Premium users (and free commands) get a transaction that holds nothing.
+function reserveCredits(user, amount = 1, command = null) {
+  if (!user) return null;
+  const tx = {
+    id: `${Date.now().toString(36)}${(++__creditTxSeq).toString(36)}`,
+    command: command || user._lastCommand || 'unknown',
+    amount,
+    charged: 0,
+    state: 'reserved'
+  };
+  if (!(amount > 0) || user.isPremium) return tx; // Premium users don't lose credits
+
+  if ((user.credits || 0) < amount) return null;
+  adjustCredits(user, -amount, { reason: 'charge', command: tx.command, actor: user.telegramId });
+  tx.charged = amount;
+  if (!user.creditHolds || typeof user.creditHolds !== 'object') user.creditHolds = {};
+  user.creditHolds[tx.id] = { amount, command: tx.command, at: new Date().toISOString() };
+  bumpCommandCreditStat(user, tx.command, 'creditsSpent', amount);
+  touchUser(user);
+  return tx;
+}
+
+function commitCredits(user, tx) {
+  if (!user || !tx || tx.state !== 'reserved') return false;
+  tx.state = 'committed';
+  if (user.creditHolds) delete user.creditHolds[tx.id];
+  touchUser(user);
+  return true;
+}
+
+// Returns the number of credits given back (0 for premium / already settled)
+function rollbackCredits(user, tx) {
+  if (!user || !tx || tx.state !== 'reserved') return 0;
+  tx.state = 'refunded';
+  if (user.creditHolds) delete user.creditHolds[tx.id];
+  if (tx.charged > 0) {
+    adjustCredits(user, tx.charged, { reason: 'refund', command: tx.command, actor: 'system' });
+    bumpCommandCreditStat(user, tx.command, 'creditsRefunded', tx.charged);
+  }
+  touchUser(user);
+  return tx.charged;
+}
+
+function creditRefundNote(ctx, amount) {
+  return amount > 0 ? html`\n${ctx.t('credits.refunded', { count: amount })}` : '';
+}
+
+// Rejects with err._creditTimeout when the handler takes longer than ms, and
+// aborts `controller` so the handler (and any media job it queued) stops.
+// The handler's promise still settles later: callers keep the reservation
+// until then and settle it from what the handler actually did.
+function withCreditTimeout(promise, ms, controller = null) {
+  let timer = null;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`Timed out after ${ms}ms`);
+      err._creditTimeout = true;
+      controller?.abort(err);
+      reject(err);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// After a timeout: commit if the handler still delivered, refund otherwise
+function settleCreditsLate(ctx, user, tx, running) {
+  running.then((result) => result === true, () => false).then(async (delivered) => {
+    if (delivered) return commitCredits(user, tx);
+    const amount = rollbackCredits(user, tx);
+    if (amount > 0) await sendFormattedMessage(ctx, ctx.t('credits.refunded', { count: amount }));
+  }).catch((e) => commandLog.error('late credit settlement failed', e));
+}
+
+// Holds left over from a previous process can never be committed: give them back
+function releaseStaleCreditHolds() {
+  let released = 0;
+  for (const user of users.values()) {
+    const holds = user?.creditHolds;
+    if (!holds || typeof holds !== 'object') continue;
+    for (const [id, hold] of Object.entries(holds)) {
+      const amount = Number(hold?.amount) || 0;
+      if (amount > 0) {
+        adjustCredits(user, amount, { reason: 'refund', command: hold.command || null, actor: 'system' });
+        bumpCommandCreditStat(user, hold.command, 'creditsRefunded', amount);
+        released += amount;
+      }
+      delete holds[id];
+    }
+    touchUser(user);
+  }
+  if (released > 0) log.info('released credits held by interrupted commands', { credits: released });
+}
+
+releaseStaleCreditHolds();
+
+// Helper function to get or create user
+function getOrCreateUser(ctx) {
+  const telegramId = ctx.from?.id.toString();
+  const username = ctx.from?.username;
+  const firstName = ctx.from?.first_name;
+  const lastName = ctx.from?.last_name;
+
+  if (!telegramId) return null;
+
+  // Check if user exists, if not create new user
+  if (!users.has(telegramId)) {
+    users.set(telegramId, {
       telegramId,
       username: username || null,
       firstName: firstName || null,
@@ -1875,72 +3163,278 @@ function cleanupExpiredCodes() {
   }
 }
 
-// Helper function to send formatted messages
-async function sendFormattedMessage(ctx, text) {
-  try {
-    await ctx.reply(text, { parse_mode: 'Markdown' });
-  } catch (error) {
-    const plainText = text
-      .replace(/\*\*(.*?)\*\*/g, '$1')
-      .replace(/\*(.*?)\*/g, '$1')
-      .replace(/`(.*?)`/g, '$1')
-      .replace(/```(.*?)```/gs, '$1');
-    await ctx.reply(plainText);
+// ===============================
+// REPLIES (see format.js)
+// Every message goes out as Telegram HTML: build markup with html`` and the
+// format.js helpers, plain strings are sent as text. Long messages are split
+// into several; reply_markup and the version footer go on the last part.
+// ===============================
+const MAX_CAPTION_LENGTH = 1024;
+const MAX_MARKUP_REPAIRS = 3;
+
+async function sendHtml(api, chatId, message, extra = {}) {
+  const footer = FOOTER_APIS.has(api) ? _versionFooter() : '';
+  const parts = splitHtml(message, MAX_MESSAGE_LENGTH - footer.length);
+  parts[parts.length - 1] += footer;
+  const { reply_markup, ...rest } = extra;
+  let sent;
+  for (let i = 0; i < parts.length; i++) {
+    const other = { ...rest, parse_mode: 'HTML' };
+    if (i === parts.length - 1 && reply_markup) other.reply_markup = reply_markup;
+    sent = await sendHtmlPart(api, chatId, parts[i], other);
+  }
+  return sent;
+}
+
+// Only hand-written raw() markup can be rejected. Escape the tag or entity
+// Telegram points at and try again; a part that still fails (or no longer
+// fits) is sent as the text it says, without formatting.
+async function sendHtmlPart(api, chatId, part, other) {
+  let markup = part;
+  for (let repairs = 0; ; repairs++) {
+    try {
+      return await api.sendMessage(chatId, markup, other);
+    } catch (e) {
+      if (e?.error_code !== 400 || !/can't parse entities/i.test(e?.description || '')) throw e;
+      const offset = /byte offset (\d+)/i.exec(e.description)?.[1];
+      const fixed = offset !== undefined && repairs < MAX_MARKUP_REPAIRS ? escapeAtByte(raw(markup), Number(offset)) : null;
+      if (fixed === null || fixed.length > MAX_MESSAGE_LENGTH) {
+        delete other.parse_mode;
+        return api.sendMessage(chatId, plainText(raw(markup)), other);
+      }
+      markup = fixed;
+    }
   }
 }
 
+// { caption, parse_mode } for a photo/video/document; captions are cut to fit
+// with the version footer
+function htmlCaption(message) {
+  return { caption: splitHtml(message, MAX_CAPTION_LENGTH - _versionFooter().length)[0], parse_mode: 'HTML' };
+}
+
+// Edit a message sent earlier; only the first part is shown if it grew too long
+function editHtml(api, chatId, messageId, message, extra = {}) {
+  return api.editMessageText(chatId, messageId, splitHtml(message)[0], { ...extra, parse_mode: 'HTML' });
+}
+
+async function sendFormattedMessage(ctx, message, extra = {}) {
+  return sendHtml(ctx.api, ctx.chat.id, message, extra);
+}
+
+// Edit the message behind a button; a message too long to fit is sent as a new one
+async function editFormattedMessage(ctx, message, extra = {}) {
+  const parts = splitHtml(message);
+  if (parts.length > 1) return sendFormattedMessage(ctx, message, extra);
+  return ctx.editMessageText(parts[0], { ...extra, parse_mode: 'HTML' });
+}
 
-// Helper: if message is too long for Telegram, send as .txt file instead
-async function sendLongOrFile(ctx, text, filenamePrefix = 'output') {
+// Helper: very long output (full API dumps) is sent as a .txt file instead
+async function sendLongOrFile(ctx, message, filenamePrefix = 'output') {
   const safePrefix = (filenamePrefix || 'output')
     .toString()
     .replace(/[^a-zA-Z0-9_\-]+/g, '_')
     .slice(0, 40);
 
-  // Telegram message limit is 4096 chars. Keep some buffer for Markdown parse.
-  const MAX_LEN = 3800;
-
-  if ((text || '').length <= MAX_LEN) {
-    return sendFormattedMessage(ctx, text);
+  const markup = toHtml(message);
+  if (markup.markup.length <= MAX_MESSAGE_LENGTH) {
+    return sendFormattedMessage(ctx, markup);
   }
 
   const fileName = `${safePrefix}_${Date.now()}.txt`;
-  const buffer = Buffer.from(text, 'utf-8');
+  const buffer = Buffer.from(plainText(markup), 'utf-8');
 
   try {
     await ctx.replyWithDocument(
-      { source: buffer, filename: fileName },
+      new InputFile(buffer, fileName),
       { caption: '📄 Output was too long, so I sent it as a .txt file.' }
     );
   } catch (err) {
-    // Fallback: split into chunks if document upload fails
-    const plain = (text || '').toString();
-    for (let i = 0; i < plain.length; i += 3500) {
-      // eslint-disable-next-line no-await-in-loop
-      await ctx.reply(plain.slice(i, i + 3500));
-    }
+    // Fallback: split into several messages if the upload fails
+    await sendFormattedMessage(ctx, markup);
   }
 }
 
 
-// Helper function for admin notifications
-async function notifyUser(userId, message) {
+// Helper function for user notifications
+async function notifyUser(userId, message, extra = {}) {
   try {
-    await bot.api.sendMessage(userId, message, { parse_mode: 'Markdown' });
+    await sendHtml(bot.api, userId, message, extra);
   } catch (error) {
-    console.error('Failed to notify user:', error);
+    telegramLog.warn('user notification failed', { user: userId, err: error });
   }
 }
 
 // Helper function for admin notifications
 async function notifyAdmin(message, keyboard) {
   try {
-    await bot.api.sendMessage(adminId, message, { 
-      parse_mode: 'Markdown',
-      reply_markup: keyboard
-    });
+    await sendHtml(bot.api, adminId, message, { reply_markup: keyboard });
+  } catch (error) {
+    telegramLog.warn('admin notification failed', error);
+  }
+}
+
+// ===============================
+// COMMAND REGISTRY
+// Each command is declared once (name, aliases, category, cost, access, usage,
+// argument schema) and the registry wires bot.command plus the guards:
+// user lookup -> access check -> argument validation -> credit reservation ->
+// handler -> commit on success, rollback on failure/throw/timeout.
+// ===============================
+const commandRegistry = new Map(); // name/alias -> spec
+
+function insufficientCreditsMessage(ctx, cost) {
+  return ctx.t('error.insufficient_credits', { count: cost });
+}
+
+// Argument types: raw token -> parsed value (undefined = invalid)
+const ARG_TYPES = {
+  string: (v) => v,
+  text: (v) => v,
+  int: (v) => (/^-?\d+$/.test(v) ? parseInt(v, 10) : undefined),
+  digits: (v) => (/^\d+$/.test(v) ? v : undefined),
+  url: (v) => (isHttpUrl(v) ? v : undefined),
+};
+
+// Parse the text after /cmd according to spec.args.
+// A 'text' argument swallows the rest of the line (whitespace preserved).
+function parseCommandArgs(spec, raw) {
+  const schema = spec.args || [];
+  const tokens = [];
+  const re = /\S+/g;
+  let m;
+  while ((m = re.exec(raw)) !== null) tokens.push({ value: m[0], index: m.index });
+
+  const args = {};
+  let pos = 0;
+  for (const arg of schema) {
+    let value;
+    if (arg.type === 'text') {
+      value = pos < tokens.length ? raw.slice(tokens[pos].index).trim() : '';
+      pos = tokens.length;
+    } else {
+      value = pos < tokens.length ? tokens[pos++].value : '';
+    }
+
+    if (!value) {
+      if (arg.required) return { error: 'missing', arg };
+      if (arg.default !== undefined) args[arg.name] = arg.default;
+      continue;
+    }
+
+    const parsed = (ARG_TYPES[arg.type || 'string'] || ARG_TYPES.string)(value);
+    if (parsed === undefined || (arg.pattern && !arg.pattern.test(value))) return { error: 'invalid', arg };
+    args[arg.name] = parsed;
+  }
+  return { args };
+}
+
+function commandUsageText(ctx, spec) {
+  const lines = [html`${spec.icon || '❌'} ${ctx.t('error.usage', { usage: spec.usage || `/${spec.name}` })}`];
+  const examples = spec.examples || [];
+  if (examples.length) lines.push('', ...examples.map(e => ctx.t('error.example', { example: e })));
+  return join(lines);
+}
+
+function resolveCommandCost(spec, args, user) {
+  const c = typeof spec.cost === 'function' ? spec.cost(args, user) : spec.cost;
+  return Number.isFinite(c) && c > 0 ? c : 0;
+}
+
+/**
+ * Register a command.
+ *
+ * spec = {
+ *   name, aliases?, category?, icon?, usage?, examples?,
+ *   access?: 'approved' (default) | 'admin' | 'public',
+ *   cost?: number | (args, user) => number   (default 1; 0 for admin/public),
+ *   args?: [{ name, type?: 'string'|'text'|'int'|'digits'|'url', required?, default?, pattern?, label? }],
+ *   validate?: (args, ctx) => message|null    (error message, nothing charged),
+ *   errorMessage?: message                    (reply when the handler throws),
+ *   timeoutMs?: number                        (abort the handler when it runs longer),
+ *   countQuery?: boolean                      (count free runs in totalQueries),
+ *   handler: (ctx, { user, args, cost, signal }) => true | false | message
+ * }
+ *
+ * The handler returns true on success (reservation committed), a failure
+ * message (sent by the registry, reservation rolled back) or false when it
+ * already replied (reservation rolled back). A message is a string or format.js
+ * markup.
+ */
+function defineCommand(spec) {
+  const access = spec.access || 'approved';
+  const normalized = {
+    ...spec,
+    access,
+    aliases: spec.aliases || [],
+    category: spec.category || 'general',
+    cost: spec.cost !== undefined ? spec.cost : (access === 'approved' ? 1 : 0),
+  };
+
+  for (const n of [normalized.name, ...normalized.aliases]) {
+    if (commandRegistry.has(n)) throw new Error(`Command /${n} is already registered`);
+    commandRegistry.set(n, normalized);
+  }
+
+  bot.command([normalized.name, ...normalized.aliases], (ctx) => runRegisteredCommand(normalized, ctx));
+  return normalized;
+}
+
+async function runRegisteredCommand(spec, ctx) {
+  const caller = String(ctx.from?.id || '');
+
+  if (spec.access === 'admin' && (!caller || !isAdmin(caller))) {
+    return sendFormattedMessage(ctx, ctx.t('error.admin_only'));
+  }
+
+  const user = getOrCreateUser(ctx);
+  if (!user) return;
+  if (spec.access === 'approved' && !user.isApproved) {
+    return sendFormattedMessage(ctx, ctx.t('error.need_approval'));
+  }
+
+  // Validate arguments BEFORE charging anything
+  const parsed = parseCommandArgs(spec, getCommandArgs(ctx));
+  if (parsed.error) {
+    const label = parsed.arg.label || parsed.arg.name;
+    const prefix = parsed.error === 'invalid' ? html`${ctx.t('error.invalid_arg', { label })}\n\n` : '';
+    return sendFormattedMessage(ctx, html`${prefix}${commandUsageText(ctx, spec)}`);
+  }
+  const args = parsed.args;
+
+  if (typeof spec.validate === 'function') {
+    const problem = await spec.validate(args, ctx);
+    if (problem) return sendFormattedMessage(ctx, problem);
+  }
+
+  const cost = resolveCommandCost(spec, args, user);
+  const tx = reserveCredits(user, cost, spec.name);
+  if (!tx) return sendFormattedMessage(ctx, insufficientCreditsMessage(ctx, cost));
+
+  const controller = new AbortController();
+  const running = Promise.resolve().then(() => spec.handler(ctx, { user, args, cost, signal: controller.signal }));
+  try {
+    const result = await withCreditTimeout(running, spec.timeoutMs || CREDIT_TX_TIMEOUT_MS, controller);
+    if (result === true) {
+      commitCredits(user, tx);
+      if (cost > 0 || spec.countQuery) {
+        user.totalQueries = (user.totalQueries || 0) + 1;
+        touchUser(user);
+      }
+      return;
+    }
+    const note = creditRefundNote(ctx, rollbackCredits(user, tx));
+    if ((typeof result === 'string' && result) || isHtml(result)) await sendFormattedMessage(ctx, html`${result}${note}`);
   } catch (error) {
-    console.error('Failed to notify admin:', error);
+    if (error?._creditTimeout) {
+      // The handler was aborted; the credits stay held until it has stopped
+      commandLog.warn('command timed out', { name: spec.name, err: error });
+      settleCreditsLate(ctx, user, tx, running);
+      return sendFormattedMessage(ctx, ctx.t('error.timeout'));
+    }
+    const note = creditRefundNote(ctx, rollbackCredits(user, tx));
+    commandLog.error('command failed', { name: spec.name, err: error });
+    await sendFormattedMessage(ctx, html`${spec.errorMessage || ctx.t('error.generic')}${note}`);
   }
 }
 
@@ -1988,7 +3482,7 @@ async function resolveUserId(identifier) {
 
 bot.command('ban', async (ctx) => {
   const caller = String(ctx.from?.id || '');
-  if (!caller || !isAdmin(caller)) return ctx.reply('❌ Only admins can use this command.');
+  if (!caller || !isAdmin(caller)) return sendFormattedMessage(ctx, '❌ Only admins can use this command.');
 
 const args = String(getCommandArgs(ctx) || '').trim();
 const replyTarget = ctx.message?.reply_to_message?.from?.id ? String(ctx.message.reply_to_message.from.id) : null;
@@ -1997,7 +3491,7 @@ let targetId = null;
 let reason = '';
 
 if (!args) {
-  if (!replyTarget) return ctx.reply('❌ Usage: /ban <userId|@username> [reason]\n(or reply to a user message and use /ban [reason])');
+  if (!replyTarget) return sendFormattedMessage(ctx, '❌ Usage: /ban <userId|@username> [reason]\n(or reply to a user message and use /ban [reason])');
   targetId = replyTarget;
 } else {
   const parts = args.split(/\s+/).filter(Boolean);
@@ -2014,12 +3508,12 @@ if (!args) {
     reason = parts.slice(1).join(' ').trim();
     targetId = await resolveUserId(targetRaw);
     if (!targetId) {
-      return ctx.reply('❌ Could not resolve that user.\n✅ Try one of these:\n• Reply to the user’s message and send /ban [reason]\n• Use numeric ID\n• Use @username (works if the user has started the bot)');
+      return sendFormattedMessage(ctx, '❌ Could not resolve that user.\n✅ Try one of these:\n• Reply to the user’s message and send /ban [reason]\n• Use numeric ID\n• Use @username (works if the user has started the bot)');
     }
   }
 }
 
-if (isAdmin(targetId)) return ctx.reply('❌ You cannot ban an admin.');
+if (isAdmin(targetId)) return sendFormattedMessage(ctx, '❌ You cannot ban an admin.');
   const at = new Date().toISOString();
   bannedUsers.set(String(targetId), { by: caller, at, reason });
 
@@ -2027,27 +3521,27 @@ if (isAdmin(targetId)) return ctx.reply('❌ You cannot ban an admin.');
 
   // notify target (best-effort)
   try {
-    await bot.api.sendMessage(targetId, `⛔ You have been banned from using this bot.${reason ? `\\n\\n📝 Reason: ${reason}` : ''}`);
+    await sendHtml(bot.api, targetId, `⛔ You have been banned from using this bot.${reason ? `\n\n📝 Reason: ${reason}` : ''}`);
   } catch (_) {}
 
-  return ctx.reply(`✅ Banned: ${targetId}${reason ? `\\n📝 Reason: ${reason}` : ''}`);
+  return sendFormattedMessage(ctx, `✅ Banned: ${targetId}${reason ? `\n📝 Reason: ${reason}` : ''}`);
 });
 
 bot.command('unban', async (ctx) => {
   const caller = String(ctx.from?.id || '');
-  if (!caller || !isAdmin(caller)) return ctx.reply('❌ Only admins can use this command.');
+  if (!caller || !isAdmin(caller)) return sendFormattedMessage(ctx, '❌ Only admins can use this command.');
 
 const args = String(getCommandArgs(ctx) || '').trim();
 const replyTarget = ctx.message?.reply_to_message?.from?.id ? String(ctx.message.reply_to_message.from.id) : null;
 
 let targetId = null;
 if (!args) {
-  if (!replyTarget) return ctx.reply('❌ Usage: /unban <userId|@username>\n(or reply to a user message and use /unban)');
+  if (!replyTarget) return sendFormattedMessage(ctx, '❌ Usage: /unban <userId|@username>\n(or reply to a user message and use /unban)');
   targetId = replyTarget;
 } else {
   targetId = await resolveUserId(args.split(/\s+/)[0]);
   if (!targetId) {
-    return ctx.reply('❌ Could not resolve that user.\n✅ Try replying to the user’s message and sending /unban, or use numeric ID / @username.');
+    return sendFormattedMessage(ctx, '❌ Could not resolve that user.\n✅ Try replying to the user’s message and sending /unban, or use numeric ID / @username.');
   }
 }
 
@@ -2055,42 +3549,43 @@ if (!args) {
   const existed = bannedUsers.delete(String(targetId));
 
   await adminAudit('unban', ctx, `target=${targetId}`);
-  if (!existed) return ctx.reply('ℹ️ That user was not banned.');
+  if (!existed) return sendFormattedMessage(ctx, 'ℹ️ That user was not banned.');
 
   // notify target (best-effort)
-  try { await bot.api.sendMessage(targetId, '✅ You have been unbanned. You can use the bot again.'); } catch (_) {}
+  try { await sendHtml(bot.api, targetId, '✅ You have been unbanned. You can use the bot again.'); } catch (_) {}
 
-  return ctx.reply(`✅ Unbanned: ${targetId}`);
+  return sendFormattedMessage(ctx, `✅ Unbanned: ${targetId}`);
 });
 
 bot.command('autoregister', async (ctx) => {
   const caller = String(ctx.from?.id || '');
-  if (!caller || !isAdmin(caller)) return ctx.reply('❌ Only admins can use this command.');
+  if (!caller || !isAdmin(caller)) return sendFormattedMessage(ctx, '❌ Only admins can use this command.');
 
   const arg = (ctx.match || '').toString().trim().toLowerCase();
   if (!arg) {
-    return ctx.reply(`⚙️ Auto-register is currently: *${autoRegisterEnabled ? 'ON' : 'OFF'}*\\n\\nUsage: /autoregister on | off`, { parse_mode: 'Markdown' });
+    return sendFormattedMessage(ctx, html`⚙️ Auto-register is currently: ${bold(autoRegisterEnabled ? 'ON' : 'OFF')}\n\nUsage: /autoregister on | off`);
   }
 
   if (isTruthyOn(arg)) autoRegisterEnabled = true;
   else if (isTruthyOff(arg)) autoRegisterEnabled = false;
-  else return ctx.reply('❌ Usage: /autoregister on | off');
+  else return sendFormattedMessage(ctx, '❌ Usage: /autoregister on | off');
+  touchMeta();
 
-  return ctx.reply(`✅ Auto-register is now: *${autoRegisterEnabled ? 'ON' : 'OFF'}*`, { parse_mode: 'Markdown' });
+  return sendFormattedMessage(ctx, html`✅ Auto-register is now: ${bold(autoRegisterEnabled ? 'ON' : 'OFF')}`);
 });bot.command('adminaudit', async (ctx) => {
   const caller = String(ctx.from?.id || '');
-  if (!caller || !isAdmin(caller)) return ctx.reply('❌ Only admins can use this command.');
+  if (!caller || !isAdmin(caller)) return sendFormattedMessage(ctx, '❌ Only admins can use this command.');
 
   const args = String(getCommandArgs(ctx) || '').trim();
   const n = Math.max(1, Math.min(200, parseInt(args || '30', 10) || 30));
 
   const list = Array.isArray(global.__adminAudit) ? global.__adminAudit.slice(-n) : [];
-  if (!list.length) return ctx.reply('ℹ️ No audit entries yet.');
+  if (!list.length) return sendFormattedMessage(ctx, 'ℹ️ No audit entries yet.');
 
   const fmt = (iso) => {
     try {
       return new Intl.DateTimeFormat('en-IN', {
-        timeZone: 'Asia/Kolkata',
+        timeZone: config.timezone,
         year: 'numeric', month: '2-digit', day: '2-digit',
         hour: '2-digit', minute: '2-digit', second: '2-digit',
         hour12: true
@@ -2107,24 +3602,21 @@ bot.command('autoregister', async (ctx) => {
     lines.push(`[${fmt(e.ts)}] ${e.action} | by=${e.by} | chat=${e.chat}${e.details ? ` | ${e.details}` : ''}`);
   }
 
-  const out = lines.join('\n');
-  // Telegram message limit safety
-  const chunk = out.length > 3800 ? out.slice(-3800) : out;
-  return ctx.reply(`<pre>${escapeHtml(chunk)}</pre>`, { parse_mode: 'HTML' });
+  return sendFormattedMessage(ctx, pre(lines.join('\n')));
 });
 
 
 bot.command('approveall', async (ctx) => {
   const caller = String(ctx.from?.id || '');
-  if (!caller || !isAdmin(caller)) return ctx.reply('❌ Only admins can use this command.');
+  if (!caller || !isAdmin(caller)) return sendFormattedMessage(ctx, '❌ Only admins can use this command.');
 
   if (autoRegisterEnabled) {
-    return ctx.reply('ℹ️ Auto-register is ON. Turn it OFF to use /approveall.', { disable_web_page_preview: true });
+    return sendFormattedMessage(ctx, 'ℹ️ Auto-register is ON. Turn it OFF to use /approveall.', { disable_web_page_preview: true });
   }
 
   const pending = Array.from(registrationRequests.values());
   if (!pending.length) {
-    return ctx.reply('✅ No pending registrations.', { disable_web_page_preview: true });
+    return sendFormattedMessage(ctx, '✅ No pending registrations.', { disable_web_page_preview: true });
   }
 
   let approved = 0;
@@ -2148,7 +3640,7 @@ bot.command('approveall', async (ctx) => {
     };
 
     user.isApproved = true;
-    if (!user.credits || user.credits < 25) user.credits = 25;
+    if (!user.credits || user.credits < 25) setUserCredits(user, 25, { reason: 'approval_bonus', actor: caller });
     users.set(targetId, user);
     registeredUsers.add(targetId);
     verifiedUsers.add(targetId);
@@ -2156,13 +3648,13 @@ bot.command('approveall', async (ctx) => {
 
     // Notify user
     try {
-      await bot.api.sendMessage(targetId, '✅ Your registration has been approved! Use /start to open the menu.');
+      await sendHtml(bot.api, targetId, '✅ Your registration has been approved! Use /start to open the menu.');
     } catch (_) {}
 
     approved++;
   }
 
-  return ctx.reply(`✅ Approved ${approved} users.`, { disable_web_page_preview: true });
+  return sendFormattedMessage(ctx, `✅ Approved ${approved} users.`, { disable_web_page_preview: true });
 });
 
 // ===============================
@@ -2191,12 +3683,13 @@ bot.use(async (ctx, next) => {
   
   // If user is not verified, block access
   if (!verifiedUsers.has(ctx.from?.id.toString())) {
-    return ctx.reply(
-      '🔒 You must join our channel to use this bot.',
+    return sendFormattedMessage(
+      ctx,
+      ctx.t('lock.join'),
       {
         reply_markup: new InlineKeyboard()
-          .url('📢 Join Channel', CHANNEL_URL)
-          .text('✅ Verify', `verify_${ctx.from.id}`)
+          .url(ctx.label('lock.button.join'), CHANNEL_URL)
+          .text(ctx.label('lock.button.verify'), `verify_${ctx.from.id}`)
       }
     );
   }
@@ -2206,12 +3699,13 @@ bot.use(async (ctx, next) => {
   if (!stillJoined) {
     verifiedUsers.delete(ctx.from.id.toString());
     
-    return ctx.reply(
-      '❌ You left the channel.\n\nJoin again to continue.',
+    return sendFormattedMessage(
+      ctx,
+      ctx.t('lock.left'),
       {
         reply_markup: new InlineKeyboard()
-          .url('📢 Join Channel', CHANNEL_URL)
-          .text('✅ Verify Again', `verify_${ctx.from.id}`)
+          .url(ctx.label('lock.button.join'), CHANNEL_URL)
+          .text(ctx.label('lock.button.verify_again'), `verify_${ctx.from.id}`)
       }
     );
   }
@@ -2229,62 +3723,135 @@ bot.use((ctx, next) => {
   
   // If in maintenance mode, send maintenance message
   if (maintenanceMode) {
-    return ctx.reply(maintenanceMessage);
+    return sendFormattedMessage(ctx, maintenanceMessage);
   }
   
   // Otherwise, continue to next middleware
   return next();
 });
 
+// ===============================
+// RATE LIMITING (token buckets, see ratelimit.js)
+// Each user has a bucket per limited command plus the "*" bucket shared by
+// all of their commands. Premium users get the premium table; admins are
+// never limited. RATE_LIMITS / RATE_LIMITS_PREMIUM override single entries
+// ("name=off" removes one).
+// ===============================
+const RATE_LIMIT_HEAVY_COMMANDS = ['dl', 'terabox', 'snap', 'insta', 'pin', 'fb', 'igdl', 'pindl', 'twtdl', 'spotify', 'img', 'yt', 'ai'];
+// Buttons that start the same work as a command count against that command
+const RATE_LIMIT_CALLBACK_COMMANDS = { imgopt: 'img', ytq: 'yt' };
+const perMinute = (limit) => ({ limit, windowMs: 60 * 1000 });
+const RATE_LIMIT_RULES = {
+  standard: {
+    '*': perMinute(30),
+    ...Object.fromEntries(RATE_LIMIT_HEAVY_COMMANDS.map(c => [c, perMinute(5)])),
+    ...config.rateLimits
+  },
+  premium: {
+    '*': perMinute(60),
+    ...Object.fromEntries(RATE_LIMIT_HEAVY_COMMANDS.map(c => [c, perMinute(15)])),
+    ...config.rateLimitsPremium
+  }
+};
+
+defineMetric('bot_throttled_total', 'counter', 'Commands rejected by the rate limiter, by command and tier');
+
+const rateLimiter = createRateLimiter();
+const throttleNotices = new Map(); // `${userId}|${rule}` -> time until which we stay quiet
+const throttleStats = { since: new Date(), total: 0, byCommand: new Map(), byUser: new Map() };
+
+setInterval(() => {
+  rateLimiter.sweep();
+  const now = Date.now();
+  for (const [key, until] of throttleNotices) if (until <= now) throttleNotices.delete(key);
+}, 5 * 60 * 1000).unref();
+
+// Canonical command name (aliases resolved) for a command message or a mapped button
+function rateLimitTarget(ctx) {
+  const cmd = (ctx.message?.text || '').match(/^\/([A-Za-z0-9_]{1,32})(?:@\w+)?(?:\s|$)/);
+  if (cmd) {
+    const name = cmd[1].toLowerCase();
+    return commandRegistry.get(name)?.name || name;
+  }
+  const prefix = ctx.callbackQuery?.data?.match(/^([a-z]+)_/)?.[1];
+  return (prefix && RATE_LIMIT_CALLBACK_COMMANDS[prefix]) || null;
+}
+
+function recordThrottle(userId, command, tier) {
+  throttleStats.total += 1;
+  throttleStats.byCommand.set(command, (throttleStats.byCommand.get(command) || 0) + 1);
+  throttleStats.byUser.set(userId, (throttleStats.byUser.get(userId) || 0) + 1);
+  incCounter('bot_throttled_total', { command, tier });
+}
+
+bot.use(async (ctx, next) => {
+  const userId = String(ctx.from?.id || '');
+  if (!config.rateLimitEnabled || !userId || isAdmin(userId)) return next();
+
+  const command = rateLimitTarget(ctx);
+  if (!command) return next();
+
+  const tier = users.get(userId)?.isPremium ? 'premium' : 'standard';
+  const table = RATE_LIMIT_RULES[tier];
+  const rules = ['*', command].filter(name => table[name]).map(name => ({ name, ...table[name] }));
+  if (!rules.length) return next();
+
+  const verdict = rateLimiter.check(userId, rules);
+  if (verdict.allowed) return next();
+
+  recordThrottle(userId, command, tier);
+  const seconds = Math.max(1, Math.ceil(verdict.retryInMs / 1000));
+  const what = verdict.rule.name === '*' ? ctx.label('error.throttled_any') : `/${command}`;
+  const text = ctx.t('error.throttled', { what, seconds });
+
+  if (ctx.callbackQuery) {
+    try { await ctx.answerCallbackQuery({ text: plainText(text) }); } catch (_) {}
+    return;
+  }
+  // One reply per throttled streak, further attempts are dropped silently
+  const noticeKey = `${userId}|${verdict.rule.name}`;
+  if ((throttleNotices.get(noticeKey) || 0) > Date.now()) return;
+  throttleNotices.set(noticeKey, Date.now() + verdict.retryInMs);
+  try { await sendFormattedMessage(ctx, text); } catch (_) {}
+});
+
 // ===============================
 // START + MENU (CATEGORIZED CALLBACK BUTTONS)
 // ===============================
 
-function mainMenuKeyboard(userId) {
+function mainMenuKeyboard(ctx) {
   const kb = new InlineKeyboard()
-    .text("🔍 OSINT", "menu_osint").text("📥 Downloaders", "menu_dl").row()
-    .text("🇮🇳 India", "menu_india").text("🏦 Banking", "menu_bank").row()
-    .text("ℹ️ Help", "menu_help");
+    .text(ctx.label('menu.button.osint'), "menu_osint").text(ctx.label('menu.button.downloaders'), "menu_dl").row()
+    .text(ctx.label('menu.button.india'), "menu_india").text(ctx.label('menu.button.banking'), "menu_bank").row()
+    .text(ctx.label('menu.button.help'), "menu_help").text(ctx.label('menu.button.language'), "menu_lang");
 
   // Admin panel button (only for admins)
   try {
-    if (isAdmin(String(userId))) {
-      kb.row().text("🛡️ Admin Panel", "menu_admin");
+    if (isAdmin(String(ctx.from?.id))) {
+      kb.row().text(ctx.label('menu.button.admin'), "menu_admin");
     }
   } catch (_) {}
 
   return kb;
 }
 
-function backToMenuKeyboard() {
-  return new InlineKeyboard().text("⬅️ Back", "menu_home");
+function backToMenuKeyboard(ctx) {
+  return new InlineKeyboard().text(ctx.label('menu.button.back'), "menu_home");
 }
 
-async function safeEditOrReply(ctx, text, keyboard) {
+async function safeEditOrReply(ctx, message, keyboard) {
   // Always acknowledge callback to avoid Telegram "loading..."
   try { await ctx.answerCallbackQuery(); } catch (_) {}
 
-  // Try edit first (works for buttons)
-  try {
-    if (ctx.callbackQuery?.message) {
-      return await ctx.editMessageText(text, { parse_mode: "Markdown", reply_markup: keyboard });
+  // Edit the message behind the button, or send a new one
+  if (ctx.callbackQuery?.message) {
+    try {
+      return await editFormattedMessage(ctx, message, { reply_markup: keyboard });
+    } catch (e) {
+      if (/message is not modified/i.test(e?.description || '')) return null;
     }
-  } catch (e) {
-    // Common: "message is not modified" or can't edit. We'll fall back to reply.
-  }
-
-  // Fallback: send a new message
-  try {
-    return await ctx.reply(text, { parse_mode: "Markdown", reply_markup: keyboard });
-  } catch (error) {
-    // Last fallback: plain text
-    const plainText = text
-      .replace(/\*\*(.*?)\*\*/g, '$1')
-      .replace(/\*(.*?)\*/g, '$1')
-      .replace(/`(.*?)`/g, '$1')
-      .replace(/```(.*?)```/gs, '$1');
-    return await ctx.reply(plainText, { reply_markup: keyboard });
   }
+  return sendFormattedMessage(ctx, message, { reply_markup: keyboard });
 }
 
 
@@ -2299,53 +3866,44 @@ async function sendApprovedWelcome(ctx, user) {
   const uname = u.username ? `@${u.username}` : "—";
   const lang = u.language_code || "—";
 
-  const msg =
-`✨ *Welcome, ${escapeMd(displayName)}!*
-
-👤 *Your Info*
-• ID: \`${escapeMd(String(u.id))}\`
-• Username: ${escapeMd(uname)}
-• Language: \`${escapeMd(String(lang))}\`
-
-🤖 *Bot Info*
-• Name: *${escapeMd(botName)}*
-• Status: ✅ Online
-• Version: ${BOT_VERSION}
-
-💳 *Credits:* *${user.credits}* 🪙
-${user.isPremium ? "💎 Premium: ✅" : "💎 Premium: 🔒"}
-
-✨ Try: /imggen <prompt> (AI Image)
-
-Choose a category:`;
+  const msg = ctx.t('start.welcome', {
+    name: displayName,
+    id: u.id,
+    username: uname,
+    language: lang,
+    bot: botName,
+    version: BOT_VERSION,
+    credits: user.credits,
+    premium: ctx.t(user.isPremium ? 'menu.premium_on' : 'menu.premium_off')
+  });
 
-  return ctx.reply(msg, { parse_mode: "Markdown", reply_markup: mainMenuKeyboard(ctx.from.id) });
+  return sendFormattedMessage(ctx, msg, { reply_markup: mainMenuKeyboard(ctx) });
 }
 
 // Admin-only setversion command
 bot.command('setversion', async (ctx) => {
   const caller = String(ctx.from?.id || '');
-  if (!caller || !isAdmin(caller)) return ctx.reply('❌ Only admins can use this command.');
+  if (!caller || !isAdmin(caller)) return sendFormattedMessage(ctx, '❌ Only admins can use this command.');
 
   const v = String(getCommandArgs(ctx) || '').trim();
-  if (!v) return ctx.reply('Usage: /setversion v10');
+  if (!v) return sendFormattedMessage(ctx, 'Usage: /setversion v10');
 
   const oldV = BOT_VERSION;
   BOT_VERSION = v;
   _saveBotMeta();
 
-  return ctx.reply(`✅ Version updated\nOld: ${oldV}\nNew: ${BOT_VERSION}`);
+  return sendFormattedMessage(ctx, `✅ Version updated\nOld: ${oldV}\nNew: ${BOT_VERSION}`);
 });
 
 // Admin-only togglefooter command (controls version footer spam)
 bot.command('togglefooter', async (ctx) => {
   const caller = String(ctx.from?.id || '');
-  if (!caller || !isAdmin(caller)) return ctx.reply('❌ Only admins can use this command.');
+  if (!caller || !isAdmin(caller)) return sendFormattedMessage(ctx, '❌ Only admins can use this command.');
 
   FOOTER_ENABLED = !FOOTER_ENABLED;
   _saveBotMeta();
 
-  return ctx.reply(`🧩 Version footer is now: ${FOOTER_ENABLED ? 'ON' : 'OFF'}`);
+  return sendFormattedMessage(ctx, `🧩 Version footer is now: ${FOOTER_ENABLED ? 'ON' : 'OFF'}`);
 });
 
 bot.command('start', async (ctx) => {
@@ -2364,21 +3922,17 @@ bot.command('start', async (ctx) => {
 
   // Not approved -> short welcome + verify UI
   if (!user.isApproved) {
-    const msg =
-`👋 *Welcome, ${escapeMd(displayName)}!*
-
-🤖 *${escapeMd(botName)}* ${botUser ? `(${escapeMd(botUser)})` : ""}
-
-To use the bot:
-1) Join our updates channel
-2) Tap *Verify Membership*
-3) Run /register`;
+    const msg = ctx.t('start.welcome_new', {
+      name: displayName,
+      bot: botName,
+      botUser: botUser ? `(${botUser})` : ''
+    });
 
     const keyboard = new InlineKeyboard()
-      .url("📢 Join Updates Channel", CHANNEL_URL).row()
-      .text("✅ Verify Membership", `verify_${ctx.from.id}`);
+      .url(ctx.label('start.button.join'), CHANNEL_URL).row()
+      .text(ctx.label('start.button.verify'), `verify_${ctx.from.id}`);
 
-    return ctx.reply(msg, { parse_mode: "Markdown", reply_markup: keyboard });
+    return sendFormattedMessage(ctx, msg, { reply_markup: keyboard });
   }
 
   return sendApprovedWelcome(ctx, user);
@@ -2390,120 +3944,91 @@ bot.callbackQuery("menu_home", async (ctx) => {
   const u = ctx.from || {};
   const name = [u.first_name, u.last_name].filter(Boolean).join(" ") || "User";
 
-  const msg =
-`🏠 *Main Menu*
-
-👋 Hi, *${escapeMd(name)}*
-💳 Credits: *${user.credits}* 🪙
-${user.isPremium ? "💎 Premium: ✅" : "💎 Premium: 🔒"}
-
-Pick a category:`;
-  return safeEditOrReply(ctx, msg, mainMenuKeyboard(ctx.from.id));
+  const msg = ctx.t('menu.home', {
+    name,
+    credits: user.credits,
+    premium: ctx.t(user.isPremium ? 'menu.premium_on' : 'menu.premium_off')
+  });
+  return safeEditOrReply(ctx, msg, mainMenuKeyboard(ctx));
 });
 
 // Menu: OSINT
 bot.callbackQuery("menu_osint", async (ctx) => {
-  const msg = `🔍 *OSINT Tools*
-
-• /ip <address> — IP intelligence
-• /email <email> — Email validation
-• /num <number> — Phone number lookup
-• /basicnum <number> — Basic number info
-• /paknum <number> — Pakistani govt lookup
-• /pak <query> — Pakistan lookup (rehu)
-• /ig <username> — Instagram profile intelligence
-• /igreels <username> — Instagram reels/posts fetch
-• /pan <pan> — PAN lookup (India)
-• /tginfo <id> — Telegram ID info fetch
-• /bin <number> — BIN lookup
-• /deepbin <bin> — Deep BIN info (stormx)
-• /tempmail — TempMail generator
-• /vehicle <number> — Vehicle details
-• /rc <number> — Vehicle RC (advanced)
-• /ff <uid> — Free Fire stats`;
-  return safeEditOrReply(ctx, msg, backToMenuKeyboard());
+  return safeEditOrReply(ctx, ctx.t('menu.osint'), backToMenuKeyboard(ctx));
 });
 
 // Menu: Downloaders
 bot.callbackQuery("menu_dl", async (ctx) => {
-    const msg = `📥 *Downloaders & Media*
-
-• /dl <url> — Universal downloader
-• /snap <url> — Snapchat downloader
-• /insta <url> — Instagram downloader
-• /pin <url> — Pinterest downloader
-• /fb <url> — Facebook downloader
-• /terabox <url> — TeraBox downloader (auto-retry)
-• /igdl <url> — Instagram images (posts)
-• /pindl <url> — Pinterest images
-• /twtdl <url> — Twitter/X images
-• /ai <text> — AI chat (GPT-5)
-• /spotify <url> — Spotify track download
-• /spsearch <query> — Spotify search
-• /yt <url> — YouTube downloader
-• /imggen <prompt> — Image generator (Improve/Wide/Random)
-• /help — Help / commands
-`;
-  return safeEditOrReply(ctx, msg, backToMenuKeyboard());
+  return safeEditOrReply(ctx, ctx.t('menu.downloaders'), backToMenuKeyboard(ctx));
 });
 
 // Menu: India
 bot.callbackQuery("menu_india", async (ctx) => {
-  const msg = `🇮🇳 *India Tools*
-
-• /pincode <pincode> — Pincode lookup
-• /postoffice <name> — Post Office search`;
-  return safeEditOrReply(ctx, msg, backToMenuKeyboard());
+  return safeEditOrReply(ctx, ctx.t('menu.india'), backToMenuKeyboard(ctx));
 });
 
 // Menu: Banking
 bot.callbackQuery("menu_bank", async (ctx) => {
-  const msg = `🏦 *Banking*
-
-• /ifsc <ifsc> — IFSC bank details (text output)`;
-  return safeEditOrReply(ctx, msg, backToMenuKeyboard());
+  return safeEditOrReply(ctx, ctx.t('menu.banking'), backToMenuKeyboard(ctx));
 });
 
 
 // Menu: Help
 bot.callbackQuery("menu_help", async (ctx) => {
-    const msg = `ℹ️ *Help*
-
-• Use /start to open the menu anytime
-• If buttons freeze, tap again (Telegram bug)
-• If you get "join channel" lock, join and press Verify
+  return safeEditOrReply(ctx, ctx.t('menu.help'), backToMenuKeyboard(ctx));
+});
 
-⚠️ *Educational purpose only*
+// Language picker: /language, /language <code|auto>, or the menu button
+function languageKeyboard(ctx) {
+  const kb = new InlineKeyboard();
+  i18n.languages().forEach(({ code, name }, i) => {
+    if (i && i % 2 === 0) kb.row();
+    kb.text(code === ctx.locale ? `• ${name}` : name, `lang_${code}`);
+  });
+  return kb.row().text(ctx.label('language.auto'), 'lang_auto');
+}
 
-📥 *Commands*
-• /help — This help
-• /credits — Check your balance
-• /register — Register your account
+function setUserLanguage(ctx, code) {
+  const user = getOrCreateUser(ctx);
+  user.language = code || null;
+  touchUser(user);
+  ctx.locale = userLocale(user, ctx.from?.language_code);
+  const name = languageName(ctx.locale);
+  return ctx.t(code ? 'language.set' : 'language.set_auto', { name });
+}
 
-🎧 *Spotify*
-• /spotify <url> — Download track (audio)
-• /spsearch <query> — Search tracks (shows track + preview)
+bot.command('language', async (ctx) => {
+  const arg = String(getCommandArgs(ctx) || '').trim().toLowerCase();
+  if (!arg) {
+    return sendFormattedMessage(ctx, ctx.t('language.prompt', { name: languageName(ctx.locale) }), { reply_markup: languageKeyboard(ctx) });
+  }
+  if (arg !== 'auto' && !i18n.has(arg)) {
+    const list = i18n.languages().map(l => `${l.code} (${l.name})`).join(', ');
+    return sendFormattedMessage(ctx, ctx.t('language.unknown', { list }));
+  }
+  return sendFormattedMessage(ctx, setUserLanguage(ctx, arg === 'auto' ? null : arg));
+});
 
-🤖 *AI*
-• /ai <text>
+bot.callbackQuery("menu_lang", async (ctx) => {
+  return safeEditOrReply(ctx, ctx.t('language.prompt', { name: languageName(ctx.locale) }), languageKeyboard(ctx));
+});
 
-📥 *Downloaders*
-• /yt <url>
-• /imggen <prompt>
-• /dl <url>
-`;
-  return safeEditOrReply(ctx, msg, backToMenuKeyboard());
+bot.callbackQuery(/^lang_(\w+)$/, async (ctx) => {
+  const code = ctx.match[1];
+  if (code !== 'auto' && !i18n.has(code)) {
+    return ctx.answerCallbackQuery({ text: ctx.label('language.unknown', { list: i18n.languages().map(l => l.code).join(', ') }) });
+  }
+  return safeEditOrReply(ctx, setUserLanguage(ctx, code === 'auto' ? null : code), backToMenuKeyboard(ctx));
 });
 
 // Menu: Admin Panel (Elite)
 bot.callbackQuery("menu_admin", async (ctx) => {
   const caller = String(ctx.from?.id || '');
   if (!caller || !isAdmin(caller)) {
-    return safeEditOrReply(ctx, "❌ Admins only.", backToMenuKeyboard());
+    return safeEditOrReply(ctx, ctx.t('menu.admin_only'), backToMenuKeyboard(ctx));
   }
 
-  const msg =
-`🛡️ <b>Admin Elite Panel</b>
+  const msg = html`🛡️ <b>Admin Elite Panel</b>
 
 <b>Security</b>
 • ban &lt;id|@user&gt; — Ban user
@@ -2518,10 +4043,7 @@ bot.callbackQuery("menu_admin", async (ctx) => {
 
 Tip: Use numeric user IDs for best results.`;
 
-  try { await ctx.answerCallbackQuery(); } catch (_) {}
-  // continue
-  try { if (ctx.callbackQuery?.message) return await ctx.editMessageText(msg, { parse_mode: 'HTML', reply_markup: backToMenuKeyboard(), disable_web_page_preview: true }); } catch (_) {}
-  return ctx.reply(msg, { parse_mode: 'HTML', reply_markup: backToMenuKeyboard(), disable_web_page_preview: true });
+  return safeEditOrReply(ctx, msg, backToMenuKeyboard(ctx));
 });
 
 // Registration command - Fixed to check Telegram API directly
@@ -2530,7 +4052,7 @@ bot.command('register', async (ctx) => {
 
   // 🔍 REAL check (Telegram API)
   if (!(await isUserJoined(userId))) {
-    return ctx.reply('❌ Please join the channel first.');
+    return sendFormattedMessage(ctx, ctx.t('register.join_first'));
   }
 
   // Mark verified automatically
@@ -2539,7 +4061,7 @@ bot.command('register', async (ctx) => {
   // Already registered (approved)
   const existing = users.get(String(userId));
   if (existing?.isApproved) {
-    return ctx.reply('✅ You are already registered.');
+    return sendFormattedMessage(ctx, ctx.t('register.already'));
   }
 
   // If auto-register is OFF -> send approval request to admin
@@ -2550,11 +4072,11 @@ bot.command('register', async (ctx) => {
       username: ctx.from.username || null,
       firstName: ctx.from.first_name || null,
       lastName: ctx.from.last_name || null,
-      at: new Date().toISOString()
+      timestamp: new Date()
     });
 
     const name = ctx.from.username ? `@${ctx.from.username}` : (ctx.from.first_name || String(userId));
-    await ctx.reply('🕵️ Registration request sent for approval.\n\n⏳ Please wait for admin approval.');
+    await sendFormattedMessage(ctx, ctx.t('register.sent'));
 
     // Admin buttons
     const keyboard = new InlineKeyboard()
@@ -2562,13 +4084,12 @@ bot.command('register', async (ctx) => {
       .text('❌ Reject', `reject_${userId}`);
 
     // Send details to admin
-    const details =
-`🆕 *Registration Request*
+    const details = html`🆕 <b>Registration Request</b>
 
-👤 User: ${escapeMd(String(name))}
-🆔 ID: \`${escapeMd(String(userId))}\`
-🌐 Lang: \`${escapeMd(String(ctx.from.language_code || 'N/A'))}\`
-🕒 Time: \`${escapeMd(new Date().toISOString())}\`
+👤 User: ${name}
+🆔 ID: ${code(userId)}
+🌐 Lang: ${code(ctx.from.language_code || 'N/A')}
+🕒 Time: ${code(new Date().toISOString())}
 
 Approve or Reject:`;
 
@@ -2576,7 +4097,7 @@ Approve or Reject:`;
     for (const a of ADMINS) {
       if (!a) continue;
       try {
-        await bot.api.sendMessage(a, details, { parse_mode: 'Markdown', reply_markup: keyboard });
+        await sendHtml(bot.api, a, details, { reply_markup: keyboard });
       } catch (_) {}
     }
 
@@ -2589,9 +4110,10 @@ Approve or Reject:`;
   // Create or update user record
   const user = getOrCreateUser(ctx);
   user.isApproved = true;
-  user.credits = 25; // Give starting credits
+  touchUser(user);
+  setUserCredits(user, 25, { reason: 'approval_bonus', actor: 'system' }); // Give starting credits
 
-  await ctx.reply(
+  await sendFormattedMessage(ctx, 
     '🎉 Registration successful!\n' +
     '✅ Your account is automatically approved.'
   );
@@ -2605,7 +4127,7 @@ Approve or Reject:`;
     : ctx.from.first_name || userId;
 
   ADMINS.forEach(adminId => {
-    bot.api.sendMessage(
+    sendHtml(bot.api, 
       adminId,
       `🆕 New user registered\n` +
       `👤 ${name}\n` +
@@ -2613,7 +4135,7 @@ Approve or Reject:`;
     ).catch(() => {});
   });
 
-  // 📢 Auto-log new registrations to @OsintShitUpdates
+  // 📢 Auto-log new registrations to the updates channel (CHANNEL_ID)
   try {
     const u = getOrCreateUser(ctx);
     const fullNameRaw = [ctx.from.first_name, ctx.from.last_name].filter(Boolean).join(' ').trim();
@@ -2633,24 +4155,21 @@ Approve or Reject:`;
 
     const now = new Date();
 
-    const channelMsg =
-      `🆕 <b>New Registration</b>\n\n` +
-      `👤 <b>Name:</b> ${escapeHtml(fullNameRaw || 'N/A')}\n` +
-      `🔖 <b>Username:</b> ${escapeHtml(usernameRaw)}\n` +
-      `🆔 <b>User ID:</b> <code>${escapeHtml(String(userId))}</code>\n` +
-      `🌐 <b>Language:</b> ${escapeHtml(langRaw)}\n` +
-      `📞 <b>Phone:</b> ${escapeHtml(String(phoneRaw))}\n` +
-      `📝 <b>Bio:</b> ${escapeHtml(String(bioRaw))}\n` +
-      `🪙 <b>Starting Credits:</b> ${escapeHtml(String((u && typeof u.credits !== 'undefined') ? u.credits : 25))}\n` +
-      `✅ <b>Approved:</b> ${escapeHtml(String((u && u.isApproved) ? 'Yes' : 'No'))}\n` +
-      `📅 <b>Registered At:</b> ${escapeHtml(now.toLocaleString())}\n`;
-
-    await bot.api.sendMessage(CHANNEL_ID, channelMsg, {
-      parse_mode: 'HTML',
-      disable_web_page_preview: true
-    });
+    const channelMsg = html`🆕 <b>New Registration</b>
+
+👤 <b>Name:</b> ${fullNameRaw || 'N/A'}
+🔖 <b>Username:</b> ${usernameRaw}
+🆔 <b>User ID:</b> ${code(userId)}
+🌐 <b>Language:</b> ${langRaw}
+📞 <b>Phone:</b> ${phoneRaw}
+📝 <b>Bio:</b> ${bioRaw}
+🪙 <b>Starting Credits:</b> ${(u && typeof u.credits !== 'undefined') ? u.credits : 25}
+✅ <b>Approved:</b> ${(u && u.isApproved) ? 'Yes' : 'No'}
+📅 <b>Registered At:</b> ${now.toLocaleString()}`;
+
+    await sendHtml(bot.api, CHANNEL_ID, channelMsg, { disable_web_page_preview: true });
   } catch (e) {
-    console.error('[REG LOG CHANNEL ERROR]', e);
+    telegramLog.error('registration post to channel failed', e);
   }
 });
 // ===============================
@@ -2682,7 +4201,7 @@ bot.callbackQuery(/^verify_(\d+)$/, async (ctx) => {
   
   if (isMember) {
     verifiedUsers.add(targetUserId);
-    await ctx.editMessageText(`✅ Verification Successful ✅
+    await editFormattedMessage(ctx, `✅ Verification Successful ✅
 
 🎉 You have successfully verified your membership in our channel!
 
@@ -2692,7 +4211,7 @@ bot.callbackQuery(/^verify_(\d+)$/, async (ctx) => {
 
 🚀 Thank you for joining our updates channel!`);
   } else {
-    await ctx.editMessageText(`❌ Verification Failed ❌
+    await editFormattedMessage(ctx, `❌ Verification Failed ❌
 
 📋 You need to join our channel before you can register.
 
@@ -2748,7 +4267,7 @@ bot.callbackQuery(/^(approve|reject)_(\d+)$/, async (ctx) => {
 
   if (action === 'approve') {
     user.isApproved = true;
-    user.credits = 25; // Give starting credits
+    setUserCredits(user, 25, { reason: 'approval_bonus', actor: ctx.from?.id }); // Give starting credits
     users.set(targetUserId, user);
     registrationRequests.delete(targetUserId);
     registeredUsers.add(targetUserId);
@@ -2773,7 +4292,7 @@ bot.callbackQuery(/^(approve|reject)_(\d+)$/, async (ctx) => {
     await ctx.answerCallbackQuery('✅ Registration approved successfully!');
     
     // Update the message
-    await ctx.editMessageText(`✅ Registration Approved ✅
+    await editFormattedMessage(ctx, `✅ Registration Approved ✅
 
 👤 User: @${user.username || 'N/A'} (${targetUserId})
 📅 Processed: ${new Date().toLocaleDateString()}
@@ -2799,7 +4318,7 @@ Processed by: @${ctx.from?.username || 'Admin'}`);
     await ctx.answerCallbackQuery('❌ Registration rejected');
     
     // Update the message
-    await ctx.editMessageText(`❌ Registration Rejected ❌
+    await editFormattedMessage(ctx, `❌ Registration Rejected ❌
 
 👤 User: @${user.username || 'N/A'} (${targetUserId})
 📅 Processed: ${new Date().toLocaleDateString()}
@@ -2809,304 +4328,268 @@ Processed by: @${ctx.from?.username || 'Admin'}`);
   }
 });
 
-// Universal video downloader command
-bot.command('dl', async (ctx) => {
-  const user = getOrCreateUser(ctx);
-  if (!user || !user.isApproved) {
-    return sendFormattedMessage(ctx, '❌ You need approval to use this command.');
-  }
+// ===============================
+// MEDIA JOB QUEUE (see jobs.js)
+// TeraBox, Spotify downloads, image generation and YouTube processing share
+// JOB_CONCURRENCY slots. A job that has to wait gets a status message with its
+// live queue position and a Cancel button (which also stops it once running).
+// ===============================
+const JOB_STATUS_EDIT_INTERVAL_MS = 2000; // Telegram rate-limits message edits
+// Credit hold timeout for commands that may wait in the queue first
+const MEDIA_JOB_TIMEOUT_MS = CREDIT_TX_TIMEOUT_MS + config.jobMaxWaitMs;
+
+defineMetric('bot_jobs_total', 'counter', 'Media jobs by kind and outcome (done, failed, cancelled, expired, timeout, rejected)');
+defineMetric('bot_jobs_running', 'gauge', 'Media jobs running now');
+defineMetric('bot_jobs_queued', 'gauge', 'Media jobs waiting for a slot, by lane');
+defineMetric('bot_job_wait_seconds', 'histogram', 'Time media jobs spent queued before starting', [0, 1, 5, 15, 30, 60, 120, 300, 600]);
+
+const mediaQueue = createJobQueue({
+  concurrency: config.jobConcurrency,
+  perUser: config.jobPerUserConcurrency,
+  maxQueued: config.jobMaxQueued,
+  maxQueuedPerUser: config.jobMaxQueuedPerUser,
+  maxWaitMs: config.jobMaxWaitMs
+});
 
-  if (!deductCredits(user)) {
-    return sendFormattedMessage(ctx, '❌ Insufficient credits!');
-  }
+metricCollectors.push(() => {
+  const st = mediaQueue.stats();
+  setGauge('bot_jobs_running', {}, st.running);
+  setGauge('bot_jobs_queued', { lane: 'premium' }, st.queuedPremium);
+  setGauge('bot_jobs_queued', { lane: 'standard' }, st.queuedStandard);
+});
 
-  const url = ctx.match;
-  if (!url) {
-    return sendFormattedMessage(ctx, '❌ Usage: /dl <video link>');
-  }
+// Job kinds are labelled by the job.label.<kind> message keys
+function mediaJobStatusText(ctx, job) {
+  const label = ctx.t(`job.label.${job.label}`);
+  if (job.state === 'running') return html`${label}\n\n${ctx.t('job.working')}`;
+  const lane = job.premium ? html`\n${ctx.t('job.premium_lane')}` : '';
+  return html`${label}\n\n${ctx.t('job.waiting', { position: job.position })}${lane}\n${ctx.t('job.auto_start')}`;
+}
 
-  const platform = detectPlatform(url);
-  if (platform === 'unknown') {
-    return sendFormattedMessage(ctx, '❌ Unsupported platform. Please use a link from Instagram, Facebook, Snapchat, Pinterest, or TeraBox.');
-  }
+/**
+ * Run `run(job)` in a media queue slot on behalf of ctx.from.
+ * Resolves with run's result, or false once the user has been told the job
+ * was cancelled, expired or refused (the registry then refunds credits).
+ * Check job.signal in `run` to stop early when the user cancels.
+ * options: { statusWhileRunning = true, onSubmit(job), signal }
+ * `signal` (the command's, see defineCommand) cancels the job when it aborts.
+ */
+async function runMediaJob(ctx, kind, run, { statusWhileRunning = true, onSubmit, signal } = {}) {
+  const userId = String(ctx.from?.id || '');
+  const chatId = ctx.chat?.id;
+  const premium = !!users.get(userId)?.isPremium || isAdmin(userId);
+  const view = { messageId: null, sending: null, lastEditAt: 0, timer: null };
+
+  const keyboard = (job) => new InlineKeyboard().text(ctx.label('job.button.cancel'), `jobcancel_${job.id}`);
+
+  // Coalesced edits: only the latest state is shown, at most every 2s
+  const refresh = (job) => {
+    if (!view.sending) {
+      view.sending = sendHtml(ctx.api, chatId, mediaJobStatusText(ctx, job), { reply_markup: keyboard(job) })
+        .then((m) => { view.messageId = m.message_id; view.lastEditAt = Date.now(); })
+        .catch(() => {});
+      return;
+    }
+    if (view.timer) return;
+    view.timer = setTimeout(async () => {
+      view.timer = null;
+      await view.sending;
+      if (!view.messageId || job.finishedAt) return;
+      view.lastEditAt = Date.now();
+      try { await editHtml(ctx.api, chatId, view.messageId, mediaJobStatusText(ctx, job), { reply_markup: keyboard(job) }); } catch (_) {}
+    }, Math.max(0, view.lastEditAt + JOB_STATUS_EDIT_INTERVAL_MS - Date.now()));
+  };
 
-  await sendFormattedMessage(ctx, `⏳ Processing ${platform} video...`);
+  let job;
+  try {
+    job = mediaQueue.submit({
+      userId,
+      premium,
+      label: kind,
+      // Log entries from the job carry its id next to the update's fields
+      run: (j) => als.run({ ...als.getStore(), job: j.id }, () => run(j)),
+      onPosition: refresh,
+      onStart: (j) => {
+        observeHistogram('bot_job_wait_seconds', { kind }, (j.startedAt - j.enqueuedAt) / 1000);
+        if (!view.sending) return; // started right away, nothing to update
+        if (statusWhileRunning) return refresh(j);
+        clearTimeout(view.timer);
+        view.sending.then(() => view.messageId && ctx.api.deleteMessage(chatId, view.messageId)).catch(() => {});
+        view.messageId = null;
+      }
+    });
+  } catch (e) {
+    if (!(e instanceof QueueFullError)) throw e;
+    incCounter('bot_jobs_total', { kind, outcome: 'rejected' });
+    await sendFormattedMessage(ctx, ctx.t(e.scope === 'user' ? 'job.queue_full_user' : 'job.queue_full'));
+    return false;
+  }
+  if (onSubmit) onSubmit(job);
+  const onAbort = () => mediaQueue.cancel(job.id, 'timeout');
+  if (signal?.aborted) onAbort();
+  else signal?.addEventListener('abort', onAbort, { once: true });
 
   try {
-    let success;
-    
-    if (platform === 'terabox') {
-      success = await handleTeraBox(ctx, url);
-    } else {
-      success = await handleSingleVideo(ctx, url, platform);
+    const result = await job.done;
+    incCounter('bot_jobs_total', { kind, outcome: 'done' });
+    return result;
+  } catch (e) {
+    if (!(e instanceof JobCancelledError)) {
+      incCounter('bot_jobs_total', { kind, outcome: 'failed' });
+      throw e;
     }
-    
-    if (success) {
-      user.totalQueries++;
+    incCounter('bot_jobs_total', { kind, outcome: e.reason });
+    // A timed out command has told the user already
+    if (e.reason === 'timeout') return false;
+    const text = ctx.t(e.reason === 'expired' ? 'job.expired' : 'job.cancelled');
+    await view.sending;
+    if (view.messageId) {
+      try { await editHtml(ctx.api, chatId, view.messageId, html`${ctx.t(`job.label.${kind}`)}\n\n${text}`); } catch (_) {}
+      view.messageId = null;
     } else {
-      refundCredits(user, 1); // Refund credit on failure
+      try { await sendHtml(ctx.api, chatId, text); } catch (_) {}
+    }
+    return false;
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+    clearTimeout(view.timer);
+    if (view.sending) {
+      await view.sending;
+      if (view.messageId) {
+        try { await ctx.api.deleteMessage(chatId, view.messageId); } catch (_) {}
+      }
     }
-  } catch (error) {
-    console.error('Error in dl command:', error);
-    refundCredits(user, 1); // Refund credit on error
-    sendFormattedMessage(ctx, '❌ An error occurred while processing your request.');
   }
-});
+}
 
-// Keep individual commands for backward compatibility
-bot.command('snap', async (ctx) => {
-  const user = getOrCreateUser(ctx);
-  if (!user || !user.isApproved) {
-    return sendFormattedMessage(ctx, '❌ You need approval to use this command.');
-  }
+// Cancel a queued or running media job (owner or admin)
+bot.callbackQuery(/^jobcancel_([a-z0-9]+)$/, async (ctx) => {
+  const job = mediaQueue.get(ctx.match?.[1]);
+  const caller = String(ctx.from?.id || '');
 
-  if (!deductCredits(user)) {
-    return sendFormattedMessage(ctx, '❌ Insufficient credits!');
+  if (!job) {
+    try { await ctx.answerCallbackQuery('This job has already finished.'); } catch (_) {}
+    return;
   }
-
-  const videoUrl = ctx.match;
-  if (!videoUrl) {
-    return sendFormattedMessage(ctx, '🦼 Usage: /snap <Snapchat video URL>');
+  if (caller !== job.userId && !isAdmin(caller)) {
+    try { await ctx.answerCallbackQuery('You can only cancel your own jobs.'); } catch (_) {}
+    return;
   }
 
-  await sendFormattedMessage(ctx, '🦼 Downloading Snapchat video...');
-
-  try {
-    const success = await handleSingleVideo(ctx, videoUrl, 'snap');
-    if (success) {
-      user.totalQueries++;
-    } else {
-      refundCredits(user, 1); // Refund credit on failure
-    }
-  } catch (error) {
-    console.error('Error in snap command:', error);
-    refundCredits(user, 1); // Refund credit on error
-    sendFormattedMessage(ctx, '❌ An error occurred while processing your request.');
-  }
+  mediaQueue.cancel(job.id);
+  try { await ctx.answerCallbackQuery('Cancelling…'); } catch (_) {}
 });
 
-bot.command('insta', async (ctx) => {
-  const user = getOrCreateUser(ctx);
-  if (!user || !user.isApproved) {
-    return sendFormattedMessage(ctx, '❌ You need approval to use this command.');
-  }
+// Universal video downloader command
+defineCommand({
+  name: 'dl',
+  category: 'downloader',
+  usage: '/dl <video link>',
+  args: [{ name: 'url', required: true }],
+  validate: ({ url }) => (detectPlatform(url) === 'unknown'
+    ? '❌ Unsupported platform. Please use a link from Instagram, Facebook, Snapchat, Pinterest, or TeraBox.'
+    : null),
+  timeoutMs: MEDIA_JOB_TIMEOUT_MS,
+  handler: async (ctx, { args, signal }) => {
+    const platform = detectPlatform(args.url);
+    await sendFormattedMessage(ctx, `⏳ Processing ${platform} video...`);
+    return platform === 'terabox'
+      ? handleTeraBox(ctx, args.url, signal)
+      : handleSingleVideo(ctx, args.url, platform, signal);
+  },
+});
 
-  if (!deductCredits(user)) {
-    return sendFormattedMessage(ctx, '❌ Insufficient credits!');
-  }
+// Keep individual commands for backward compatibility
+const SINGLE_VIDEO_COMMANDS = [
+  { name: 'snap', icon: '🦼', label: 'Snapchat' },
+  { name: 'insta', icon: '💎', label: 'Instagram' },
+  { name: 'pin', icon: '❤️', label: 'Pinterest' },
+  { name: 'fb', icon: '❤️', label: 'Facebook' },
+];
+
+for (const { name, icon, label } of SINGLE_VIDEO_COMMANDS) {
+  defineCommand({
+    name,
+    icon,
+    category: 'downloader',
+    usage: `/${name} <${label} video URL>`,
+    args: [{ name: 'url', required: true }],
+    handler: async (ctx, { args, signal }) => {
+      await sendFormattedMessage(ctx, `${icon} Downloading ${label} video...`);
+      return handleSingleVideo(ctx, args.url, name, signal);
+    },
+  });
+}
 
-  const videoUrl = ctx.match;
-  if (!videoUrl) {
-    return sendFormattedMessage(ctx, '💎 Usage: /insta <Instagram video URL>');
-  }
+defineCommand({
+  name: 'terabox',
+  icon: '📁',
+  category: 'downloader',
+  usage: '/terabox <TeraBox video URL>',
+  args: [{ name: 'url', required: true }],
+  timeoutMs: MEDIA_JOB_TIMEOUT_MS,
+  handler: async (ctx, { args, signal }) => {
+    await sendFormattedMessage(ctx, '📁 Processing TeraBox link...');
+    return handleTeraBox(ctx, args.url, signal);
+  },
+});
 
-  await sendFormattedMessage(ctx, '💎 Downloading Instagram video...');
+// ===============================
+// IMAGE DOWNLOADERS (TOBI-INSTA-API)
+// ===============================
 
-  try {
-    const success = await handleSingleVideo(ctx, videoUrl, 'insta');
-    if (success) {
-      user.totalQueries++;
-    } else {
-      refundCredits(user, 1); // Refund credit on failure
-    }
-  } catch (error) {
-    console.error('Error in insta command:', error);
-    refundCredits(user, 1); // Refund credit on error
-    sendFormattedMessage(ctx, '❌ An error occurred while processing your request.');
-  }
-});
+function defineImageDownloader(name, kind, prettyName) {
+  defineCommand({
+    name,
+    category: 'downloader',
+    usage: `/${name} <url>`,
+    examples: [`/${name} https://...`],
+    args: [{ name: 'url', required: true }],
+    errorMessage: `❌ Failed to fetch ${prettyName} media.`,
+    handler: async (ctx, { args }) => {
+      await sendFormattedMessage(ctx, `🖼️ Fetching ${prettyName} media...`);
+
+      const r = await providers.call('imageDownload', kind === 'tw' ? 'twitter' : (kind === 'pin' ? 'pinterest' : 'instagram'), args.url);
+      if (!r.urls || !r.urls.length) return '❌ No images found.';
+
+      const cap = `✅ ${prettyName} Images\n🔗 ${r.resolved}`;
+      await sendImagesAsAlbum(ctx, r.urls, cap);
+
+      // If more than 10 images, send remaining as links
+      if (r.urls.length > 10) {
+        const rest = r.urls.slice(10);
+        await sendLongOrFile(ctx, `🧾 More Images (${rest.length})\n\n${rest.join('\n')}`, `${prettyName}_more`);
+      }
+      return true;
+    },
+  });
+}
 
-bot.command('pin', async (ctx) => {
-  const user = getOrCreateUser(ctx);
-  if (!user || !user.isApproved) {
-    return sendFormattedMessage(ctx, '❌ You need approval to use this command.');
-  }
+// Commands (separate as requested)
+defineImageDownloader('igdl', 'ig', 'Instagram');
+defineImageDownloader('pindl', 'pin', 'Pinterest');
+defineImageDownloader('twtdl', 'tw', 'Twitter/X');
+// ===============================
+// NEW (v9): AI + Spotify + YouTube
+// ===============================
+defineCommand({
+  name: 'ai',
+  icon: '🤖',
+  category: 'ai',
+  usage: '/ai <your text>',
+  args: [{ name: 'prompt', type: 'text', required: true }],
+  errorMessage: '❌ AI request failed. Try again.',
+  handler: async (ctx, { args }) => {
+    await sendFormattedMessage(ctx, '🤖 Thinking...');
+
+    const r = await providers.call('aiChat', args.prompt);
+    if (!r.success) return '❌ AI returned empty response. Try again.';
 
-  if (!deductCredits(user)) {
-    return sendFormattedMessage(ctx, '❌ Insufficient credits!');
-  }
-
-  const videoUrl = ctx.match;
-  if (!videoUrl) {
-    return sendFormattedMessage(ctx, '❤️ Usage: /pin <Pinterest video URL>');
-  }
-
-  await sendFormattedMessage(ctx, '❤️ Downloading Pinterest video...');
-
-  try {
-    const success = await handleSingleVideo(ctx, videoUrl, 'pin');
-    if (success) {
-      user.totalQueries++;
-    } else {
-      refundCredits(user, 1); // Refund credit on failure
-    }
-  } catch (error) {
-    console.error('Error in pin command:', error);
-    refundCredits(user, 1); // Refund credit on error
-    sendFormattedMessage(ctx, '❌ An error occurred while processing your request.');
-  }
-});
-
-bot.command('fb', async (ctx) => {
-  const user = getOrCreateUser(ctx);
-  if (!user || !user.isApproved) {
-    return sendFormattedMessage(ctx, '❌ You need approval to use this command.');
-  }
-
-  if (!deductCredits(user)) {
-    return sendFormattedMessage(ctx, '❌ Insufficient credits!');
-  }
-
-  const videoUrl = ctx.match;
-  if (!videoUrl) {
-    return sendFormattedMessage(ctx, '❤️ Usage: /fb <Facebook video URL>');
-  }
-
-  await sendFormattedMessage(ctx, '❤️ Downloading Facebook video...');
-
-  try {
-    const success = await handleSingleVideo(ctx, videoUrl, 'fb');
-    if (success) {
-      user.totalQueries++;
-    } else {
-      refundCredits(user, 1); // Refund credit on failure
-    }
-  } catch (error) {
-    console.error('Error in fb command:', error);
-    refundCredits(user, 1); // Refund credit on error
-    sendFormattedMessage(ctx, '❌ An error occurred while processing your request.');
-  }
-});
-
-bot.command('terabox', async (ctx) => {
-  const user = getOrCreateUser(ctx);
-  if (!user || !user.isApproved) {
-    return sendFormattedMessage(ctx, '❌ You need approval to use this command.');
-  }
-
-  if (!deductCredits(user)) {
-    return sendFormattedMessage(ctx, '❌ Insufficient credits!');
-  }
-
-  const videoUrl = ctx.match;
-  if (!videoUrl) {
-    return sendFormattedMessage(ctx, '📁 Usage: /terabox <TeraBox video URL>');
-  }
-
-  await sendFormattedMessage(ctx, '📁 Processing TeraBox link...');
-
-  try {
-    const success = await handleTeraBox(ctx, videoUrl);
-    if (success) {
-      user.totalQueries++;
-    } else {
-      refundCredits(user, 1); // Refund credit on failure
-    }
-  } catch (error) {
-    console.error('Error in terabox command:', error);
-    refundCredits(user, 1); // Refund credit on error
-    sendFormattedMessage(ctx, '❌ An error occurred while processing your request.');
-  }
-});// ===============================
-// IMAGE DOWNLOADERS (TOBI-INSTA-API)
-// ===============================
-
-async function guardedImageDownloader(ctx, kind, prettyName) {
-  const user = getOrCreateUser(ctx);
-  if (!user || !user.isApproved) {
-    return sendFormattedMessage(ctx, '❌ You need approval to use this command.');
-  }
-
-  if (!deductCredits(user)) {
-    return sendFormattedMessage(ctx, '❌ Insufficient credits!');
-  }
-
-  const url = (ctx.match || '').trim();
-  if (!url) {
-    refundCredits(user, 1);
-    return sendFormattedMessage(ctx, `❌ Usage: /${kind}dl <url>\nExample: /${kind}dl https://...\n💳 1 credit refunded`);
-  }
-
-  await sendFormattedMessage(ctx, `🖼️ Fetching ${prettyName} media...`);
-
-  try {
-    const r = await tobiDownloadImages(kind === 'tw' ? 'twitter' : (kind === 'pin' ? 'pinterest' : 'instagram'), url);
-
-    if (!r.urls || !r.urls.length) {
-      refundCredits(user, 1);
-      return sendFormattedMessage(ctx, `❌ No images found.\n💳 1 credit refunded`);
-    }
-
-    const cap = `✅ ${prettyName} Images\n🔗 ${r.resolved}`;
-    await sendImagesAsAlbum(ctx, r.urls, cap);
-
-    // If more than 10 images, send remaining as links
-    if (r.urls.length > 10) {
-      const rest = r.urls.slice(10);
-      await sendLongOrFile(ctx, `🧾 More Images (${rest.length})\n\n${rest.join('\n')}`, `${prettyName}_more`);
-    }
-
-    user.totalQueries++;
-    return true;
-  } catch (e) {
-    console.error(`${prettyName} downloader error:`, e?.message || e);
-    refundCredits(user, 1);
-    return sendFormattedMessage(ctx, `❌ Failed to fetch ${prettyName} media.\n💳 1 credit refunded`);
-  }
-}
-
-// Commands (separate as requested)
-bot.command('igdl', (ctx) => guardedImageDownloader(ctx, 'ig', 'Instagram'));
-bot.command('pindl', (ctx) => guardedImageDownloader(ctx, 'pin', 'Pinterest'));
-bot.command('twtdl', (ctx) => guardedImageDownloader(ctx, 'tw', 'Twitter/X'));
-// ===============================
-// NEW (v9): AI + Spotify + YouTube
-// ===============================
-bot.command('ai', async (ctx) => {
-  const user = getOrCreateUser(ctx);
-  if (!user || !user.isApproved) return sendFormattedMessage(ctx, '❌ You need approval to use this command.');
-
-  if (!deductCredits(user)) return sendFormattedMessage(ctx, '❌ Insufficient credits!');
-
-  const prompt = getCommandArgs(ctx);
-  if (!prompt) {
-    refundCredits(user, 1);
-    return sendFormattedMessage(ctx, '🤖 Usage: /ai <your text>');
-  }
-
-  await sendFormattedMessage(ctx, '🤖 Thinking...');
-
-  try {
-    const url = `https://flip-apiakib.vercel.app/ai/gpt-5?text=${encodeURIComponent(prompt)}`;
-    const res = await axiosGetWithRetry(url, { timeout: 30000 }, 2);
-    const data = res.data || {};
-
-    // API response example:
-    // { status: true, model: 'gpt-5', text: '...' }
-    const answer =
-      (typeof data === 'string' ? data : null) ||
-      data.text ||
-      data.response ||
-      data.result ||
-      data.answer ||
-      data.data ||
-      '';
-
-    if (!String(answer).trim()) {
-      refundCredits(user, 1);
-      return sendFormattedMessage(ctx, '❌ AI returned empty response. Try again.');
-    }
-
-    user.totalQueries++;
-
-    // Reply only the text (no JSON)
-    return ctx.reply(String(answer));
-  } catch (e) {
-    console.error('ai error:', e?.message || e);
-    refundCredits(user, 1);
-    return sendFormattedMessage(ctx, '❌ AI request failed. Try again.');
-  }
-});
+    // Reply only the text (no JSON)
+    await sendFormattedMessage(ctx, r.answer);
+    return true;
+  },
+});
 
 
 
@@ -3115,6 +4598,8 @@ bot.command('ai', async (ctx) => {
 // API: https://tobi-paras-aotpy-api-gen.vercel.app/?prompt=...&download=true
 // ===============================
 
+const imageGenApi = httpClient.provider('tobi-paras-aotpy-api-gen', { baseUrl: 'https://tobi-paras-aotpy-api-gen.vercel.app', timeout: 60000, retries: 1 });
+
 // In-memory cache for image-gen options (per chat+user)
 global.__imgCache = global.__imgCache || new Map();
 
@@ -3132,7 +4617,7 @@ function buildImgKeyboard(state, apiUrl) {
   return kb;
 }
 
-async function generateAndSendImage(ctx, user, state, { replaceMessageId = null } = {}) {
+async function generateAndSendImage(ctx, user, state, { replaceMessageId = null, signal = null } = {}) {
   const prompt = String(state?.prompt || '').trim();
   if (!prompt) {
     try { await sendFormattedMessage(ctx, '❌ Missing prompt. Use /img <prompt>'); } catch (_) {}
@@ -3146,9 +4631,9 @@ async function generateAndSendImage(ctx, user, state, { replaceMessageId = null
   if (state?.format) qs.set('format', state.format);
   if (state?.random) qs.set('random', state.random);
 
-  const apiUrl = `https://tobi-paras-aotpy-api-gen.vercel.app/?${qs.toString()}`;
+  const apiUrl = `${imageGenApi.baseUrl}/?${qs.toString()}`;
 
-  const res = await axiosGetWithRetry(apiUrl, { timeout: 60000, responseType: 'arraybuffer' }, 2);
+  const res = await observeUpstream('imageGen', () => imageGenApi.get(apiUrl, { responseType: 'arraybuffer', signal }));
   const buf = Buffer.from(res.data);
   const contentType = String(res.headers?.['content-type'] || '').toLowerCase();
 
@@ -3159,14 +4644,13 @@ async function generateAndSendImage(ctx, user, state, { replaceMessageId = null
     'png';
 
   const fileName = `image_${Date.now()}.${ext}`;
-  const caption =
-    `✅ <b>Image generated</b>\n` +
-    `<b>Prompt:</b> <code>${escapeHtml(prompt).slice(0, 250)}</code>\n` +
-    `<b>Improve:</b> <code>${state?.improve ? 'true' : 'false'}</code>\n` +
-    `<b>Format:</b> <code>${escapeHtml(String(state?.format || 'default'))}</code>\n` +
-    `<b>Random:</b> <code>${escapeHtml(String(state?.random || ''))}</code>\n` +
-    `
-🔗 <b>Download:</b> <a href="${escapeHtml(apiUrl)}">Open</a>`;
+  const caption = html`✅ <b>Image generated</b>
+<b>Prompt:</b> ${code(prompt.slice(0, 250))}
+<b>Improve:</b> ${code(state?.improve ? 'true' : 'false')}
+<b>Format:</b> ${code(state?.format || 'default')}
+<b>Random:</b> ${code(state?.random || '')}
+
+🔗 <b>Download:</b> ${link('Open', apiUrl)}`;
 
   const kb = buildImgKeyboard(state, apiUrl);
 
@@ -3177,17 +4661,13 @@ async function generateAndSendImage(ctx, user, state, { replaceMessageId = null
 
   try {
     await ctx.replyWithPhoto(new InputFile(buf, fileName), {
-      caption,
-      parse_mode: 'HTML',
-      reply_markup: kb,
-      disable_web_page_preview: true
+      ...htmlCaption(caption),
+      reply_markup: kb
     });
   } catch (_) {
     await ctx.replyWithDocument(new InputFile(buf, fileName), {
-      caption,
-      parse_mode: 'HTML',
-      reply_markup: kb,
-      disable_web_page_preview: true
+      ...htmlCaption(caption),
+      reply_markup: kb
     });
   }
 
@@ -3199,25 +4679,6 @@ async function generateAndSendImage(ctx, user, state, { replaceMessageId = null
   await adminAudit('imggen', ctx, `prompt="${prompt}" improve=${!!state?.improve} format=${state?.format || ''}`);
 }
 
-// Image gen commands
-async function handleImgGenCommand(ctx) {
-  const user = getOrCreateUser(ctx);
-  if (!user || !user.isApproved) return;
-
-  const prompt = String(getCommandArgs(ctx) || '').trim();
-  if (!prompt) return ctx.reply('❌ Usage: /img <prompt>\nExample: /img spiderman');
-
-  recordCommandUse(user, 'img');
-  const key = `${ctx.chat.id}:${ctx.from.id}`;
-  const state = { prompt, improve: false, format: 'square', random: '' };
-  global.__imgCache.set(key, state);
-
-  return generateAndSendImage(ctx, user, state);
-}
-
-// // bot.command('img', handleImgGenCommand); // disabled (using unified handler) // disabled (using unified handler)
-// // bot.command('imggen', handleImgGenCommand); // disabled (using unified handler) // disabled (using unified handler)
-
 // Inline buttons handler
 bot.callbackQuery(/^imgopt_(improve|wide|random)$/, async (ctx) => {
   try { await ctx.answerCallbackQuery(); } catch (_) {}
@@ -3229,13 +4690,14 @@ bot.callbackQuery(/^imgopt_(improve|wide|random)$/, async (ctx) => {
   const st = global.__imgCache.get(key);
 
   if (!st || !st.prompt) {
-    try { await ctx.reply('❌ Session expired. Use /img <prompt> again.'); } catch (_) {}
+    try { await sendFormattedMessage(ctx, '❌ Session expired. Use /img <prompt> again.'); } catch (_) {}
     return;
   }
 
   // Each re-generate costs 1 credit
-  if (!deductCredits(user)) {
-    try { await ctx.reply('❌ Insufficient credits!'); } catch (_) {}
+  const tx = reserveCredits(user, 1, 'img');
+  if (!tx) {
+    try { await sendFormattedMessage(ctx, insufficientCreditsMessage(ctx, 1)); } catch (_) {}
     return;
   }
 
@@ -3244,36 +4706,36 @@ bot.callbackQuery(/^imgopt_(improve|wide|random)$/, async (ctx) => {
   if (action === 'wide') st.format = (String(st.format || '').toLowerCase() === 'wide') ? '' : 'wide';
   if (action === 'random') st.random = Math.random().toString(36).slice(2, 10);
 
+  let running = null;
   try {
     // show quick status
-    try { await ctx.editMessageCaption('🖼️ <b>Generating...</b>', { parse_mode: 'HTML' }); } catch (_) {}
-    await generateAndSendImage(ctx, user, st, { replaceMessageId: ctx.callbackQuery?.message?.message_id });
+    try { await ctx.editMessageCaption(htmlCaption(html`🖼️ <b>Generating...</b>`)); } catch (_) {}
+    const controller = new AbortController();
+    running = runMediaJob(ctx, 'img', async (job) => {
+      await generateAndSendImage(ctx, user, st, { replaceMessageId: ctx.callbackQuery?.message?.message_id, signal: job.signal });
+      return true;
+    }, { signal: controller.signal });
+    const done = await withCreditTimeout(running, MEDIA_JOB_TIMEOUT_MS, controller);
+    if (done) commitCredits(user, tx);
+    else rollbackCredits(user, tx);
   } catch (e) {
-    console.error('imgopt error:', e?.message || e);
-    refundCredits(user, 1);
-    try { await ctx.reply('❌ Failed to generate image.\n💳 1 credit refunded'); } catch (_) {}
+    if (e?._creditTimeout) {
+      settleCreditsLate(ctx, user, tx, running);
+      try { await sendFormattedMessage(ctx, ctx.t('error.timeout')); } catch (_) {}
+      return;
+    }
+    commandLog.error('image option failed', e);
+    const note = creditRefundNote(ctx, rollbackCredits(user, tx));
+    try { await sendFormattedMessage(ctx, html`❌ Failed to generate image.${note}`); } catch (_) {}
   }
 });
 
-bot.command(['img', 'imggen'], async (ctx) => {
-  const user = getOrCreateUser(ctx);
-  if (!user || !user.isApproved) return sendFormattedMessage(ctx, '❌ You need approval to use this command.');
-
-  // Each generation costs 1 credit
-  if (!deductCredits(user)) return sendFormattedMessage(ctx, '❌ Insufficient credits!');
-
-  const raw = String(getCommandArgs(ctx) || '').trim();
-  if (!raw) {
-    refundCredits(user, 1);
-    return sendFormattedMessage(ctx, '🖼️ Usage: /img <prompt>\nExample: /img spiderman');
-  }
-
-  // Simple flag parsing: allow "--improve", "--wide", "--format=wide", "--random=XXXX"
-  const parts = raw.split(/\s+/);
+// Simple flag parsing: allow "--improve", "--wide", "--format=wide", "--random=XXXX"
+function parseImgPrompt(raw) {
   const promptParts = [];
   const state = { prompt: '', improve: false, format: '', random: '' };
 
-  for (const p of parts) {
+  for (const p of String(raw || '').split(/\s+/)) {
     if (p === '--improve') state.improve = true;
     else if (p === '--wide') state.format = 'wide';
     else if (p.startsWith('--format=')) state.format = p.split('=')[1] || '';
@@ -3282,48 +4744,48 @@ bot.command(['img', 'imggen'], async (ctx) => {
   }
 
   state.prompt = promptParts.join(' ').trim();
-  if (!state.prompt) {
-    refundCredits(user, 1);
-    return sendFormattedMessage(ctx, '🖼️ Usage: /img <prompt>\nExample: /img spiderman');
-  }
-  // Cache state for inline buttons (Improve/Wide/Random)
-  try {
-    const key = `${ctx.chat.id}:${ctx.from.id}`;
-    global.__imgCache = global.__imgCache || new Map();
-    global.__imgCache.set(key, { ...state });
-  } catch (_) {}
+  return state;
+}
 
+// Each generation costs 1 credit
+defineCommand({
+  name: 'img',
+  aliases: ['imggen'],
+  icon: '🖼️',
+  category: 'ai',
+  usage: '/img <prompt>',
+  examples: ['/img spiderman'],
+  args: [{ name: 'prompt', type: 'text', required: true }],
+  validate: ({ prompt }) => (parseImgPrompt(prompt).prompt ? null : '🖼️ Usage: /img <prompt>\nExample: /img spiderman'),
+  errorMessage: '❌ Failed to generate image.',
+  timeoutMs: MEDIA_JOB_TIMEOUT_MS,
+  handler: async (ctx, { user, args, signal }) => {
+    const state = parseImgPrompt(args.prompt);
+
+    // Cache state for inline buttons (Improve/Wide/Random)
+    try {
+      const key = `${ctx.chat.id}:${ctx.from.id}`;
+      global.__imgCache = global.__imgCache || new Map();
+      global.__imgCache.set(key, { ...state });
+    } catch (_) {}
 
-  // A small "working" message, then send final media
-  let workingMsgId = null;
-  try {
-    const m = await ctx.reply('🖼️ Generating image...');
-    workingMsgId = m?.message_id || null;
-  } catch (_) {}
+    // A small "working" message, then send final media
+    let workingMsgId = null;
+    try {
+      const m = await sendFormattedMessage(ctx, '🖼️ Generating image...');
+      workingMsgId = m?.message_id || null;
+    } catch (_) {}
 
-  try {
-    await generateAndSendImage(ctx, user, state, { replaceMessageId: workingMsgId });
-    user.totalQueries++;
-  } catch (e) {
-    console.error('imggen error:', e?.message || e);
-    refundCredits(user, 1);
-    return sendFormattedMessage(ctx, '❌ Failed to generate image.\n💳 1 credit refunded');
-  }
+    return runMediaJob(ctx, 'img', async (job) => {
+      await generateAndSendImage(ctx, user, state, { replaceMessageId: workingMsgId, signal: job.signal });
+      return true;
+    }, { signal });
+  },
 });
 
 
-async function handleSpotifySearch(ctx) {
-  const user = getOrCreateUser(ctx);
-  if (!user || !user.isApproved) return sendFormattedMessage(ctx, '❌ You need approval to use this command.');
-
-  if (!deductCredits(user)) return sendFormattedMessage(ctx, '❌ Insufficient credits!');
-
-  const q = getCommandArgs(ctx);
-  if (!q) {
-    refundCredits(user, 1);
-    return sendFormattedMessage(ctx, '🔎 Usage: /spsearch <song name / artist>');
-  }
-
+async function handleSpotifySearch(ctx, { args }) {
+  const q = args.query;
   await sendFormattedMessage(ctx, '🔎 Searching Spotify tracks...');
 
   const msToMinSec = (ms) => {
@@ -3344,23 +4806,14 @@ async function handleSpotifySearch(ctx) {
   };
 
   try {
-    const api = `https://flip-apiakib.vercel.app/spotify/search?q=${encodeURIComponent(q)}`;
-    const res = await axiosGetWithRetry(api, { timeout: 35000 }, 2);
-    const data = res.data || {};
-
-    const items =
-      (Array.isArray(data?.data) ? data.data : null) ||
-      (Array.isArray(data?.tracks) ? data.tracks : null) ||
-      (Array.isArray(data?.data?.tracks) ? data.data.tracks : null) ||
-      (Array.isArray(data?.items) ? data.items : null) ||
-      [];
-
-    if (!items.length) {
-      refundCredits(user, 1);
-      return sendFormattedMessage(ctx, '❌ No tracks found.');
-    }
+    // Empty result lists are not cached
+    const hit = await cachedLookup('spsearch', q.trim().toLowerCase().replace(/\s+/g, ' '), async () => {
+      const { items } = await providers.call('musicSearch', q);
+      return { success: items.length > 0, data: items };
+    });
+    const items = hit.value.data;
 
-    user.totalQueries++;
+    if (!items.length) return '❌ No tracks found.';
 
     // Send results one-by-one (top 8)
     const top = items.slice(0, 8);
@@ -3400,63 +4853,54 @@ async function handleSpotifySearch(ctx) {
         '';
 
       const lines = [];
-      lines.push(`🎵 ${escapeHtml(String(title))}`);
-      if (artist) lines.push(`👤 <b>Artist:</b> ${escapeHtml(String(artist))}`);
-      if (album) lines.push(`💽 <b>Album:</b> ${escapeHtml(String(album))}`);
-      if (release) lines.push(`📅 <b>Release:</b> ${escapeHtml(String(release))}`);
-      if (duration) lines.push(`⏱️ <b>Duration:</b> ${escapeHtml(String(duration))}`);
-      lines.push(`🔗 <b>Track:</b> ${escapeHtml(isHttpUrl(trackUrl) ? trackUrl : 'N/A')}`);
-      lines.push(`🎧 <b>Preview:</b> ${escapeHtml(isHttpUrl(preview) ? preview : 'No preview available')}`);
+      lines.push(`🎵 ${title}`);
+      if (artist) lines.push(html`👤 <b>Artist:</b> ${artist}`);
+      if (album) lines.push(html`💽 <b>Album:</b> ${album}`);
+      if (release) lines.push(html`📅 <b>Release:</b> ${release}`);
+      if (duration) lines.push(html`⏱️ <b>Duration:</b> ${duration}`);
+      lines.push(html`🔗 <b>Track:</b> ${isHttpUrl(trackUrl) ? trackUrl : 'N/A'}`);
+      lines.push(html`🎧 <b>Preview:</b> ${isHttpUrl(preview) ? preview : 'No preview available'}`);
+      if (i === 0 && hit.cached) lines.push(italic(`♻️ Cached result (${formatCacheAge(hit.ageMs)} old)`));
 
-      const msg = lines.join('\n');
+      const msg = join(lines);
 
       if (isHttpUrl(thumb)) {
         try {
-          await ctx.replyWithPhoto(thumb, {
-            caption: msg,
-            parse_mode: 'HTML',
-            disable_web_page_preview: true
-          });
+          await ctx.replyWithPhoto(thumb, htmlCaption(msg));
         } catch (e) {
-          await ctx.reply(msg, { parse_mode: 'HTML', disable_web_page_preview: true });
+          await sendFormattedMessage(ctx, msg, { disable_web_page_preview: true });
         }
       } else {
-        await ctx.reply(msg, { parse_mode: 'HTML', disable_web_page_preview: true });
+        await sendFormattedMessage(ctx, msg, { disable_web_page_preview: true });
       }
 
 // small delay to avoid flood
       await sleep(250);
     }
 
-    return;
+    return true;
   } catch (e) {
-    console.error('spsearch error:', e?.message || e);
-    refundCredits(user, 1);
-    return sendFormattedMessage(ctx, '❌ Spotify search failed. Try again later.');
+    commandLog.error('spotify search failed', e);
+    return '❌ Spotify search failed. Try again later.';
   }
 }
 
+defineCommand({
+  name: 'spsearch',
+  aliases: ['spotifysearch'],
+  icon: '🔎',
+  category: 'music',
+  usage: '/spsearch <song name / artist>',
+  args: [{ name: 'query', type: 'text', required: true }],
+  handler: handleSpotifySearch,
+});
 
-bot.command('spsearch', handleSpotifySearch);
-bot.command('spotifysearch', handleSpotifySearch);
-
-bot.command('spotify', async (ctx) => {
-  const user = getOrCreateUser(ctx);
-  if (!user || !user.isApproved) return sendFormattedMessage(ctx, '❌ You need approval to use this command.');
-
-  if (!deductCredits(user)) return sendFormattedMessage(ctx, '❌ Insufficient credits!');
-
-  const url = getCommandArgs(ctx);
-  if (!url) {
-    refundCredits(user, 1);
-    return sendFormattedMessage(ctx, '🎵 Usage: /spotify <spotify track url>');
-  }
-
+async function handleSpotifyDownload(ctx, { args }, signal = null) {
+  const url = args.url;
   await sendFormattedMessage(ctx, '🎵 Fetching Spotify download...');
 
   try {
-    const api = `https://flip-apiakib.vercel.app/spotify/download?url=${encodeURIComponent(url)}`;
-    const res = await axiosGetWithRetry(api, { timeout: 35000 }, 2);
+    const res = await observeUpstream('spotifyDownload', () => musicApis[0].get('/download', { params: { url }, signal }));
     const data = res.data || {};
 
     // flip-apiakib.spotify response: { data: { media: [{ type:'audio', format:'mp3', url:'...' }, ...], metadata:{title,artist,...} } }
@@ -3485,12 +4929,7 @@ bot.command('spotify', async (ctx) => {
       }
     }
 
-    if (!isHttpUrl(audioUrl)) {
-      refundCredits(user, 1);
-      return sendFormattedMessage(ctx, '❌ Spotify audio link not found from API.');
-    }
-
-    user.totalQueries++;
+    if (!isHttpUrl(audioUrl)) return '❌ Spotify audio link not found from API.';
 
     const title = meta?.title || 'Spotify Track';
     const artist = meta?.artist || meta?.artists || '';
@@ -3508,12 +4947,11 @@ bot.command('spotify', async (ctx) => {
       // Some hosts block Telegram from fetching the URL directly.
       // Fallback: download into memory and upload as an actual audio file.
       try {
-        const fileRes = await axios.get(audioUrl, {
+        const fileRes = await httpClient.get(audioUrl, {
           responseType: 'arraybuffer',
           timeout: 60000,
-          headers: { 'User-Agent': DEFAULT_UA },
-          maxContentLength: 50 * 1024 * 1024,
-          maxBodyLength: 50 * 1024 * 1024,
+          maxBytes: 50 * 1024 * 1024,
+          signal,
         });
         const buf = Buffer.from(fileRes.data);
         const safeTitle = String(title || 'spotify').replace(/[^a-z0-9\-_. ]/gi, '').trim().slice(0, 40) || 'spotify';
@@ -3525,33 +4963,35 @@ bot.command('spotify', async (ctx) => {
           performer: String(artist).slice(0, 64) || undefined,
         });
       } catch (dlErr) {
+        if (signal?.aborted) throw dlErr;
         // Last resort: send as document link
         await ctx.replyWithDocument(audioUrl, { caption: `${caption}\n\n(Direct audio failed, download this file.)` });
       }
     }
     return true;
   } catch (e) {
-    console.error('spotify error:', e?.message || e);
-    refundCredits(user, 1);
-    return sendFormattedMessage(ctx, '❌ Spotify download failed. Try again later.');
+    if (signal?.aborted) throw e;
+    commandLog.error('spotify download failed', e);
+    return '❌ Spotify download failed. Try again later.';
   }
+}
+
+defineCommand({
+  name: 'spotify',
+  icon: '🎵',
+  category: 'music',
+  usage: '/spotify <spotify track url>',
+  args: [{ name: 'url', type: 'text', required: true }],
+  timeoutMs: MEDIA_JOB_TIMEOUT_MS,
+  handler: (ctx, params) => runMediaJob(ctx, 'spotify', (job) => handleSpotifyDownload(ctx, params, job.signal), { signal: params.signal }),
 });
 
 
 // ===============================
 
 
-bot.command('yt', async (ctx) => {
-  const user = getOrCreateUser(ctx);
-  if (!user || !user.isApproved) return sendFormattedMessage(ctx, '❌ You need approval to use this command.');
-
-  if (!deductCredits(user)) return sendFormattedMessage(ctx, '❌ Insufficient credits!');
-
-  const input = getCommandArgs(ctx);
-  if (!input) {
-    refundCredits(user, 1);
-    return sendFormattedMessage(ctx, '🎬 Usage: /yt <youtube url>');
-  }
+async function handleYouTubeCommand(ctx, { args }) {
+  const input = args.url;
 
   // Accept either a YouTube URL or a direct ytcontent process URL.
   const raw = input.trim();
@@ -3599,54 +5039,51 @@ bot.command('yt', async (ctx) => {
 
     // If user provided ytcontent process link, fetch it directly
     if (/ytcontent\.net\/v3\/videoProcess\//i.test(raw)) {
-      const res = await axiosGetWithRetry(raw, { timeout: 45000 }, 2);
+      const res = await observeUpstream('ytProcess', () => ytProcessApi.get(raw));
       urls = findAllUrlsDeep(res.data || {});
     } else {
       // Default: use existing resolver API
-      const api = `https://flip-yt-downloader-akib.vercel.app/yt?url=${encodeURIComponent(raw)}`;
-      const res = await axiosGetWithRetry(api, { timeout: 45000 }, 2);
+      const res = await observeUpstream('ytResolve', () => ytResolveApi.get('/yt', { params: { url: raw } }));
       const data = res.data || {};
       urls = findAllUrlsDeep(data);
     }
 
-    if (!urls.length) {
-      refundCredits(user, 1);
-      return sendFormattedMessage(ctx, '❌ YouTube download link not found from API.');
-    }
+    if (!urls.length) return '❌ YouTube download link not found from API.';
 
     const u1080 = pickQuality(urls, '1080');
     const u720 = pickQuality(urls, '720');
     const u480 = pickQuality(urls, '480');
 
     if (!isHttpUrl(u1080) && !isHttpUrl(u720) && !isHttpUrl(u480)) {
-      refundCredits(user, 1);
-      return sendFormattedMessage(ctx, '❌ YouTube download link not found from API.');
+      return '❌ YouTube download link not found from API.';
     }
 
-    user.totalQueries++;
-
-    
     // Show buttons as CALLBACKS (no browser open). We'll send links in chat text.
     const kb = new InlineKeyboard();
     if (isHttpUrl(u1080)) kb.text('1080p', `ytq_1080`).row();
     if (isHttpUrl(u720))  kb.text('720p', `ytq_720`).row();
     if (isHttpUrl(u480))  kb.text('480p', `ytq_480`);
-    if (!isHttpUrl(u1080) && !isHttpUrl(u720) && !isHttpUrl(u480)) {
-      refundCredits(user, 1);
-      return sendFormattedMessage(ctx, '❌ No downloadable qualities found for this video.');
-    }
 
     // Cache resolved URLs per-chat/user
     const key = `${ctx.chat.id}:${ctx.from.id}`;
     if (!global.__ytCache) global.__ytCache = new Map();
     global.__ytCache.set(key, { u1080, u720, u480, raw });
 
-    return ctx.reply('🎬 Choose Quality:', { reply_markup: kb });
+    await sendFormattedMessage(ctx, '🎬 Choose Quality:', { reply_markup: kb });
+    return true;
   } catch (e) {
-    console.error('yt error:', e?.message || e);
-    refundCredits(user, 1);
-    return sendFormattedMessage(ctx, '❌ YouTube download failed. Try again later.');
+    commandLog.error('youtube resolve failed', e);
+    return '❌ YouTube download failed. Try again later.';
   }
+}
+
+defineCommand({
+  name: 'yt',
+  icon: '🎬',
+  category: 'downloader',
+  usage: '/yt <youtube url>',
+  args: [{ name: 'url', type: 'text', required: true }],
+  handler: handleYouTubeCommand,
 });
 
 // ===============================
@@ -3665,7 +5102,7 @@ bot.callbackQuery(/^ytq_(1080|720|480)$/, async (ctx) => {
   if (u) recordCommandUse(u, 'yt');
 
   if (!cache) {
-    try { return await ctx.reply('❌ Session expired. Please run /yt again.'); } catch (_) { return; }
+    try { return await sendFormattedMessage(ctx, '❌ Session expired. Please run /yt again.'); } catch (_) { return; }
   }
 
   const url =
@@ -3674,7 +5111,7 @@ bot.callbackQuery(/^ytq_(1080|720|480)$/, async (ctx) => {
     cache.u480;
 
   if (!isHttpUrl(url)) {
-    try { return await ctx.reply('❌ This quality is not available for this video.'); } catch (_) { return; }
+    try { return await sendFormattedMessage(ctx, '❌ This quality is not available for this video.'); } catch (_) { return; }
   }
 
   
@@ -3682,28 +5119,23 @@ bot.callbackQuery(/^ytq_(1080|720|480)$/, async (ctx) => {
 if (/ytcontent\.net\/v3\/videoProcess\//i.test(url)) {
   const baseKey = `${ctx.chat.id}:${ctx.from.id}`;
 
-  // Cancel any existing job for this user/chat
+  // Cancel any existing job for this user/chat (queued or running)
   const prev = global.__ytJobs.get(baseKey);
-  if (prev) prev.cancelled = true;
+  if (prev) {
+    prev.cancelled = true;
+    if (prev.queueJobId) mediaQueue.cancel(prev.queueJobId);
+  }
 
   const jobId = `${baseKey}:${Date.now()}:${Math.random().toString(16).slice(2)}`;
   const stopKb = new InlineKeyboard().text('⛔ Stop', `ytstop_${jobId}`);
 
-  // Send initial progress message (we will keep editing this)
-  let msg = null;
-  try {
-    msg = await ctx.reply(
-      formatYtProcessHtml({ percent: '0%', fileUrl: 'In Processing...' }, url, { speedText: '…', etaText: '…' }),
-      { parse_mode: 'HTML', disable_web_page_preview: true, reply_markup: stopKb }
-    );
-  } catch (_) {}
-
   const job = {
     jobId,
     baseKey,
     chatId: ctx.chat.id,
     userId: ctx.from.id,
-    messageId: msg?.message_id || null,
+    messageId: null,
+    queueJobId: null,
     quality: q,
     processUrl: url,
     cancelled: false,
@@ -3713,8 +5145,18 @@ if (/ytcontent\.net\/v3\/videoProcess\//i.test(url)) {
   global.__ytJobs.set(baseKey, job);
   global.__ytJobs.set(jobId, job);
 
-  // Background runner (do NOT await)
-  (async () => {
+  // Background runner in a media queue slot (do NOT await)
+  runMediaJob(ctx, 'yt', async (qjob) => {
+    // Send initial progress message (we will keep editing this)
+    try {
+      const msg = await sendFormattedMessage(
+        ctx,
+        formatYtProcessHtml({ percent: '0%', fileUrl: 'In Processing...' }, url, { speedText: '…', etaText: '…' }),
+        { disable_web_page_preview: true, reply_markup: stopKb }
+      );
+      job.messageId = msg?.message_id || null;
+    } catch (_) {}
+
     const intervalMs = 2500;
     const maxTries = 120; // ~5 min
 
@@ -3740,21 +5182,22 @@ if (/ytcontent\.net\/v3\/videoProcess\//i.test(url)) {
 
     try {
       for (let i = 0; i < maxTries; i++) {
-        if (job.cancelled) {
+        if (job.cancelled || qjob.signal.aborted) {
           if (job.messageId) {
             try {
-              await ctx.api.editMessageText(
+              await editHtml(
+                ctx.api,
                 job.chatId,
                 job.messageId,
-                '⛔ <b>Download stopped.</b>\n\nRun /yt again to restart.',
-                { parse_mode: 'HTML', disable_web_page_preview: true }
+                html`⛔ <b>Download stopped.</b>\n\nRun /yt again to restart.`,
+                { disable_web_page_preview: true }
               );
             } catch (_) {}
           }
           return;
         }
 
-        const res = await axiosGetWithRetry(job.processUrl, { timeout: 45000, responseType: 'json' }, 2);
+        const res = await ytProcessApi.get(job.processUrl);
         const data = res.data || {};
 
         const fileUrl = data.fileUrl || data.url || data.download || data.download_url || null;
@@ -3774,19 +5217,21 @@ if (/ytcontent\.net\/v3\/videoProcess\//i.test(url)) {
         if (typeof fileUrl === 'string' && /^https?:\/\//i.test(fileUrl) && !/in\s*processing/i.test(fileUrl)) {
           if (job.messageId) {
             try {
-              await ctx.api.editMessageText(
+              await editHtml(
+                ctx.api,
                 job.chatId,
                 job.messageId,
-                `✅ <b>YouTube ${escapeHtml(String(job.quality))}p ready</b>\n\n⬇️ <b>Download URL:</b>\n<code>${escapeHtml(fileUrl)}</code>`,
-                { parse_mode: 'HTML', disable_web_page_preview: true }
+                html`✅ <b>YouTube ${job.quality}p ready</b>\n\n⬇️ <b>Download URL:</b>\n${code(fileUrl)}`,
+                { disable_web_page_preview: true }
               );
             } catch (_) {}
           } else {
             try {
-              await ctx.api.sendMessage(
+              await sendHtml(
+                ctx.api,
                 job.chatId,
-                `✅ *YouTube ${job.quality}p*\n\n⬇️ Download URL:\n${fileUrl}`,
-                { parse_mode: 'Markdown', disable_web_page_preview: true }
+                html`✅ <b>YouTube ${job.quality}p</b>\n\n⬇️ Download URL:\n${fileUrl}`,
+                { disable_web_page_preview: true }
               );
             } catch (_) {}
           }
@@ -3824,11 +5269,12 @@ if (/ytcontent\.net\/v3\/videoProcess\//i.test(url)) {
 
         if (job.messageId) {
           try {
-            await ctx.api.editMessageText(
+            await editHtml(
+              ctx.api,
               job.chatId,
               job.messageId,
               formatYtProcessHtml(data, job.processUrl, { speedText, etaText }),
-              { parse_mode: 'HTML', disable_web_page_preview: true, reply_markup: stopKb }
+              { disable_web_page_preview: true, reply_markup: stopKb }
             );
           } catch (_) {}
         }
@@ -3838,43 +5284,49 @@ if (/ytcontent\.net\/v3\/videoProcess\//i.test(url)) {
 
       if (job.messageId) {
         try {
-          await ctx.api.editMessageText(
+          await editHtml(
+            ctx.api,
             job.chatId,
             job.messageId,
-            '❌ <b>Processing timed out.</b>\n\nTry again later.',
-            { parse_mode: 'HTML', disable_web_page_preview: true }
+            html`❌ <b>Processing timed out.</b>\n\nTry again later.`,
+            { disable_web_page_preview: true }
           );
         } catch (_) {}
       } else {
-        try { await ctx.api.sendMessage(job.chatId, '❌ Processing timed out. Try again later.'); } catch (_) {}
+        try { await sendHtml(ctx.api, job.chatId, '❌ Processing timed out. Try again later.'); } catch (_) {}
       }
     } catch (e) {
+      jobLog.error('youtube processing failed', { quality: job.quality, err: e });
       if (job.messageId) {
         try {
-          await ctx.api.editMessageText(
+          await editHtml(
+            ctx.api,
             job.chatId,
             job.messageId,
-            '❌ <b>Download failed.</b> Try again later.',
-            { parse_mode: 'HTML', disable_web_page_preview: true }
+            html`❌ <b>Download failed.</b> Try again later.`,
+            { disable_web_page_preview: true }
           );
         } catch (_) {}
       } else {
-        try { await ctx.api.sendMessage(job.chatId, '❌ Download failed. Try again later.'); } catch (_) {}
+        try { await sendHtml(ctx.api, job.chatId, '❌ Download failed. Try again later.'); } catch (_) {}
       }
-    } finally {
-      global.__ytJobs.delete(job.baseKey);
-      global.__ytJobs.delete(job.jobId);
     }
-  })();
+  }, { statusWhileRunning: false, onSubmit: (qjob) => { job.queueJobId = qjob.id; } })
+    .catch((e) => jobLog.error('youtube job failed', e))
+    .finally(() => {
+      if (global.__ytJobs.get(job.baseKey) === job) global.__ytJobs.delete(job.baseKey);
+      global.__ytJobs.delete(job.jobId);
+    });
 
   // Return immediately so the bot stays responsive for everyone
   return;
 }
 
 // Direct URL (already ready)
-  await ctx.reply(
-    `✅ *YouTube ${q}p*\n\n⬇️ Download URL:\n${url}`,
-    { parse_mode: 'Markdown', disable_web_page_preview: true }
+  await sendFormattedMessage(
+    ctx,
+    html`✅ <b>YouTube ${q}p</b>\n\n⬇️ Download URL:\n${url}`,
+    { disable_web_page_preview: true }
   );
   try { await sendVideoSmart(ctx, url, `🎬 YouTube ${q}p`); } catch (_) {}
   await adminAudit('yt_download_ready', ctx, `${q}p | ${url}`);
@@ -3891,13 +5343,13 @@ bot.callbackQuery(/^ytstop_(.+)$/, async (ctx) => {
   const job = (global.__ytJobs && global.__ytJobs.get(jobId)) || null;
 
   if (!job) {
-    try { await ctx.reply('❌ No active download to stop.'); } catch (_) {}
+    try { await sendFormattedMessage(ctx, '❌ No active download to stop.'); } catch (_) {}
     return;
   }
 
   const caller = String(ctx.from?.id || '');
   if (caller !== String(job.userId) && !isAdmin(caller) && caller !== String(adminId)) {
-    try { await ctx.reply('❌ You can only stop your own download.'); } catch (_) {}
+    try { await sendFormattedMessage(ctx, '❌ You can only stop your own download.'); } catch (_) {}
     return;
   }
 
@@ -3905,11 +5357,12 @@ bot.callbackQuery(/^ytstop_(.+)$/, async (ctx) => {
 
   if (job.messageId) {
     try {
-      await ctx.api.editMessageText(
+      await editHtml(
+        ctx.api,
         job.chatId,
         job.messageId,
-        '⛔ <b>Stopping…</b>',
-        { parse_mode: 'HTML', disable_web_page_preview: true }
+        html`⛔ <b>Stopping…</b>`,
+        { disable_web_page_preview: true }
       );
     } catch (_) {}
   }
@@ -3918,438 +5371,280 @@ bot.callbackQuery(/^ytstop_(.+)$/, async (ctx) => {
 });
 
 // OSINT Commands
-bot.command('ip', async (ctx) => {
-  const user = getOrCreateUser(ctx);
-  if (!user || !user.isApproved) {
-    await sendFormattedMessage(ctx, '❌ You need to be approved to use this command. Use /register to submit your request.');
-    return;
-  }
-
-  // Check credits
-  if (!deductCredits(user)) {
-    await sendFormattedMessage(ctx, '❌ Insufficient credits! You need at least 1 credit to use this command.\n💳 Check your balance with /credits');
-    return;
-  }
-
-  const ip = ctx.match || 'self';
-  await sendFormattedMessage(ctx, '🔍 Fetching IP intelligence...');
+defineCommand({
+  name: 'ip',
+  category: 'osint',
+  usage: '/ip [ip address]',
+  args: [{ name: 'ip', default: 'self' }],
+  errorMessage: '❌ An error occurred while fetching IP information.',
+  handler: async (ctx, { args }) => {
+    await sendFormattedMessage(ctx, '🔍 Fetching IP intelligence...');
+
+    const hit = await cachedLookup('ip', args.ip.toLowerCase(), () => getIpInfo(args.ip === 'self' ? undefined : args.ip));
+    const result = hit.value;
+    if (!result.success || !result.data) {
+      return '❌ Failed to fetch IP information. Please check the IP address and try again.';
+    }
 
-  try {
-    const result = await getIpInfo(ip === 'self' ? undefined : ip.toString());
-    
-    if (result.success && result.data) {
-      const response = `🌐 IP Intelligence Results 🌐
+    const response = html`🌐 IP Intelligence Results 🌐
 
-\`\`\`json
- ${JSON.stringify(result.data, null, 2)}
-\`\`\`
+${pre(JSON.stringify(result.data, null, 2), 'json')}
 
 💡 IP information for educational purposes only
-• 1 credit deducted from your balance`;
+• 1 credit deducted from your balance${cachedNote(hit)}`;
 
-      await sendFormattedMessage(ctx, response);
-      user.totalQueries++;
-    } else {
-      // Refund credit on failure
-      refundCredits(user, 1);
-      await sendFormattedMessage(ctx, '❌ Failed to fetch IP information. Please check the IP address and try again.\n💳 1 credit refunded');
-    }
-  } catch (error) {
-    console.error('Error in ip command:', error);
-    // Refund credit on error
-    refundCredits(user, 1);
-    await sendFormattedMessage(ctx, '❌ An error occurred while fetching IP information.\n💳 1 credit refunded');
-  }
+    await sendFormattedMessage(ctx, response);
+    return true;
+  },
 });
 
-bot.command('email', async (ctx) => {
-  const user = getOrCreateUser(ctx);
-  if (!user || !user.isApproved) {
-    await sendFormattedMessage(ctx, '❌ You need to be approved to use this command. Use /register to submit your request.');
-    return;
-  }
-
-  // Check credits
-  if (!deductCredits(user)) {
-    await sendFormattedMessage(ctx, '❌ Insufficient credits! You need at least 1 credit to use this command.\n💳 Check your balance with /credits');
-    return;
-  }
-
-  const email = ctx.match;
-  if (!email) {
-    await sendFormattedMessage(ctx, '📧 Usage: /email <email address>\n\nExample: /email user@example.com');
-    return;
-  }
-
-  await sendFormattedMessage(ctx, '🔍 Validating email address...');
+defineCommand({
+  name: 'email',
+  icon: '📧',
+  category: 'osint',
+  usage: '/email <email address>',
+  examples: ['/email user@example.com'],
+  args: [{ name: 'email', required: true }],
+  errorMessage: '❌ An error occurred while validating email address.',
+  handler: async (ctx, { args }) => {
+    await sendFormattedMessage(ctx, '🔍 Validating email address...');
+
+    const result = await validateEmail(args.email);
+    if (!result.success || !result.data) {
+      return '❌ Failed to validate email address. Please check the email and try again.';
+    }
 
-  try {
-    const result = await validateEmail(email.toString());
-    
-    if (result.success && result.data) {
-      const response = `📧 Email Validation Results 📧
+    const response = html`📧 Email Validation Results 📧
 
-\`\`\`json
- ${JSON.stringify(result.data, null, 2)}
-\`\`\`
+${pre(JSON.stringify(result.data, null, 2), 'json')}
 
 💡 Email validation for educational purposes only
 • 1 credit deducted from your balance`;
 
-      await sendFormattedMessage(ctx, response);
-      user.totalQueries++;
-    } else {
-      // Refund credit on failure
-      refundCredits(user, 1);
-      await sendFormattedMessage(ctx, '❌ Failed to validate email address. Please check the email and try again.\n💳 1 credit refunded');
-    }
-  } catch (error) {
-    console.error('Error in email command:', error);
-    // Refund credit on error
-    refundCredits(user, 1);
-    await sendFormattedMessage(ctx, '❌ An error occurred while validating email address.\n💳 1 credit refunded');
-  }
+    await sendFormattedMessage(ctx, response);
+    return true;
+  },
 });
 
-bot.command('num', async (ctx) => {
-  const user = getOrCreateUser(ctx);
-  if (!user || !user.isApproved) {
-    await sendFormattedMessage(ctx, '❌ You need to be approved to use this command. Use /register to submit your request.');
-    return;
-  }
-
-  // Check credits
-  if (!deductCredits(user)) {
-    await sendFormattedMessage(ctx, '❌ Insufficient credits! You need at least 1 credit to use this command.\n💳 Check your balance with /credits');
-    return;
-  }
-
-  const number = ctx.match;
-  if (!number) {
-    await sendFormattedMessage(ctx, '📱 Usage: /num <phone number>\n\nExample: /num 9389482769');
-    return;
-  }
-
-  await sendFormattedMessage(ctx, '🔍 Looking up phone number...');
+defineCommand({
+  name: 'num',
+  icon: '📱',
+  category: 'osint',
+  usage: '/num <phone number>',
+  examples: ['/num 9389482769'],
+  args: [{ name: 'number', type: 'text', required: true }],
+  errorMessage: '❌ An error occurred while looking up phone number.',
+  handler: async (ctx, { args }) => {
+    await sendFormattedMessage(ctx, '🔍 Looking up phone number...');
+
+    const result = await getPhoneNumberInfo(args.number);
+    if (!result.success || !result.data) {
+      return '❌ Failed to lookup phone number. Please check the number and try again.';
+    }
 
-  try {
-    const result = await getPhoneNumberInfo(number.toString());
-    
-    if (result.success && result.data) {
-      const response = `📱 Phone Number Lookup Results 📱
+    const response = html`📱 Phone Number Lookup Results 📱
 
-\`\`\`json
- ${JSON.stringify(result.data, null, 2)}
-\`\`\`
+${pre(JSON.stringify(result.data, null, 2), 'json')}
 
 💡 Phone number information for educational purposes only
 • 1 credit deducted from your balance`;
 
-      await sendFormattedMessage(ctx, response);
-      user.totalQueries++;
-    } else {
-      // Refund credit on failure
-      refundCredits(user, 1);
-      await sendFormattedMessage(ctx, '❌ Failed to lookup phone number. Please check the number and try again.\n💳 1 credit refunded');
-    }
-  } catch (error) {
-    console.error('Error in num command:', error);
-    // Refund credit on error
-    refundCredits(user, 1);
-    await sendFormattedMessage(ctx, '❌ An error occurred while looking up phone number.\n💳 1 credit refunded');
-  }
+    await sendFormattedMessage(ctx, response);
+    return true;
+  },
 });
 
-bot.command('basicnum', async (ctx) => {
-  const user = getOrCreateUser(ctx);
-  if (!user || !user.isApproved) {
-    await sendFormattedMessage(ctx, '❌ You need to be approved to use this command. Use /register to submit your request.');
-    return;
-  }
-
-  // Check credits
-  if (!deductCredits(user)) {
-    await sendFormattedMessage(ctx, '❌ Insufficient credits! You need at least 1 credit to use this command.\n💳 Check your balance with /credits');
-    return;
-  }
-
-  const number = ctx.match;
-  if (!number) {
-    await sendFormattedMessage(ctx, '📱 Usage: /basicnum <phone number>\n\nExample: /basicnum 919087654321');
-    return;
-  }
-
-  await sendFormattedMessage(ctx, '🔍 Getting basic number information...');
+defineCommand({
+  name: 'basicnum',
+  icon: '📱',
+  category: 'osint',
+  usage: '/basicnum <phone number>',
+  examples: ['/basicnum 919087654321'],
+  args: [{ name: 'number', type: 'text', required: true }],
+  errorMessage: '❌ An error occurred while getting basic number information.',
+  handler: async (ctx, { args }) => {
+    await sendFormattedMessage(ctx, '🔍 Getting basic number information...');
+
+    const result = await getBasicNumberInfo(args.number);
+    if (!result.success || !result.data) {
+      return '❌ Failed to get basic number information. Please check the number and try again.';
+    }
 
-  try {
-    const result = await getBasicNumberInfo(number.toString());
-    
-    if (result.success && result.data) {
-      const response = `📱 Basic Number Information 📱
+    const response = html`📱 Basic Number Information 📱
 
-\`\`\`json
- ${JSON.stringify(result.data, null, 2)}
-\`\`\`
+${pre(JSON.stringify(result.data, null, 2), 'json')}
 
 💡 Basic number information for educational purposes only
 • 1 credit deducted from your balance`;
 
-      await sendFormattedMessage(ctx, response);
-      user.totalQueries++;
-    } else {
-      // Refund credit on failure
-      refundCredits(user, 1);
-      await sendFormattedMessage(ctx, '❌ Failed to get basic number information. Please check the number and try again.\n💳 1 credit refunded');
-    }
-  } catch (error) {
-    console.error('Error in basicnum command:', error);
-    // Refund credit on error
-    refundCredits(user, 1);
-    await sendFormattedMessage(ctx, '❌ An error occurred while getting basic number information.\n💳 1 credit refunded');
-  }
+    await sendFormattedMessage(ctx, response);
+    return true;
+  },
 });
 
 // UPDATED: Pakistani Government Number Information command
-bot.command('paknum', async (ctx) => {
-  const user = getOrCreateUser(ctx);
-  if (!user || !user.isApproved) {
-    await sendFormattedMessage(ctx, '❌ You need to be approved to use this command. Use /register to submit your request.');
-    return;
-  }
+defineCommand({
+  name: 'paknum',
+  icon: '📱',
+  category: 'osint',
+  usage: '/paknum <Pakistani number or CNIC>',
+  examples: ['/paknum 03005854962', '/paknum 2150952917167'],
+  args: [{ name: 'number', type: 'text', required: true }],
+  errorMessage: '❌ An error occurred while looking up Pakistani government number information.',
+  handler: async (ctx, { args }) => {
+    const number = args.number;
+    await sendFormattedMessage(ctx, '🔍 Looking up Pakistani government number information...');
+
+    const result = await getPakistaniGovtNumberInfo(number);
+    if (!result.success || !result.data || result.data.length === 0) {
+      return `❌ ${result.error || 'No records found for the provided number or CNIC'}`;
+    }
 
-  // Check credits
-  if (!deductCredits(user)) {
-    await sendFormattedMessage(ctx, '❌ Insufficient credits! You need at least 1 credit to use this command.\n💳 Check your balance with /credits');
-    return;
-  }
+    // Format the results as JSON with colored formatting
+    const formattedResults = result.data.map((record, index) => ({
+      [`Record #${index + 1}`]: {
+        name: record.name || 'N/A',
+        number: record.n || 'N/A',
+        cnic: record.cnic || 'N/A',
+        address: record.address || 'N/A'
+      }
+    }));
 
-  const number = ctx.match;
-  if (!number) {
-    await sendFormattedMessage(ctx, '📱 Usage: /paknum <Pakistani number or CNIC>\n\nExample: /paknum 03005854962\nExample: /paknum 2150952917167');
-    return;
-  }
-
-  await sendFormattedMessage(ctx, '🔍 Looking up Pakistani government number information...');
-
-  try {
-    const result = await getPakistaniGovtNumberInfo(number.toString());
-    
-    if (result.success && result.data && result.data.length > 0) {
-      // Format the results as JSON with colored formatting
-      const formattedResults = result.data.map((record, index) => ({
-        [`Record #${index + 1}`]: {
-          name: record.name || 'N/A',
-          number: record.n || 'N/A',
-          cnic: record.cnic || 'N/A',
-          address: record.address || 'N/A'
-        }
-      }));
-      
-      const response = `📱 Pakistani Government Number Information 📱
+    const response = html`📱 Pakistani Government Number Information 📱
 
 🔍 Found ${result.count} record(s) for: ${number}
 
-\`\`\`json
- ${JSON.stringify(formattedResults, null, 2)}
-\`\`\`
+${pre(JSON.stringify(formattedResults, null, 2), 'json')}
 
 💡 Information for educational purposes only
 • 1 credit deducted from your balance`;
 
-      await sendFormattedMessage(ctx, response);
-      user.totalQueries++;
-    } else {
-      // Refund credit on failure
-      refundCredits(user, 1);
-      await sendFormattedMessage(ctx, `❌ ${result.error || 'No records found for the provided number or CNIC'}\n💳 1 credit refunded`);
-    }
-  } catch (error) {
-    console.error('Error in paknum command:', error);
-    // Refund credit on error
-    refundCredits(user, 1);
-    await sendFormattedMessage(ctx, '❌ An error occurred while looking up Pakistani government number information.\n💳 1 credit refunded');
-  }
+    await sendFormattedMessage(ctx, response);
+    return true;
+  },
 });
 // ===============================
 // INDIA POSTAL COMMANDS
 // ===============================
-bot.command('pincode', async (ctx) => {
-  const user = getOrCreateUser(ctx);
-  if (!user || !user.isApproved) {
-    await sendFormattedMessage(ctx, '❌ You need to be approved to use this command. Use /register to submit your request.');
-    return;
-  }
-
-  if (!deductCredits(user)) {
-    await sendFormattedMessage(ctx, '❌ Insufficient credits! You need at least 1 credit to use this command.\n💳 Check your balance with /credits');
-    return;
-  }
-
-  const pincode = (ctx.match || '').toString().trim();
-  if (!pincode) {
-    await sendFormattedMessage(ctx, '📮 Usage: /pincode <6-digit pincode>\n\nExample: /pincode 400001');
-    return;
-  }
-
-  await sendFormattedMessage(ctx, '📮 Fetching India pincode information...');
-
-  try {
-    const result = await getIndiaPincodeInfo(pincode);
-    if (result.success && result.data) {
-      const response = `📮 India Pincode Lookup 📮\n\n🔎 Query: \`${escapeMd(pincode)}\`\n\n\`\`\`json\n${JSON.stringify(result.data, null, 2)}\n\`\`\`\n\n• 1 credit deducted from your balance`;
-      await sendLongOrFile(ctx, response, `pincode_${pincode}`);
-      user.totalQueries++;
-    } else {
-      refundCredits(user, 1);
-      await sendFormattedMessage(ctx, `❌ ${result.error || 'Failed to fetch pincode info'}\n💳 1 credit refunded`);
-    }
-  } catch (error) {
-    console.error('Error in pincode command:', error);
-    refundCredits(user, 1);
-    await sendFormattedMessage(ctx, '❌ An error occurred while fetching pincode info.\n💳 1 credit refunded');
-  }
+defineCommand({
+  name: 'pincode',
+  icon: '📮',
+  category: 'india',
+  usage: '/pincode <6-digit pincode>',
+  examples: ['/pincode 400001'],
+  args: [{ name: 'pincode', required: true, pattern: /^\d{6}$/, label: 'pincode' }],
+  errorMessage: '❌ An error occurred while fetching pincode info.',
+  handler: async (ctx, { args }) => {
+    const pincode = args.pincode;
+    await sendFormattedMessage(ctx, '📮 Fetching India pincode information...');
+
+    const hit = await cachedLookup('pincode', pincode, () => getIndiaPincodeInfo(pincode));
+    const result = hit.value;
+    if (!result.success || !result.data) return `❌ ${result.error || 'Failed to fetch pincode info'}`;
+
+    const response = html`📮 India Pincode Lookup 📮\n\n🔎 Query: ${code(pincode)}\n\n${pre(JSON.stringify(result.data, null, 2), 'json')}\n\n• 1 credit deducted from your balance${cachedNote(hit)}`;
+    await sendLongOrFile(ctx, response, `pincode_${pincode}`);
+    return true;
+  },
 });
 
-bot.command('postoffice', async (ctx) => {
-  const user = getOrCreateUser(ctx);
-  if (!user || !user.isApproved) {
-    await sendFormattedMessage(ctx, '❌ You need to be approved to use this command. Use /register to submit your request.');
-    return;
-  }
-
-  if (!deductCredits(user)) {
-    await sendFormattedMessage(ctx, '❌ Insufficient credits! You need at least 1 credit to use this command.\n💳 Check your balance with /credits');
-    return;
-  }
-
-  const query = (ctx.match || '').toString().trim();
-  if (!query) {
-    await sendFormattedMessage(ctx, '🏤 Usage: /postoffice <name>\n\nExample: /postoffice Delhi');
-    return;
-  }
-
-  await sendFormattedMessage(ctx, '🏤 Searching India Post Office data...');
-
-  try {
-    const result = await getIndiaPostOfficeInfo(query);
-    if (result.success && result.data) {
-      const response = `🏤 India Post Office Search 🏤\n\n🔎 Query: \`${escapeMd(query)}\`\n\n\`\`\`json\n${JSON.stringify(result.data, null, 2)}\n\`\`\`\n\n• 1 credit deducted from your balance`;
-      await sendLongOrFile(ctx, response, `postoffice_${query}`);
-      user.totalQueries++;
-    } else {
-      refundCredits(user, 1);
-      await sendFormattedMessage(ctx, `❌ ${result.error || 'Failed to fetch post office info'}\n💳 1 credit refunded`);
-    }
-  } catch (error) {
-    console.error('Error in postoffice command:', error);
-    refundCredits(user, 1);
-    await sendFormattedMessage(ctx, '❌ An error occurred while fetching post office info.\n💳 1 credit refunded');
-  }
+defineCommand({
+  name: 'postoffice',
+  icon: '🏤',
+  category: 'india',
+  usage: '/postoffice <name>',
+  examples: ['/postoffice Delhi'],
+  args: [{ name: 'query', type: 'text', required: true }],
+  errorMessage: '❌ An error occurred while fetching post office info.',
+  handler: async (ctx, { args }) => {
+    const query = args.query;
+    await sendFormattedMessage(ctx, '🏤 Searching India Post Office data...');
+
+    const hit = await cachedLookup('postoffice', query.trim().toLowerCase().replace(/\s+/g, ' '), () => getIndiaPostOfficeInfo(query));
+    const result = hit.value;
+    if (!result.success || !result.data) return `❌ ${result.error || 'Failed to fetch post office info'}`;
+
+    const response = html`🏤 India Post Office Search 🏤\n\n🔎 Query: ${code(query)}\n\n${pre(JSON.stringify(result.data, null, 2), 'json')}\n\n• 1 credit deducted from your balance${cachedNote(hit)}`;
+    await sendLongOrFile(ctx, response, `postoffice_${query}`);
+    return true;
+  },
 });
 
 // ===============================
 // /pak (DO NOT REPLACE /paknum)
 // ===============================
-bot.command('pak', async (ctx) => {
-  const user = getOrCreateUser(ctx);
-  if (!user || !user.isApproved) {
-    await sendFormattedMessage(ctx, '❌ You need to be approved to use this command. Use /register to submit your request.');
-    return;
-  }
-
-  if (!deductCredits(user)) {
-    await sendFormattedMessage(ctx, '❌ Insufficient credits! You need at least 1 credit to use this command.\n💳 Check your balance with /credits');
-    return;
-  }
-
-  const query = (ctx.match || '').toString().trim();
-  if (!query) {
-    await sendFormattedMessage(ctx, '🇵🇰 Usage: /pak <query>\n\nExample: /pak 2150952917167');
-    return;
-  }
-
-  await sendFormattedMessage(ctx, '🇵🇰 Looking up Pakistan info...');
+defineCommand({
+  name: 'pak',
+  icon: '🇵🇰',
+  category: 'osint',
+  usage: '/pak <query>',
+  examples: ['/pak 2150952917167'],
+  args: [{ name: 'query', type: 'text', required: true }],
+  errorMessage: '❌ An error occurred while fetching /pak info.',
+  handler: async (ctx, { args }) => {
+    const query = args.query;
+    await sendFormattedMessage(ctx, '🇵🇰 Looking up Pakistan info...');
 
-  try {
     const result = await getRehuPakInfo(query);
-    if (result.success && result.data) {
-      const response = `🇵🇰 Pakistan Lookup (/pak) 🇵🇰\n\n🔎 Query: \`${escapeMd(query)}\`\n\n\`\`\`json\n${JSON.stringify(result.data, null, 2)}\n\`\`\`\n\n• 1 credit deducted from your balance`;
-      await sendFormattedMessage(ctx, response);
-      user.totalQueries++;
-    } else {
-      refundCredits(user, 1);
-      await sendFormattedMessage(ctx, `❌ ${result.error || 'No data found'}\n💳 1 credit refunded`);
-    }
-  } catch (error) {
-    console.error('Error in pak command:', error);
-    refundCredits(user, 1);
-    await sendFormattedMessage(ctx, '❌ An error occurred while fetching /pak info.\n💳 1 credit refunded');
-  }
+    if (!result.success || !result.data) return `❌ ${result.error || 'No data found'}`;
+
+    const response = html`🇵🇰 Pakistan Lookup (/pak) 🇵🇰\n\n🔎 Query: ${code(query)}\n\n${pre(JSON.stringify(result.data, null, 2), 'json')}\n\n• 1 credit deducted from your balance`;
+    await sendFormattedMessage(ctx, response);
+    return true;
+  },
 });
 
 // ===============================
 // IFSC (TEXT, NOT JSON)
 // ===============================
-bot.command('ifsc', async (ctx) => {
-  const user = getOrCreateUser(ctx);
-  if (!user || !user.isApproved) {
-    await sendFormattedMessage(ctx, '❌ You need to be approved to use this command. Use /register to submit your request.');
-    return;
-  }
+defineCommand({
+  name: 'ifsc',
+  icon: '🏦',
+  category: 'bank',
+  usage: '/ifsc <IFSC>',
+  examples: ['/ifsc SBIN0001234'],
+  args: [{ name: 'ifsc', required: true, pattern: /^[A-Za-z]{4}0[A-Za-z0-9]{6}$/, label: 'IFSC code' }],
+  errorMessage: '❌ An error occurred while fetching IFSC info.',
+  handler: async (ctx, { args }) => {
+    const ifsc = args.ifsc.toUpperCase();
+    await sendFormattedMessage(ctx, '🏦 Fetching IFSC details...');
+
+    const hit = await cachedLookup('ifsc', ifsc, () => getIfscInfo(ifsc));
+    const result = hit.value;
+    if (!result.success || !result.data) return `❌ ${result.error || 'Failed to fetch IFSC info'}`;
+
+    const d = result.data || {};
+    // Try common keys; fallback to printing whatever exists as text
+    const lines = [];
+    const push = (label, val) => {
+      if (val !== undefined && val !== null && String(val).trim() !== '') {
+        lines.push(html`• <b>${label}:</b> ${val}`);
+      }
+    };
 
-  if (!deductCredits(user)) {
-    await sendFormattedMessage(ctx, '❌ Insufficient credits! You need at least 1 credit to use this command.\n💳 Check your balance with /credits');
-    return;
-  }
+    push('IFSC', d.ifsc || d.IFSC || ifsc);
+    push('Bank', d.bank || d.BANK);
+    push('Branch', d.branch || d.BRANCH);
+    push('Address', d.address || d.ADDRESS);
+    push('City', d.city || d.CITY);
+    push('District', d.district || d.DISTRICT);
+    push('State', d.state || d.STATE);
+    push('MICR', d.micr || d.MICR);
+    push('Contact', d.contact || d.CONTACT);
+    push('UPI', d.upi || d.UPI);
 
-  const ifsc = (ctx.match || '').toString().trim();
-  if (!ifsc) {
-    await sendFormattedMessage(ctx, '🏦 Usage: /ifsc <IFSC>\n\nExample: /ifsc SBIN0001234');
-    return;
-  }
+    const details = lines.length ? join(lines) : `• Result received, but fields are unknown.\n• Please check:\n${JSON.stringify(d)}`;
+    const response = html`🏦 <b>IFSC Details</b> 🏦
 
-  await sendFormattedMessage(ctx, '🏦 Fetching IFSC details...');
+🔎 Query: ${code(ifsc)}
 
-  try {
-    const result = await getIfscInfo(ifsc);
-    if (result.success && result.data) {
-      const d = result.data || {};
-      // Try common keys; fallback to printing whatever exists as text
-      const lines = [];
-      const push = (label, val) => {
-        if (val !== undefined && val !== null && String(val).trim() !== '') {
-          lines.push(`• *${label}:* ${escapeMd(String(val))}`);
-        }
-      };
+${details}
 
-      push('IFSC', d.ifsc || d.IFSC || ifsc);
-      push('Bank', d.bank || d.BANK);
-      push('Branch', d.branch || d.BRANCH);
-      push('Address', d.address || d.ADDRESS);
-      push('City', d.city || d.CITY);
-      push('District', d.district || d.DISTRICT);
-      push('State', d.state || d.STATE);
-      push('MICR', d.micr || d.MICR);
-      push('Contact', d.contact || d.CONTACT);
-      push('UPI', d.upi || d.UPI);
-
-      const response =
-        `🏦 *IFSC Details* 🏦\n\n` +
-        `🔎 Query: \`${escapeMd(ifsc)}\`\n\n` +
-        (lines.length ? lines.join('\n') : `• Result received, but fields are unknown.\n• Please check:\n${escapeMd(JSON.stringify(d))}`) +
-        `\n\n• 1 credit deducted from your balance`;
-
-      await sendFormattedMessage(ctx, response);
-      user.totalQueries++;
-    } else {
-      refundCredits(user, 1);
-      await sendFormattedMessage(ctx, `❌ ${result.error || 'Failed to fetch IFSC info'}\n💳 1 credit refunded`);
-    }
-  } catch (error) {
-    console.error('Error in ifsc command:', error);
-    refundCredits(user, 1);
-    await sendFormattedMessage(ctx, '❌ An error occurred while fetching IFSC info.\n💳 1 credit refunded');
-  }
+• 1 credit deducted from your balance${cachedNote(hit)}`;
+
+    await sendFormattedMessage(ctx, response);
+    return true;
+  },
 });
 
 // ===============================
@@ -4357,76 +5652,38 @@ bot.command('ifsc', async (ctx) => {
 // ===============================
 
 
-bot.command('ig', async (ctx) => {
-  const user = getOrCreateUser(ctx);
-  if (!user || !user.isApproved) {
-    await sendFormattedMessage(ctx, '❌ You need to be approved to use this command. Use /register to submit your request.');
-    return;
-  }
-
-  // Check credits
-  if (!deductCredits(user)) {
-    await sendFormattedMessage(ctx, '❌ Insufficient credits! You need at least 1 credit to use this command.\n💳 Check your balance with /credits');
-    return;
-  }
-
-  const username = ctx.match;
-  if (!username) {
-    await sendFormattedMessage(ctx, '📷 Usage: /ig <Instagram username>\n\nExample: /ig instagram');
-    return;
-  }
-
-  await sendFormattedMessage(ctx, '🔍 Fetching Instagram intelligence...');
+defineCommand({
+  name: 'ig',
+  icon: '📷',
+  category: 'osint',
+  usage: '/ig <Instagram username>',
+  examples: ['/ig instagram'],
+  args: [{ name: 'username', required: true }],
+  errorMessage: '❌ An error occurred while fetching Instagram information.',
+  handler: async (ctx, { args }) => {
+    await sendFormattedMessage(ctx, '🔍 Fetching Instagram intelligence...');
+
+    const result = await getInstagramInfo(args.username);
+    if (!result.success || !result.data) {
+      return '❌ Failed to fetch Instagram information. Please check the username and try again.';
+    }
 
-  try {
-    const result = await getInstagramInfo(username.toString());
-    
-    if (result.success && result.data) {
-      const response = `📷 Instagram Intelligence Results 📷
+    const response = html`📷 Instagram Intelligence Results 📷
 
-\`\`\`json
- ${JSON.stringify(result.data, null, 2)}
-\`\`\`
+${pre(JSON.stringify(result.data, null, 2), 'json')}
 
 💡 Instagram information for educational purposes only
 • 1 credit deducted from your balance`;
 
-      await sendFormattedMessage(ctx, response);
-      user.totalQueries++;
-    } else {
-      // Refund credit on failure
-      refundCredits(user, 1);
-      await sendFormattedMessage(ctx, '❌ Failed to fetch Instagram information. Please check the username and try again.\n💳 1 credit refunded');
-    }
-  } catch (error) {
-    console.error('Error in ig command:', error);
-    // Refund credit on error
-    refundCredits(user, 1);
-    await sendFormattedMessage(ctx, '❌ An error occurred while fetching Instagram information.\n💳 1 credit refunded');
-  }
+    await sendFormattedMessage(ctx, response);
+    return true;
+  },
 });
 
 
-bot.command('igreels', async (ctx) => {
-  const user = getOrCreateUser(ctx);
-  if (!user || !user.isApproved) {
-    await sendFormattedMessage(ctx, '❌ You need to be approved to use this command. Use /register to submit your request.');
-    return;
-  }
-
-  if (!deductCredits(user)) {
-    await sendFormattedMessage(ctx, '❌ Insufficient credits! You need at least 1 credit to use this command.\n💳 Check your balance with /credits');
-    return;
-  }
-
-  const input = (ctx.match || '').trim();
-  if (!input) {
-    await sendFormattedMessage(ctx, '🎞️ Usage: /igreels <Instagram username or profile URL>\n\nExample: /igreels indiangamedevv\nExample: /igreels https://instagram.com/indiangamedevv');
-    return;
-  }
-
-  // Accept @username or profile URL
-  let username = input.replace(/^@/, '');
+// Accept @username or profile URL
+function parseInstagramUsername(input) {
+  let username = String(input || '').replace(/^@/, '');
   try {
     if (/https?:\/\//i.test(input)) {
       const u = new URL(input);
@@ -4435,224 +5692,137 @@ bot.command('igreels', async (ctx) => {
       if (parts[0]) username = parts[0];
     }
   } catch (_) {}
+  return username;
+}
 
-  if (!username || username.length < 2) {
-    refundCredits(user, 1);
-    await sendFormattedMessage(ctx, '❌ Invalid username.\n💳 1 credit refunded');
-    return;
-  }
-
-  await sendFormattedMessage(ctx, '🎞️ Fetching Instagram reels/posts...');
+defineCommand({
+  name: 'igreels',
+  icon: '🎞️',
+  category: 'osint',
+  usage: '/igreels <Instagram username or profile URL>',
+  examples: ['/igreels indiangamedevv', '/igreels https://instagram.com/indiangamedevv'],
+  args: [{ name: 'input', required: true }],
+  validate: ({ input }) => (parseInstagramUsername(input).length < 2 ? '❌ Invalid username.' : null),
+  errorMessage: '❌ An error occurred while fetching reels/posts information.',
+  handler: async (ctx, { args }) => {
+    const username = parseInstagramUsername(args.input);
+    await sendFormattedMessage(ctx, '🎞️ Fetching Instagram reels/posts...');
 
-  try {
-    const result = await getInstagramPosts(username.toString());
+    const result = await getInstagramPosts(username);
+    if (!result.success || !result.data) return '❌ Failed to fetch reels/posts information.';
 
-    if (result.success && result.data) {
-      const response = `🎞️ Instagram Reels / Posts Results 🎞️
+    const response = html`🎞️ Instagram Reels / Posts Results 🎞️
 
-\`\`\`json
-${JSON.stringify(result.data, null, 2)}
-\`\`\`
+${pre(JSON.stringify(result.data, null, 2), 'json')}
 
 • 1 credit deducted from your balance`;
 
-      await sendLongOrFile(ctx, response, `igreels_${username}`);
-      user.totalQueries++;
-    } else {
-      refundCredits(user, 1);
-      await sendFormattedMessage(ctx, `❌ Failed to fetch reels/posts information.\n💳 1 credit refunded`);
-    }
-  } catch (error) {
-    console.error('Error in igreels command:', error);
-    refundCredits(user, 1);
-    await sendFormattedMessage(ctx, '❌ An error occurred while fetching reels/posts information.\n💳 1 credit refunded');
-  }
+    await sendLongOrFile(ctx, response, `igreels_${username}`);
+    return true;
+  },
 });
 
-bot.command('pan', async (ctx) => {
-  const user = getOrCreateUser(ctx);
-  if (!user || !user.isApproved) {
-    await sendFormattedMessage(ctx, '❌ You need to be approved to use this command. Use /register to submit your request.');
-    return;
-  }
-
-  if (!deductCredits(user)) {
-    await sendFormattedMessage(ctx, '❌ Insufficient credits! You need at least 1 credit to use this command.\n💳 Check your balance with /credits');
-    return;
-  }
-
-  const pan = ctx.match;
-  if (!pan) {
-    await sendFormattedMessage(ctx, '🪪 Usage: /pan <PAN>\n\nExample: /pan ABCDE1234F');
-    return;
-  }
-
-  await sendFormattedMessage(ctx, '🪪 Fetching PAN info...');
+defineCommand({
+  name: 'pan',
+  icon: '🪪',
+  category: 'osint',
+  usage: '/pan <PAN>',
+  examples: ['/pan ABCDE1234F'],
+  args: [{ name: 'pan', required: true }],
+  errorMessage: '❌ An error occurred while fetching PAN information.',
+  handler: async (ctx, { args }) => {
+    await sendFormattedMessage(ctx, '🪪 Fetching PAN info...');
 
-  try {
-    const result = await getPanInfo(pan.toString());
+    const result = await getPanInfo(args.pan);
+    if (!result.success || !result.data) return '❌ Failed to fetch PAN information.';
 
-    if (result.success && result.data) {
-      const response = `🪪 PAN Lookup Results 🪪
+    const response = html`🪪 PAN Lookup Results 🪪
 
-\`\`\`json
-${JSON.stringify(result.data, null, 2)}
-\`\`\`
+${pre(JSON.stringify(result.data, null, 2), 'json')}
 
 • 1 credit deducted from your balance`;
 
-      await sendFormattedMessage(ctx, response);
-      user.totalQueries++;
-    } else {
-      refundCredits(user, 1);
-      await sendFormattedMessage(ctx, '❌ Failed to fetch PAN information.\n💳 1 credit refunded');
-    }
-  } catch (error) {
-    console.error('Error in pan command:', error);
-    refundCredits(user, 1);
-    await sendFormattedMessage(ctx, '❌ An error occurred while fetching PAN information.\n💳 1 credit refunded');
-  }
+    await sendFormattedMessage(ctx, response);
+    return true;
+  },
 });
 
-bot.command('tginfo', async (ctx) => {
-  const user = getOrCreateUser(ctx);
-  if (!user || !user.isApproved) {
-    await sendFormattedMessage(ctx, '❌ You need to be approved to use this command. Use /register to submit your request.');
-    return;
-  }
-
-  if (!deductCredits(user)) {
-    await sendFormattedMessage(ctx, '❌ Insufficient credits! You need at least 1 credit to use this command.\n💳 Check your balance with /credits');
-    return;
-  }
-
-  const tgIdRaw = ctx.match;
-  const tgId = (tgIdRaw || '').toString().trim();
-  if (!tgId) {
-    await sendFormattedMessage(ctx, '🧾 Usage: /tginfo <telegram_id>\n\nExample: /tginfo 7712689923');
-    return;
-  }
-
-  await sendFormattedMessage(ctx, '🧾 Fetching Telegram info...');
+defineCommand({
+  name: 'tginfo',
+  icon: '🧾',
+  category: 'osint',
+  usage: '/tginfo <telegram_id>',
+  examples: ['/tginfo 7712689923'],
+  args: [{ name: 'tgId', type: 'digits', required: true, label: 'Telegram ID' }],
+  errorMessage: '❌ An error occurred while fetching Telegram info.',
+  handler: async (ctx, { args }) => {
+    await sendFormattedMessage(ctx, '🧾 Fetching Telegram info...');
 
-  try {
-    const result = await getTelegramIdInfo(tgId);
+    const result = await getTelegramIdInfo(args.tgId);
+    if (!result.success || !result.data) return '❌ Failed to fetch Telegram info.';
 
-    if (result.success && result.data) {
-      const response = `🧾 Telegram Info Results 🧾
+    const response = html`🧾 Telegram Info Results 🧾
 
-\`\`\`json
-${JSON.stringify({ data: result.data, success: true }, null, 2)}
-\`\`\`
+${pre(JSON.stringify({ data: result.data, success: true }, null, 2), 'json')}
 
 • 1 credit deducted from your balance`;
 
-      await sendFormattedMessage(ctx, response);
-      user.totalQueries++;
-    } else {
-      refundCredits(user, 1);
-      await sendFormattedMessage(ctx, '❌ Failed to fetch Telegram info.\n💳 1 credit refunded');
-    }
-  } catch (error) {
-    console.error('Error in tginfo command:', error);
-    refundCredits(user, 1);
-    await sendFormattedMessage(ctx, '❌ An error occurred while fetching Telegram info.\n💳 1 credit refunded');
-  }
+    await sendFormattedMessage(ctx, response);
+    return true;
+  },
 });
 
-bot.command('bin', async (ctx) => {
-  const user = getOrCreateUser(ctx);
-  if (!user || !user.isApproved) {
-    await sendFormattedMessage(ctx, '❌ You need to be approved to use this command. Use /register to submit your request.');
-    return;
-  }
-
-  // Check credits
-  if (!deductCredits(user)) {
-    await sendFormattedMessage(ctx, '❌ Insufficient credits! You need at least 1 credit to use this command.\n💳 Check your balance with /credits');
-    return;
-  }
-
-  const bin = ctx.match;
-  if (!bin) {
-    await sendFormattedMessage(ctx, '💳 Usage: /bin <BIN number>\n\nExample: /bin 460075');
-    return;
-  }
-
-  await sendFormattedMessage(ctx, '🔍 Looking up BIN information...');
+defineCommand({
+  name: 'bin',
+  icon: '💳',
+  category: 'bank',
+  usage: '/bin <BIN number>',
+  examples: ['/bin 460075'],
+  args: [{ name: 'bin', required: true }],
+  errorMessage: '❌ An error occurred while looking up BIN information.',
+  handler: async (ctx, { args }) => {
+    await sendFormattedMessage(ctx, '🔍 Looking up BIN information...');
+
+    const result = await getBinInfo(args.bin);
+    if (!result.success || !result.data) {
+      return '❌ Failed to lookup BIN information. Please check the BIN and try again.';
+    }
 
-  try {
-    const result = await getBinInfo(bin.toString());
-    
-    if (result.success && result.data) {
-      const response = `💳 BIN Lookup Results 💳
+    const response = html`💳 BIN Lookup Results 💳
 
-\`\`\`json
- ${JSON.stringify(result.data, null, 2)}
-\`\`\`
+${pre(JSON.stringify(result.data, null, 2), 'json')}
 
 💡 BIN information for educational purposes only
 • 1 credit deducted from your balance`;
 
-      await sendFormattedMessage(ctx, response);
-      user.totalQueries++;
-    } else {
-      // Refund credit on failure
-      refundCredits(user, 1);
-      await sendFormattedMessage(ctx, '❌ Failed to lookup BIN information. Please check the BIN and try again.\n💳 1 credit refunded');
-    }
-  } catch (error) {
-    console.error('Error in bin command:', error);
-    // Refund credit on error
-    refundCredits(user, 1);
-    await sendFormattedMessage(ctx, '❌ An error occurred while looking up BIN information.\n💳 1 credit refunded');
-  }
+    await sendFormattedMessage(ctx, response);
+    return true;
+  },
 });
 
-bot.command('deepbin', async (ctx) => {
-  const user = getOrCreateUser(ctx);
-  if (!user || !user.isApproved) {
-    await sendFormattedMessage(ctx, '❌ You need to be approved to use this command. Use /register to submit your request.');
-    return;
-  }
-
-  if (!deductCredits(user)) {
-    await sendFormattedMessage(ctx, '❌ Insufficient credits! You need at least 1 credit to use this command.\n💳 Check your balance with /credits');
-    return;
-  }
-
-  const bin = (ctx.match || '').trim();
-  if (!bin) {
-    refundCredits(user, 1);
-    await sendFormattedMessage(ctx, '💳 Usage: /deepbin <6-10 digit BIN>\nExample: /deepbin 400191\n💳 1 credit refunded');
-    return;
-  }
-
-  await sendFormattedMessage(ctx, '🔍 Fetching Deep BIN information...');
+defineCommand({
+  name: 'deepbin',
+  icon: '💳',
+  category: 'bank',
+  usage: '/deepbin <6-10 digit BIN>',
+  examples: ['/deepbin 400191'],
+  args: [{ name: 'bin', required: true }],
+  errorMessage: '❌ An error occurred while fetching Deep BIN info.',
+  handler: async (ctx, { args }) => {
+    await sendFormattedMessage(ctx, '🔍 Fetching Deep BIN information...');
 
-  try {
-    const result = await getDeepBinInfo(bin);
+    const result = await getDeepBinInfo(args.bin);
+    if (!result.success || !result.data) return '❌ Failed to fetch Deep BIN info.';
 
-    if (result.success && result.data) {
-      const response = `💳 Deep BIN Results 💳
+    const response = html`💳 Deep BIN Results 💳
 
-\`\`\`json
-${JSON.stringify(result.data, null, 2)}
-\`\`\`
+${pre(JSON.stringify(result.data, null, 2), 'json')}
 
 • 1 credit deducted from your balance`;
 
-      await sendFormattedMessage(ctx, response);
-      user.totalQueries++;
-    } else {
-      refundCredits(user, 1);
-      await sendFormattedMessage(ctx, '❌ Failed to fetch Deep BIN info.\n💳 1 credit refunded');
-    }
-  } catch (error) {
-    console.error('Error in deepbin command:', error);
-    refundCredits(user, 1);
-    await sendFormattedMessage(ctx, '❌ An error occurred while fetching Deep BIN info.\n💳 1 credit refunded');
-  }
+    await sendFormattedMessage(ctx, response);
+    return true;
+  },
 });
 
 
@@ -4670,7 +5840,7 @@ function tempmailInlineKeyboard() {
 }
 // Uses https://docs.mail.tm/ API
 // ===============================
-const MAILTM_BASE = process.env.MAILTM_BASE || 'https://api.mail.tm';
+const mailtmApi = httpClient.provider('mail.tm', { baseUrl: config.mailtmBase, timeout: 25000 });
 const tempMailSessions = new Map(); // telegramId -> { address, password, token, accountId, createdAt }
 
 function randString(n = 10) {
@@ -4678,7 +5848,7 @@ function randString(n = 10) {
 }
 
 async function mailtmGetDomain() {
-  const r = await axiosGetWithRetry(`${MAILTM_BASE}/domains?page=1`, { timeout: 25000 }, 2);
+  const r = await mailtmApi.get('/domains', { params: { page: 1 }, retries: 1 });
   const list = r.data?.['hydra:member'] || r.data?.member || r.data?.domains || [];
   const domain = list?.[0]?.domain;
   if (!domain) throw new Error('No mail.tm domains available');
@@ -4687,9 +5857,8 @@ async function mailtmGetDomain() {
 
 async function mailtmCreateAccount(address, password) {
   // POST /accounts
-  const res = await axios.post(`${MAILTM_BASE}/accounts`, { address, password }, {
-    timeout: 25000,
-    headers: { 'content-type': 'application/json', 'user-agent': DEFAULT_UA },
+  const res = await mailtmApi.post('/accounts', { address, password }, {
+    headers: { 'content-type': 'application/json' },
     validateStatus: () => true
   });
 
@@ -4704,9 +5873,8 @@ async function mailtmCreateAccount(address, password) {
 }
 
 async function mailtmGetToken(address, password) {
-  const res = await axios.post(`${MAILTM_BASE}/token`, { address, password }, {
-    timeout: 25000,
-    headers: { 'content-type': 'application/json', 'user-agent': DEFAULT_UA },
+  const res = await mailtmApi.post('/token', { address, password }, {
+    headers: { 'content-type': 'application/json' },
     validateStatus: () => true
   });
   if (res.status >= 200 && res.status < 300 && res.data?.token) return res.data.token;
@@ -4714,21 +5882,28 @@ async function mailtmGetToken(address, password) {
 }
 
 async function mailtmListMessages(token) {
-  const r = await axiosGetWithRetry(`${MAILTM_BASE}/messages?page=1`, {
-    timeout: 25000,
-    headers: { Authorization: `Bearer ${token}` }
-  }, 2);
+  const r = await mailtmApi.get('/messages', {
+    params: { page: 1 },
+    headers: { Authorization: `Bearer ${token}` },
+    retries: 1
+  });
   return r.data?.['hydra:member'] || [];
 }
 
 async function mailtmReadMessage(token, id) {
-  const r = await axiosGetWithRetry(`${MAILTM_BASE}/messages/${encodeURIComponent(id)}`, {
-    timeout: 25000,
-    headers: { Authorization: `Bearer ${token}` }
-  }, 2);
+  const r = await mailtmApi.get(`/messages/${encodeURIComponent(id)}`, {
+    headers: { Authorization: `Bearer ${token}` },
+    retries: 1
+  });
   return r.data;
 }
 
+mailtmGetDomain = instrumentUpstream('mailtmGetDomain', mailtmGetDomain);
+mailtmCreateAccount = instrumentUpstream('mailtmCreateAccount', mailtmCreateAccount);
+mailtmGetToken = instrumentUpstream('mailtmGetToken', mailtmGetToken);
+mailtmListMessages = instrumentUpstream('mailtmListMessages', mailtmListMessages);
+mailtmReadMessage = instrumentUpstream('mailtmReadMessage', mailtmReadMessage);
+
 function getSession(telegramId) {
   return tempMailSessions.get(String(telegramId)) || null;
 }
@@ -4751,55 +5926,38 @@ async function ensureSession(ctx) {
   return s;
 }
 
-bot.command('tempmail', async (ctx) => {
-  const user = getOrCreateUser(ctx);
-  if (!user || !user.isApproved) {
-    return sendFormattedMessage(ctx, '❌ You need to be approved to use this command. Use /register to submit your request.');
-  }
-
-  const args = String(ctx.match || '').trim();
-  const [sub, ...rest] = args.split(/\s+/).filter(Boolean);
-  const action = (sub || 'new').toLowerCase();
+async function handleTempMailCommand(ctx, { args }) {
+  const action = args.action.toLowerCase();
 
   try {
     if (action === 'new') {
-      // 1 credit for creating/refreshing mailbox
-      if (!deductCredits(user)) {
-        return sendFormattedMessage(ctx, '❌ Insufficient credits! You need at least 1 credit to use this command.\n💳 Check your balance with /credits');
-      }
-
       // Force refresh session
       tempMailSessions.delete(String(ctx.from.id));
       const s = await ensureSession(ctx);
 
-      const msg =
-`📨 *TempMail v9* (Inbox Enabled)
+      const msg = html`📨 <b>TempMail v9</b> (Inbox Enabled)
 
-✅ *Your Temp Email:*
-\`${s.address}\`
+✅ <b>Your Temp Email:</b>
+${code(s.address)}
 
-🔑 *Password:*
-\`${s.password}\`
+🔑 <b>Password:</b>
+${code(s.password)}
 
-📥 *Inbox Commands:*
+📥 <b>Inbox Commands:</b>
 • /tempmail inbox
-• /tempmail read <id>
+• /tempmail read &lt;id&gt;
 
 ⚠️ Use this mailbox for signups/OTP only.
 • 1 credit deducted`;
       await sendFormattedMessage(ctx, msg);
-      user.totalQueries++;
-      return;
+      return true;
     }
 
     if (action === 'me') {
       const s = await ensureSession(ctx);
-      const msg = `📨 *Your Current TempMail*\n\n\`${s.address}\`\n\nUse: /tempmail inbox`;
-      try {
-        return await ctx.reply(msg, { parse_mode: 'Markdown', reply_markup: tempmailInlineKeyboard() });
-      } catch (_) {
-        return sendFormattedMessage(ctx, msg);
-      }
+      const msg = html`📨 <b>Your Current TempMail</b>\n\n${code(s.address)}\n\nUse: /tempmail inbox`;
+      await replyTempMail(ctx, msg);
+      return true;
     }
 
     if (action === 'inbox') {
@@ -4807,12 +5965,9 @@ bot.command('tempmail', async (ctx) => {
       const items = await mailtmListMessages(s.token);
 
       if (!items.length) {
-        const msg = `📭 *Inbox is empty*\n\nEmail: \`${s.address}\`\n\nTip: wait 10–30 seconds, then tap *Refresh inbox* or run /tempmail inbox again.`;
-        try {
-          return await ctx.reply(msg, { parse_mode: 'Markdown', reply_markup: tempmailInlineKeyboard() });
-        } catch (_) {
-          return sendFormattedMessage(ctx, msg);
-        }
+        const msg = html`📭 <b>Inbox is empty</b>\n\nEmail: ${code(s.address)}\n\nTip: wait 10–30 seconds, then tap <b>Refresh inbox</b> or run /tempmail inbox again.`;
+        await replyTempMail(ctx, msg);
+        return true;
       }
 
       const lines = items.slice(0, 15).map((m, i) => {
@@ -4820,20 +5975,17 @@ bot.command('tempmail', async (ctx) => {
         const subject = m?.subject || '(no subject)';
         const id = m?.id || '';
         const seen = m?.seen ? '✅' : '🆕';
-        return `${seen} *${i + 1}.* ${escapeMd(subject)}\n   From: ${escapeMd(from)}\n   ID: \`${escapeMd(id)}\``;
-      }).join('\n\n');
+        return html`${seen} <b>${i + 1}.</b> ${subject}\n   From: ${from}\n   ID: ${code(id)}`;
+      });
 
-      const msg = `📥 *Inbox (showing up to 15)*\nEmail: \`${s.address}\`\n\n${lines}\n\nUse: /tempmail read <id>`;
-      try {
-        return await ctx.reply(msg, { parse_mode: 'Markdown', reply_markup: tempmailInlineKeyboard() });
-      } catch (_) {
-        return sendFormattedMessage(ctx, msg);
-      }
+      const msg = html`📥 <b>Inbox (showing up to 15)</b>\nEmail: ${code(s.address)}\n\n${join(lines, '\n\n')}\n\nUse: /tempmail read &lt;id&gt;`;
+      await replyTempMail(ctx, msg);
+      return true;
     }
 
     if (action === 'read') {
-      const id = rest.join(' ').trim();
-      if (!id) return sendFormattedMessage(ctx, '🧾 Usage: /tempmail read <message_id>');
+      const id = args.rest || '';
+      if (!id) return '🧾 Usage: /tempmail read <message_id>';
 
       const s = await ensureSession(ctx);
       const m = await mailtmReadMessage(s.token, id);
@@ -4841,34 +5993,48 @@ bot.command('tempmail', async (ctx) => {
       const from = m?.from?.address || m?.from?.name || 'Unknown';
       const subject = m?.subject || '(no subject)';
       const text = (m?.text || m?.intro || '').toString();
-      const html = (m?.html && Array.isArray(m.html) ? m.html.join('\n') : (m?.html || '')).toString();
+      const htmlBody = (m?.html && Array.isArray(m.html) ? m.html.join('\n') : (m?.html || '')).toString();
 
-      const body = text || html || '(no body)';
+      const body = text || htmlBody || '(no body)';
       const shortBody = body.length > 3500 ? body.slice(0, 3500) + '\n…(trimmed)…' : body;
 
-      const msg = `🧾 *Message*\n\n*Subject:* ${escapeMd(subject)}\n*From:* ${escapeMd(from)}\n*ID:* \`${escapeMd(id)}\`\n\n${escapeMd(shortBody)}`;
-      return sendFormattedMessage(ctx, msg);
+      const msg = html`🧾 <b>Message</b>\n\n<b>Subject:</b> ${subject}\n<b>From:</b> ${from}\n<b>ID:</b> ${code(id)}\n\n${shortBody}`;
+      await sendFormattedMessage(ctx, msg);
+      return true;
     }
 
-    // unknown subcommand
-    return sendFormattedMessage(ctx, `📨 Usage:\n• /tempmail new\n• /tempmail me\n• /tempmail inbox\n• /tempmail read <id>`);
+    // unknown subcommand (free, nothing charged)
+    return `📨 Usage:\n• /tempmail new\n• /tempmail me\n• /tempmail inbox\n• /tempmail read <id>`;
   } catch (e) {
-    console.error('tempmail error:', e?.message || e);
-    // If action was 'new' we already deducted 1 credit; refund on failure
-    if ((action === 'new') && user && !user.isPremium) refundCredits(user, 1);
-    return sendFormattedMessage(ctx, `❌ TempMail failed. Try again.\n\nTip: /tempmail new`);
+    commandLog.error('tempmail failed', e);
+    // If action was 'new' the registry refunds the reserved credit
+    return `❌ TempMail failed. Try again.\n\nTip: /tempmail new`;
   }
+}
+
+async function replyTempMail(ctx, msg) {
+  await sendFormattedMessage(ctx, msg, { reply_markup: tempmailInlineKeyboard() });
+}
+
+defineCommand({
+  name: 'tempmail',
+  category: 'tools',
+  usage: '/tempmail new|me|inbox|read <id>',
+  args: [{ name: 'action', default: 'new' }, { name: 'rest', type: 'text' }],
+  // 1 credit for creating/refreshing mailbox, reading is free
+  cost: ({ action }) => (action.toLowerCase() === 'new' ? 1 : 0),
+  handler: handleTempMailCommand,
 });
 
 // TempMail inline buttons
 bot.callbackQuery('tm_me', async (ctx) => {
   const user = getOrCreateUser(ctx);
   if (!user || !user.isApproved) {
-    return safeEditOrReply(ctx, '❌ You need to be approved to use TempMail. Use /register first.', backToMenuKeyboard());
+    return safeEditOrReply(ctx, '❌ You need to be approved to use TempMail. Use /register first.', backToMenuKeyboard(ctx));
   }
   try {
     const s = await ensureSession(ctx);
-    const msg = `📨 *Your Current TempMail*\n\n\`${s.address}\`\n\nUse: /tempmail inbox`;
+    const msg = html`📨 <b>Your Current TempMail</b>\n\n${code(s.address)}\n\nUse: /tempmail inbox`;
     return safeEditOrReply(ctx, msg, tempmailInlineKeyboard());
   } catch (e) {
     return safeEditOrReply(ctx, '❌ TempMail not ready. Run /tempmail new first.', tempmailInlineKeyboard());
@@ -4878,13 +6044,13 @@ bot.callbackQuery('tm_me', async (ctx) => {
 bot.callbackQuery('tm_refresh', async (ctx) => {
   const user = getOrCreateUser(ctx);
   if (!user || !user.isApproved) {
-    return safeEditOrReply(ctx, '❌ You need to be approved to use TempMail. Use /register first.', backToMenuKeyboard());
+    return safeEditOrReply(ctx, '❌ You need to be approved to use TempMail. Use /register first.', backToMenuKeyboard(ctx));
   }
   try {
     const s = await ensureSession(ctx);
     const items = await mailtmListMessages(s.token);
     if (!items.length) {
-      const msg = `📭 *Inbox is empty*\n\nEmail: \`${s.address}\`\n\nTip: wait 10–30 seconds, then tap *Refresh inbox* again.`;
+      const msg = html`📭 <b>Inbox is empty</b>\n\nEmail: ${code(s.address)}\n\nTip: wait 10–30 seconds, then tap <b>Refresh inbox</b> again.`;
       return safeEditOrReply(ctx, msg, tempmailInlineKeyboard());
     }
     const lines = items.slice(0, 15).map((m, i) => {
@@ -4892,184 +6058,122 @@ bot.callbackQuery('tm_refresh', async (ctx) => {
       const subject = m?.subject || '(no subject)';
       const id = m?.id || '';
       const seen = m?.seen ? '✅' : '🆕';
-      return `${seen} *${i + 1}.* ${escapeMd(subject)}\n   From: ${escapeMd(from)}\n   ID: \`${escapeMd(id)}\``;
-    }).join('\n\n');
-    const msg = `📥 *Inbox (showing up to 15)*\nEmail: \`${s.address}\`\n\n${lines}\n\nUse: /tempmail read <id>`;
+      return html`${seen} <b>${i + 1}.</b> ${subject}\n   From: ${from}\n   ID: ${code(id)}`;
+    });
+    const msg = html`📥 <b>Inbox (showing up to 15)</b>\nEmail: ${code(s.address)}\n\n${join(lines, '\n\n')}\n\nUse: /tempmail read &lt;id&gt;`;
     return safeEditOrReply(ctx, msg, tempmailInlineKeyboard());
   } catch (e) {
     return safeEditOrReply(ctx, '❌ Failed to refresh inbox. Try /tempmail inbox or /tempmail new.', tempmailInlineKeyboard());
   }
 });
-bot.command('rc', async (ctx) => {
-  const user = getOrCreateUser(ctx);
-  if (!user || !user.isApproved) {
-    await sendFormattedMessage(ctx, '❌ You need to be approved to use this command. Use /register to submit your request.');
-    return;
-  }
+defineCommand({
+  name: 'rc',
+  icon: '🚗',
+  category: 'vehicle',
+  usage: '/rc <vehicle number>',
+  examples: ['/rc MH02FZ0555'],
+  args: [{ name: 'number', type: 'text', required: true }],
+  errorMessage: '❌ An error occurred while fetching RC details.',
+  handler: async (ctx, { args }) => {
+    await sendFormattedMessage(ctx, '🔍 Fetching RC details...');
+
+    const result = await getRcInfo(args.number);
+    if (!result.success || !result.data) {
+      return '❌ Failed to fetch RC details. Please check the vehicle number and try again.';
+    }
 
-  // Check credits
-  if (!deductCredits(user)) {
-    await sendFormattedMessage(ctx, '❌ Insufficient credits! You need at least 1 credit to use this command.\n💳 Check your balance with /credits');
-    return;
-  }
+    const response = html`🚘 RC Details Results 🚘
 
-  const q = ctx.match;
-  if (!q) {
-    refundCredits(user, 1);
-    await sendFormattedMessage(ctx, '🚗 Usage: /rc <vehicle number>\n\nExample: /rc MH02FZ0555\n💳 1 credit refunded');
-    return;
-  }
+${pre(JSON.stringify(result.data, null, 2), 'json')}
 
-  await sendFormattedMessage(ctx, '🔍 Fetching RC details...');
+💡 Vehicle RC information for educational purposes only
+• 1 credit deducted from your balance`;
 
-  try {
-    const result = await getRcInfo(q.toString());
+    await sendFormattedMessage(ctx, response);
+    return true;
+  },
+});
 
-    if (result.success && result.data) {
-      const response = `🚘 RC Details Results 🚘
+defineCommand({
+  name: 'vehicle',
+  icon: '🚗',
+  category: 'vehicle',
+  usage: '/vehicle <vehicle number>',
+  examples: ['/vehicle MH04KA0151'],
+  args: [{ name: 'number', type: 'text', required: true }],
+  errorMessage: '❌ An error occurred while fetching vehicle details.',
+  handler: async (ctx, { args }) => {
+    await sendFormattedMessage(ctx, '🔍 Fetching vehicle details...');
+
+    const result = await getVehicleInfo(args.number);
+    if (!result.success || !result.data) {
+      return '❌ Failed to fetch vehicle details. Please check the vehicle number and try again.';
+    }
 
-\`\`\`json
- ${JSON.stringify(result.data, null, 2)}
-\`\`\`
+    const response = html`🚗 Vehicle Details Results 🚗
 
-💡 Vehicle RC information for educational purposes only
+${pre(JSON.stringify(result.data, null, 2), 'json')}
+
+💡 Vehicle information for educational purposes only
 • 1 credit deducted from your balance`;
 
-      await sendFormattedMessage(ctx, response);
-      user.totalQueries++;
-    } else {
-      refundCredits(user, 1);
-      await sendFormattedMessage(ctx, '❌ Failed to fetch RC details. Please check the vehicle number and try again.\n💳 1 credit refunded');
-    }
-  } catch (error) {
-    console.error('Error in rc command:', error);
-    refundCredits(user, 1);
-    await sendFormattedMessage(ctx, '❌ An error occurred while fetching RC details.\n💳 1 credit refunded');
-  }
+    await sendFormattedMessage(ctx, response);
+    return true;
+  },
 });
 
-bot.command('vehicle', async (ctx) => {
-  const user = getOrCreateUser(ctx);
-  if (!user || !user.isApproved) {
-    await sendFormattedMessage(ctx, '❌ You need to be approved to use this command. Use /register to submit your request.');
-    return;
-  }
+defineCommand({
+  name: 'ff',
+  icon: '🎮',
+  category: 'gaming',
+  usage: '/ff <Free Fire UID>',
+  examples: ['/ff 2819649271'],
+  args: [{ name: 'uid', type: 'digits', required: true, label: 'Free Fire UID' }],
+  errorMessage: '❌ An error occurred while fetching Free Fire statistics.',
+  handler: async (ctx, { args }) => {
+    await sendFormattedMessage(ctx, '🔍 Fetching Free Fire statistics...');
+
+    const hit = await cachedLookup('ff', args.uid, () => getFreeFireStats(args.uid));
+    const result = hit.value;
+    if (!result.success || !result.data) {
+      return '❌ Failed to fetch Free Fire statistics. Please check the UID and try again.';
+    }
 
-  // Check credits
-  if (!deductCredits(user)) {
-    await sendFormattedMessage(ctx, '❌ Insufficient credits! You need at least 1 credit to use this command.\n💳 Check your balance with /credits');
-    return;
-  }
+    const response = html`🎮 Free Fire Statistics Results 🎮
 
-  const vehicle = ctx.match;
-  if (!vehicle) {
-    await sendFormattedMessage(ctx, '🚗 Usage: /vehicle <vehicle number>\n\nExample: /vehicle MH04KA0151');
-    return;
-  }
-
-  await sendFormattedMessage(ctx, '🔍 Fetching vehicle details...');
-
-  try {
-    const result = await getVehicleInfo(vehicle.toString());
-    
-    if (result.success && result.data) {
-      const response = `🚗 Vehicle Details Results 🚗
-
-\`\`\`json
- ${JSON.stringify(result.data, null, 2)}
-\`\`\`
-
-💡 Vehicle information for educational purposes only
-• 1 credit deducted from your balance`;
-
-      await sendFormattedMessage(ctx, response);
-      user.totalQueries++;
-    } else {
-      // Refund credit on failure
-      refundCredits(user, 1);
-      await sendFormattedMessage(ctx, '❌ Failed to fetch vehicle details. Please check the vehicle number and try again.\n💳 1 credit refunded');
-    }
-  } catch (error) {
-    console.error('Error in vehicle command:', error);
-    // Refund credit on error
-    refundCredits(user, 1);
-    await sendFormattedMessage(ctx, '❌ An error occurred while fetching vehicle details.\n💳 1 credit refunded');
-  }
-});
-
-bot.command('ff', async (ctx) => {
-  const user = getOrCreateUser(ctx);
-  if (!user || !user.isApproved) {
-    await sendFormattedMessage(ctx, '❌ You need to be approved to use this command. Use /register to submit your request.');
-    return;
-  }
-
-  // Check credits
-  if (!deductCredits(user)) {
-    await sendFormattedMessage(ctx, '❌ Insufficient credits! You need at least 1 credit to use this command.\n💳 Check your balance with /credits');
-    return;
-  }
-
-  const uid = ctx.match;
-  if (!uid) {
-    await sendFormattedMessage(ctx, '🎮 Usage: /ff <Free Fire UID>\n\nExample: /ff 2819649271');
-    return;
-  }
-
-  await sendFormattedMessage(ctx, '🔍 Fetching Free Fire statistics...');
-
-  try {
-    const result = await getFreeFireStats(uid.toString());
-    
-    if (result.success && result.data) {
-      const response = `🎮 Free Fire Statistics Results 🎮
-
-\`\`\`json
- ${JSON.stringify(result.data, null, 2)}
-\`\`\`
+${pre(JSON.stringify(result.data, null, 2), 'json')}
 
 💡 Free Fire statistics for educational purposes only
-• 1 credit deducted from your balance`;
+• 1 credit deducted from your balance${cachedNote(hit)}`;
 
-      await sendFormattedMessage(ctx, response);
-      user.totalQueries++;
-    } else {
-      // Refund credit on failure
-      refundCredits(user, 1);
-      await sendFormattedMessage(ctx, '❌ Failed to fetch Free Fire statistics. Please check the UID and try again.\n💳 1 credit refunded');
-    }
-  } catch (error) {
-    console.error('Error in ff command:', error);
-    // Refund credit on error
-    refundCredits(user, 1);
-    await sendFormattedMessage(ctx, '❌ An error occurred while fetching Free Fire statistics.\n💳 1 credit refunded');
-  }
+    await sendFormattedMessage(ctx, response);
+    return true;
+  },
 });
 
-bot.command('myip', async (ctx) => {
-  const user = getOrCreateUser(ctx);
-  if (!user || !user.isApproved) {
-    await sendFormattedMessage(ctx, '❌ You need to be approved to use this command. Use /register to submit your request.');
-    return;
-  }
-
-  await sendFormattedMessage(ctx, '🔍 Fetching your IP information...');
+defineCommand({
+  name: 'myip',
+  category: 'osint',
+  cost: 0,
+  countQuery: true,
+  handler: async (ctx) => {
+    await sendFormattedMessage(ctx, '🔍 Fetching your IP information...');
 
-  try {
-    const result = await getIpInfo();
-    
-    if (result.success && result.data) {
-      const ip = result.data.ip || 'Unknown';
-      const city = result.data.city || 'Unknown';
-      const region = result.data.region || 'Unknown';
-      const country = result.data.country || 'Unknown';
-      const org = result.data.org || 'Unknown';
-      const timezone = result.data.timezone || 'Unknown';
+    try {
+      const result = await getIpInfo();
+      
+      if (result.success && result.data) {
+        const ip = result.data.ip || 'Unknown';
+        const city = result.data.city || 'Unknown';
+        const region = result.data.region || 'Unknown';
+        const country = result.data.country || 'Unknown';
+        const org = result.data.org || 'Unknown';
+        const timezone = result.data.timezone || 'Unknown';
 
-      const response = `🌐 Your IP Information 🌐
+        const response = html`🌐 Your IP Information 🌐
 
 📍 Location Details:
-• IP Address: \`${ip}\`
+• IP Address: ${code(ip)}
 • City: ${city}
 • Region: ${region}
 • Country: ${country}
@@ -5082,29 +6186,28 @@ bot.command('myip', async (ctx) => {
 
 💡 This information is for educational purposes only`;
 
-      await sendFormattedMessage(ctx, response);
-      user.totalQueries++;
-    } else {
-      await sendFormattedMessage(ctx, '❌ Failed to fetch IP information. Please try again.');
+        await sendFormattedMessage(ctx, response);
+        return true;
+      } else {
+        await sendFormattedMessage(ctx, '❌ Failed to fetch IP information. Please try again.');
+      }
+    } catch (error) {
+      commandLog.error('myip failed', error);
+      await sendFormattedMessage(ctx, '❌ An error occurred while fetching IP information.');
     }
-  } catch (error) {
-    console.error('Error in myip command:', error);
-    await sendFormattedMessage(ctx, '❌ An error occurred while fetching IP information.');
-  }
+  },
 });
 
-bot.command('useragent', async (ctx) => {
-  const user = getOrCreateUser(ctx);
-  if (!user || !user.isApproved) {
-    await sendFormattedMessage(ctx, '❌ You need to be approved to use this command. Use /register to submit your request.');
-    return;
-  }
-
-  try {
-    const result = getUserAgentInfo();
-    
-    if (result.success && result.data) {
-      const response = `🖥️ Browser & System Information 🖥️
+defineCommand({
+  name: 'useragent',
+  category: 'tools',
+  cost: 0,
+  handler: async (ctx) => {
+    try {
+      const result = getUserAgentInfo();
+      
+      if (result.success && result.data) {
+        const response = html`🖥️ Browser &amp; System Information 🖥️
 
 🌐 Browser Details:
 • Browser: ${result.data.browser}
@@ -5113,29 +6216,29 @@ bot.command('useragent', async (ctx) => {
 • Mobile: ${result.data.mobile ? 'Yes' : 'No'}
 
 📱 User Agent String:
-\`${result.data.user_agent}\`
+${code(result.data.user_agent)}
 
 💡 This is the bot's user agent information`;
 
-      await sendFormattedMessage(ctx, response);
-    } else {
-      await sendFormattedMessage(ctx, '❌ Failed to fetch user agent information.');
+        await sendFormattedMessage(ctx, response);
+      } else {
+        await sendFormattedMessage(ctx, '❌ Failed to fetch user agent information.');
+      }
+    } catch (error) {
+      commandLog.error('useragent failed', error);
+      await sendFormattedMessage(ctx, '❌ An error occurred while fetching user agent information.');
     }
-  } catch (error) {
-    console.error('Error in useragent command:', error);
-    await sendFormattedMessage(ctx, '❌ An error occurred while fetching user agent information.');
-  }
+    return true;
+  },
 });
 
 
-bot.command('stats', async (ctx) => {
-  const user = getOrCreateUser(ctx);
-  if (!user || !user.isApproved) {
-    await sendFormattedMessage(ctx, '❌ You need to be approved to use this command. Use /register to submit your request.');
-    return;
-  }
-
-  const response = `📊 Your Usage Statistics 📊
+defineCommand({
+  name: 'stats',
+  category: 'account',
+  cost: 0,
+  handler: async (ctx, { user }) => {
+    const response = `📊 Your Usage Statistics 📊
 
 👤 Account Information:
 • Username: @${user.username || 'N/A'}
@@ -5149,17 +6252,17 @@ bot.command('stats', async (ctx) => {
 
 💎 ${user.isPremium ? 'Premium Member - Unlimited Access!' : 'Upgrade to Premium for unlimited queries!'}`;
 
-  await sendFormattedMessage(ctx, response);
+    await sendFormattedMessage(ctx, response);
+    return true;
+  },
 });
 
-bot.command('credits', async (ctx) => {
-  const user = getOrCreateUser(ctx);
-  if (!user || !user.isApproved) {
-    await sendFormattedMessage(ctx, '❌ You need to be approved to use this command. Use /register to submit your request.');
-    return;
-  }
-
-  const response = `💳 Credit Information 💳
+defineCommand({
+  name: 'credits',
+  category: 'account',
+  cost: 0,
+  handler: async (ctx, { user }) => {
+    const response = `💳 Credit Information 💳
 
 🪙 Current Balance: ${user.credits} credits
 
@@ -5177,9 +6280,45 @@ bot.command('credits', async (ctx) => {
 
 💡 Each query consumes 1 credit`;
 
-  await sendFormattedMessage(ctx, response);
+    await sendFormattedMessage(ctx, response);
+    return true;
+  },
+});
+
+defineCommand({
+  name: 'history',
+  category: 'account',
+  cost: 0,
+  handler: async (ctx, { user }) => {
+    const { text, reply_markup } = renderCreditHistory(user.telegramId, 0, 'hist_');
+    await sendFormattedMessage(ctx, text, { reply_markup });
+    return true;
+  },
+});
+
+// History paging (own history)
+bot.callbackQuery(/^hist_(\d+)$/, async (ctx) => {
+  try { await ctx.answerCallbackQuery(); } catch (_) {}
+  const userId = String(ctx.from?.id || '');
+  const user = users.get(userId);
+  if (!user || !user.isApproved) return;
+
+  const { text, reply_markup } = renderCreditHistory(userId, parseInt(ctx.match[1], 10) || 0, 'hist_');
+  try { await editFormattedMessage(ctx, text, { reply_markup }); } catch (_) {}
 });
 
+// History paging for /checkuser (admins only)
+bot.callbackQuery(/^histu_(\d+)_(\d+)$/, async (ctx) => {
+  if (!isAdmin(ctx.from?.id)) {
+    try { await ctx.answerCallbackQuery({ text: ctx.label('menu.admin_only') }); } catch (_) {}
+    return;
+  }
+  try { await ctx.answerCallbackQuery(); } catch (_) {}
+
+  const targetUserId = ctx.match[1];
+  const { text, reply_markup } = renderCreditHistory(targetUserId, parseInt(ctx.match[2], 10) || 0, `histu_${targetUserId}_`);
+  try { await editFormattedMessage(ctx, `👤 ${targetUserId}\n${text}`, { reply_markup }); } catch (_) {}
+});
 
 // ===============================
 // SPLEXX IMAGE GENERATOR (DIRECT IMAGE)
@@ -5234,8 +6373,10 @@ bot.command('help', async (ctx) => {
 • /tempmail - Generate temporary email address
 • /stats - View your usage statistics
 • /credits - Check your credit balance
+• /history - Credit history (every charge, refund and top-up)
 • /checkstatus - Check registration status
 • /sync - Sync registration (if approved but lost access)
+• /language - Change the bot language
 
 💎 Premium Benefits:
 • 🔄 Unlimited queries per day
@@ -5283,7 +6424,7 @@ bot.command('admin', async (ctx) => {
   
   // Check if user is admin (either original admin or made admin)
   if (!telegramId || !isAdmin(telegramId)) {
-    await sendFormattedMessage(ctx, '❌ This command is only available to administrators.');
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
     return;
   }
 
@@ -5338,8 +6479,11 @@ bot.command('admin', async (ctx) => {
 • /revenue - 💰 Premium revenue stats
 
 🎮 🔧 System Controls:
-• /broadcast <message> - 📢 Send broadcast to all
+• /broadcast [options] <message> - 📢 Broadcast (or reply to a message)
 • /announce <title>|<message> - 🎭 Rich announcement
+• /broadcasts - 📋 Broadcast jobs and progress
+• /schedule <when> <message> - 🗓️ Schedule a one-off or recurring broadcast
+• /scheduled - 🗓️ List and cancel scheduled broadcasts
 • /reset_daily - 🔄 Reset daily statistics
 • /lucky - 🍀 Random user bonus
 • /maintenance <on|off|message> - ⚙️ Toggle maintenance mode
@@ -5351,6 +6495,11 @@ bot.command('admin', async (ctx) => {
 • /resetuser <user_id> - 🔄 Reset user account
 • /logs - 📜 View system logs
 • /backup - 💾 Create database backup
+• /restore - ♻️ Restore a backup (reply to the file)
+• /snapshots - 🗂️ List and restore automatic state snapshots
+• /config - ⚙️ Show effective configuration
+• /providers - 🛰️ Upstream provider health
+• /cache - ♻️ Response cache stats and clear
 
 📊 Current Statistics:
 • 👥 Total Users: ${totalUsers}
@@ -5375,7 +6524,7 @@ bot.command('admin', async (ctx) => {
 bot.command('gencode', async (ctx) => {
   const telegramId = ctx.from?.id.toString();
   if (!telegramId || !isAdmin(telegramId)) {
-    await sendFormattedMessage(ctx, '❌ This command is only available to administrators.');
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
     return;
   }
 
@@ -5424,31 +6573,26 @@ bot.command('gencode', async (ctx) => {
     redeemStats.generated += 1;
 
 const exp = new Date(expiresAt).toISOString();
-  const msg =
-`🎟️ *Redeem Code Generated*
+  const msg = html`🎟️ <b>Redeem Code Generated</b>
 
-\`\`\`
-${codeStr}
-\`\`\`
+${pre(codeStr)}
 
-💰 *Credits:* +${credits}
-👥 *Max Uses:* ${maxUses}
-⏳ *Expires:* ${exp}
-👑 *By:* @${escapeMd(ctx.from?.username || 'admin')}
+💰 <b>Credits:</b> +${credits}
+👥 <b>Max Uses:</b> ${maxUses}
+⏳ <b>Expires:</b> ${exp}
+👑 <b>By:</b> @${ctx.from?.username || 'admin'}
 
 ✅ Share this code with users:
-• They redeem with: \`/redeem ${codeStr}\`
+• They redeem with: ${code(`/redeem ${codeStr}`)}
 
 ⚠️ Note: Codes are stored in memory (reset on bot restart).`;
   await sendFormattedMessage(ctx, msg);
 
   // Auto-log generated code to admin channel
-  await sendLogText(
-    `🎟️ <b>/gencode</b>\n` +
-    `👤 <b>Admin:</b> ${escapeHTML(ctx.from?.first_name || '')} (<code>${escapeHTML(telegramId)}</code>)\n` +
-    `🎁 <b>Credits:</b> <b>${credits}</b> | 👥 <b>Max uses:</b> <b>${maxUses}</b> | ⏳ <b>Expires:</b> <b>${expiresHours}h</b>\n` +
-    `🎟️ <b>Code:</b> <code>${escapeHTML(codeStr)}</code>`
-  );
+  await sendLogText(html`🎟️ <b>/gencode</b>
+👤 <b>Admin:</b> ${ctx.from?.first_name || ''} (${code(telegramId)})
+🎁 <b>Credits:</b> <b>${credits}</b> | 👥 <b>Max uses:</b> <b>${maxUses}</b> | ⏳ <b>Expires:</b> <b>${expiresHours}h</b>
+🎟️ <b>Code:</b> ${code(logRedeemCode('gencode', codeStr))}`);
 
 });
 
@@ -5457,7 +6601,7 @@ ${codeStr}
 bot.command('gencodebulk', async (ctx) => {
   const telegramId = ctx.from?.id.toString();
   if (!telegramId || !isAdmin(telegramId)) {
-    await sendFormattedMessage(ctx, '❌ This command is only available to administrators.');
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
     return;
   }
 
@@ -5516,27 +6660,23 @@ bot.command('gencodebulk', async (ctx) => {
   const lines = codes.map((c, i) => `${String(i + 1).padStart(3, '0')}. ${c}`);
   redeemStats.generated += codes.length;
 
-  const msg =
-`✅ *Bulk codes generated*
-📦 Count: *${codes.length}* | 🎁 Credits: *${credits}* | 👥 Max uses: *${maxUses}* | ⏳ Expires: *${expiresHours}h*
+  const msg = html`✅ <b>Bulk codes generated</b>
+📦 Count: <b>${codes.length}</b> | 🎁 Credits: <b>${credits}</b> | 👥 Max uses: <b>${maxUses}</b> | ⏳ Expires: <b>${expiresHours}h</b>
 
-\`\`\`
-${lines.join('\n')}
-\`\`\`
+${pre(lines.join('\n'))}
 
-🧨 /revoke <code>
+🧨 /revoke &lt;code&gt;
 📊 /codesstats
-🎟️ /redeem <code>`;
+🎟️ /redeem &lt;code&gt;`;
 
   await sendFormattedMessage(ctx, msg);
 
   // Auto-log bulk generated codes to admin channel
-  await sendLogText(
-    `📦 <b>/gencodebulk</b>\n` +
-    `👤 <b>Admin:</b> ${escapeHTML(ctx.from?.first_name || '')} (<code>${escapeHTML(telegramId)}</code>)\n` +
-    `🔢 <b>Count:</b> <b>${codes.length}</b> | 🎁 <b>Credits:</b> <b>${credits}</b> | 👥 <b>Max uses:</b> <b>${maxUses}</b> | ⏳ <b>Expires:</b> <b>${expiresHours}h</b>\n` +
-    `🎟️ <b>Codes:</b>\n<pre>${escapeHTML(codes.join('\n'))}</pre>`
-  );
+  await sendLogText(html`📦 <b>/gencodebulk</b>
+👤 <b>Admin:</b> ${ctx.from?.first_name || ''} (${code(telegramId)})
+🔢 <b>Count:</b> <b>${codes.length}</b> | 🎁 <b>Credits:</b> <b>${credits}</b> | 👥 <b>Max uses:</b> <b>${maxUses}</b> | ⏳ <b>Expires:</b> <b>${expiresHours}h</b>
+🎟️ <b>Codes:</b>
+${pre(codes.map(c => logRedeemCode('gencodebulk', c)).join('\n'))}`);
 
 });
 
@@ -5593,10 +6733,11 @@ bot.command('redeem', async (ctx) => {
     return;
   }
 
-  user.credits = (user.credits || 0) + entry.credits;
+  adjustCredits(user, entry.credits, { reason: 'redeem', command: 'redeem', actor: user.telegramId });
   entry.uses += 1;
   redeemStats.redeemed += 1;
   entry.redeemedBy?.add(user.telegramId);
+  touchRecord('redeemCodes', codeInput);
 
   // Auto-delete when fully used
   if (entry.uses >= entry.maxUses) {
@@ -5604,12 +6745,11 @@ bot.command('redeem', async (ctx) => {
     usedUpCodes.add(codeInput);
   }
 
-  const msg =
-`✅ *Code Redeemed Successfully!*
+  const msg = html`✅ <b>Code Redeemed Successfully!</b>
 
-🎟️ *Code:* \`${codeInput}\`
-💰 *Credits Added:* +${entry.credits}
-💳 *New Balance:* ${user.credits} credits
+🎟️ <b>Code:</b> ${code(codeInput)}
+💰 <b>Credits Added:</b> +${entry.credits}
+💳 <b>New Balance:</b> ${user.credits} credits
 
 ✨ Enjoy!`;
   await sendFormattedMessage(ctx, msg);
@@ -5618,7 +6758,7 @@ bot.command('redeem', async (ctx) => {
 bot.command('revoke', async (ctx) => {
   const telegramId = ctx.from?.id.toString();
   if (!telegramId || !isAdmin(telegramId)) {
-    await sendFormattedMessage(ctx, '❌ This command is only available to administrators.');
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
     return;
   }
 
@@ -5640,25 +6780,23 @@ bot.command('revoke', async (ctx) => {
 
   // If it was previously tracked elsewhere, keep those stats but it's now revoked.
   const msg = existed
-    ? `✅ Code revoked: \`${raw}\``
-    : `✅ Code marked as revoked (even if not found/was expired): \`${raw}\``;
+    ? html`✅ Code revoked: ${code(raw)}`
+    : html`✅ Code marked as revoked (even if not found/was expired): ${code(raw)}`;
 
   await sendFormattedMessage(ctx, msg);
 
   // Auto-log
-  await sendLogText(
-    `🧨 <b>/revoke</b>\n` +
-    `👤 <b>Admin:</b> ${escapeHTML(ctx.from?.first_name || '')} (<code>${escapeHTML(telegramId)}</code>)\n` +
-    `🎟️ <b>Code:</b> <code>${escapeHTML(raw)}</code>\n` +
-    `✅ <b>Status:</b> ${existed ? 'Removed & revoked' : 'Revoked only'}`
-  );
+  await sendLogText(html`🧨 <b>/revoke</b>
+👤 <b>Admin:</b> ${ctx.from?.first_name || ''} (${code(telegramId)})
+🎟️ <b>Code:</b> ${code(raw)}
+✅ <b>Status:</b> ${existed ? 'Removed & revoked' : 'Revoked only'}`);
 });
 
 // Admin: /codesstats
 bot.command('codesstats', async (ctx) => {
   const telegramId = ctx.from?.id.toString();
   if (!telegramId || !isAdmin(telegramId)) {
-    await sendFormattedMessage(ctx, '❌ This command is only available to administrators.');
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
     return;
   }
 
@@ -5676,17 +6814,16 @@ bot.command('codesstats', async (ctx) => {
 
   // Note: some expired/used-up codes are removed during cleanup/redeem and tracked in sets.
   const totalGenerated = redeemStats.generated || (redeemCodes.size + revokedCodes.size + expiredCodes.size + usedUpCodes.size);
-  const text =
-`📊 *Redeem Codes Stats*
+  const text = html`📊 <b>Redeem Codes Stats</b>
 
-🎟️ Total Generated: *${totalGenerated}*
-✅ Active: *${active}*
-⌛ Expired (tracked): *${expiredCodes.size}*
-⛔ Revoked: *${revokedCodes.size}*
-📛 Used Up (tracked): *${usedUpCodes.size}*
+🎟️ Total Generated: <b>${totalGenerated}</b>
+✅ Active: <b>${active}</b>
+⌛ Expired (tracked): <b>${expiredCodes.size}</b>
+⛔ Revoked: <b>${revokedCodes.size}</b>
+📛 Used Up (tracked): <b>${usedUpCodes.size}</b>
 
-👥 Total Redeems (tracked): *${redeemStats.redeemed}*
-🧾 Active-map redeems: *${totalUsesActive}*`;
+👥 Total Redeems (tracked): <b>${redeemStats.redeemed}</b>
+🧾 Active-map redeems: <b>${totalUsesActive}</b>`;
 
   await sendFormattedMessage(ctx, text);
 });
@@ -5696,7 +6833,7 @@ bot.command('give', async (ctx) => {
   const telegramId = ctx.from?.id.toString();
   
   if (!telegramId || !isAdmin(telegramId)) {
-    await sendFormattedMessage(ctx, '❌ This command is only available to administrators.');
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
     return;
   }
 
@@ -5720,7 +6857,7 @@ bot.command('give', async (ctx) => {
     return;
   }
 
-  targetUser.credits += amount;
+  adjustCredits(targetUser, amount, { reason: 'admin_give', command: 'give', actor: telegramId });
 
   const userMessage = `🎉 Credits Received! 🎉
 
@@ -5749,7 +6886,7 @@ bot.command('remove', async (ctx) => {
   const telegramId = ctx.from?.id.toString();
   
   if (!telegramId || !isAdmin(telegramId)) {
-    await sendFormattedMessage(ctx, '❌ This command is only available to administrators.');
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
     return;
   }
 
@@ -5778,7 +6915,7 @@ bot.command('remove', async (ctx) => {
     return;
   }
 
-  targetUser.credits -= amount;
+  adjustCredits(targetUser, -amount, { reason: 'admin_remove', command: 'remove', actor: telegramId });
 
   const userMessage = `💸 Credits Deducted 💸
 
@@ -5807,7 +6944,7 @@ bot.command('giveall', async (ctx) => {
   const telegramId = ctx.from?.id.toString();
   
   if (!telegramId || !isAdmin(telegramId)) {
-    await sendFormattedMessage(ctx, '❌ This command is only available to administrators.');
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
     return;
   }
 
@@ -5828,7 +6965,7 @@ bot.command('giveall', async (ctx) => {
   let totalAmount = 0;
 
   for (const user of approvedUsers) {
-    user.credits += amount;
+    adjustCredits(user, amount, { reason: 'admin_give_all', command: 'giveall', actor: telegramId });
     successCount++;
     totalAmount += amount;
 
@@ -5841,8 +6978,8 @@ bot.command('giveall', async (ctx) => {
 
 ✨ Enjoy your bonus credits! Use them wisely for OSINT lookups.`;
 
-    await notifyUser(user.telegramId, userMessage).catch(err => 
-      console.error(`Failed to notify user ${user.telegramId}:`, err)
+    await notifyUser(user.telegramId, userMessage).catch(err =>
+      telegramLog.warn('user notification failed', { user: user.telegramId, err })
     );
   }
 
@@ -5863,7 +7000,7 @@ bot.command('removeall', async (ctx) => {
   const telegramId = ctx.from?.id.toString();
   
   if (!telegramId || !isAdmin(telegramId)) {
-    await sendFormattedMessage(ctx, '❌ This command is only available to administrators.');
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
     return;
   }
 
@@ -5885,7 +7022,7 @@ bot.command('removeall', async (ctx) => {
 
   for (const user of approvedUsers) {
     if (user.credits >= amount) {
-      user.credits -= amount;
+      adjustCredits(user, -amount, { reason: 'admin_remove_all', command: 'removeall', actor: telegramId });
       successCount++;
       totalAmount += amount;
 
@@ -5898,8 +7035,8 @@ bot.command('removeall', async (ctx) => {
 
 📝 If you have questions about this deduction, please contact support.`;
 
-      await notifyUser(user.telegramId, userMessage).catch(err => 
-        console.error(`Failed to notify user ${user.telegramId}:`, err)
+      await notifyUser(user.telegramId, userMessage).catch(err =>
+        telegramLog.warn('user notification failed', { user: user.telegramId, err })
       );
     }
   }
@@ -5921,7 +7058,7 @@ bot.command('setcredits', async (ctx) => {
   const telegramId = ctx.from?.id.toString();
   
   if (!telegramId || !isAdmin(telegramId)) {
-    await sendFormattedMessage(ctx, '❌ This command is only available to administrators.');
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
     return;
   }
 
@@ -5946,7 +7083,7 @@ bot.command('setcredits', async (ctx) => {
   }
 
   const oldCredits = targetUser.credits;
-  targetUser.credits = amount;
+  setUserCredits(targetUser, amount, { reason: 'admin_set', command: 'setcredits', actor: telegramId });
 
   const userMessage = amount > oldCredits ? 
     `🎉 Credits Updated! 🎉
@@ -5983,7 +7120,7 @@ bot.command('premium', async (ctx) => {
   const telegramId = ctx.from?.id.toString();
   
   if (!telegramId || !isAdmin(telegramId)) {
-    await sendFormattedMessage(ctx, '❌ This command is only available to administrators.');
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
     return;
   }
 
@@ -6000,6 +7137,7 @@ bot.command('premium', async (ctx) => {
   }
 
   targetUser.isPremium = !targetUser.isPremium;
+  touchUser(targetUser);
   const action = targetUser.isPremium ? 'granted' : 'revoked';
 
   const userMessage = targetUser.isPremium ? 
@@ -6042,7 +7180,7 @@ bot.command('makeadmin', async (ctx) => {
   const telegramId = ctx.from?.id.toString();
   
   if (!telegramId || !isAdmin(telegramId)) {
-    await sendFormattedMessage(ctx, '❌ This command is only available to administrators.');
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
     return;
   }
 
@@ -6064,6 +7202,7 @@ bot.command('makeadmin', async (ctx) => {
   }
 
   targetUser.isAdmin = true;
+  touchUser(targetUser);
 
   const userMessage = `👑 Admin Access Granted! 👑
 
@@ -6098,7 +7237,7 @@ bot.command('removeadmin', async (ctx) => {
   const telegramId = ctx.from?.id.toString();
   
   if (!telegramId || !isAdmin(telegramId)) {
-    await sendFormattedMessage(ctx, '❌ This command is only available to administrators.');
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
     return;
   }
 
@@ -6125,6 +7264,7 @@ bot.command('removeadmin', async (ctx) => {
   }
 
   targetUser.isAdmin = false;
+  touchUser(targetUser);
 
   const userMessage = `🚫 Admin Access Removed 🚫
 
@@ -6154,7 +7294,7 @@ bot.command('checkuser', async (ctx) => {
   const telegramId = ctx.from?.id.toString();
   
   if (!telegramId || !isAdmin(telegramId)) {
-    await sendFormattedMessage(ctx, '❌ This command is only available to administrators.');
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
     return;
   }
 
@@ -6191,13 +7331,17 @@ bot.command('checkuser', async (ctx) => {
  ${targetUser.isApproved && targetUser.credits >= 0 ? '✅ Healthy' : '⚠️ Needs attention'}`;
 
   await sendFormattedMessage(ctx, userInfo);
+
+  // Credit trail (plain text: reasons contain underscores)
+  const { text, reply_markup } = renderCreditHistory(targetUserId, 0, `histu_${targetUserId}_`);
+  await sendFormattedMessage(ctx, `👤 ${targetUserId}\n${text}`, { reply_markup });
 });
 
 bot.command('users', async (ctx) => {
   const telegramId = ctx.from?.id.toString();
   
   if (!telegramId || !isAdmin(telegramId)) {
-    await sendFormattedMessage(ctx, '❌ This command is only available to administrators.');
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
     return;
   }
 
@@ -6226,7 +7370,7 @@ bot.command('topusers', async (ctx) => {
   const telegramId = ctx.from?.id.toString();
   
   if (!telegramId || !isAdmin(telegramId)) {
-    await sendFormattedMessage(ctx, '❌ This command is only available to administrators.');
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
     return;
   }
 
@@ -6265,7 +7409,7 @@ bot.command('premiumlist', async (ctx) => {
   const telegramId = ctx.from?.id.toString();
   
   if (!telegramId || !isAdmin(telegramId)) {
-    await sendFormattedMessage(ctx, '❌ This command is only available to administrators.');
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
     return;
   }
 
@@ -6299,7 +7443,7 @@ bot.command('registrations', async (ctx) => {
   const telegramId = ctx.from?.id.toString();
   
   if (!telegramId || !isAdmin(telegramId)) {
-    await sendFormattedMessage(ctx, '❌ This command is only available to administrators.');
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
     return;
   }
 
@@ -6331,7 +7475,7 @@ bot.command('approve', async (ctx) => {
   const telegramId = ctx.from?.id.toString();
   
   if (!telegramId || !isAdmin(telegramId)) {
-    await sendFormattedMessage(ctx, '❌ This command is only available to administrators.');
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
     return;
   }
 
@@ -6361,7 +7505,7 @@ bot.command('approve', async (ctx) => {
   };
 
   user.isApproved = true;
-  user.credits = 25;
+  setUserCredits(user, 25, { reason: 'approval_bonus', actor: telegramId });
   users.set(targetUserId, user);
   registrationRequests.delete(targetUserId);
   registeredUsers.add(targetUserId);
@@ -6405,7 +7549,7 @@ bot.command('reject', async (ctx) => {
   const telegramId = ctx.from?.id.toString();
   
   if (!telegramId || !isAdmin(telegramId)) {
-    await sendFormattedMessage(ctx, '❌ This command is only available to administrators.');
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
     return;
   }
 
@@ -6457,7 +7601,7 @@ bot.command('approveall', async (ctx) => {
   const telegramId = ctx.from?.id.toString();
   
   if (!telegramId || !isAdmin(telegramId)) {
-    await sendFormattedMessage(ctx, '❌ This command is only available to administrators.');
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
     return;
   }
 
@@ -6492,7 +7636,7 @@ bot.command('approveall', async (ctx) => {
 
     // Approve user
     user.isApproved = true;
-    user.credits = 25; // Give starting credits
+    setUserCredits(user, 25, { reason: 'approval_bonus', actor: telegramId }); // Give starting credits
     users.set(targetUserId, user);
     registeredUsers.add(targetUserId);
     approvedUsers.push({
@@ -6545,12 +7689,18 @@ bot.command('approveall', async (ctx) => {
   await sendFormattedMessage(ctx, adminMessage);
 });
 
+// "a (3), b (1)" for the three biggest counters in a Map
+function topThrottles(counts, label) {
+  const top = Array.from(counts).sort((a, b) => b[1] - a[1]).slice(0, 3);
+  return top.length ? top.map(([k, n]) => `${label(k)} (${n})`).join(', ') : 'none';
+}
+
 // Statistics Commands
 bot.command('adminstats', async (ctx) => {
   const telegramId = ctx.from?.id.toString();
   
   if (!telegramId || !isAdmin(telegramId)) {
-    await sendFormattedMessage(ctx, '❌ This command is only available to administrators.');
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
     return;
   }
 
@@ -6578,6 +7728,11 @@ bot.command('adminstats', async (ctx) => {
 • Premium Conversion: ${totalUsers > 0 ? ((premiumUsers / totalUsers) * 100).toFixed(1) : 0}%
 • Approval Rate: ${totalUsers > 0 ? ((approvedUsers / totalUsers) * 100).toFixed(1) : 0}%
 
+🚦 Rate Limiting (since ${throttleStats.since.toLocaleString()}):
+• Throttled Commands: ${throttleStats.total}
+• Top Commands: ${topThrottles(throttleStats.byCommand, (c) => `/${c}`)}
+• Top Users: ${topThrottles(throttleStats.byUser, (id) => id)}
+
 🔧 System Health:
 • Bot Status: ✅ Online
 • Database: ✅ Connected
@@ -6591,7 +7746,7 @@ bot.command('activity', async (ctx) => {
   const telegramId = ctx.from?.id.toString();
   
   if (!telegramId || !isAdmin(telegramId)) {
-    await sendFormattedMessage(ctx, '❌ This command is only available to administrators.');
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
     return;
   }
 
@@ -6623,7 +7778,7 @@ bot.command('revenue', async (ctx) => {
   const telegramId = ctx.from?.id.toString();
   
   if (!telegramId || !isAdmin(telegramId)) {
-    await sendFormattedMessage(ctx, '❌ This command is only available to administrators.');
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
     return;
   }
 
@@ -6654,64 +7809,587 @@ bot.command('revenue', async (ctx) => {
   await sendFormattedMessage(ctx, revenueMessage);
 });
 
-// System Control Commands
-bot.command('broadcast', async (ctx) => {
-  const telegramId = ctx.from?.id.toString();
-  
-  if (!telegramId || !isAdmin(telegramId)) {
-    await sendFormattedMessage(ctx, '❌ This command is only available to administrators.');
+// ===============================
+// BROADCAST ENGINE
+// /broadcast and /announce show a preview first; once confirmed they create a
+// job in `broadcasts` (persisted with the rest of the state) and a runner
+// sends it one recipient at a time, paced to
+// BROADCAST_PER_SECOND, in user id order. The job stores its audience filters
+// and the last recipient handled, not the recipient list: a run (after a
+// restart, or a resume) picks the audience again as of the job's start and
+// carries on after that id, so a progress save stays small. Admins control a job from its progress message.
+// Users who blocked the bot or deleted their account are marked inactive and
+// left out of later broadcasts until they write to the bot again.
+// A recipient that still fails with a 429 after flood control's retries, or
+// with a network error, is not skipped: the cursor stays and the job backs
+// off (BROADCAST_BACKOFF_MS) before trying the same recipient again. Only
+// answers about the recipient itself (403, 400) count as failures.
+//
+// A job either sends `text` or copies (or forwards) a `source` message the
+// admin replied to, optionally with URL buttons, to the users matching its
+// audience filters (see parseBroadcastArgs).
+// ===============================
+const BROADCAST_PROGRESS_INTERVAL_MS = 3000;
+const BROADCAST_HISTORY_KEEP = 20;
+const BROADCAST_NETWORK_RETRIES = 2;
+const BROADCAST_BACKOFF_MS = [5000, 15000, 60000, 300000]; // then the last one again
+const BROADCAST_TRANSIENT = new Set(['rate_limited', 'network']);
+const BROADCAST_CONFIRM_TTL_MS = 10 * 60 * 1000;
+
+const BROADCAST_TITLES = {
+  broadcast: '📢 Broadcast',
+  announce: '🎭 Announcement'
+};
+
+const BROADCAST_FAILURE_LABELS = {
+  blocked: '🚫 Blocked the bot',
+  deactivated: '👻 Account deleted',
+  not_found: '❓ Chat not found',
+  rate_limited: '⏱️ Rate limited',
+  network: '📡 Network error',
+  other: '⚠️ Other'
+};
+
+// Leading key=value options of /broadcast and /announce
+const BROADCAST_OPTION_RE = /^(to|inactive|joined|lang|as)=(\S+)(?:\s+|$)/i;
+// A trailing line made only of [Label](https://link) buttons is one button row
+const BROADCAST_BUTTON_ROW_RE = /^(?:\s*\[[^\]\n]+\]\(https?:\/\/[^\s)]+\))+\s*$/;
+
+defineMetric('bot_broadcast_messages_total', 'counter', 'Broadcast deliveries by outcome (sent, skipped, the failure class or retry_<class> for a recipient tried again)');
+defineMetric('bot_broadcasts_active', 'gauge', 'Broadcast jobs currently sending');
+
+const broadcastLimiter = createRateLimiter();
+const broadcastRunners = new Set(); // ids with a running loop
+const broadcastViews = new Map(); // id -> { lastEditAt, timer }
+const pendingBroadcasts = new Map(); // token -> { draft, by, expiresAt }
+
+metricCollectors.push(() => setGauge('bot_broadcasts_active', {}, broadcastRunners.size));
+
+function isBroadcastFinished(job) {
+  return job.status === 'done' || job.status === 'cancelled';
+}
+
+function classifyBroadcastError(e) {
+  const code = e?.error_code;
+  const desc = String(e?.description || e?.message || '').toLowerCase();
+  if (!code) return 'network';
+  if (code === 403) return desc.includes('deactivated') ? 'deactivated' : 'blocked';
+  if (code === 400 && desc.includes("can't parse entities")) return 'bad_markup';
+  if (code === 400 && /message to (copy|forward) not found/.test(desc)) return 'source_missing';
+  if (code === 400 && desc.includes('chat not found')) return 'not_found';
+  if (code === 429) return 'rate_limited';
+  return 'other';
+}
+
+function markUserInactive(userId, reason) {
+  const user = users.get(String(userId));
+  if (!user || user.inactive) return;
+  user.inactive = true;
+  user.inactiveReason = reason;
+  user.inactiveSince = new Date().toISOString();
+  touchUser(user);
+}
+
+function broadcastProgressText(job) {
+  const state = {
+    running: '▶️ Sending',
+    paused: '⏸️ Paused',
+    cancelled: '✖️ Cancelled',
+    done: '✅ Completed'
+  }[job.status] || job.status;
+  const remaining = job.status === 'done' ? 0 : Math.max(0, job.total - job.cursor);
+  const lines = [
+    `${BROADCAST_TITLES[job.kind] || job.kind} ${job.id} — ${state}`,
+    `👥 Audience: ${job.audience || 'all approved users'}`,
+    ...(job.scheduleId ? [`🗓️ Scheduled (${job.scheduleId})`] : []),
+    '',
+    `✅ Sent: ${job.sent}`,
+    `❌ Failed: ${job.failed}`
+  ];
+  for (const [reason, n] of Object.entries(job.failures || {})) {
+    lines.push(`   ${BROADCAST_FAILURE_LABELS[reason] || reason}: ${n}`);
+  }
+  if (job.skipped) lines.push(`⏭️ Skipped (banned or inactive): ${job.skipped}`);
+  lines.push(`⏳ Remaining: ${remaining} of ${job.total}`);
+  if (job.retrying && job.status === 'running') lines.push(`🔁 Retrying after: ${BROADCAST_FAILURE_LABELS[job.retrying] || job.retrying}`);
+  if (job.excludedInactive) lines.push(`💤 Inactive users left out: ${job.excludedInactive}`);
+  if (job.error) lines.push('', `⚠️ ${job.error}`);
+  if (job.status === 'done' && job.total > 0) {
+    lines.push('', `📈 Success Rate: ${((job.sent / job.total) * 100).toFixed(1)}%`);
+  }
+  return lines.join('\n');
+}
+
+// Finished jobs get no buttons (editing without reply_markup removes them)
+function broadcastKeyboard(job) {
+  if (isBroadcastFinished(job)) return undefined;
+  return new InlineKeyboard()
+    .text(job.status === 'paused' ? '▶️ Resume' : '⏸️ Pause', `bc_${job.status === 'paused' ? 'resume' : 'pause'}_${job.id}`)
+    .text('✖️ Cancel', `bc_cancel_${job.id}`);
+}
+
+// Coalesced edits of the progress message, at most every few seconds
+function refreshBroadcastProgress(id, immediate = false) {
+  let view = broadcastViews.get(id);
+  if (!view) {
+    view = { lastEditAt: 0, timer: null };
+    broadcastViews.set(id, view);
+  }
+  if (view.timer && !immediate) return;
+  clearTimeout(view.timer);
+  const delay = immediate ? 0 : Math.max(0, view.lastEditAt + BROADCAST_PROGRESS_INTERVAL_MS - Date.now());
+  view.timer = setTimeout(async () => {
+    view.timer = null;
+    view.lastEditAt = Date.now();
+    const job = broadcasts.get(id);
+    if (!job) return broadcastViews.delete(id);
+    if (isBroadcastFinished(job)) broadcastViews.delete(id);
+    if (!job.progressChatId || !job.progressMessageId) return;
+    try {
+      await editHtml(bot.api, job.progressChatId, job.progressMessageId, broadcastProgressText(job), { reply_markup: broadcastKeyboard(job) });
+    } catch (_) {}
+  }, delay);
+}
+
+async function postBroadcastProgress(job, chatId) {
+  try {
+    const m = await sendHtml(bot.api, chatId, broadcastProgressText(job), { reply_markup: broadcastKeyboard(job) });
+    job.progressChatId = String(chatId);
+    job.progressMessageId = m.message_id;
+    touchRecord('broadcasts', job.id);
+  } catch (e) {
+    broadcastLog.error('progress message failed', e);
+  }
+}
+
+function finishBroadcast(job, status) {
+  job.status = status;
+  delete job.retrying;
+  job.finishedAt = new Date().toISOString();
+  job.updatedAt = job.finishedAt;
+  delete job.recipients;
+  touchRecord('broadcasts', job.id);
+  refreshBroadcastProgress(job.id, true);
+  broadcastLog.info('broadcast finished', { id: job.id, status, sent: job.sent, failed: job.failed, skipped: job.skipped });
+}
+
+// Keep the most recent finished jobs for /broadcasts
+function pruneBroadcasts() {
+  const finished = Array.from(broadcasts.values())
+    .filter(isBroadcastFinished)
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  for (const job of finished.slice(BROADCAST_HISTORY_KEEP)) broadcasts.delete(job.id);
+}
+
+function broadcastMarkup(job) {
+  return job.buttons?.length ? { inline_keyboard: job.buttons } : undefined;
+}
+
+// Sends the job's message to one chat (also used for the admin's preview)
+async function sendBroadcastMessage(chatId, job) {
+  if (job.source?.mode === 'forward') {
+    return bot.api.forwardMessage(chatId, job.source.chatId, job.source.messageId);
+  }
+  if (job.source) {
+    return bot.api.copyMessage(chatId, job.source.chatId, job.source.messageId, { reply_markup: broadcastMarkup(job) });
+  }
+  // job.text is markup built with html`` when the draft was made
+  return sendHtml(bot.api, chatId, raw(job.text), { reply_markup: broadcastMarkup(job) });
+}
+
+// Returns 'sent', 'skipped' or a failure class
+async function deliverBroadcast(job, userId) {
+  if (!users.get(userId) || users.get(userId).inactive || bannedUsers.has(userId)) return 'skipped';
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await sendBroadcastMessage(userId, job);
+      return 'sent';
+    } catch (e) {
+      const reason = classifyBroadcastError(e);
+      if (reason === 'network' && attempt < BROADCAST_NETWORK_RETRIES && !shuttingDown) {
+        await sleep(5000);
+        continue;
+      }
+      if (reason === 'blocked' || reason === 'deactivated') markUserInactive(userId, reason);
+      return reason;
+    }
+  }
+}
+
+// Waits up to `ms`, less once the job stops running or the bot shuts down
+async function broadcastBackoff(id, ms) {
+  const until = Date.now() + ms;
+  while (Date.now() < until && !shuttingDown && broadcasts.get(id)?.status === 'running') {
+    await sleep(Math.min(1000, until - Date.now()));
+  }
+}
+
+// One loop per job; it re-reads the job each step, so pause, cancel and
+// /restore take effect before the next recipient
+async function runBroadcast(id) {
+  if (broadcastRunners.has(id)) return;
+  broadcastRunners.add(id);
+  let transient = 0; // consecutive rate limit / network failures
+  let queue = null; // ids still to go, picked on the first step
+  let next = 0;
+  try {
+    for (;;) {
+      const job = broadcasts.get(id);
+      if (!job || job.status !== 'running' || shuttingDown) break;
+      if (!queue) queue = remainingBroadcastRecipients(job);
+      if (next >= queue.length) {
+        finishBroadcast(job, 'done');
+        break;
+      }
+
+      const verdict = broadcastLimiter.check('broadcast', [{ name: 'send', limit: config.broadcastPerSecond, windowMs: 1000 }]);
+      if (!verdict.allowed) {
+        await sleep(verdict.retryInMs);
+        continue;
+      }
+
+      const outcome = await deliverBroadcast(job, queue[next]);
+      if (outcome === 'source_missing') {
+        job.error = 'The original message was deleted, nothing more can be sent.';
+        finishBroadcast(job, 'cancelled');
+        break;
+      }
+      if (BROADCAST_TRANSIENT.has(outcome)) {
+        const wait = BROADCAST_BACKOFF_MS[Math.min(transient, BROADCAST_BACKOFF_MS.length - 1)];
+        transient += 1;
+        job.retrying = outcome;
+        job.updatedAt = new Date().toISOString();
+        touchRecord('broadcasts', id);
+        incCounter('bot_broadcast_messages_total', { outcome: `retry_${outcome}` });
+        refreshBroadcastProgress(id);
+        broadcastLog.warn('broadcast delivery will be retried', { id, outcome, attempt: transient, retry_in_ms: wait });
+        await broadcastBackoff(id, wait);
+        continue;
+      }
+      transient = 0;
+      delete job.retrying;
+      job.lastRecipientId = queue[next];
+      next += 1;
+      job.cursor += 1;
+      if (outcome === 'sent') job.sent += 1;
+      else if (outcome === 'skipped') job.skipped += 1;
+      else {
+        job.failed += 1;
+        job.failures[outcome] = (job.failures[outcome] || 0) + 1;
+      }
+      job.updatedAt = new Date().toISOString();
+      touchRecord('broadcasts', id);
+      incCounter('bot_broadcast_messages_total', { outcome });
+      refreshBroadcastProgress(id);
+    }
+  } catch (e) {
+    broadcastLog.error('broadcast run failed', { id, err: e });
+  } finally {
+    broadcastRunners.delete(id);
+  }
+}
+
+// Parse "[options] body [button rows]" of /broadcast and /announce.
+// Options: to=all|premium|free, inactive=<duration> (not seen for that long),
+// joined=<YYYY-MM-DD> (registered after), lang=<code>[,<code>...],
+// as=copy|forward (replies only). Throws with a user-facing message.
+function parseBroadcastArgs(input) {
+  const lines = String(input || '').split('\n');
+  const buttons = [];
+  for (;;) {
+    while (lines.length && !lines[lines.length - 1].trim()) lines.pop();
+    if (!lines.length || !BROADCAST_BUTTON_ROW_RE.test(lines[lines.length - 1])) break;
+    const row = Array.from(lines.pop().matchAll(/\[([^\]\n]+)\]\((https?:\/\/[^\s)]+)\)/g), m => ({ text: m[1].trim(), url: m[2] }));
+    buttons.unshift(row);
+  }
+
+  const filters = { tier: 'all', unseenMs: null, joinedAfter: null, langs: [], mode: 'copy' };
+  let body = lines.join('\n').trim();
+  for (let m = BROADCAST_OPTION_RE.exec(body); m; m = BROADCAST_OPTION_RE.exec(body)) {
+    const key = m[1].toLowerCase();
+    const value = m[2];
+    if (key === 'to') {
+      if (!['all', 'premium', 'free'].includes(value.toLowerCase())) throw new Error('to= must be all, premium or free');
+      filters.tier = value.toLowerCase();
+    } else if (key === 'inactive') {
+      try { filters.unseenMs = parseDuration(value); } catch (_) { throw new Error('inactive= must be a duration like 30d or 12h'); }
+    } else if (key === 'joined') {
+      const d = new Date(value);
+      if (!/^\d{4}-\d{2}-\d{2}/.test(value) || Number.isNaN(d.getTime())) throw new Error('joined= must be a date like 2024-01-31');
+      filters.joinedAfter = d.toISOString();
+    } else if (key === 'lang') {
+      filters.langs = value.toLowerCase().split(',').map(x => x.trim()).filter(Boolean);
+    } else if (key === 'as') {
+      if (!['copy', 'forward'].includes(value.toLowerCase())) throw new Error('as= must be copy or forward');
+      filters.mode = value.toLowerCase();
+    }
+    body = body.slice(m[0].length);
+  }
+  return { filters, buttons, body: body.trim() };
+}
+
+function describeAudience(filters) {
+  const parts = [];
+  if (filters.tier === 'premium') parts.push('premium users');
+  else if (filters.tier === 'free') parts.push('non-premium users');
+  else parts.push('all approved users');
+  if (filters.unseenMs) parts.push(`not seen for ${formatCacheAge(filters.unseenMs)}`);
+  if (filters.joinedAfter) parts.push(`joined after ${filters.joinedAfter.slice(0, 10)}`);
+  if (filters.langs.length) parts.push(`language ${filters.langs.join('/')}`);
+  return parts.join(', ');
+}
+
+function matchesAudience(user, filters, now) {
+  if (filters.tier === 'premium' && !user.isPremium) return false;
+  if (filters.tier === 'free' && user.isPremium) return false;
+  if (filters.unseenMs) {
+    // Users from before activity tracking count from their registration
+    const seen = new Date(user.lastSeenAt || user.registrationDate || 0).getTime();
+    if (now - seen < filters.unseenMs) return false;
+  }
+  if (filters.joinedAfter && !(new Date(user.registrationDate || 0) > new Date(filters.joinedAfter))) return false;
+  if (filters.langs.length) {
+    const lang = String(user.languageCode || '').toLowerCase();
+    if (!filters.langs.some(l => lang === l || lang.startsWith(`${l}-`))) return false;
+  }
+  return true;
+}
+
+// Matching approved users as of `now`, in id order; the ones marked inactive
+// are counted but left out
+function selectBroadcastRecipients(filters, now = Date.now()) {
+  const matched = Array.from(users.values()).filter(u => u.isApproved && matchesAudience(u, filters, now));
+  const recipients = matched.filter(u => !u.inactive).map(u => String(u.telegramId)).sort((a, b) => Number(a) - Number(b));
+  return { recipients, excludedInactive: matched.length - recipients.length };
+}
+
+// Recipients of `job` still to go: its audience filters applied as of its
+// start, after the last one handled (users who joined since are included when
+// their id comes later)
+function remainingBroadcastRecipients(job) {
+  if (Array.isArray(job.recipients)) return job.recipients.slice(job.cursor);
+  const { recipients } = selectBroadcastRecipients(job.filters || { langs: [] }, new Date(job.createdAt).getTime());
+  if (job.lastRecipientId === null || job.lastRecipientId === undefined) return recipients;
+  return recipients.filter(uid => Number(uid) > Number(job.lastRecipientId));
+}
+
+// draft: { kind, text, source: { chatId, messageId, mode } | null, buttons, filters }
+async function startBroadcast(chatId, from, draft) {
+  pruneBroadcasts();
+  const startedAt = Date.now();
+  const { recipients, excludedInactive } = selectBroadcastRecipients(draft.filters, startedAt);
+  const now = new Date(startedAt).toISOString();
+  const job = {
+    id: `${Date.now().toString(36)}${crypto.randomBytes(2).toString('hex')}`,
+    kind: draft.kind,
+    text: draft.text || null,
+    source: draft.source || null,
+    buttons: draft.buttons || [],
+    audience: describeAudience(draft.filters),
+    scheduleId: draft.scheduleId || null,
+    status: 'running',
+    filters: draft.filters,
+    total: recipients.length,
+    cursor: 0,
+    lastRecipientId: null,
+    sent: 0,
+    failed: 0,
+    skipped: 0,
+    failures: {},
+    excludedInactive,
+    createdBy: String(from?.id || ''),
+    createdByName: from?.username || null,
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null,
+    progressChatId: null,
+    progressMessageId: null
+  };
+  broadcasts.set(job.id, job);
+  await postBroadcastProgress(job, chatId);
+  runBroadcast(job.id);
+  return job;
+}
+
+// Show the exact message and the audience size, send (or schedule, when
+// `rule` is given) only after confirmation
+async function offerBroadcast(ctx, draft, rule = null) {
+  for (const [token, p] of pendingBroadcasts) if (p.expiresAt < Date.now()) pendingBroadcasts.delete(token);
+
+  await sendBroadcastMessage(ctx.chat.id, draft);
+
+  const { recipients, excludedInactive } = selectBroadcastRecipients(draft.filters);
+  const token = crypto.randomBytes(6).toString('hex');
+  pendingBroadcasts.set(token, { draft, rule, by: String(ctx.from?.id), expiresAt: Date.now() + BROADCAST_CONFIRM_TTL_MS });
+
+  const lines = [
+    `👆 Preview of the ${draft.kind === 'announce' ? 'announcement' : 'broadcast'}`,
+    '',
+    `👥 Audience: ${describeAudience(draft.filters)}`,
+    `📬 Recipients: ${recipients.length}`
+  ];
+  if (excludedInactive) lines.push(`💤 Inactive users left out: ${excludedInactive}`);
+  if (rule) lines.push(`🗓️ When: ${describeRule(rule, config.timezone)} (${config.timezone}), recipients are picked at that time`);
+  if (draft.source?.mode === 'forward' && draft.buttons.length) lines.push('⚠️ Buttons are not shown on forwarded messages');
+  lines.push('', `${rule ? 'Schedule' : 'Send'} it? (expires in ${Math.round(BROADCAST_CONFIRM_TTL_MS / 60000)} minutes)`);
+
+  const keyboard = new InlineKeyboard()
+    .text(rule ? '🗓️ Schedule' : '✅ Send', `bcsend_${token}`)
+    .text('❌ Cancel', `bcdrop_${token}`);
+  await sendFormattedMessage(ctx, lines.join('\n'), { reply_markup: keyboard });
+}
+
+// Called once the bot is up: pick up jobs that were sending at shutdown
+function resumeBroadcasts() {
+  for (const job of broadcasts.values()) {
+    if (job.status !== 'running') continue;
+    broadcastLog.info('resuming broadcast', { id: job.id, cursor: job.cursor, total: job.total });
+    refreshBroadcastProgress(job.id, true);
+    runBroadcast(job.id);
+  }
+}
+
+bot.callbackQuery(/^bc_(pause|resume|cancel)_([a-z0-9]+)$/, async (ctx) => {
+  if (!isAdmin(ctx.from?.id)) {
+    try { await ctx.answerCallbackQuery({ text: ctx.label('menu.admin_only') }); } catch (_) {}
     return;
   }
 
-  const message = ctx.match?.toString();
-  if (!message) {
-    await sendFormattedMessage(ctx, '📢 Usage: /broadcast <message>\n\nExample: /broadcast "Maintenance scheduled for tonight"');
+  const [, action, id] = ctx.match;
+  const job = broadcasts.get(id);
+  if (!job || isBroadcastFinished(job)) {
+    try { await ctx.answerCallbackQuery({ text: ctx.label('broadcast.finished') }); } catch (_) {}
     return;
   }
 
-  await sendFormattedMessage(ctx, '📢 Preparing broadcast...');
+  if (action === 'pause' && job.status === 'running') {
+    job.status = 'paused';
+  } else if (action === 'resume' && job.status === 'paused') {
+    job.status = 'running';
+    runBroadcast(id);
+  } else if (action === 'cancel') {
+    finishBroadcast(job, 'cancelled');
+  }
+  job.updatedAt = new Date().toISOString();
+  touchRecord('broadcasts', id);
+  refreshBroadcastProgress(id, true);
+  try { await ctx.answerCallbackQuery({ text: { pause: 'Paused', resume: 'Resumed', cancel: 'Cancelled' }[action] }); } catch (_) {}
+});
 
-  const approvedUsers = Array.from(users.values()).filter(u => u.isApproved);
-  let successCount = 0;
-  let failCount = 0;
+bot.callbackQuery(/^bc(send|drop)_([a-f0-9]+)$/, async (ctx) => {
+  if (!isAdmin(ctx.from?.id)) {
+    try { await ctx.answerCallbackQuery({ text: ctx.label('menu.admin_only') }); } catch (_) {}
+    return;
+  }
 
-  for (const user of approvedUsers) {
+  const [, action, token] = ctx.match;
+  const pending = pendingBroadcasts.get(token);
+  pendingBroadcasts.delete(token);
+  if (!pending || pending.expiresAt < Date.now()) {
+    try { await ctx.answerCallbackQuery({ text: ctx.label('error.preview_expired') }); } catch (_) {}
+    try { await ctx.editMessageReplyMarkup(); } catch (_) {}
+    return;
+  }
+
+  if (action === 'drop') {
+    try { await ctx.answerCallbackQuery({ text: 'Cancelled' }); } catch (_) {}
+    try { await editFormattedMessage(ctx, '❌ Broadcast cancelled, nothing was sent.'); } catch (_) {}
+    return;
+  }
+
+  if (pending.rule) {
+    const sch = createSchedule(ctx.chat.id, ctx.from, pending.draft, pending.rule);
+    try { await ctx.answerCallbackQuery({ text: sch ? 'Scheduled' : 'That time has already passed' }); } catch (_) {}
     try {
-      await notifyUser(user.telegramId, `📢 Broadcast Message 📢\n\n${message}`);
-      successCount++;
-    } catch (error) {
-      console.error(`Failed to send broadcast to ${user.telegramId}:`, error);
-      failCount++;
-    }
+      await editFormattedMessage(ctx, sch
+        ? `🗓️ Scheduled ${sch.id}: ${describeRule(sch.rule, config.timezone)}\n⏭️ Next run: ${formatLocal(Date.parse(sch.nextRunAt), config.timezone)} (${config.timezone})\n\nSee /scheduled to list or cancel.`
+        : ctx.t('schedule.passed'));
+    } catch (_) {}
+    return;
   }
 
-  const resultMessage = `📢 Broadcast Completed 📢
+  try { await ctx.answerCallbackQuery({ text: 'Sending…' }); } catch (_) {}
+  try { await ctx.editMessageReplyMarkup(); } catch (_) {}
+  await startBroadcast(ctx.chat.id, ctx.from, pending.draft);
+});
 
-✅ Delivery Statistics:
-• Total Users: ${approvedUsers.length}
-• Successful: ${successCount}
-• Failed: ${failCount}
-• Success Rate: ${approvedUsers.length > 0 ? ((successCount / approvedUsers.length) * 100).toFixed(1) : 0}%
+// System Control Commands
+const BROADCAST_USAGE = `📢 Usage: /broadcast [options] <message>
+or reply to any message (photo, video, document, formatted text) with /broadcast [options]
+
+Options (optional, before the message):
+• to=all|premium|free
+• inactive=30d - not seen for 30 days
+• joined=2024-01-31 - registered after that date
+• lang=en,hi - Telegram language code
+• as=forward - forward the replied message instead of copying it
+
+URL buttons: end with lines like
+[Open site](https://example.com) [Channel](https://t.me/example)
+
+Example: /broadcast to=premium lang=en Maintenance scheduled for tonight`;
+
+// /broadcast-style input ("[options] message [buttons]", or options and
+// buttons in reply to a message). Returns null when there is nothing to send
+// and an error string when the input is invalid.
+function buildBroadcastDraft(ctx, input) {
+  let parsed;
+  try {
+    parsed = parseBroadcastArgs(input);
+  } catch (e) {
+    return `❌ ${e.message}`;
+  }
+
+  const { filters, buttons, body } = parsed;
+  const replied = ctx.message?.reply_to_message;
+  if (replied && body) return ctx.label('broadcast.reply_extra');
+  if (!replied && !body) return null;
 
-📝 Message:
- ${message}
+  return {
+    kind: 'broadcast',
+    text: replied ? null : html`📢 Broadcast Message 📢\n\n${body}`.markup,
+    source: replied ? { chatId: String(ctx.chat.id), messageId: replied.message_id, mode: filters.mode } : null,
+    buttons,
+    filters
+  };
+}
 
-👤 Sent by: @${ctx.from?.username || 'Admin'}`;
+bot.command('broadcast', async (ctx) => {
+  const telegramId = ctx.from?.id.toString();
+  
+  if (!telegramId || !isAdmin(telegramId)) {
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
+    return;
+  }
 
-  await sendFormattedMessage(ctx, resultMessage);
+  const draft = buildBroadcastDraft(ctx, ctx.match?.toString());
+  if (!draft || typeof draft === 'string') {
+    await sendFormattedMessage(ctx, draft ? `${draft}\n\n${BROADCAST_USAGE}` : BROADCAST_USAGE);
+    return;
+  }
+  await offerBroadcast(ctx, draft);
 });
 
 bot.command('announce', async (ctx) => {
   const telegramId = ctx.from?.id.toString();
   
   if (!telegramId || !isAdmin(telegramId)) {
-    await sendFormattedMessage(ctx, '❌ This command is only available to administrators.');
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
     return;
   }
 
-  const input = ctx.match?.toString();
+  let parsed;
+  try {
+    parsed = parseBroadcastArgs(ctx.match?.toString());
+  } catch (e) {
+    await sendFormattedMessage(ctx, `❌ ${e.message}`);
+    return;
+  }
+
+  const input = parsed.body;
   if (!input || !input.includes('|')) {
-    await sendFormattedMessage(ctx, '🎭 Usage: /announce <title>|<message>\n\nExample: /announce "New Feature|We just added domain lookup!"');
+    await sendFormattedMessage(ctx, '🎭 Usage: /announce [options] <title>|<message>\n\nExample: /announce "New Feature|We just added domain lookup!"\n\nOptions and buttons work as in /broadcast.');
     return;
   }
 
@@ -6723,51 +8401,229 @@ bot.command('announce', async (ctx) => {
     return;
   }
 
-  await sendFormattedMessage(ctx, '🎭 Preparing rich announcement...');
-
-  const approvedUsers = Array.from(users.values()).filter(u => u.isApproved);
-  let successCount = 0;
-  let failCount = 0;
-
-  const announcementMessage = `🎭 ${title.trim()} 🎭
+  const announcementMessage = html`🎭 ${bold(title.trim())} 🎭
 
- ${message}
+${message}
 
 💎 Premium OSINT Bot Announcement`;
 
-  for (const user of approvedUsers) {
-    try {
-      await notifyUser(user.telegramId, announcementMessage);
-      successCount++;
-    } catch (error) {
-      console.error(`Failed to send announcement to ${user.telegramId}:`, error);
-      failCount++;
-    }
-  }
-
-  const resultMessage = `🎭 Rich Announcement Sent 🎭
-
-✅ Delivery Statistics:
-• Total Users: ${approvedUsers.length}
-• Successful: ${successCount}
-• Failed: ${failCount}
-• Success Rate: ${approvedUsers.length > 0 ? ((successCount / approvedUsers.length) * 100).toFixed(1) : 0}%
-
-📝 Announcement Details:
-• Title: ${title.trim()}
-• Message: ${message}
-
-👤 Sent by: @${ctx.from?.username || 'Admin'}`;
-
-  await sendFormattedMessage(ctx, resultMessage);
+  await offerBroadcast(ctx, {
+    kind: 'announce',
+    text: announcementMessage.markup,
+    source: null,
+    buttons: parsed.buttons,
+    filters: parsed.filters
+  });
 });
 
-// Real maintenance mode command
-bot.command('maintenance', async (ctx) => {
+// Recent broadcast jobs; active ones get a fresh progress message here
+bot.command('broadcasts', async (ctx) => {
   const telegramId = ctx.from?.id.toString();
-  
+
   if (!telegramId || !isAdmin(telegramId)) {
-    await sendFormattedMessage(ctx, '❌ This command is only available to administrators.');
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
+    return;
+  }
+
+  const jobs = Array.from(broadcasts.values())
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+    .slice(0, 10);
+  if (!jobs.length) {
+    await sendFormattedMessage(ctx, '📢 No broadcasts yet.');
+    return;
+  }
+
+  const inactive = Array.from(users.values()).filter(u => u.isApproved && u.inactive).length;
+  const lines = jobs.map(j => `• ${j.id} ${BROADCAST_TITLES[j.kind] || j.kind} — ${j.status} — ${j.sent}/${j.total} sent, ${j.failed} failed (${String(j.createdAt).slice(0, 16).replace('T', ' ')})\n   👥 ${j.audience || 'all approved users'}`);
+  await sendFormattedMessage(ctx, `📢 Recent broadcasts\n\n${lines.join('\n')}\n\n💤 Inactive users (skipped): ${inactive}`);
+
+  for (const job of jobs) {
+    if (!isBroadcastFinished(job)) await postBroadcastProgress(job, ctx.chat.id);
+  }
+});
+
+// ===============================
+// SCHEDULED BROADCASTS
+// /schedule keeps a confirmed broadcast draft with a time rule (see
+// schedule.js) in `schedules`, persisted with the state. A timer starts an
+// ordinary broadcast job when one is due; recipients are picked at that time.
+// Times are read in BOT_TIMEZONE. A run missed by more than
+// SCHEDULE_MISSED_GRACE_MS (the bot was down) is skipped, not sent late.
+// ===============================
+const SCHEDULE_CHECK_INTERVAL_MS = 30 * 1000;
+const SCHEDULE_MISSED_GRACE_MS = 60 * 60 * 1000;
+
+let scheduleTimer = null;
+let schedulesRunning = false;
+
+// Returns null when the rule has no run left
+function createSchedule(chatId, from, draft, rule) {
+  const next = nextRun(rule, Date.now(), config.timezone);
+  if (!next) return null;
+  const sch = {
+    id: `${Date.now().toString(36)}${crypto.randomBytes(2).toString('hex')}`,
+    rule,
+    draft,
+    chatId: String(chatId),
+    nextRunAt: new Date(next).toISOString(),
+    runs: 0,
+    missed: 0,
+    lastRunAt: null,
+    lastJobId: null,
+    createdBy: String(from?.id || ''),
+    createdByName: from?.username || null,
+    createdAt: new Date().toISOString()
+  };
+  schedules.set(sch.id, sch);
+  return sch;
+}
+
+async function runDueSchedules() {
+  if (schedulesRunning || shuttingDown) return;
+  schedulesRunning = true;
+  try {
+    const now = Date.now();
+    for (const sch of Array.from(schedules.values())) {
+      const due = Date.parse(sch.nextRunAt);
+      if (!(due <= now)) continue;
+
+      if (now - due > SCHEDULE_MISSED_GRACE_MS) {
+        sch.missed = (sch.missed || 0) + 1;
+        broadcastLog.warn('scheduled run missed, skipped', { schedule: sch.id, due: sch.nextRunAt });
+        sendHtml(bot.api, sch.chatId, `⚠️ Scheduled broadcast ${sch.id} was skipped: the bot was offline at ${formatLocal(due, config.timezone)}.`).catch(() => {});
+      } else {
+        const job = await startBroadcast(sch.chatId, { id: sch.createdBy, username: sch.createdByName }, { ...sch.draft, scheduleId: sch.id });
+        sch.runs += 1;
+        sch.lastRunAt = new Date().toISOString();
+        sch.lastJobId = job.id;
+      }
+
+      const next = nextRun(sch.rule, now, config.timezone);
+      if (next) {
+        sch.nextRunAt = new Date(next).toISOString();
+        touchRecord('schedules', sch.id);
+      } else {
+        schedules.delete(sch.id);
+      }
+    }
+  } catch (e) {
+    broadcastLog.error('schedule check failed', e);
+  } finally {
+    schedulesRunning = false;
+  }
+}
+
+// Called once the bot is up
+function startScheduler() {
+  if (scheduleTimer) return;
+  scheduleTimer = setInterval(runDueSchedules, SCHEDULE_CHECK_INTERVAL_MS);
+  scheduleTimer.unref?.();
+  runDueSchedules();
+}
+
+function describeScheduleMessage(draft) {
+  if (draft.source) return draft.source.mode === 'forward' ? '↪️ forward of a message' : '📎 copy of a message';
+  const text = String(draft.text || '').replace(/\s+/g, ' ').trim();
+  return `💬 ${text.length > 60 ? `${text.slice(0, 60)}…` : text}`;
+}
+
+const SCHEDULE_USAGE = `🗓️ Usage: /schedule <when> [options] <message>
+or reply to a message with /schedule <when> [options]
+
+When (${config.timezone}):
+• in 2h
+• 02:00 - the next time the clock shows 02:00
+• 2024-12-31 02:00
+• daily 02:00
+• weekly mon 02:00
+
+Options and buttons work as in /broadcast. A replied-to message must not be deleted before it is sent.
+
+Example: /schedule 02:00 Maintenance starts now, back in 30 minutes`;
+
+bot.command('schedule', async (ctx) => {
+  const telegramId = ctx.from?.id.toString();
+
+  if (!telegramId || !isAdmin(telegramId)) {
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
+    return;
+  }
+
+  const input = ctx.match?.toString();
+  if (!input) {
+    await sendFormattedMessage(ctx, SCHEDULE_USAGE);
+    return;
+  }
+
+  let when;
+  try {
+    when = parseWhen(input, { timeZone: config.timezone });
+  } catch (e) {
+    await sendFormattedMessage(ctx, `❌ ${e.message}\n\n${SCHEDULE_USAGE}`);
+    return;
+  }
+
+  const draft = buildBroadcastDraft(ctx, when.rest);
+  if (!draft || typeof draft === 'string') {
+    await sendFormattedMessage(ctx, draft || SCHEDULE_USAGE);
+    return;
+  }
+  await offerBroadcast(ctx, draft, when.rule);
+});
+
+bot.command('scheduled', async (ctx) => {
+  const telegramId = ctx.from?.id.toString();
+
+  if (!telegramId || !isAdmin(telegramId)) {
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
+    return;
+  }
+
+  const [sub, id] = String(ctx.match || '').trim().split(/\s+/);
+  if (sub === 'cancel') {
+    const ok = id && schedules.delete(id);
+    await sendFormattedMessage(ctx, ok ? `🗑️ Schedule ${id} cancelled.` : ctx.t('schedule.not_found'));
+    return;
+  }
+
+  const list = Array.from(schedules.values()).sort((a, b) => String(a.nextRunAt).localeCompare(String(b.nextRunAt)));
+  if (!list.length) {
+    await sendFormattedMessage(ctx, '🗓️ Nothing scheduled. Use /schedule to add a broadcast.');
+    return;
+  }
+
+  const keyboard = new InlineKeyboard();
+  const lines = list.map((sch, i) => {
+    if (i) keyboard.row();
+    keyboard.text(`🗑️ Cancel ${sch.id}`, `schedcancel_${sch.id}`);
+    return `• ${sch.id} — ${describeRule(sch.rule, config.timezone)}
+   ⏭️ Next: ${formatLocal(Date.parse(sch.nextRunAt), config.timezone)}${sch.runs ? ` • ran ${sch.runs}x` : ''}
+   ${describeScheduleMessage(sch.draft)}
+   👥 ${describeAudience(sch.draft.filters)}`;
+  });
+  await sendFormattedMessage(ctx, `🗓️ Scheduled broadcasts (${config.timezone})\n\n${lines.join('\n\n')}`, { reply_markup: keyboard });
+});
+
+bot.callbackQuery(/^schedcancel_([a-z0-9]+)$/, async (ctx) => {
+  if (!isAdmin(ctx.from?.id)) {
+    try { await ctx.answerCallbackQuery({ text: ctx.label('menu.admin_only') }); } catch (_) {}
+    return;
+  }
+
+  const id = ctx.match[1];
+  const ok = schedules.delete(id);
+  try { await ctx.answerCallbackQuery({ text: ok ? `Schedule ${id} cancelled` : 'Already gone' }); } catch (_) {}
+  if (ok) {
+    try { await sendFormattedMessage(ctx, `🗑️ Schedule ${id} cancelled.`); } catch (_) {}
+  }
+});
+
+// Real maintenance mode command
+bot.command('maintenance', async (ctx) => {
+  const telegramId = ctx.from?.id.toString();
+  
+  if (!telegramId || !isAdmin(telegramId)) {
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
     return;
   }
 
@@ -6800,7 +8656,7 @@ bot.command('maintenance', async (ctx) => {
           await notifyUser(user.telegramId, maintenanceMessage);
         }
       } catch (error) {
-        console.error(`Failed to notify user ${user.telegramId} about maintenance:`, error);
+        telegramLog.warn('maintenance notice failed', { user: user.telegramId, err: error });
       }
     }
   } 
@@ -6824,7 +8680,7 @@ bot.command('lucky', async (ctx) => {
   const telegramId = ctx.from?.id.toString();
   
   if (!telegramId || !isAdmin(telegramId)) {
-    await sendFormattedMessage(ctx, '❌ This command is only available to administrators.');
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
     return;
   }
 
@@ -6844,7 +8700,7 @@ bot.command('lucky', async (ctx) => {
   const randomIndex = Math.floor(Math.random() * approvedUsers.length);
   const luckyUser = approvedUsers[randomIndex];
 
-  luckyUser.credits += amount;
+  adjustCredits(luckyUser, amount, { reason: 'lucky', command: 'lucky', actor: telegramId });
 
   const userMessage = `🍀 Lucky Draw Winner! 🍀
 
@@ -6882,7 +8738,7 @@ bot.command('masspremium', async (ctx) => {
   const telegramId = ctx.from?.id.toString();
   
   if (!telegramId || !isAdmin(telegramId)) {
-    await sendFormattedMessage(ctx, '❌ This command is only available to administrators.');
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
     return;
   }
 
@@ -6899,6 +8755,7 @@ bot.command('masspremium', async (ctx) => {
   for (const user of approvedUsers) {
     try {
       user.isPremium = true;
+      touchUser(user);
       successCount++;
 
       // Notify user
@@ -6916,7 +8773,7 @@ bot.command('masspremium', async (ctx) => {
 
       await notifyUser(user.telegramId, userMessage);
     } catch (error) {
-      console.error(`Failed to upgrade user ${user.telegramId}:`, error);
+      commandLog.error('premium upgrade failed', { user: user.telegramId, err: error });
       failCount++;
     }
   }
@@ -6939,7 +8796,7 @@ bot.command('massremovepremium', async (ctx) => {
   const telegramId = ctx.from?.id.toString();
   
   if (!telegramId || !isAdmin(telegramId)) {
-    await sendFormattedMessage(ctx, '❌ This command is only available to administrators.');
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
     return;
   }
 
@@ -6956,6 +8813,7 @@ bot.command('massremovepremium', async (ctx) => {
   for (const user of premiumUsers) {
     try {
       user.isPremium = false;
+      touchUser(user);
       successCount++;
 
       // Notify user
@@ -6970,7 +8828,7 @@ bot.command('massremovepremium', async (ctx) => {
 
       await notifyUser(user.telegramId, userMessage);
     } catch (error) {
-      console.error(`Failed to remove premium from user ${user.telegramId}:`, error);
+      commandLog.error('premium removal failed', { user: user.telegramId, err: error });
       failCount++;
     }
   }
@@ -6993,7 +8851,7 @@ bot.command('removepremium', async (ctx) => {
   const telegramId = ctx.from?.id.toString();
   
   if (!telegramId || !isAdmin(telegramId)) {
-    await sendFormattedMessage(ctx, '❌ This command is only available to administrators.');
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
     return;
   }
 
@@ -7015,6 +8873,7 @@ bot.command('removepremium', async (ctx) => {
   }
 
   targetUser.isPremium = false;
+  touchUser(targetUser);
 
   const userMessage = `💳 Premium Status Revoked 💳
 
@@ -7045,7 +8904,7 @@ bot.command('reset_daily', async (ctx) => {
   const telegramId = ctx.from?.id.toString();
   
   if (!telegramId || !isAdmin(telegramId)) {
-    await sendFormattedMessage(ctx, '❌ This command is only available to administrators.');
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
     return;
   }
 
@@ -7054,6 +8913,7 @@ bot.command('reset_daily', async (ctx) => {
   for (const [userId, user] of users.entries()) {
     if (user.totalQueries > 0) {
       user.totalQueries = 0;
+      touchUser(user);
       resetCount++;
     }
   }
@@ -7075,7 +8935,7 @@ bot.command('resetuser', async (ctx) => {
   const telegramId = ctx.from?.id.toString();
   
   if (!telegramId || !isAdmin(telegramId)) {
-    await sendFormattedMessage(ctx, '❌ This command is only available to administrators.');
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
     return;
   }
 
@@ -7097,9 +8957,10 @@ bot.command('resetuser', async (ctx) => {
   const wasPremium = targetUser.isPremium;
   const wasAdmin = targetUser.isAdmin;
   
-  targetUser.credits = 0;
+  setUserCredits(targetUser, 0, { reason: 'reset', command: 'resetuser', actor: telegramId });
   targetUser.totalQueries = 0;
   targetUser.isPremium = false;
+  touchUser(targetUser);
   // Keep admin status to avoid removing admin access accidentally
 
   const userMessage = `🔄 Account Reset 🔄
@@ -7137,7 +8998,7 @@ bot.command('logs', async (ctx) => {
   const telegramId = ctx.from?.id.toString();
   
   if (!telegramId || !isAdmin(telegramId)) {
-    await sendFormattedMessage(ctx, '❌ This command is only available to administrators.');
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
     return;
   }
 
@@ -7171,75 +9032,540 @@ bot.command('logs', async (ctx) => {
   await sendFormattedMessage(ctx, message);
 });
 
+// ===============================
+// BACKUP & RESTORE
+// /backup exports the full snapshotState document; /restore (as a reply to
+// such a file) validates it, shows what would change and only applies it
+// after the admin confirms. Collections missing from the file are left alone.
+// ===============================
+const RESTORE_MAX_BYTES = 20 * 1024 * 1024; // Bot API getFile limit
+const RESTORE_CONFIRM_TTL_MS = 10 * 60 * 1000;
+const pendingRestores = new Map(); // token -> { state, summary, source, by, expiresAt }
+
+function isPlainObject(v) {
+  return !!v && typeof v === 'object' && !Array.isArray(v);
+}
+
+// /backup files written before the full export: trimmed user/registration rows
+function legacyBackupToState(doc) {
+  const state = { v: 1, users: {}, registrationRequests: {} };
+  for (const u of doc.users) {
+    if (!u || u.id === undefined) continue;
+    const { id, ...rest } = u;
+    state.users[String(id)] = { telegramId: String(id), commandStats: {}, ...rest };
+  }
+  for (const r of Array.isArray(doc.registrations) ? doc.registrations : []) {
+    if (!r || r.id === undefined) continue;
+    const { id, ...rest } = r;
+    state.registrationRequests[String(id)] = { telegramId: String(id), ...rest };
+  }
+  if (Array.isArray(doc.verifiedUsers)) state.verifiedUsers = doc.verifiedUsers;
+  return state;
+}
+
+function validateStateDocument(state) {
+  const errors = [];
+  const add = (msg) => { if (errors.length < 10) errors.push(msg); };
+
+  if (![...Object.keys(TRACKED_MAPS), ...Object.keys(TRACKED_SETS)].some(k => state[k] !== undefined)) {
+    add('no known collections (users, bannedUsers, redeemCodes, ...) in file');
+  }
+  for (const key of Object.keys(TRACKED_MAPS)) {
+    if (state[key] === undefined) continue;
+    if (!isPlainObject(state[key])) { add(`${key} must be an object`); continue; }
+    for (const [id, rec] of Object.entries(state[key])) {
+      if (!isPlainObject(rec)) add(`${key}.${id} is not an object`);
+    }
+  }
+  for (const key of Object.keys(TRACKED_SETS)) {
+    if (state[key] !== undefined && !Array.isArray(state[key])) add(`${key} must be an array`);
+  }
+  if (state.autoRegisterEnabled !== undefined && typeof state.autoRegisterEnabled !== 'boolean') {
+    add('autoRegisterEnabled must be true/false');
+  }
+
+  for (const [id, u] of Object.entries(isPlainObject(state.users) ? state.users : {})) {
+    if (!isPlainObject(u)) continue;
+    if (!/^\d+$/.test(id)) add(`users.${id}: key is not a Telegram id`);
+    if (u.telegramId !== undefined && String(u.telegramId) !== id) add(`users.${id}: telegramId is ${u.telegramId}`);
+    if (typeof u.credits !== 'number' || !Number.isFinite(u.credits)) add(`users.${id}: credits must be a number`);
+    for (const f of ['isApproved', 'isPremium', 'isAdmin']) {
+      if (u[f] !== undefined && typeof u[f] !== 'boolean') add(`users.${id}: ${f} must be true/false`);
+    }
+    if (u.registrationDate && Number.isNaN(new Date(u.registrationDate).getTime())) add(`users.${id}: bad registrationDate`);
+  }
+  for (const [code, c] of Object.entries(isPlainObject(state.redeemCodes) ? state.redeemCodes : {})) {
+    if (!isPlainObject(c)) continue;
+    if (typeof c.credits !== 'number' || !Number.isFinite(c.credits)) add(`redeemCodes.${code}: credits must be a number`);
+  }
+  return errors;
+}
+
+// Parse an uploaded backup into a current-version state. Returns { state } or { errors }.
+function parseBackupDocument(text) {
+  let doc = safeParseJson(text);
+  if (!isPlainObject(doc)) return { errors: ['file is not a JSON object'] };
+  if (Array.isArray(doc.users)) doc = legacyBackupToState(doc);
+
+  const from = stateVersionOf(doc);
+  if (from > STATE_VERSION) return { errors: [`file is state v${from}, this build only knows v${STATE_VERSION}`] };
+  try {
+    migrateState(doc);
+  } catch (e) {
+    return { errors: [e?.message || String(e)] };
+  }
+
+  const errors = validateStateDocument(doc);
+  return errors.length ? { errors } : { state: doc };
+}
+
+function diffStateForRestore(state) {
+  const current = snapshotState();
+  const summary = { replaced: [], users: null, counts: [], autoRegister: null };
+
+  if (state.users !== undefined) {
+    const before = current.users;
+    const after = state.users;
+    const credits = (o) => Object.values(o).reduce((sum, u) => sum + (Number(u?.credits) || 0), 0);
+    summary.users = {
+      added: Object.keys(after).filter(id => !(id in before)).length,
+      removed: Object.keys(before).filter(id => !(id in after) && !CONFIGURED_ADMIN_IDS.includes(id)).length,
+      changed: Object.keys(after).filter(id => id in before && JSON.stringify(before[id]) !== JSON.stringify(after[id])).length,
+      creditDelta: credits(after) - credits(before)
+    };
+  }
+  for (const key of [...Object.keys(TRACKED_MAPS), ...Object.keys(TRACKED_SETS)]) {
+    if (state[key] === undefined) continue;
+    summary.replaced.push(key);
+    if (key === 'users') continue;
+    const size = (v) => (Array.isArray(v) ? v.length : Object.keys(v || {}).length);
+    summary.counts.push([key, size(current[key]), size(state[key])]);
+  }
+  if (typeof state.autoRegisterEnabled === 'boolean' && state.autoRegisterEnabled !== current.autoRegisterEnabled) {
+    summary.autoRegister = state.autoRegisterEnabled;
+  }
+  return summary;
+}
+
+function formatRestorePreview(summary, source) {
+  const lines = ['♻️ Restore preview', '', `📄 Source: ${source}`];
+  if (summary.users) {
+    const u = summary.users;
+    lines.push('', '👥 Users:');
+    lines.push(`• Added: ${u.added}`);
+    lines.push(`• Removed: ${u.removed}`);
+    lines.push(`• Changed: ${u.changed}`);
+    lines.push(`• Credit delta: ${u.creditDelta > 0 ? '+' : ''}${u.creditDelta}`);
+  }
+  if (summary.counts.length) {
+    lines.push('', '📦 Other collections (now → after):');
+    for (const [key, before, after] of summary.counts) lines.push(`• ${key}: ${before} → ${after}`);
+  }
+  if (summary.autoRegister !== null) lines.push('', `🤖 Auto-register: ${summary.autoRegister ? 'ON' : 'OFF'}`);
+  lines.push('', `🔁 Replaced: ${summary.replaced.join(', ') || 'nothing'}`);
+  lines.push('⚠️ The current state is copied to the data folder before applying.');
+  return lines.join('\n');
+}
+
+// Users with credits reserved by a command that is still running
+function usersWithCreditHolds() {
+  return Array.from(users.values()).filter(u => u?.creditHolds && Object.keys(u.creditHolds).length > 0);
+}
+
+// Why a restore cannot run right now, or null. Commands holding credits must
+// commit or roll back on the records being replaced, and a sending broadcast
+// would keep writing progress into a record the restore swapped out.
+function restoreBlocker() {
+  const busy = usersWithCreditHolds().length;
+  if (busy) return `Commands are still running for ${busy} user(s)`;
+  if (broadcastRunners.size) return 'A broadcast is sending (pause or cancel it in /broadcasts)';
+  return null;
+}
+
+// Swap the in-memory state for `state` and persist it. Returns the path of the pre-restore copy.
+// Refused while restoreBlocker() says so. Users that stay keep their record
+// object (updated in place), so anything else holding one still sees the
+// restored data; configured admins missing from the backup are kept as they are.
+function applyRestoredState(state, actor) {
+  const blocker = restoreBlocker();
+  if (blocker) throw new Error(blocker);
+
+  // Parse everything before touching the live state: a bad record changes nothing
+  const staged = {};
+  for (const key of Object.keys(TRACKED_MAPS)) staged[key] = new Map();
+  for (const key of Object.keys(TRACKED_SETS)) staged[key] = new Set();
+  applyState(state, staged);
+
+  // Holds saved in the file belong to commands of the process that wrote it.
+  // Released on the next start they would refund credits that command may
+  // well have kept, so they are dropped.
+  let droppedHolds = 0;
+  for (const user of staged.users.values()) {
+    if (!user.creditHolds) continue;
+    droppedHolds += Object.keys(user.creditHolds).length;
+    delete user.creditHolds;
+  }
+  if (droppedHolds) storageLog.info('restore dropped saved credit holds', { holds: droppedHolds });
+
+  const copy = writeStateCopy(snapshotState(), 'pre-restore');
+
+  // Not loading: every set()/add() marks its key dirty, so the save writes the restored records.
+  // Balance changes, including users the restore removes, still go through the ledger.
+  if (state.users !== undefined) {
+    for (const [id, user] of users) {
+      if (staged.users.has(id) || CONFIGURED_ADMIN_IDS.includes(id)) continue;
+      setUserCredits(user, 0, { reason: 'restore', command: 'restore', actor });
+      users.delete(id);
+    }
+    for (const [id, restored] of staged.users) {
+      const live = users.get(id);
+      const before = Number(live?.credits) || 0;
+      const after = Number(restored.credits) || 0;
+      let user = restored;
+      if (live) {
+        for (const k of Object.keys(live)) delete live[k];
+        user = Object.assign(live, restored);
+      }
+      user.credits = before;
+      users.set(id, user);
+      touchUser(user);
+      if (after !== before) setUserCredits(user, after, { reason: 'restore', command: 'restore', actor });
+    }
+  }
+  for (const [key, map] of Object.entries(TRACKED_MAPS)) {
+    if (key === 'users' || state[key] === undefined) continue;
+    map.clear();
+    for (const [k, v] of staged[key]) map.set(k, v);
+  }
+  for (const [key, set] of Object.entries(TRACKED_SETS)) {
+    if (state[key] === undefined) continue;
+    set.clear();
+    for (const v of staged[key]) set.add(v);
+  }
+  if (typeof state.autoRegisterEnabled === 'boolean') {
+    autoRegisterEnabled = state.autoRegisterEnabled;
+    touchMeta();
+  }
+
+  saveStateToDisk().catch(() => {});
+  return copy;
+}
+
+const telegramFileApi = httpClient.provider('telegram', { baseUrl: 'https://api.telegram.org' });
+
+async function downloadTelegramFile(fileId, maxBytes) {
+  const file = await bot.api.getFile(fileId);
+  if (!file?.file_path) throw new Error('Telegram did not return a file path');
+  const res = await telegramFileApi.get(`/file/bot${BOT_TOKEN}/${file.file_path}`, {
+    responseType: 'arraybuffer',
+    timeout: 60000,
+    maxBytes
+  });
+  return Buffer.from(res.data);
+}
+
+// Validate a state document and ask the admin to confirm it
+async function offerRestore(ctx, state, source) {
+  for (const [token, p] of pendingRestores) if (p.expiresAt < Date.now()) pendingRestores.delete(token);
+
+  const summary = diffStateForRestore(state);
+  const token = crypto.randomBytes(6).toString('hex');
+  pendingRestores.set(token, { state, summary, source, by: String(ctx.from?.id), expiresAt: Date.now() + RESTORE_CONFIRM_TTL_MS });
+
+  const keyboard = new InlineKeyboard()
+    .text('✅ Restore', `restore_ok_${token}`)
+    .text('❌ Cancel', `restore_no_${token}`);
+  await sendFormattedMessage(ctx, formatRestorePreview(summary, source), { reply_markup: keyboard });
+}
+
 // Create database backup command
 bot.command('backup', async (ctx) => {
   const telegramId = ctx.from?.id.toString();
   
   if (!telegramId || !isAdmin(telegramId)) {
-    await sendFormattedMessage(ctx, '❌ This command is only available to administrators.');
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
     return;
   }
 
-  // Create backup data
-  const usersData = Array.from(users.entries()).map(([id, user]) => ({
-    id,
-    username: user.username,
-    firstName: user.firstName,
-    lastName: user.lastName,
-    isApproved: user.isApproved,
-    credits: user.credits,
-    isPremium: user.isPremium,
-    isAdmin: user.isAdmin,
-    totalQueries: user.totalQueries,
-    registrationDate: user.registrationDate
-  }));
-
-  const registrationsData = Array.from(registrationRequests.entries()).map(([id, request]) => ({
-    id,
-    username: request.username,
-    firstName: request.firstName,
-    lastName: request.lastName,
-    status: request.status,
-    timestamp: request.timestamp
-  }));
-
-  const verifiedData = Array.from(verifiedUsers);
-
-  const backupData = {
-    timestamp: new Date().toISOString(),
-    users: usersData,
-    registrations: registrationsData,
-    verifiedUsers: verifiedData,
-    maintenanceMode,
-    maintenanceMessage
-  };
-
-  // Convert to JSON string
+  // Same document bot_state.json holds, so it can be fed back to /restore
+  const backupData = snapshotState();
   const backupJson = JSON.stringify(backupData, null, 2);
+  const count = (o) => Object.keys(o || {}).length;
 
   // Send backup to admin
   try {
     await ctx.replyWithDocument(
-      Buffer.from(backupJson),
+      new InputFile(Buffer.from(backupJson), `osint_bot_backup_${new Date().toISOString().replace(/:/g, '-')}.json`),
       {
-        filename: `osint_bot_backup_${new Date().toISOString().replace(/:/g, '-')}.json`,
         caption: `💾 Database Backup 💾
 
 📊 Backup Details:
-• Users: ${usersData.length}
-• Registrations: ${registrationsData.length}
-• Verified Users: ${verifiedData.length}
+• Users: ${count(backupData.users)}
+• Registrations: ${count(backupData.registrationRequests)}
+• Verified Users: ${backupData.verifiedUsers.length}
+• Banned Users: ${count(backupData.bannedUsers)}
+• Redeem Codes: ${count(backupData.redeemCodes)}
+• State Version: v${backupData.v}
 • Timestamp: ${new Date().toLocaleString()}
 
-💾 Keep this file safe for future restoration if needed`
+♻️ Reply to this file with /restore to load it back`
       }
     );
   } catch (error) {
-    console.error('Error sending backup:', error);
+    storageLog.error('backup send failed', error);
     await sendFormattedMessage(ctx, '❌ Failed to create or send backup. The backup data might be too large for Telegram.');
   }
 });
 
+// Restore a /backup file (reply to the document with /restore)
+bot.command('restore', async (ctx) => {
+  const telegramId = ctx.from?.id.toString();
+
+  if (!telegramId || !isAdmin(telegramId)) {
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
+    return;
+  }
+
+  const doc = ctx.message?.reply_to_message?.document || ctx.message?.document;
+  if (!doc) {
+    await sendFormattedMessage(ctx, '♻️ Usage: reply to a backup .json file (from /backup) with /restore');
+    return;
+  }
+  if (doc.file_size && doc.file_size > RESTORE_MAX_BYTES) {
+    await sendFormattedMessage(ctx, ctx.t('restore.too_large', { max: RESTORE_MAX_BYTES / 1024 / 1024 }));
+    return;
+  }
+
+  let buf;
+  try {
+    buf = await downloadTelegramFile(doc.file_id, RESTORE_MAX_BYTES);
+  } catch (e) {
+    storageLog.error('restore download failed', e);
+    await sendFormattedMessage(ctx, ctx.t('restore.download_failed'));
+    return;
+  }
+
+  const parsed = parseBackupDocument(buf.toString('utf8'));
+  if (parsed.errors) {
+    await sendFormattedMessage(ctx, ctx.t('restore.rejected', { errors: parsed.errors.map(e => `• ${e}`).join('\n') }));
+    return;
+  }
+
+  await offerRestore(ctx, parsed.state, doc.file_name || 'backup.json');
+});
+
+bot.callbackQuery(/^restore_(ok|no)_([a-f0-9]+)$/, async (ctx) => {
+  if (!isAdmin(ctx.from?.id)) {
+    try { await ctx.answerCallbackQuery({ text: ctx.label('menu.admin_only') }); } catch (_) {}
+    return;
+  }
+
+  const [, action, token] = ctx.match;
+  const pending = pendingRestores.get(token);
+  pendingRestores.delete(token);
+  if (!pending || pending.expiresAt < Date.now()) {
+    try { await ctx.answerCallbackQuery({ text: ctx.label('restore.expired') }); } catch (_) {}
+    return;
+  }
+
+  if (action === 'no') {
+    try { await ctx.answerCallbackQuery({ text: 'Cancelled' }); } catch (_) {}
+    try { await editFormattedMessage(ctx, `${formatRestorePreview(pending.summary, pending.source)}\n\n❌ Cancelled`); } catch (_) {}
+    return;
+  }
+
+  // Checked again by applyRestoredState; here the admin can simply press again
+  const blocker = restoreBlocker();
+  if (blocker) {
+    pendingRestores.set(token, pending);
+    try { await ctx.answerCallbackQuery({ text: `${blocker}. Press Restore again once it has finished.`, show_alert: true }); } catch (_) {}
+    return;
+  }
+
+  try { await ctx.answerCallbackQuery({ text: 'Restoring…' }); } catch (_) {}
+  let copy;
+  try {
+    copy = applyRestoredState(pending.state, ctx.from.id);
+  } catch (e) {
+    storageLog.error('restore failed', e);
+    try { await editFormattedMessage(ctx, ctx.t('restore.failed', { reason: e?.message || String(e) })); } catch (_) {}
+    return;
+  }
+
+  try {
+    await editFormattedMessage(ctx, `${formatRestorePreview(pending.summary, pending.source)}\n\n✅ Restored by ${ctx.from.id}\n💾 Previous state saved as ${path.basename(copy)}`);
+  } catch (_) {}
+  storageLog.info('state restored', { source: pending.source, by: ctx.from.id, previous: copy });
+});
+
+// List rotating state snapshots; each button restores one (after the usual preview)
+bot.command('snapshots', async (ctx) => {
+  const telegramId = ctx.from?.id.toString();
+
+  if (!telegramId || !isAdmin(telegramId)) {
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
+    return;
+  }
+
+  const snaps = listStateSnapshots();
+  if (!snaps.length) {
+    await sendFormattedMessage(ctx, '🗂️ No state snapshots yet. They are written every hour to the data folder.');
+    return;
+  }
+
+  const fmt = (snap) => `${snap.name} • ${(snap.size / 1024).toFixed(1)} KB • ${snap.at.toLocaleString('en-IN', { timeZone: config.timezone })}`;
+  const hourly = snaps.filter(x => x.kind === 'hourly');
+  const daily = snaps.filter(x => x.kind === 'daily');
+  const lines = [
+    `🗂️ State Snapshots (keep ${SNAPSHOT_KEEP.hourly} hourly, ${SNAPSHOT_KEEP.daily} daily)`,
+    '',
+    `⏱️ Hourly (${hourly.length}):`,
+    ...hourly.map(x => `• ${fmt(x)}`),
+    '',
+    `📅 Daily (${daily.length}):`,
+    ...daily.map(x => `• ${fmt(x)}`),
+    '',
+    '♻️ Tap a snapshot to preview restoring it.'
+  ];
+
+  const keyboard = new InlineKeyboard();
+  const buttons = [...hourly.slice(0, 6), ...daily];
+  buttons.forEach((x, i) => {
+    keyboard.text(`${x.kind === 'daily' ? '📅' : '⏱️'} ${x.stamp}`, `snapr_${x.name}`);
+    if (i % 2 === 1 && i < buttons.length - 1) keyboard.row();
+  });
+  const text = lines.join('\n');
+  if (text.length <= 3800) {
+    await sendFormattedMessage(ctx, text, { reply_markup: keyboard });
+  } else {
+    await sendLongOrFile(ctx, text, 'snapshots');
+    await sendFormattedMessage(ctx, '♻️ Restore a snapshot:', { reply_markup: keyboard });
+  }
+});
+
+bot.callbackQuery(/^snapr_(.+)$/, async (ctx) => {
+  if (!isAdmin(ctx.from?.id)) {
+    try { await ctx.answerCallbackQuery({ text: ctx.label('menu.admin_only') }); } catch (_) {}
+    return;
+  }
+  try { await ctx.answerCallbackQuery(); } catch (_) {}
+
+  const name = ctx.match[1];
+  let text;
+  try {
+    text = readStateSnapshot(name);
+  } catch (e) {
+    await sendFormattedMessage(ctx, ctx.t('snapshots.read_failed', { name, reason: e?.message || String(e) }));
+    return;
+  }
+
+  const parsed = parseBackupDocument(text);
+  if (parsed.errors) {
+    await sendFormattedMessage(ctx, ctx.t('snapshots.rejected', { name, errors: parsed.errors.map(e => `• ${e}`).join('\n') }));
+    return;
+  }
+  await offerRestore(ctx, parsed.state, `snapshot ${name}`);
+});
+
+// Effective configuration (secrets show only whether they are set)
+bot.command('config', async (ctx) => {
+  const telegramId = ctx.from?.id.toString();
+
+  if (!telegramId || !isAdmin(telegramId)) {
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
+    return;
+  }
+
+  const show = (v) => {
+    if (Array.isArray(v)) return v.join(', ') || '—';
+    if (v && typeof v === 'object') return Object.entries(v).map(([k, x]) => `${k}=${x && typeof x === 'object' ? JSON.stringify(x) : x ?? 'off'}`).join(', ') || '—';
+    return v === null || v === undefined || v === '' ? '—' : String(v);
+  };
+  const lines = ['⚙️ Effective Configuration', ''];
+  for (const item of describeConfig(config)) {
+    lines.push(`• ${item.key}${item.secret ? ' 🔒' : ''}: ${show(item.value)}${item.source === 'default' ? '' : ` (${item.source})`}`);
+  }
+  lines.push('', '🔒 = secret, only shown as set / not set', 'Change values in env or config.json and restart.');
+  await sendFormattedMessage(ctx, lines.join('\n'), { disable_web_page_preview: true });
+});
+
+// Upstream provider health (circuit state, success rate, latency)
+// /providers reset <capability> [provider] closes an open circuit by hand
+bot.command('providers', async (ctx) => {
+  const telegramId = ctx.from?.id.toString();
+
+  if (!telegramId || !isAdmin(telegramId)) {
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
+    return;
+  }
+
+  const parts = getCommandArgs(ctx).split(/\s+/).filter(Boolean);
+  if (parts[0] === 'reset') {
+    if (!parts[1] || !providers.has(parts[1])) {
+      await sendFormattedMessage(ctx, 'Usage: /providers reset <capability> [provider]');
+      return;
+    }
+    const n = providers.reset(parts[1], parts[2]);
+    await sendFormattedMessage(ctx, n ? `✅ Closed ${n} circuit(s) for ${parts[1]}` : ctx.t('providers.not_found'));
+    return;
+  }
+
+  const stateIcon = { closed: '🟢', half_open: '🟡', open: '🔴' };
+  const ago = (t) => {
+    const sec = Math.round((Date.now() - t) / 1000);
+    return sec < 120 ? `${sec}s ago` : sec < 7200 ? `${Math.round(sec / 60)}m ago` : `${Math.round(sec / 3600)}h ago`;
+  };
+
+  const lines = ['🛰️ Upstream Providers', ''];
+  let current = null;
+  for (const st of providers.stats()) {
+    if (st.capability !== current) {
+      if (current) lines.push('');
+      current = st.capability;
+      lines.push(`📦 ${st.capability}`);
+    }
+    const rate = st.successRate === null ? 'no calls yet' : `${Math.round(st.successRate * 100)}% ok`;
+    const latency = st.avgLatencyMs === null ? '' : ` • avg ${st.avgLatencyMs} ms • p95 ${st.p95LatencyMs} ms`;
+    const retry = st.state === 'open' ? ` • retry in ${Math.ceil(st.retryInMs / 1000)}s` : '';
+    const refused = st.clientErrors ? ` • ${st.clientErrors} refused (4xx)` : '';
+    lines.push(`${st.priority}. ${stateIcon[st.state]} ${st.provider} — ${rate}${latency} • ${st.calls} calls${refused}${retry}`);
+    if (st.lastError) lines.push(`   ⚠️ ${ago(st.lastErrorAt)}: ${st.lastError}`);
+  }
+  lines.push('', 'Success rate and latency cover the last 50 calls.', 'Reset: /providers reset <capability> [provider]');
+  await sendFormattedMessage(ctx, lines.join('\n'), { disable_web_page_preview: true });
+});
+
+// Response cache stats; /cache clear [namespace] drops entries
+bot.command('cache', async (ctx) => {
+  const telegramId = ctx.from?.id.toString();
+
+  if (!telegramId || !isAdmin(telegramId)) {
+    await sendFormattedMessage(ctx, ctx.t('error.admin_only'));
+    return;
+  }
+
+  const parts = getCommandArgs(ctx).split(/\s+/).filter(Boolean);
+  if (parts[0] === 'clear') {
+    if (parts[1] && !RESPONSE_CACHE_TTLS[parts[1]]) {
+      await sendFormattedMessage(ctx, `Usage: /cache clear [${Object.keys(RESPONSE_CACHE_TTLS).join('|')}]`);
+      return;
+    }
+    const n = responseCache.clear(parts[1]);
+    saveResponseCache();
+    await sendFormattedMessage(ctx, `🧹 Dropped ${n} cached response(s)${parts[1] ? ` for ${parts[1]}` : ''}.`);
+    return;
+  }
+
+  const lines = [`♻️ Response Cache (${config.cacheEnabled ? 'on' : 'off'}${config.cachePersist ? ', persisted' : ''})`, ''];
+  for (const st of responseCache.stats()) {
+    const total = st.hits + st.stale + st.misses;
+    const rate = total ? `${Math.round(((st.hits + st.stale) / total) * 100)}% hit` : 'no lookups yet';
+    lines.push(`• ${st.namespace} — ${st.entries}/${st.maxEntries} entries • TTL ${formatCacheAge(st.ttlMs)} • ${rate} (${st.hits} hit, ${st.stale} stale, ${st.misses} miss)`);
+  }
+  lines.push('', 'Clear: /cache clear [namespace]');
+  await sendFormattedMessage(ctx, lines.join('\n'));
+});
+
 // Check registration status command
 bot.command('checkstatus', async (ctx) => {
   const telegramId = ctx.from?.id.toString();
@@ -7305,11 +9631,12 @@ bot.command('sync', async (ctx) => {
       lastName: ctx.from?.last_name || '',
       isAdmin: true,
       isApproved: true,
-      credits: 999999,
+      credits: users.get(telegramId)?.credits || 0,
       isPremium: true,
       totalQueries: 0,
       registrationDate: new Date()
     };
+    setUserCredits(adminUser, 999999, { reason: 'sync', command: 'sync', actor: telegramId });
     users.set(telegramId, adminUser);
     await sendFormattedMessage(ctx, '✅ Admin account synced successfully!');
     return;
@@ -7323,7 +9650,7 @@ bot.command('sync', async (ctx) => {
 // SAMPLE PROTECTED COMMAND
 // ===============================
 bot.command('ping', (ctx) => {
-  ctx.reply('🏓 Pong! You are verified.');
+  sendFormattedMessage(ctx, '🏓 Pong! You are verified.');
 });
 
 // ===============================
@@ -7332,9 +9659,9 @@ bot.command('ping', (ctx) => {
 bot.command('test', async (ctx) => {
   try {
     const member = await bot.api.getChatMember(CHANNEL_ID, ctx.from.id);
-    ctx.reply(`Status: ${member.status}`);
+    sendFormattedMessage(ctx, `Status: ${member.status}`);
   } catch (e) {
-    ctx.reply(`Error: ${e.description || e.message}`);
+    sendFormattedMessage(ctx, `Error: ${e.description || e.message}`);
   }
 });
 
@@ -7346,54 +9673,374 @@ bot.command('test', async (ctx) => {
 // Error handling with conflict resolution
 bot.catch((err) => {
   const ctx = err.ctx;
-  console.error(`Error while handling update ${ctx.update.update_id}:`);
   const e = err.error;
-  
+
   // Handle 409 Conflict error specifically
   if (e.code === 409) {
-    console.log('⚠️ Bot conflict detected - stopping current instance...');
+    log.warn('bot conflict detected, stopping this instance');
     process.exit(0);
   }
-  
-  console.error('Error:', e);
+
+  // Outside the update's log context by now, so name the update explicitly
+  log.error('update failed', { update_id: ctx.update.update_id, user_id: ctx.from?.id, command: metricCommandLabel(ctx), err: e });
 });
 
-// Graceful shutdown handling
-process.on('SIGINT', () => {
-  console.log('\n🛑 Received SIGINT, shutting down gracefully...');
-  bot.stop();
-  process.exit(0);
+// ===============================
+// HTTP SERVER + WEBHOOK MODE
+// BOT_MODE=webhook (or just WEBHOOK_URL) serves updates over HTTP instead of
+// long polling. The server listens before setWebhook, so a new deploy takes
+// over delivery while the old instance drains; a draining instance answers 503
+// and Telegram re-delivers those updates to whoever holds the webhook.
+// Acknowledged updates are handled like polling would: in arrival order per
+// chat (so /start -> verify -> /register cannot overtake each other) and at
+// most WEBHOOK_CONCURRENCY at once overall. At most WEBHOOK_MAX_QUEUED
+// (WEBHOOK_MAX_QUEUED_PER_CHAT for one chat) wait or run; past that the update
+// is refused and Telegram delivers it again later. Telegram never re-delivers
+// an acknowledged update, so each one is journaled until it has been handled
+// and whatever a crash or an expired grace period left is handled on the next
+// start.
+// ===============================
+const BOT_MODE = config.botMode;
+const HTTP_PORT = config.port;
+const WEBHOOK_URL = config.webhookUrl || '';
+const WEBHOOK_PATH = config.webhookPath;
+// Telegram allows A-Z a-z 0-9 _ - (1-256 chars)
+const WEBHOOK_SECRET = config.webhookSecret ||
+  crypto.createHash('sha256').update(`webhook:${botToken}`).digest('hex').slice(0, 48);
+const HTTP_MAX_BODY_BYTES = 1024 * 1024;
+const SHUTDOWN_GRACE_MS = config.shutdownGraceMs;
+
+const httpRoutes = new Map(); // 'METHOD /path' -> async (req, res, body) => void
+let httpServer = null;
+let httpDraining = false;
+const webhookInFlight = new Set();
+const WEBHOOK_CONCURRENCY = config.webhookConcurrency;
+const WEBHOOK_MAX_QUEUED = config.webhookMaxQueued;
+const WEBHOOK_MAX_QUEUED_PER_CHAT = config.webhookMaxQueuedPerChat;
+const WEBHOOK_JOURNAL_FILE = path.join(DATA_DIR, 'webhook_pending.jsonl');
+const webhookChatTails = new Map(); // chat key -> promise of its last queued update
+const webhookChatQueued = new Map(); // chat key -> accepted updates not handled yet
+const webhookSlotWaiters = []; // resolve functions, first come first served
+let webhookActive = 0;
+
+// Updates of the same chat (or user, for updates without one) run in order
+function webhookUpdateKey(update) {
+  const body = Object.values(update).find(v => v && typeof v === 'object') || {};
+  const chatId = body.chat?.id ?? body.message?.chat?.id;
+  if (chatId !== undefined) return `chat:${chatId}`;
+  const userId = body.from?.id ?? body.user?.id;
+  return userId !== undefined ? `user:${userId}` : 'other';
+}
+
+function acquireWebhookSlot() {
+  if (webhookActive < WEBHOOK_CONCURRENCY) {
+    webhookActive += 1;
+    return Promise.resolve();
+  }
+  return new Promise(resolve => webhookSlotWaiters.push(resolve));
+}
+
+function releaseWebhookSlot() {
+  const next = webhookSlotWaiters.shift();
+  if (next) next(); // the slot passes on as is
+  else webhookActive -= 1;
+}
+
+defineMetric('bot_webhook_updates_total', 'counter', 'Webhook updates by outcome (accepted, replayed, busy = 503, chat_busy = 429)');
+defineMetric('bot_webhook_queued', 'gauge', 'Accepted webhook updates waiting or running');
+metricCollectors.push(() => setGauge('bot_webhook_queued', {}, webhookInFlight.size));
+
+// The journal holds { update } when one is accepted and { done: update_id }
+// once it has been handled; it is emptied whenever nothing is pending
+function journalWebhookUpdate(record) {
+  try {
+    fs.appendFileSync(WEBHOOK_JOURNAL_FILE, JSON.stringify(record) + '\n', 'utf8');
+  } catch (e) {
+    serverLog.error('webhook journal write failed', e);
+  }
+}
+
+// Updates a previous run accepted but did not finish, in arrival order
+function readWebhookJournal() {
+  if (!fs.existsSync(WEBHOOK_JOURNAL_FILE)) return [];
+  const pending = new Map();
+  for (const line of fs.readFileSync(WEBHOOK_JOURNAL_FILE, 'utf8').split('\n')) {
+    const record = line.trim() && safeParseJson(line);
+    if (record?.update) pending.set(record.update.update_id, record.update);
+    else if (record && record.done !== undefined) pending.delete(record.done);
+  }
+  return [...pending.values()];
+}
+
+// Why a new update for `key` cannot be taken now, or null
+function webhookQueueFull(key) {
+  if (webhookInFlight.size >= WEBHOOK_MAX_QUEUED) return 'busy';
+  if ((webhookChatQueued.get(key) || 0) >= WEBHOOK_MAX_QUEUED_PER_CHAT) return 'chat_busy';
+  return null;
+}
+
+// Journal the update, then queue it; it leaves the journal once handled
+function acceptWebhookUpdate(update, outcome = 'accepted') {
+  const key = webhookUpdateKey(update);
+  journalWebhookUpdate({ update });
+  webhookChatQueued.set(key, (webhookChatQueued.get(key) || 0) + 1);
+  incCounter('bot_webhook_updates_total', { outcome });
+
+  const job = queueWebhookUpdate(update, key).finally(() => {
+    webhookInFlight.delete(job);
+    const left = webhookChatQueued.get(key) - 1;
+    if (left > 0) webhookChatQueued.set(key, left);
+    else webhookChatQueued.delete(key);
+    journalWebhookUpdate({ done: update.update_id });
+    if (!webhookInFlight.size) {
+      try { fs.writeFileSync(WEBHOOK_JOURNAL_FILE, ''); } catch (_) {}
+    }
+  });
+  webhookInFlight.add(job);
+}
+
+// Resolves once the update has been handled (errors are logged, not thrown)
+function queueWebhookUpdate(update, key = webhookUpdateKey(update)) {
+  const previous = webhookChatTails.get(key) || Promise.resolve();
+  const done = previous
+    .then(acquireWebhookSlot)
+    .then(() => bot.handleUpdate(update).finally(releaseWebhookSlot))
+    .catch((e) => serverLog.error('webhook update failed', { update_id: update.update_id, err: e }))
+    .finally(() => {
+      if (webhookChatTails.get(key) === done) webhookChatTails.delete(key);
+    });
+  webhookChatTails.set(key, done);
+  return done;
+}
+
+function addHttpRoute(method, routePath, handler) {
+  httpRoutes.set(`${method.toUpperCase()} ${routePath}`, handler);
+}
+
+function sendHttp(res, status, body = '', headers = {}) {
+  if (res.headersSent) return;
+  const payload = typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': typeof body === 'string' ? 'text/plain; charset=utf-8' : 'application/json',
+    ...headers
+  });
+  res.end(payload);
+}
+
+function readHttpBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(Object.assign(new Error('Body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function startHttpServer(port) {
+  if (httpServer) return Promise.resolve(httpServer);
+  httpServer = http.createServer(async (req, res) => {
+    const urlPath = String(req.url || '/').split('?')[0];
+    const handler = httpRoutes.get(`${req.method} ${urlPath}`);
+    if (!handler) {
+      const known = [...httpRoutes.keys()].some(k => k.endsWith(` ${urlPath}`));
+      sendHttp(res, known ? 405 : 404, known ? 'method not allowed' : 'not found');
+      return;
+    }
+    try {
+      const body = req.method === 'POST' ? await readHttpBody(req, HTTP_MAX_BODY_BYTES) : Buffer.alloc(0);
+      await handler(req, res, body);
+    } catch (e) {
+      if (e?.status !== 413) serverLog.error('request handler failed', { method: req.method, path: urlPath, err: e });
+      sendHttp(res, e?.status || 500, e?.status === 413 ? 'payload too large' : 'internal error');
+    }
+  });
+  return new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, () => {
+      serverLog.info('listening', { port });
+      resolve(httpServer);
+    });
+  });
+}
+
+function webhookSecretMatches(header) {
+  const a = Buffer.from(String(header || ''));
+  const b = Buffer.from(WEBHOOK_SECRET);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+addHttpRoute('POST', WEBHOOK_PATH, async (req, res, body) => {
+  if (BOT_MODE !== 'webhook') return sendHttp(res, 404, 'not found');
+  if (!webhookSecretMatches(req.headers['x-telegram-bot-api-secret-token'])) return sendHttp(res, 401, 'unauthorized');
+  if (httpDraining) return sendHttp(res, 503, 'shutting down', { 'Retry-After': '1' });
+
+  const update = safeParseJson(body.toString('utf8'));
+  if (!update || typeof update.update_id !== 'number') return sendHttp(res, 400, 'bad update');
+
+  const full = webhookQueueFull(webhookUpdateKey(update));
+  if (full) {
+    incCounter('bot_webhook_updates_total', { outcome: full });
+    return sendHttp(res, full === 'busy' ? 503 : 429, 'too many pending updates', { 'Retry-After': '5' });
+  }
+
+  // Acknowledge once journaled: downloads and /yt run far longer than
+  // Telegram waits, and an unanswered webhook gets the update delivered again.
+  acceptWebhookUpdate(update);
+  sendHttp(res, 200, 'ok');
 });
 
-process.on('SIGTERM', () => {
-  console.log('\n🛑 Received SIGTERM, shutting down gracefully...');
-  bot.stop();
-  process.exit(0);
+// ===============================
+// HEALTH + METRICS ENDPOINTS
+// /healthz: process is alive. /readyz: bot started and not draining.
+// /metrics: Prometheus text (Bearer METRICS_TOKEN when set).
+// ===============================
+const METRICS_TOKEN = config.metricsToken || '';
+// Polling mode only needs the server for these endpoints; HTTP_SERVER=off skips it
+const HTTP_SERVER_ENABLED = config.httpServer;
+const PROCESS_STARTED_AT = Date.now();
+let botReady = false;
+
+metricCollectors.push(() => {
+  const jobs = new Set(global.__ytJobs ? global.__ytJobs.values() : []);
+  // Each job is stored under both its baseKey and jobId until the runner finishes
+  setGauge('bot_yt_jobs_active', {}, Array.from(jobs).filter(j => j && !j.cancelled).length);
+
+  let approved = 0;
+  let premium = 0;
+  for (const u of users.values()) {
+    if (u.isApproved) approved++;
+    if (u.isPremium) premium++;
+  }
+  setGauge('bot_users', { kind: 'total' }, users.size);
+  setGauge('bot_users', { kind: 'approved' }, approved);
+  setGauge('bot_users', { kind: 'premium' }, premium);
+  setGauge('bot_users', { kind: 'pending' }, registrationRequests.size);
+
+  const mem = process.memoryUsage();
+  setGauge('process_resident_memory_bytes', {}, mem.rss);
+  setGauge('nodejs_heap_used_bytes', {}, mem.heapUsed);
+  setGauge('bot_uptime_seconds', {}, Math.round((Date.now() - PROCESS_STARTED_AT) / 1000));
 });
 
+addHttpRoute('GET', '/healthz', async (req, res) => {
+  sendHttp(res, 200, { status: 'ok', uptimeSeconds: Math.round((Date.now() - PROCESS_STARTED_AT) / 1000) });
+});
+
+addHttpRoute('GET', '/readyz', async (req, res) => {
+  const ready = botReady && !httpDraining;
+  sendHttp(res, ready ? 200 : 503, {
+    status: ready ? 'ready' : 'not_ready',
+    mode: BOT_MODE,
+    started: botReady,
+    draining: httpDraining,
+    storage: storage.name
+  });
+});
+
+addHttpRoute('GET', '/metrics', async (req, res) => {
+  if (METRICS_TOKEN && req.headers.authorization !== `Bearer ${METRICS_TOKEN}`) return sendHttp(res, 401, 'unauthorized');
+  sendHttp(res, 200, renderMetrics(), { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+});
+
+async function startWebhookMode() {
+  await bot.init();
+  const leftOver = readWebhookJournal();
+  if (leftOver.length) {
+    serverLog.warn('handling webhook updates left by the previous run', { count: leftOver.length });
+    fs.writeFileSync(WEBHOOK_JOURNAL_FILE, '');
+    for (const update of leftOver) acceptWebhookUpdate(update, 'replayed');
+  }
+  await startHttpServer(HTTP_PORT);
+  await bot.api.setWebhook(`${WEBHOOK_URL}${WEBHOOK_PATH}`, { secret_token: WEBHOOK_SECRET });
+  serverLog.info('webhook set', { url: `${WEBHOOK_URL}${WEBHOOK_PATH}` });
+}
+
+// Graceful shutdown handling
+let shuttingDown = false;
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  log.info('shutting down', { signal });
+
+  if (BOT_MODE === 'webhook') {
+    // The webhook is left in place: the next instance has (or will) set it
+    httpDraining = true;
+    await Promise.race([Promise.allSettled([...webhookInFlight]), sleep(SHUTDOWN_GRACE_MS)]);
+    try { httpServer?.close(); } catch (_) {}
+  } else {
+    bot.stop();
+  }
+  saveResponseCache();
+  // What the log channel has not posted yet; a flood-limited channel may not
+  // take it in time
+  await Promise.race([logSink.close(), sleep(5000)]);
+  // Last, once nothing is left to change the state
+  clearTimeout(__saveTimer);
+  try { await saveStateToDisk(); } catch (e) { storageLog.error('final save failed', e); }
+  process.exit(0);
+}
+
+process.on('SIGINT', () => { shutdown('SIGINT'); });
+process.on('SIGTERM', () => { shutdown('SIGTERM'); });
+
 // ===============================
 // START BOT
 // ===============================
-console.log('🚀 Starting Premium OSINT Bot with Complete Admin Panel & Registration Management...');
-
-console.log(`🧩 Version: ${BOT_VERSION}`);
-console.log(`🤖 Bot Username: @OsintShit_Bot`);
-console.log(`👑 Admin ID: ${adminId}`);
-console.log('📡 Starting polling...');
-
-bot.start().then(() => {
-  console.log('✅ Bot is now running and polling for updates!');
-  console.log('🎯 All OSINT commands, admin panel, and registration management are ready!');
-  console.log('🎬 Enhanced video downloader with size detection and platform auto-detection is now active!');
-  console.log('🔧 Real maintenance mode functionality is now active!');
-  console.log('📢 Channel membership verification is now active!');
-  console.log('🇵🇰 Updated Pakistani government number lookup with new API endpoint!');
-}).catch((error) => {
-  console.error('❌ Failed to start bot:', error);
-  
-  // If it's a conflict error, exit gracefully
-  if (error.code === 409) {
-    console.log('⚠️ Another bot instance is running. Exiting to prevent conflicts...');
-    process.exit(0);
+// Only when run directly: test/harness.js loads this file and feeds updates
+// to `bot` itself
+if (require.main === module) {
+  log.info('starting', { version: BOT_VERSION, username: config.botUsername, admin_id: adminId, mode: BOT_MODE });
+
+  function onBotReady() {
+    botReady = true;
+    resumeBroadcasts();
+    startScheduler();
+    log.info('running', { mode: BOT_MODE });
+  }
+
+  if (BOT_MODE === 'webhook') {
+    startWebhookMode().then(onBotReady).catch((error) => {
+      log.error('webhook mode failed to start', error);
+      process.exit(1);
+    });
+  } else {
+    if (HTTP_SERVER_ENABLED) {
+      startHttpServer(HTTP_PORT).catch((e) => serverLog.error('health/metrics server failed to start', e));
+    }
+
+    // bot.start() removes any webhook left by a webhook-mode deploy
+    bot.start({ onStart: onBotReady }).catch((error) => {
+      log.error('bot failed to start', error);
+
+      // If it's a conflict error, exit gracefully
+      if (error.code === 409) {
+        log.warn('another bot instance is running, exiting to prevent conflicts');
+        process.exit(0);
+      }
+    });
   }
-});
+}
+
+module.exports = {
+  bot,
+  logApi,
+  logSink,
+  httpClient,
+  startHttpServer,
+  startWebhookMode,
+  config,
+  users,
+  registrationRequests,
+  redeemCodes,
+  snapshotState,
+  saveStateToDisk
+};
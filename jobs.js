@@ -0,0 +1,225 @@
+// ===============================
+// JOB QUEUE
+// Bounded concurrency for heavy work (media downloads, image generation).
+//   - at most `concurrency` jobs run at once, and `perUser` per user
+//   - premium jobs start first; after `premiumBurst` premium starts in a row a
+//     waiting standard job gets the next slot, so the standard lane never starves
+//   - a job still queued after `maxWaitMs` is dropped ('expired')
+// Jobs are cancelled with cancel(id): a queued job is removed, a running one
+// has job.signal aborted and is expected to stop at its next check.
+// A job runs in the async context it was submitted from, whichever job's end
+// frees its slot, so AsyncLocalStorage stores (e.g. log context) follow it.
+// ===============================
+
+const { AsyncResource } = require('async_hooks');
+
+class JobCancelledError extends Error {
+  constructor(reason = 'cancelled') {
+    super(`Job ${reason}`);
+    this.name = 'JobCancelledError';
+    this.reason = reason; // 'cancelled' | 'expired' | 'timeout'
+  }
+}
+
+class QueueFullError extends Error {
+  constructor(scope) {
+    super(scope === 'user' ? 'Too many queued jobs for this user' : 'Job queue is full');
+    this.name = 'QueueFullError';
+    this.scope = scope; // 'user' | 'global'
+  }
+}
+
+/**
+ * options: {
+ *   concurrency = 4, perUser = 1, maxQueued = 50, maxQueuedPerUser = 3,
+ *   maxWaitMs = 300000, premiumBurst = 3, now = Date.now,
+ *   onChange(stats)   // after every enqueue/start/finish
+ * }
+ */
+function createJobQueue(options = {}) {
+  const now = options.now || Date.now;
+  const concurrency = options.concurrency || 4;
+  const perUser = options.perUser || 1;
+  const maxQueued = options.maxQueued ?? 50;
+  const maxQueuedPerUser = options.maxQueuedPerUser ?? 3;
+  const maxWaitMs = options.maxWaitMs ?? 5 * 60 * 1000;
+  const premiumBurst = options.premiumBurst ?? 3;
+
+  const lanes = { premium: [], standard: [] };
+  const running = new Map(); // id -> job
+  const runningPerUser = new Map(); // userId -> count
+  let seq = 0;
+  let premiumStreak = 0;
+  let completed = 0;
+  let cancelled = 0;
+
+  // Estimated start order
+  const queued = () => [...lanes.premium, ...lanes.standard];
+
+  function emit(fn, ...args) {
+    if (!fn) return;
+    try { fn(...args); } catch (_) {}
+  }
+
+  function notifyPositions() {
+    queued().forEach((job, i) => {
+      if (job.position === i + 1) return;
+      job.position = i + 1;
+      emit(job.onPosition, job, job.position);
+    });
+    emit(options.onChange, stats());
+  }
+
+  function pickNext() {
+    const eligible = (lane) => lane.findIndex(j => (runningPerUser.get(j.userId) || 0) < perUser);
+    const pi = eligible(lanes.premium);
+    const si = eligible(lanes.standard);
+    if (pi === -1 && si === -1) return null;
+
+    const takeStandard = si !== -1 && (pi === -1 || premiumStreak >= premiumBurst);
+    if (takeStandard) {
+      premiumStreak = 0;
+      return lanes.standard.splice(si, 1)[0];
+    }
+    premiumStreak = lanes.standard.length ? premiumStreak + 1 : 0;
+    return lanes.premium.splice(pi, 1)[0];
+  }
+
+  function start(job) {
+    clearTimeout(job.expiryTimer);
+    job.state = 'running';
+    job.position = 0;
+    job.startedAt = now();
+    running.set(job.id, job);
+    runningPerUser.set(job.userId, (runningPerUser.get(job.userId) || 0) + 1);
+    emit(job.onStart, job);
+
+    Promise.resolve()
+      .then(() => job.run(job))
+      .then((value) => finish(job, null, value), (error) => finish(job, error));
+  }
+
+  function finish(job, error, value) {
+    running.delete(job.id);
+    const left = (runningPerUser.get(job.userId) || 1) - 1;
+    if (left > 0) runningPerUser.set(job.userId, left);
+    else runningPerUser.delete(job.userId);
+    job.finishedAt = now();
+
+    if (error && job.signal.aborted) {
+      job.state = 'cancelled';
+      cancelled += 1;
+      job.reject(new JobCancelledError(job.cancelReason || 'cancelled'));
+    } else if (error) {
+      job.state = 'failed';
+      completed += 1;
+      job.reject(error);
+    } else {
+      job.state = 'done';
+      completed += 1;
+      job.resolve(value);
+    }
+    pump();
+  }
+
+  function pump() {
+    while (running.size < concurrency) {
+      const job = pickNext();
+      if (!job) break;
+      start(job);
+    }
+    notifyPositions();
+  }
+
+  function cancel(id, reason = 'cancelled') {
+    for (const lane of Object.values(lanes)) {
+      const i = lane.findIndex(j => j.id === id);
+      if (i === -1) continue;
+      const [job] = lane.splice(i, 1);
+      clearTimeout(job.expiryTimer);
+      job.state = 'cancelled';
+      job.cancelReason = reason;
+      job.finishedAt = now();
+      cancelled += 1;
+      job.reject(new JobCancelledError(reason));
+      notifyPositions();
+      return true;
+    }
+    const job = running.get(id);
+    if (!job || job.signal.aborted) return false;
+    job.cancelReason = reason;
+    job.controller.abort();
+    return true;
+  }
+
+  function stats() {
+    return {
+      running: running.size,
+      queued: lanes.premium.length + lanes.standard.length,
+      queuedPremium: lanes.premium.length,
+      queuedStandard: lanes.standard.length,
+      concurrency,
+      perUser,
+      completed,
+      cancelled
+    };
+  }
+
+  return {
+    /**
+     * Queue `run(job)`; returns the job, whose `done` promise settles with the
+     * run result (or JobCancelledError). Throws QueueFullError when full.
+     * spec: { userId, premium?, label?, run, onPosition?(job, position), onStart?(job) }
+     */
+    submit(spec) {
+      const userId = String(spec.userId);
+      const all = queued();
+      if (all.length >= maxQueued) throw new QueueFullError('global');
+      if (all.filter(j => j.userId === userId).length >= maxQueuedPerUser) throw new QueueFullError('user');
+
+      const controller = new AbortController();
+      const job = {
+        id: `${Date.now().toString(36)}${(++seq).toString(36)}`,
+        userId,
+        premium: !!spec.premium,
+        label: spec.label || 'job',
+        run: AsyncResource.bind(spec.run),
+        onPosition: spec.onPosition,
+        onStart: spec.onStart,
+        state: 'queued',
+        position: null,
+        enqueuedAt: now(),
+        startedAt: null,
+        finishedAt: null,
+        controller,
+        signal: controller.signal,
+        cancelReason: null
+      };
+      job.done = new Promise((resolve, reject) => { job.resolve = resolve; job.reject = reject; });
+      job.done.catch(() => {}); // callers that never await must not crash the process
+
+      if (maxWaitMs > 0) {
+        job.expiryTimer = setTimeout(() => { if (job.state === 'queued') cancel(job.id, 'expired'); }, maxWaitMs);
+        job.expiryTimer.unref?.();
+      }
+
+      (job.premium ? lanes.premium : lanes.standard).push(job);
+      pump();
+      return job;
+    },
+
+    cancel,
+
+    get(id) {
+      return running.get(id) || queued().find(j => j.id === id) || null;
+    },
+
+    list() {
+      return [...running.values(), ...queued()];
+    },
+
+    stats
+  };
+}
+
+module.exports = { createJobQueue, JobCancelledError, QueueFullError };
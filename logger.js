@@ -0,0 +1,100 @@
+// ===============================
+// LOGGER (structured, one JSON object per line)
+// log.child('module') gives a module logger with debug/info/warn/error(msg,
+// fields). Each entry is { ts, level, module, msg, ...context(), ...fields }:
+// options.context() adds the fields of whatever is being handled right now
+// (the bot passes the update id, user id, command, media job id and elapsed
+// time from its AsyncLocalStorage store), so one update can be followed
+// through handlers, queued jobs and upstream calls. An Error passed as the
+// fields, or as fields.err, is logged as { name, message, code, status,
+// stack }. The level is set per module, with '*' as the default.
+// ===============================
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, off: Infinity };
+
+function serializeError(e) {
+  if (!(e instanceof Error)) return e;
+  const out = { name: e.name, message: e.message || e.description };
+  if (e.code !== undefined) out.code = e.code;
+  const status = e.status ?? e.error_code;
+  if (status !== undefined) out.status = status;
+  if (e.stack) out.stack = e.stack;
+  return out;
+}
+
+// key=value pairs for the text format; values with spaces are JSON quoted
+function textFields(fields) {
+  return Object.entries(fields)
+    .filter(([, v]) => v !== undefined)
+    .map(([k, v]) => {
+      const s = typeof v === 'string' ? v : JSON.stringify(v);
+      return `${k}=${/[\s"=]/.test(s) ? JSON.stringify(s) : s}`;
+    })
+    .join(' ');
+}
+
+/**
+ * options: {
+ *   levels = { '*': 'info' },  // per module: debug, info, warn, error or off
+ *   format = 'json',           // or 'text': `ts LEVEL [module] msg key=value`
+ *   context() -> fields,       // merged into every entry (errors are ignored)
+ *   write(line, level)         // default: stdout, warn and error to stderr
+ * }
+ */
+function createLogger(options = {}) {
+  const levels = { '*': 'info', ...options.levels };
+  const format = options.format || 'json';
+  const write = options.write || ((line, level) => {
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+  });
+
+  function threshold(module) {
+    return LEVELS[levels[module] || levels['*']] ?? LEVELS.info;
+  }
+
+  function context() {
+    if (!options.context) return null;
+    try { return options.context(); } catch (_) { return null; }
+  }
+
+  function entry(module, level, msg, fields) {
+    const extra = fields instanceof Error ? { err: fields } : { ...fields };
+    if (extra.err) extra.err = serializeError(extra.err);
+    return { ts: new Date().toISOString(), level, module, msg: String(msg), ...context(), ...extra };
+  }
+
+  function emit(module, level, msg, fields) {
+    if (LEVELS[level] < threshold(module)) return;
+    const e = entry(module, level, msg, fields);
+    let line;
+    if (format === 'text') {
+      const { ts, level: lv, module: m, msg: text, ...rest } = e;
+      const stack = rest.err?.stack;
+      if (stack) rest.err = { ...rest.err, stack: undefined };
+      line = `${ts} ${lv.toUpperCase().padEnd(5)} [${m}] ${text} ${textFields(rest)}`.trimEnd();
+      if (stack) line += `\n${stack}`;
+    } else {
+      try {
+        line = JSON.stringify(e);
+      } catch (_) {
+        line = JSON.stringify({ ts: e.ts, level, module, msg: e.msg, note: 'fields not serializable' });
+      }
+    }
+    try { write(line, level); } catch (_) {}
+  }
+
+  function child(module) {
+    return {
+      module,
+      debug: (msg, fields) => emit(module, 'debug', msg, fields),
+      info: (msg, fields) => emit(module, 'info', msg, fields),
+      warn: (msg, fields) => emit(module, 'warn', msg, fields),
+      error: (msg, fields) => emit(module, 'error', msg, fields),
+      enabled: (level) => LEVELS[level] >= threshold(module)
+    };
+  }
+
+  return { ...child('main'), child };
+}
+
+module.exports = { createLogger, LEVELS };
@@ -0,0 +1,127 @@
+// ===============================
+// LOG SINK (batched digests)
+// Collects log channel entries and posts them as one digest every
+// `intervalMs`, or as soon as `maxEntries` are waiting. A digest that does not
+// fit in one message is sent as a short summary with every entry attached as
+// a .jsonl file. While entries pile up faster than they can be posted (a
+// flush still running, the channel flood limited) the sink sheds load: past
+// `sampleAbove` waiting entries only every `sampleEvery`th one is kept, and
+// at `maxBuffered` new entries are dropped. Both are counted and reported in
+// the next digest.
+// ===============================
+
+/**
+ * options: {
+ *   intervalMs = 10000, maxEntries = 40, maxBuffered = 1000,
+ *   sampleAbove = maxBuffered / 2, sampleEvery = 4,
+ *   maxDigestChars = 3500,          // longer digests go out as a file
+ *   render(entries, info) -> string,  // digest text, info: { dropped, sampled }
+ *   summarize(entries, info) -> string, // caption for the file
+ *   sendText(text), sendFile(buffer, filename, caption),
+ *   onDrop(reason), onFlush({ kind, entries }), onError(e),
+ *   now = Date.now
+ * }
+ * Entries are plain objects; `at` (ISO time) is added when missing.
+ */
+function createLogSink(options = {}) {
+  const now = options.now || Date.now;
+  const intervalMs = options.intervalMs ?? 10000;
+  const maxEntries = Math.max(1, options.maxEntries || 40);
+  const maxBuffered = Math.max(maxEntries, options.maxBuffered || 1000);
+  const sampleAbove = options.sampleAbove ?? Math.floor(maxBuffered / 2);
+  const sampleEvery = Math.max(1, options.sampleEvery || 4);
+  const maxDigestChars = options.maxDigestChars || 3500;
+
+  let buffer = [];
+  let dropped = 0; // since the last digest
+  let sampled = 0;
+  let seen = 0; // entries offered while sampling, to keep every Nth
+  let flushing = null;
+  let queuedFlush = null; // the one flush waiting for `flushing`
+  const totals = { added: 0, dropped: 0, sampled: 0, digests: 0, files: 0 };
+
+  function emit(fn, ...args) {
+    if (!fn) return;
+    try { fn(...args); } catch (_) {}
+  }
+
+  const timer = intervalMs > 0 ? setInterval(() => { flush().catch(() => {}); }, intervalMs) : null;
+  timer?.unref?.();
+
+  function add(entry) {
+    if (buffer.length >= maxBuffered) {
+      dropped += 1;
+      totals.dropped += 1;
+      emit(options.onDrop, 'full');
+      return false;
+    }
+    if (buffer.length >= sampleAbove) {
+      seen += 1;
+      if (seen % sampleEvery !== 0) {
+        sampled += 1;
+        totals.sampled += 1;
+        emit(options.onDrop, 'sampled');
+        return false;
+      }
+    } else {
+      seen = 0;
+    }
+    buffer.push({ at: new Date(now()).toISOString(), ...entry });
+    totals.added += 1;
+    if (buffer.length >= maxEntries || intervalMs <= 0) flush().catch(() => {});
+    return true;
+  }
+
+  async function send(entries, info) {
+    const text = options.render(entries, info);
+    if (text.length <= maxDigestChars) {
+      await options.sendText(text);
+      totals.digests += 1;
+      emit(options.onFlush, { kind: 'message', entries: entries.length });
+      return;
+    }
+    const jsonl = entries.map(e => JSON.stringify(e)).join('\n') + '\n';
+    const stamp = entries[0].at.replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+    await options.sendFile(Buffer.from(jsonl, 'utf8'), `log-${stamp}.jsonl`, options.summarize(entries, info));
+    totals.digests += 1;
+    totals.files += 1;
+    emit(options.onFlush, { kind: 'file', entries: entries.length });
+  }
+
+  // Posts what is waiting; resolves once it (and any flush before it) is sent
+  function flush() {
+    if (flushing) {
+      queuedFlush = queuedFlush || flushing.then(() => { queuedFlush = null; return flush(); });
+      return queuedFlush;
+    }
+    if (!buffer.length && !dropped && !sampled) return Promise.resolve();
+
+    const entries = buffer;
+    const info = { dropped, sampled };
+    buffer = [];
+    dropped = 0;
+    sampled = 0;
+    seen = 0;
+    flushing = (entries.length ? send(entries, info) : options.sendText(options.render([], info)))
+      .catch((e) => emit(options.onError, e))
+      .finally(() => { flushing = null; });
+    return flushing;
+  }
+
+  return {
+    add,
+    flush,
+
+    stats() {
+      return { buffered: buffer.length, flushing: !!flushing, ...totals };
+    },
+
+    // Stop the timer and post what is left
+    close() {
+      if (timer) clearInterval(timer);
+      return flush();
+    }
+  };
+}
+
+module.exports = { createLogSink };
@@ -0,0 +1,222 @@
+// ===============================
+// UPSTREAM PROVIDER REGISTRY
+// A capability (video download, AI chat, IP info, ...) lists providers in
+// priority order. Each provider sits behind a circuit breaker:
+//   closed    -> requests flow; `failureThreshold` consecutive failures open it
+//   open      -> skipped until `cooldownMs` has passed
+//   half_open -> one trial request; success closes it, failure re-opens it
+// call() walks the list and fails over to the next provider on errors.
+// Only failures that say something about the provider count against its
+// breaker: network errors, timeouts, 5xx and 429. A client error (any other
+// 4xx, e.g. a private or dead link the user sent) still fails over but
+// leaves the breaker as it was.
+// ===============================
+
+const STATS_WINDOW = 50; // recent calls kept per provider for rate/latency
+
+class CircuitBreaker {
+  constructor({ failureThreshold = 5, cooldownMs = 60000, now = Date.now } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.now = now;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = 0;
+    this.trialInFlight = false;
+  }
+
+  // Whether a request may go out now (claims the half-open trial slot)
+  tryAcquire() {
+    if (this.state === 'open') {
+      if (this.now() - this.openedAt < this.cooldownMs) return false;
+      this.state = 'half_open';
+      this.trialInFlight = false;
+    }
+    if (this.state === 'half_open') {
+      if (this.trialInFlight) return false;
+      this.trialInFlight = true;
+    }
+    return true;
+  }
+
+  onSuccess() {
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.trialInFlight = false;
+  }
+
+  onFailure() {
+    this.consecutiveFailures += 1;
+    this.trialInFlight = false;
+    if (this.state === 'half_open' || this.consecutiveFailures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = this.now();
+    }
+  }
+
+  // The provider answered but refused this request: no verdict either way
+  onClientError() {
+    this.trialInFlight = false;
+  }
+
+  reset() {
+    this.onSuccess();
+    this.openedAt = 0;
+  }
+
+  // Milliseconds until an open breaker lets a trial request through
+  retryInMs() {
+    return this.state === 'open' ? Math.max(0, this.cooldownMs - (this.now() - this.openedAt)) : 0;
+  }
+}
+
+// `status` of a thrown HttpError or of a { success: false, status } result
+function isClientError(failure) {
+  const status = Number(failure?.status);
+  return status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+/**
+ * options: { failureThreshold, cooldownMs, now, onCall({ capability, provider, ok, clientError, ms, error }) }
+ */
+function createProviderRegistry(options = {}) {
+  const now = options.now || Date.now;
+  const capabilities = new Map(); // capability -> { providers: [...], unavailable }
+
+  function record(capability, provider, ok, ms, error, clientError = false) {
+    provider.calls += 1;
+    if (ok) provider.successes += 1;
+    else if (clientError) provider.clientErrors += 1;
+    else {
+      provider.failures += 1;
+      provider.lastError = String(error || 'failed').slice(0, 200);
+      provider.lastErrorAt = now();
+    }
+    provider.recent.push({ ok, ms });
+    if (provider.recent.length > STATS_WINDOW) provider.recent.shift();
+    if (ok) provider.breaker.onSuccess();
+    else if (clientError) provider.breaker.onClientError();
+    else provider.breaker.onFailure();
+    if (options.onCall) {
+      try { options.onCall({ capability, provider: provider.name, ok, clientError, ms, error }); } catch (_) {}
+    }
+  }
+
+  return {
+    /**
+     * Register a capability.
+     * providers: [{ name, call: async (...args) => result, isFailure?(result), isClientError?(failure) }]
+     *   isFailure defaults to `result.success === false`; thrown errors always fail.
+     *   isClientError(failed result or error) defaults to a 4xx `status` other
+     *   than 408 and 429; those fail over without touching the breaker.
+     * unavailable(message): value returned when no provider could be tried
+     *   (defaults to throwing an Error with that message).
+     */
+    define(capability, providers, { unavailable } = {}) {
+      capabilities.set(capability, {
+        unavailable,
+        providers: providers.map(p => ({
+          name: p.name,
+          call: p.call,
+          isFailure: p.isFailure || ((result) => !!result && result.success === false),
+          isClientError: p.isClientError || isClientError,
+          breaker: new CircuitBreaker({
+            failureThreshold: p.failureThreshold ?? options.failureThreshold,
+            cooldownMs: p.cooldownMs ?? options.cooldownMs,
+            now
+          }),
+          calls: 0,
+          successes: 0,
+          failures: 0,
+          clientErrors: 0,
+          recent: [],
+          lastError: null,
+          lastErrorAt: null
+        }))
+      });
+    },
+
+    has(capability) {
+      return capabilities.has(capability);
+    },
+
+    async call(capability, ...args) {
+      const cap = capabilities.get(capability);
+      if (!cap) throw new Error(`Unknown provider capability: ${capability}`);
+
+      let lastResult;
+      let lastError;
+      let tried = 0;
+      for (const provider of cap.providers) {
+        if (!provider.breaker.tryAcquire()) continue;
+        tried += 1;
+        const started = now();
+        try {
+          const result = await provider.call(...args);
+          if (!provider.isFailure(result)) {
+            record(capability, provider, true, now() - started);
+            return result;
+          }
+          record(capability, provider, false, now() - started, result?.error, provider.isClientError(result));
+          lastResult = result;
+        } catch (e) {
+          record(capability, provider, false, now() - started, e?.message || e, provider.isClientError(e));
+          lastError = e;
+        }
+      }
+
+      if (lastResult !== undefined) return lastResult;
+      if (lastError) throw lastError;
+      const message = tried ? 'All providers failed' : 'All providers are temporarily unavailable';
+      if (cap.unavailable) return cap.unavailable(message);
+      throw new Error(message);
+    },
+
+    // Close the breaker(s) of a capability by hand (all providers when name is omitted)
+    reset(capability, name) {
+      const cap = capabilities.get(capability);
+      if (!cap) return 0;
+      let n = 0;
+      for (const p of cap.providers) {
+        if (name && p.name !== name) continue;
+        p.breaker.reset();
+        n += 1;
+      }
+      return n;
+    },
+
+    stats() {
+      const out = [];
+      for (const [capability, cap] of capabilities) {
+        cap.providers.forEach((p, index) => {
+          const okRecent = p.recent.filter(r => r.ok).length;
+          const latencies = p.recent.map(r => r.ms).sort((a, b) => a - b);
+          out.push({
+            capability,
+            provider: p.name,
+            priority: index + 1,
+            state: p.breaker.state,
+            retryInMs: p.breaker.retryInMs(),
+            calls: p.calls,
+            successes: p.successes,
+            failures: p.failures,
+            clientErrors: p.clientErrors,
+            successRate: p.recent.length ? okRecent / p.recent.length : null,
+            avgLatencyMs: latencies.length ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : null,
+            p95LatencyMs: latencies.length ? percentile(latencies, 95) : null,
+            lastError: p.lastError,
+            lastErrorAt: p.lastErrorAt
+          });
+        });
+      }
+      return out;
+    }
+  };
+}
+
+module.exports = { createProviderRegistry, CircuitBreaker };
@@ -0,0 +1,91 @@
+// ===============================
+// RATE LIMITER (token buckets)
+// A rule { limit, windowMs } is a bucket holding up to `limit` tokens that
+// refills at limit/windowMs, so short bursts are fine but the average rate is
+// capped. Buckets are keyed by caller (user id + command); a full bucket is
+// the same as no bucket, so sweep() can drop them to bound memory.
+// ===============================
+
+class TokenBucket {
+  constructor({ limit, windowMs }, now) {
+    this.capacity = limit;
+    this.ratePerMs = limit / windowMs;
+    this.tokens = limit;
+    this.updatedAt = now;
+  }
+
+  refill(now) {
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.ratePerMs);
+    this.updatedAt = now;
+  }
+
+  // Milliseconds until one token is available (0 = now)
+  waitMs(now) {
+    this.refill(now);
+    return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.ratePerMs);
+  }
+
+  take() {
+    this.tokens -= 1;
+  }
+
+  isFull(now) {
+    this.refill(now);
+    return this.tokens >= this.capacity;
+  }
+}
+
+/**
+ * options: { now = Date.now }
+ * check(key, rules): rules is a list of { name, limit, windowMs }; a token is
+ * taken from every bucket only when all of them have one.
+ * Returns { allowed: true } or { allowed: false, rule, retryInMs }.
+ */
+function createRateLimiter(options = {}) {
+  const now = options.now || Date.now;
+  const buckets = new Map(); // `${key}|${rule.name}` -> TokenBucket
+
+  function bucketFor(key, rule) {
+    const id = `${key}|${rule.name}`;
+    let b = buckets.get(id);
+    if (!b || b.capacity !== rule.limit || b.ratePerMs !== rule.limit / rule.windowMs) {
+      b = new TokenBucket(rule, now());
+      buckets.set(id, b);
+    }
+    return b;
+  }
+
+  return {
+    check(key, rules) {
+      const t = now();
+      const pairs = rules.map(rule => [rule, bucketFor(key, rule)]);
+      let blocked = null;
+      for (const [rule, b] of pairs) {
+        const wait = b.waitMs(t);
+        if (wait > 0 && (!blocked || wait > blocked.retryInMs)) blocked = { allowed: false, rule, retryInMs: wait };
+      }
+      if (blocked) return blocked;
+      for (const [, b] of pairs) b.take();
+      return { allowed: true };
+    },
+
+    // Drop buckets that have refilled completely
+    sweep() {
+      const t = now();
+      let n = 0;
+      for (const [id, b] of buckets) {
+        if (b.isFull(t)) {
+          buckets.delete(id);
+          n += 1;
+        }
+      }
+      return n;
+    },
+
+    size() {
+      return buckets.size;
+    }
+  };
+}
+
+module.exports = { createRateLimiter, TokenBucket };
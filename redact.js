@@ -0,0 +1,93 @@
+// ===============================
+// LOG CHANNEL REDACTION
+// Decides what the LOG_CHANNEL mirror may show for a command and cleans the
+// text it does show. Modes, per command (canonical name, '*' for the rest):
+//   full - input and output, scrubbed and truncated
+//   meta - who ran what and when, the size of each reply; no arguments or
+//          reply text
+//   off  - nothing
+// Scrubbers replace what they match with a ‹label› placeholder. They run in
+// order: ids before phones, since card and Aadhaar numbers are digit runs too.
+// ===============================
+
+const MODES = ['full', 'meta', 'off'];
+
+// Query parameters and "name: value" fields whose value is a credential
+const SECRET_NAMES = 'api[_-]?key|apikey|key|token|access[_-]?token|secret|pass(?:word)?|pwd|auth';
+
+const SCRUBBERS = {
+  secrets: [
+    { re: /\b\d{6,12}:[A-Za-z0-9_-]{30,}\b/g, label: 'token' },
+    { re: new RegExp(`([?&](?:${SECRET_NAMES})=)[^&#\\s]+`, 'gi'), label: 'secret', keep: 1 },
+    { re: new RegExp(`\\b((?:${SECRET_NAMES})\\s*[:=]\\s*)[^\\s&#,;]+`, 'gi'), label: 'secret', keep: 1 },
+    { re: /\b(Bearer\s+)[\w.~+/-]+=*/g, label: 'secret', keep: 1 }
+  ],
+  emails: [
+    { re: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g, label: 'email' }
+  ],
+  ids: [
+    { re: /\b[A-Z]{5}\d{4}[A-Z]\b/g, label: 'pan' },
+    { re: /\b\d{5}-\d{7}-\d\b/g, label: 'cnic' },
+    { re: /\b\d(?:[ -]?\d){12,18}\b/g, label: 'card' },
+    { re: /\b\d{4}[ -]?\d{4}[ -]?\d{4}\b/g, label: 'aadhaar' },
+    { re: /\b[A-Z]{2}[ -]?\d{1,2}[ -]?[A-Z]{0,3}[ -]?\d{4}\b/g, label: 'vehicle' }
+  ],
+  // 10 to 15 digits, optionally grouped; dates and times are left alone
+  phones: [
+    {
+      re: /(?<![\w+])\+?\d[\d -]{8,18}\d\b/g,
+      label: 'phone',
+      valid: (m) => /^\d{10,15}$/.test(m.replace(/\D/g, '')) && !/\d{4}-\d\d-\d\d/.test(m)
+    }
+  ]
+};
+
+/**
+ * options: {
+ *   modes: { [command]: 'full' | 'meta' | 'off', '*': ... },
+ *   scrub = Object.keys(SCRUBBERS),  // categories to apply
+ *   secrets = [],                    // literal values to hide (6+ characters)
+ *   maxChars = 1500                  // longer text is cut with a marker
+ * }
+ */
+function createLogRedactor(options = {}) {
+  const modes = { '*': 'full', ...options.modes };
+  for (const [name, mode] of Object.entries(modes)) {
+    if (!MODES.includes(mode)) throw new Error(`Unknown log mode "${mode}" for ${name}`);
+  }
+  const categories = options.scrub || Object.keys(SCRUBBERS);
+  for (const c of categories) {
+    if (!SCRUBBERS[c]) throw new Error(`Unknown scrub category "${c}"`);
+  }
+  const secrets = (options.secrets || []).map(String).filter(s => s.length >= 6);
+  const maxChars = options.maxChars || 1500;
+
+  function scrub(text) {
+    let out = String(text ?? '');
+    for (const s of secrets) out = out.split(s).join('‹secret›');
+    for (const c of categories) {
+      for (const { re, label, keep, valid } of SCRUBBERS[c]) {
+        out = out.replace(re, (...m) => (valid && !valid(m[0]) ? m[0] : `${keep ? m[keep] : ''}‹${label}›`));
+      }
+    }
+    return out;
+  }
+
+  return {
+    // Mode for a canonical command name; null (no command) uses '*'
+    mode(command) {
+      return (command && modes[command]) || modes['*'];
+    },
+
+    // Scrubbed and truncated text for a `full` mirror entry
+    clean(text) {
+      const out = scrub(text);
+      if (out.length <= maxChars) return out;
+      return `${out.slice(0, maxChars)}… [${out.length - maxChars} more characters]`;
+    },
+
+    scrub
+  };
+}
+
+module.exports = { createLogRedactor, SCRUBBERS, MODES };
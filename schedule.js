@@ -0,0 +1,145 @@
+// ===============================
+// SCHEDULE RULES
+// When a scheduled message runs, in wall-clock time of a given IANA time zone:
+//   { type: 'once', at }                 absolute time (ms)
+//   { type: 'daily', time: 'HH:MM' }
+//   { type: 'weekly', day: 0-6, time }   0 = Sunday
+// Recurring rules keep local times, so they follow DST changes and a change of
+// the configured zone. Only Intl is used, no time zone database is bundled.
+// ===============================
+
+const { parseDuration } = require('./config');
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const partsFormatters = new Map(); // timeZone -> Intl.DateTimeFormat
+
+// Wall-clock fields of `ms` in timeZone
+function zonedParts(ms, timeZone) {
+  let fmt = partsFormatters.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    });
+    partsFormatters.set(timeZone, fmt);
+  }
+  const p = {};
+  for (const { type, value } of fmt.formatToParts(new Date(ms))) p[type] = value;
+  return {
+    year: Number(p.year),
+    month: Number(p.month),
+    day: Number(p.day),
+    hour: Number(p.hour),
+    minute: Number(p.minute),
+    second: Number(p.second),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(p.weekday)
+  };
+}
+
+function offsetMs(ms, timeZone) {
+  const p = zonedParts(ms, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(ms / 1000) * 1000;
+}
+
+// UTC ms of a wall-clock time in timeZone (month is 1-12; day may overflow).
+// A time skipped by a DST jump resolves to the same clock time after it.
+function zonedToUtc(year, month, day, hour, minute, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const first = guess - offsetMs(guess, timeZone);
+  const second = guess - offsetMs(first, timeZone);
+  const p = zonedParts(second, timeZone);
+  if (p.hour === new Date(guess).getUTCHours() && p.minute === new Date(guess).getUTCMinutes()) return second;
+  return Math.max(first, second);
+}
+
+function parseTime(s) {
+  const m = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(s || '');
+  return m ? { hour: Number(m[1]), minute: Number(m[2]) } : null;
+}
+
+// First run of `rule` strictly after afterMs, or null when there is none
+function nextRun(rule, afterMs, timeZone) {
+  if (rule.type === 'once') return rule.at > afterMs ? rule.at : null;
+
+  const { hour, minute } = parseTime(rule.time);
+  const today = zonedParts(afterMs, timeZone);
+  let ahead = rule.type === 'weekly' ? (rule.day - today.weekday + 7) % 7 : 0;
+  for (;;) {
+    const t = zonedToUtc(today.year, today.month, today.day + ahead, hour, minute, timeZone);
+    if (t > afterMs) return t;
+    ahead += rule.type === 'weekly' ? 7 : 1;
+  }
+}
+
+/**
+ * Parse the time spec at the start of `input`:
+ *   in 2h | 02:00 | 2024-12-31 02:00 | daily 02:00 | weekly mon 02:00
+ * Returns { rule, rest }. Throws with a user-facing message.
+ */
+function parseWhen(input, { now = Date.now(), timeZone } = {}) {
+  const text = String(input || '').trim();
+  let m;
+
+  if ((m = /^in\s+(\S+)(?:\s+|$)/i.exec(text))) {
+    let ms;
+    try { ms = parseDuration(m[1]); } catch (_) { throw new Error(`"${m[1]}" is not a duration like 30m, 2h or 1d`); }
+    if (ms < 60 * 1000) throw new Error('Schedule at least one minute ahead');
+    return { rule: { type: 'once', at: now + ms }, rest: text.slice(m[0].length) };
+  }
+
+  if ((m = /^daily\s+(\S+)(?:\s+|$)/i.exec(text))) {
+    if (!parseTime(m[1])) throw new Error(`"${m[1]}" is not a time like 02:00`);
+    return { rule: { type: 'daily', time: m[1].padStart(5, '0') }, rest: text.slice(m[0].length) };
+  }
+
+  if ((m = /^weekly\s+(\S+)\s+(\S+)(?:\s+|$)/i.exec(text))) {
+    const day = DAY_NAMES.findIndex(d => m[1].length >= 3 && d.startsWith(m[1].toLowerCase()));
+    if (day === -1) throw new Error(`"${m[1]}" is not a day of the week`);
+    if (!parseTime(m[2])) throw new Error(`"${m[2]}" is not a time like 02:00`);
+    return { rule: { type: 'weekly', day, time: m[2].padStart(5, '0') }, rest: text.slice(m[0].length) };
+  }
+
+  if ((m = /^(\d{4})-(\d{2})-(\d{2})\s+(\S+)(?:\s+|$)/.exec(text))) {
+    const t = parseTime(m[4]);
+    if (!t) throw new Error(`"${m[4]}" is not a time like 02:00`);
+    const at = zonedToUtc(Number(m[1]), Number(m[2]), Number(m[3]), t.hour, t.minute, timeZone);
+    const check = zonedParts(at, timeZone);
+    if (check.month !== Number(m[2]) || check.day !== Number(m[3])) throw new Error(`${m[1]}-${m[2]}-${m[3]} is not a valid date`);
+    if (at <= now) throw new Error('That time has already passed');
+    return { rule: { type: 'once', at }, rest: text.slice(m[0].length) };
+  }
+
+  if ((m = /^(\d{1,2}:\d{2})(?:\s+|$)/.exec(text))) {
+    if (!parseTime(m[1])) throw new Error(`"${m[1]}" is not a time like 02:00`);
+    // Next time the clock shows HH:MM: today or tomorrow
+    const at = nextRun({ type: 'daily', time: m[1] }, now, timeZone);
+    return { rule: { type: 'once', at }, rest: text.slice(m[0].length) };
+  }
+
+  throw new Error('Start with a time: in 2h, 02:00, 2024-12-31 02:00, daily 02:00 or weekly mon 02:00');
+}
+
+// "2024-12-31 02:00" in timeZone
+function formatLocal(ms, timeZone) {
+  const p = zonedParts(ms, timeZone);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+function describeRule(rule, timeZone) {
+  if (rule.type === 'once') return `once at ${formatLocal(rule.at, timeZone)}`;
+  if (rule.type === 'daily') return `daily at ${rule.time}`;
+  const day = DAY_NAMES[rule.day];
+  return `every ${day[0].toUpperCase()}${day.slice(1)} at ${rule.time}`;
+}
+
+module.exports = { parseWhen, nextRun, describeRule, formatLocal, zonedToUtc };
@@ -0,0 +1,76 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./harness');
+
+const ADMIN = 1;
+let h;
+
+before(async () => {
+  h = await createHarness();
+  for (const id of [70, 71, 72]) await h.register(id);
+});
+
+after(() => h.close());
+
+async function waitFor(check, ms) {
+  const until = Date.now() + ms;
+  while (!(await check())) {
+    if (Date.now() > until) throw new Error('timed out waiting');
+    await new Promise(r => setTimeout(r, 100));
+  }
+}
+
+test('a rate limited recipient is retried, not skipped; a blocked one fails', async () => {
+  let limited = 0;
+  h.telegram.handle('sendMessage', (p) => {
+    if (/Broadcast Message/.test(p.text || '')) {
+      if (String(p.chat_id) === '71' && limited++ === 0) {
+        return { ok: false, error_code: 429, description: 'Too Many Requests: retry after 1', parameters: { retry_after: 1 } };
+      }
+      if (String(p.chat_id) === '72') return { ok: false, error_code: 403, description: 'Forbidden: bot was blocked by the user' };
+    }
+    return { message_id: 1, date: 0, chat: { id: p.chat_id, type: 'private' }, text: p.text };
+  });
+
+  const preview = (await h.send(ADMIN, '/broadcast Hello everyone')).pop();
+  await h.click(ADMIN, preview.keyboard.find(b => /^bcsend_/.test(b.data)).data);
+
+  const job = async () => Object.values((await h.state()).broadcasts)[0];
+  await waitFor(async () => (await job())?.status === 'done', 15000);
+
+  const done = await job();
+  assert.deepEqual([done.sent, done.failed, done.failures], [done.total - 1, 1, { blocked: 1 }]);
+  assert.equal(limited, 2);
+  assert.match(h.replies(71).pop().text, /Hello everyone/);
+  assert.equal(h.user(72).inactive, true);
+});
+
+test('a job saves its position, not its recipients, and resumes after it', async () => {
+  let release;
+  const held = new Promise(r => { release = r; });
+  h.telegram.handle('sendMessage', async (p) => {
+    if (String(p.chat_id) === '70' && /Second wave/.test(p.text || '')) await held;
+    return { message_id: 1, date: 0, chat: { id: p.chat_id, type: 'private' }, text: p.text };
+  });
+
+  const preview = (await h.send(ADMIN, '/broadcast Second wave')).pop();
+  await h.click(ADMIN, preview.keyboard.find(b => /^bcsend_/.test(b.data)).data);
+  const job = async () => Object.values((await h.state()).broadcasts).find(b => b.text?.includes('Second wave'));
+  await waitFor(async () => (await job())?.lastRecipientId === '1', 5000);
+
+  // Paused while the send to 70 is under way: it still counts
+  await h.click(ADMIN, `bc_pause_${(await job()).id}`);
+  release();
+  await waitFor(async () => (await job()).lastRecipientId === '70', 5000);
+  const paused = await job();
+  assert.equal(paused.status, 'paused');
+  assert.equal(paused.recipients, undefined);
+
+  await h.click(ADMIN, `bc_resume_${paused.id}`);
+  await waitFor(async () => (await job()).status === 'done', 5000);
+
+  const received = (id) => h.replies(id).filter(r => /Second wave/.test(r.text)).length;
+  assert.deepEqual([received(70), received(71)], [1, 1]);
+  const done = await job();
+  assert.deepEqual([done.sent, done.cursor, done.total, done.excludedInactive], [3, 3, 3, 1]); // 72 blocked the bot earlier
+});
@@ -0,0 +1,114 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFloodControl, FloodQueueFullError } = require('../flood');
+
+// A Bot API stand-in that answers from `answers(method, payload)` and records
+// every call that got through as "<chat_id>:<text>"
+function fakeApi(answers = () => undefined) {
+  const sent = [];
+  const prev = async (method, payload) => {
+    sent.push(`${payload.chat_id}:${payload.text}`);
+    return answers(method, payload) || { ok: true, result: { message_id: sent.length } };
+  };
+  return { prev, sent };
+}
+
+const send = (flood, prev, chat, text, signal) => flood.transformer(prev, 'sendMessage', { chat_id: chat, text }, signal);
+
+test('messages of one chat go out in order; other chats do not wait for it', async () => {
+  const flood = createFloodControl({ privateBurst: 1 });
+  const { prev, sent } = fakeApi();
+
+  const calls = [send(flood, prev, 5, 'a1'), send(flood, prev, 5, 'a2'), send(flood, prev, 6, 'b1')];
+  await new Promise(r => setImmediate(r));
+  assert.deepEqual(sent, ['5:a1', '6:b1']);
+  assert.equal(flood.stats().queued, 1);
+
+  await Promise.all(calls);
+  assert.deepEqual(sent, ['5:a1', '6:b1', '5:a2']);
+});
+
+test('calls that are not messages are not throttled', async () => {
+  const flood = createFloodControl({ privateBurst: 1 });
+  const { prev, sent } = fakeApi();
+
+  await send(flood, prev, 5, 'first');
+  const started = Date.now();
+  await flood.transformer(prev, 'getChat', { chat_id: 5 });
+  await flood.transformer(prev, 'answerCallbackQuery', { callback_query_id: '1' });
+  assert.ok(Date.now() - started < 500);
+  assert.equal(sent.length, 3);
+});
+
+test('a 429 pauses the chat for retry_after and the retry goes out first', async () => {
+  const retries = [];
+  const flood = createFloodControl({ onRetry: (info) => retries.push(info) });
+  let limited = 0;
+  const { prev, sent } = fakeApi((method, p) => {
+    if (p.text === 'm1' && limited++ === 0) return { ok: false, error_code: 429, parameters: { retry_after: 1 } };
+  });
+
+  const started = Date.now();
+  const first = send(flood, prev, 7, 'm1');
+  await new Promise(r => setImmediate(r));
+  const second = send(flood, prev, 7, 'm2');
+  const other = send(flood, prev, 8, 'x');
+
+  await other;
+  assert.deepEqual(sent, ['7:m1', '8:x']); // the pause is only for chat 7
+  assert.equal((await first).ok, true);
+  await second;
+
+  assert.ok(Date.now() - started >= 1000);
+  assert.deepEqual(sent, ['7:m1', '8:x', '7:m1', '7:m2']);
+  assert.deepEqual(retries, [{ method: 'sendMessage', chat: '7', reason: '429', waitMs: 1000 }]);
+  assert.equal(flood.stats().retries, 1);
+});
+
+test('a 5xx is retried after a backoff, ahead of the chat\'s later messages', async () => {
+  const retries = [];
+  const flood = createFloodControl({ onRetry: (info) => retries.push(info) });
+  let failed = 0;
+  const { prev, sent } = fakeApi((method, p) => {
+    if (p.text === 'm1' && failed++ === 0) return { ok: false, error_code: 502, description: 'Bad Gateway' };
+  });
+
+  const started = Date.now();
+  const first = send(flood, prev, 9, 'm1');
+  await new Promise(r => setImmediate(r));
+  const second = send(flood, prev, 9, 'm2');
+
+  assert.equal((await first).ok, true);
+  await second;
+  assert.ok(Date.now() - started >= 1000);
+  assert.deepEqual(sent, ['9:m1', '9:m1', '9:m2']);
+  assert.deepEqual(retries, [{ method: 'sendMessage', chat: '9', reason: '5xx', waitMs: 1000 }]);
+});
+
+test('errors other than 429 and 5xx, and the last retry, are handed back', async () => {
+  const flood = createFloodControl({ maxRetries: 0 });
+  const { prev, sent } = fakeApi((method, p) => (p.text === 'gone'
+    ? { ok: false, error_code: 403, description: 'Forbidden' }
+    : { ok: false, error_code: 500, description: 'Internal Server Error' }));
+
+  assert.equal((await send(flood, prev, 10, 'gone')).error_code, 403);
+  assert.equal((await send(flood, prev, 11, 'busy')).error_code, 500);
+  assert.equal(sent.length, 2);
+});
+
+test('a full chat queue refuses more; an aborted waiter leaves the queue', async () => {
+  const flood = createFloodControl({ privateBurst: 1, maxQueuePerChat: 2 });
+  const { prev, sent } = fakeApi();
+  const controller = new AbortController();
+
+  await send(flood, prev, 12, 'now');
+  const queued = [send(flood, prev, 12, 'q1', controller.signal), send(flood, prev, 12, 'q2', controller.signal)];
+  await assert.rejects(send(flood, prev, 12, 'q3'), FloodQueueFullError);
+  assert.deepEqual([flood.stats().queued, flood.stats().chats], [2, 1]);
+
+  controller.abort(new Error('cancelled'));
+  for (const call of queued) await assert.rejects(call, /cancelled/);
+  assert.deepEqual([flood.stats().queued, flood.stats().chats], [0, 0]);
+  assert.deepEqual(sent, ['12:now']);
+  await assert.rejects(send(flood, prev, 12, 'late', controller.signal), /cancelled/);
+});
@@ -0,0 +1,110 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { splitHtml, escapeAtByte, html, raw, MAX_MESSAGE_LENGTH } = require('../format');
+
+// Tokens of a part: a tag, an entity or one code point
+const TOKEN_RE = /<[^>]*>|&#?\w+;|[\s\S]/gu;
+
+// Every visible character of `markup` with the tags it is inside of, e.g.
+// "<b><i>|x". Whitespace is left out: a cut drops the break it was made at.
+function styled(markup) {
+  const open = [];
+  const out = [];
+  for (const token of markup.match(TOKEN_RE) || []) {
+    const m = /^<(\/)?([a-z-]+)/i.exec(token);
+    if (m && m[1]) {
+      assert.equal(open.pop()?.name, m[2], `</${m[2]}> closes the innermost open tag`);
+    } else if (m) {
+      open.push({ name: m[2], token });
+    } else if (token.trim()) {
+      out.push(`${open.map(t => t.token).join('')}|${token}`);
+    }
+  }
+  assert.deepEqual(open, [], 'every tag is closed');
+  return out;
+}
+
+// Checks that hold for any split: the limit, balanced tags in each part,
+// no cut entity or surrogate pair, and the same text with the same formatting
+function assertSplit(markup, limit) {
+  const parts = splitHtml(raw(markup), limit);
+  for (const part of parts) {
+    assert.ok(part.length <= limit, `part of ${part.length} > ${limit}`);
+    assert.ok(part.trim(), 'no empty parts');
+    assert.doesNotMatch(part, /&(?!#?\w+;)/, 'no cut entity');
+    assert.doesNotMatch(part, /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/, 'no cut surrogate pair');
+  }
+  assert.deepEqual(parts.flatMap(styled), styled(markup));
+  return parts;
+}
+
+// Deterministic markup with nested tags, entities, emoji and breaks of every kind
+function sample(seed, size) {
+  let x = seed;
+  const rand = (n) => {
+    x = (x * 1103515245 + 12345) % 2147483648;
+    return x % n;
+  };
+  const words = ['alpha', 'beta', '&amp;', '&lt;tag&gt;', '&#39;q&#39;', '😀', '👍🏽ok', 'x'.repeat(40), 'Ünïcødé', 'a&quot;b'];
+  const tags = [['<b>', '</b>'], ['<i>', '</i>'], ['<code>', '</code>'], ['<a href="https://example.com/?a=1&amp;b=2">', '</a>'], ['<tg-spoiler>', '</tg-spoiler>']];
+  const open = [];
+  let out = '';
+  while (out.length < size) {
+    const r = rand(10);
+    if (r === 0 && open.length < 3) {
+      const t = tags[rand(tags.length)];
+      out += t[0];
+      open.push(t[1]);
+    } else if (r === 1 && open.length) {
+      out += open.pop();
+    } else {
+      out += words[rand(words.length)] + ['', ' ', ' ', ' ', '\n', '\n\n'][rand(6)];
+    }
+  }
+  return out + open.reverse().join('');
+}
+
+test('short messages are one part', () => {
+  assert.deepEqual(splitHtml(html`<b>${'a < b'}</b>`), ['<b>a &lt; b</b>']);
+  assert.equal(splitHtml('x'.repeat(MAX_MESSAGE_LENGTH)).length, 1);
+});
+
+test('long messages break at a paragraph, then a line, then a word', () => {
+  const para = `${'word '.repeat(10)}\n\n${'word '.repeat(10)}`;
+  assert.deepEqual(splitHtml(raw(para), 80), ['word '.repeat(10).trim(), 'word '.repeat(10)]);
+
+  const lines = `${'a'.repeat(40)}\n${'b'.repeat(20)} ${'c'.repeat(30)}`;
+  assert.deepEqual(splitHtml(raw(lines), 70), ['a'.repeat(40), `${'b'.repeat(20)} ${'c'.repeat(30)}`]);
+
+  // A break in the first half of the limit makes too small a part; a later one is used
+  const early = `${'a'.repeat(10)}\n${'b'.repeat(40)} ${'c'.repeat(30)}`;
+  assert.deepEqual(splitHtml(raw(early), 70), [`${'a'.repeat(10)}\n${'b'.repeat(40)}`, 'c'.repeat(30)]);
+});
+
+test('tags open at a cut are closed and reopened in the next part', () => {
+  const markup = `<b>bold <a href="https://example.com/x">${'link '.repeat(30)}</a> tail</b>`;
+  const parts = assertSplit(markup, 100);
+
+  assert.ok(parts.length > 1);
+  assert.match(parts[0], /<\/a><\/b>$/);
+  assert.match(parts[1], /^<b><a href="https:\/\/example\.com\/x">/);
+});
+
+test('a word longer than the limit is cut without breaking entities or emoji', () => {
+  assertSplit(`<i>${'&amp;😀'.repeat(50)}</i>`, 40);
+  assertSplit('&lt;'.repeat(100), 10);
+});
+
+test('any markup splits within the limit, keeping every character and its formatting', () => {
+  for (const [seed, limit] of [[1, 64], [2, 100], [3, 257], [4, 1000], [5, MAX_MESSAGE_LENGTH]]) {
+    assertSplit(sample(seed, limit * 6), limit);
+  }
+});
+
+test('the tag or entity Telegram could not parse is escaped by its byte offset', () => {
+  // "é" and "😀" take 2 and 4 bytes, so <x> starts at byte 13
+  assert.equal(escapeAtByte(raw('<b>é😀</b><x>y</x>'), 13), '<b>é😀</b>&lt;x>y</x>');
+  assert.equal(escapeAtByte(raw('a &nope b'), 2), 'a &amp;nope b');
+  assert.equal(escapeAtByte(raw('<b>é</b>'), 4), null);
+  assert.equal(escapeAtByte(raw('abc'), 10), null);
+});
@@ -0,0 +1,301 @@
+// ===============================
+// OFFLINE TEST HARNESS
+// Loads index.js without starting it, against:
+//   - a fake Telegram API: a grammY transformer installed last (outermost) on
+//     bot.api and logApi, so every call is recorded and answered in process;
+//   - a transport for the bot's HTTP client (http.js) that replays recorded
+//     upstream responses from test/fixtures/<name>.json
+//     ([{ method, url, status, data }]).
+// The bot's JSON log lines are still printed and also collected for
+// h.logEntries(). A request with no fixture fails like a network error and is
+// listed in h.http.unmatched. With RECORD_FIXTURES=1 it goes out for real instead and
+// the response is appended to options.recordTo (a fixture name).
+// index.js keeps its state in module scope, so use one harness per test file
+// (node --test runs every file in its own process).
+// ===============================
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { axiosTransport, HttpError } = require('../http');
+const { raw, plainText } = require('../format');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const BOT_INFO = { id: 424242, is_bot: true, first_name: 'Test Bot', username: 'TestOsintBot' };
+
+function readFixtures(name) {
+  const file = path.join(FIXTURES_DIR, `${name}.json`);
+  return JSON.parse(fs.readFileSync(file, 'utf8')).map(f => ({ ...f, method: (f.method || 'GET').toUpperCase() }));
+}
+
+// A transport for index.js's HTTP client (see http.js): answers from the
+// fixtures, whatever the status; the client decides what counts as a failure
+function createHttpStub(options = {}) {
+  const entries = (options.fixtures || []).flatMap(readFixtures);
+  const requests = [];
+  const unmatched = [];
+  const record = process.env.RECORD_FIXTURES === '1' && options.recordTo;
+
+  async function transport(req) {
+    const { method, url } = req;
+    requests.push({ method, url, data: req.data });
+
+    const entry = entries.find(e => e.method === method && (e.url === url || (e.urlPattern && new RegExp(e.urlPattern).test(url))));
+    if (entry) {
+      return {
+        status: entry.status || 200,
+        headers: entry.headers || { 'content-type': 'application/json' },
+        data: entry.data
+      };
+    }
+
+    if (record) {
+      const res = await axiosTransport(req);
+      const file = path.join(FIXTURES_DIR, `${options.recordTo}.json`);
+      const saved = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+      let data = res.data;
+      try { data = typeof data === 'string' ? JSON.parse(data) : data; } catch (_) {}
+      saved.push({ method, url, status: res.status, data });
+      fs.writeFileSync(file, JSON.stringify(saved, null, 2) + '\n');
+      return res;
+    }
+
+    unmatched.push(`${method} ${url}`);
+    throw new HttpError(`No fixture for ${method} ${url}`, { code: 'ECONNREFUSED' });
+  }
+
+  return {
+    transport,
+    requests,
+    unmatched,
+
+    // Answer `url` (exact) with this response ahead of the fixture files
+    stub(method, url, response) {
+      entries.unshift({ method: method.toUpperCase(), url, status: 200, ...response });
+    }
+  };
+}
+
+// What the user would see: the text of a send/edit, or a media caption
+function toReply(call) {
+  const p = call.payload;
+  const markup = p.text ?? p.caption ?? '';
+  const keyboard = (p.reply_markup?.inline_keyboard || []).flat().map(b => ({ text: b.text, data: b.callback_data, url: b.url }));
+  return {
+    method: call.method,
+    chatId: String(p.chat_id),
+    html: p.parse_mode === 'HTML' ? markup : null,
+    text: p.parse_mode === 'HTML' ? plainText(raw(markup)) : String(markup),
+    keyboard,
+    payload: p
+  };
+}
+
+// Collects the JSON log lines written to stdout/stderr (and still prints them)
+function captureLogs() {
+  const entries = [];
+  const originals = [];
+  for (const stream of [process.stdout, process.stderr]) {
+    const write = stream.write;
+    originals.push([stream, write]);
+    stream.write = function (chunk, ...rest) {
+      for (const line of String(chunk).split('\n')) {
+        if (!line.startsWith('{"ts"')) continue;
+        try { entries.push(JSON.parse(line)); } catch (_) {}
+      }
+      return write.call(this, chunk, ...rest);
+    };
+  }
+  return {
+    entries,
+    restore() {
+      for (const [stream, write] of originals) stream.write = write;
+    }
+  };
+}
+
+function createFakeTelegram() {
+  const calls = [];
+  const handlers = {};
+  let messageId = 1000;
+
+  function message(payload) {
+    return { message_id: ++messageId, date: Math.floor(Date.now() / 1000), chat: { id: payload.chat_id, type: 'private' }, text: payload.text };
+  }
+
+  const defaults = {
+    getMe: () => BOT_INFO,
+    getChatMember: (p) => ({ status: 'member', user: { id: p.user_id, is_bot: false, first_name: 'User' } }),
+    getFile: (p) => ({ file_id: p.file_id, file_unique_id: p.file_id, file_path: `documents/${p.file_id}` })
+  };
+
+  async function transformer(prev, method, payload) {
+    calls.push({ method, payload: payload || {} });
+    const handler = handlers[method] || defaults[method];
+    let result;
+    if (handler) result = await handler(payload || {});
+    else if (/^(send|copy|forward)/.test(method)) result = message(payload || {});
+    else if (/^edit/.test(method)) result = { ...message(payload || {}), message_id: payload?.message_id };
+    else result = true;
+    // A handler may answer with a full error envelope, e.g. { ok: false, error_code: 403, description }
+    return result && result.ok === false ? result : { ok: true, result };
+  }
+
+  return {
+    transformer,
+    calls,
+
+    // Replace the answer for one method: fn(payload) -> result or { ok: false, ... }
+    handle(method, fn) {
+      handlers[method] = fn;
+    }
+  };
+}
+
+/**
+ * options: {
+ *   fixtures: ['ip', ...],   // test/fixtures/<name>.json to replay
+ *   recordTo,                // fixture name to append to with RECORD_FIXTURES=1
+ *   env: { NAME: value }     // extra settings (see config.js)
+ * }
+ */
+async function createHarness(options = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'osint-bot-test-'));
+  // No .env or config.json from the checkout: they are read from the cwd
+  process.chdir(dataDir);
+  Object.assign(process.env, {
+    BOT_TOKEN: '424242:test-token',
+    ADMIN_USER_ID: '1',
+    ADMINS: '',
+    BOT_USERNAME: BOT_INFO.username,
+    DATA_DIR: dataDir,
+    STORAGE_BACKEND: 'json',
+    STATE_SAVE_DEBOUNCE_MS: '0',
+    LOG_CHANNEL: '@test_logs',
+    BOT_MODE: 'polling',
+    HTTP_SERVER: 'false',
+    RATE_LIMIT_ENABLED: 'false',
+    ...options.env
+  });
+
+  const http = createHttpStub(options);
+  const logCapture = captureLogs();
+  const telegram = createFakeTelegram();
+  const app = require('../index');
+  app.httpClient.useTransport(http.transport);
+  app.bot.api.config.use(telegram.transformer);
+  app.logApi.config.use(telegram.transformer);
+  await app.bot.init();
+
+  let updateId = 0;
+  let messageId = 0;
+
+  function sender(userId, extra = {}) {
+    return {
+      id: Number(userId),
+      is_bot: false,
+      first_name: extra.firstName || `User${userId}`,
+      username: extra.username === undefined ? `user${userId}` : extra.username,
+      language_code: extra.lang || 'en'
+    };
+  }
+
+  // Runs one update and returns the replies it produced (log channel excluded)
+  async function dispatch(update) {
+    const from = telegram.calls.length;
+    await app.bot.handleUpdate({ update_id: ++updateId, ...update });
+    // Let fire-and-forget sends queued by the handler go out
+    await new Promise(r => setImmediate(r));
+    return telegram.calls.slice(from).filter(isReply).map(toReply);
+  }
+
+  function isReply(call) {
+    return call.payload.chat_id !== undefined && String(call.payload.chat_id) !== process.env.LOG_CHANNEL &&
+      /^(send|edit|copy|forward)/.test(call.method);
+  }
+
+  return {
+    app,
+    telegram,
+    http,
+    dataDir,
+
+    // A private text message; commands get their bot_command entity
+    send(userId, text, extra = {}) {
+      const message = {
+        message_id: ++messageId,
+        date: Math.floor(Date.now() / 1000),
+        chat: { id: Number(userId), type: 'private' },
+        from: sender(userId, extra),
+        text,
+        ...extra.message
+      };
+      const cmd = /^\/\S+/.exec(text);
+      if (cmd) message.entities = [{ type: 'bot_command', offset: 0, length: cmd[0].length }];
+      return dispatch({ message });
+    },
+
+    // An inline button press on a message the bot sent to the user
+    click(userId, data, extra = {}) {
+      return dispatch({
+        callback_query: {
+          id: String(++updateId),
+          from: sender(userId, extra),
+          chat_instance: String(userId),
+          data,
+          message: { message_id: extra.messageId || ++messageId, date: 0, chat: { id: Number(userId), type: 'private' }, text: '' }
+        }
+      });
+    },
+
+    // The whole sign-up: /start, channel check, /register (the channel check
+    // waits 1.5s like it does for real users)
+    async register(userId, extra = {}) {
+      await this.send(userId, '/start', extra);
+      await this.click(userId, `verify_${userId}`, extra);
+      return this.send(userId, '/register', extra);
+    },
+
+    // Everything sent or edited into a chat so far
+    replies(chatId) {
+      return telegram.calls.filter(isReply).map(toReply).filter(r => r.chatId === String(chatId));
+    },
+
+    // Posts the pending log channel digest first
+    async logs() {
+      await app.logSink.flush();
+      return telegram.calls.filter(c => String(c.payload.chat_id) === process.env.LOG_CHANNEL).map(toReply);
+    },
+
+    // Structured log entries (see logger.js), optionally only those matching
+    // every field of `match`, e.g. { module: 'http', user_id: 30 }
+    logEntries(match = {}) {
+      return logCapture.entries.filter(e => Object.entries(match).every(([k, v]) => e[k] === v));
+    },
+
+    user(userId) {
+      return app.users.get(String(userId)) || null;
+    },
+
+    // The state document as written to disk
+    async state() {
+      await app.saveStateToDisk();
+      return JSON.parse(fs.readFileSync(path.join(dataDir, 'bot_state.json'), 'utf8'));
+    },
+
+    // Credit ledger entries as written to disk (appended as they happen)
+    ledger() {
+      const file = path.join(dataDir, 'credit_ledger.jsonl');
+      if (!fs.existsSync(file)) return [];
+      return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(l => JSON.parse(l));
+    },
+
+    async close() {
+      logCapture.restore();
+      await app.saveStateToDisk();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+module.exports = { createHarness, BOT_INFO };
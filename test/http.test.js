@@ -0,0 +1,137 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHttpClient, HttpError, describeUrl } = require('../http');
+
+// A transport that answers from `responses` in turn (an Error is thrown) and
+// records every request it was given
+function fakeTransport(...responses) {
+  const requests = [];
+  const transport = async (req) => {
+    requests.push(req);
+    const next = responses.length > 1 ? responses.shift() : responses[0];
+    if (next instanceof Error) throw next;
+    return { status: 200, headers: {}, data: null, ...next };
+  };
+  return { transport, requests };
+}
+
+test('paths and params are resolved against the provider base URL', async () => {
+  const { transport, requests } = fakeTransport({ data: { ok: true } });
+  const client = createHttpClient({ transport, headers: { 'user-agent': 'bot' } });
+  const api = client.provider('example', { baseUrl: 'https://api.example.com/v1/', headers: { 'x-key': 'k' } });
+
+  await api.get('/lookup', { params: { q: 'a b', page: 2, skip: undefined } });
+  await api.get('status');
+  await api.get('?raw=1');
+  await api.get('https://other.example.org/x');
+  await client.post('https://api.example.com/items', { name: 'x' }, { headers: { 'x-key': 'call' } });
+
+  assert.deepEqual(requests.map(r => r.url), [
+    'https://api.example.com/v1/lookup?q=a+b&page=2',
+    'https://api.example.com/v1/status',
+    'https://api.example.com/v1?raw=1',
+    'https://other.example.org/x',
+    'https://api.example.com/items'
+  ]);
+  assert.deepEqual(requests[0].headers, { 'user-agent': 'bot', 'x-key': 'k' });
+  assert.deepEqual([requests[4].method, requests[4].data, requests[4].headers['x-key']], ['POST', { name: 'x' }, 'call']);
+  assert.equal(describeUrl(requests[0].url), 'https://api.example.com/v1/lookup');
+});
+
+test('provider settings override the client defaults, request options override both', async () => {
+  const { transport, requests } = fakeTransport({});
+  const client = createHttpClient({ transport, timeout: 1000, maxBytes: 500 });
+  const api = client.provider('slow', { timeout: 5000 });
+
+  await client.get('https://a.example/');
+  await api.get('https://a.example/');
+  await api.get('https://a.example/', { timeout: 9000, maxBytes: 50 });
+
+  assert.deepEqual(requests.map(r => [r.timeout, r.maxBytes]), [[1000, 500], [5000, 500], [9000, 50]]);
+});
+
+test('network errors, timeouts, 429 and 5xx are retried with a growing delay', async () => {
+  const { transport, requests } = fakeTransport(
+    new HttpError('socket hang up', { code: 'ECONNRESET' }),
+    { status: 429 },
+    { status: 503 },
+    { data: { ok: true } }
+  );
+  const seen = [];
+  const client = createHttpClient({ transport, onResponse: (info) => seen.push([info.provider, info.attempt, info.status]) });
+  const api = client.provider('flaky', { retries: 3, retryDelayMs: 10 });
+
+  const started = Date.now();
+  const res = await api.get('https://a.example/');
+
+  assert.deepEqual(res.data, { ok: true });
+  assert.equal(requests.length, 4);
+  assert.ok(Date.now() - started >= 10 + 20 + 30);
+  assert.deepEqual(seen, [['flaky', 1, null], ['flaky', 2, 429], ['flaky', 3, 503], ['flaky', 4, 200]]);
+});
+
+test('client errors and oversized answers are not retried', async () => {
+  for (const answer of [{ status: 404, data: { error: 'gone' } }, { headers: { 'content-length': '2000' } }]) {
+    const { transport, requests } = fakeTransport(answer);
+    const client = createHttpClient({ transport, retries: 2, retryDelayMs: 1, maxBytes: 1000 });
+
+    await assert.rejects(client.get('https://a.example/'), (e) => e instanceof HttpError && (e.status === 404 || e.code === 'ETOOLARGE'));
+    assert.equal(requests.length, 1);
+  }
+});
+
+test('the last failure is thrown once the retries are used up', async () => {
+  const { transport, requests } = fakeTransport({ status: 502, data: 'bad gateway' });
+  const client = createHttpClient({ transport, retries: 1, retryDelayMs: 1 });
+
+  await assert.rejects(client.get('https://a.example/'), { name: 'HttpError', status: 502, data: 'bad gateway' });
+  assert.equal(requests.length, 2);
+});
+
+test('validateStatus decides which statuses are handed back', async () => {
+  const { transport } = fakeTransport({ status: 404, data: { found: false } });
+  const client = createHttpClient({ transport });
+
+  const res = await client.get('https://a.example/', { validateStatus: (s) => s < 500 });
+  assert.deepEqual([res.status, res.data], [404, { found: false }]);
+});
+
+test('an HTML block page instead of JSON is an error unless allowed', async () => {
+  const page = '<!DOCTYPE html><html><title>Attention Required! | Cloudflare</title></html>';
+  const { transport, requests } = fakeTransport({ data: page });
+  const client = createHttpClient({ transport, retries: 1, retryDelayMs: 1 });
+
+  await assert.rejects(client.get('https://a.example/'), { blocked: true, status: 200 });
+  assert.equal(requests.length, 2); // block pages are retried
+
+  const text = await client.get('https://a.example/', { responseType: 'text' });
+  assert.equal(text.data, page);
+  const allowed = await client.get('https://a.example/', { allowHtml: true });
+  assert.equal(allowed.data, page);
+});
+
+test('maxBytes applies to the body, or to content-length when it is sent', async () => {
+  const { transport } = fakeTransport(
+    { data: Buffer.alloc(101) },
+    { data: 'x'.repeat(100) },
+    { status: 200, headers: { 'content-length': '5000' } }
+  );
+  const client = createHttpClient({ transport, maxBytes: 100 });
+
+  await assert.rejects(client.get('https://a.example/', { responseType: 'arraybuffer' }), { code: 'ETOOLARGE' });
+  assert.equal((await client.get('https://a.example/', { responseType: 'text' })).data.length, 100);
+  await assert.rejects(client.get('https://a.example/'), { code: 'ETOOLARGE' });
+  // HEAD reports the size of the resource, not of a body
+  assert.equal((await client.head('https://a.example/')).status, 200);
+});
+
+test('useTransport swaps the transport of every scoped client', async () => {
+  const first = fakeTransport({ data: 1 });
+  const second = fakeTransport({ data: 2 });
+  const client = createHttpClient({ transport: first.transport });
+  const api = client.provider('p', { baseUrl: 'https://a.example' });
+
+  assert.equal((await api.get('/')).data, 1);
+  client.useTransport(second.transport);
+  assert.equal((await api.get('/')).data, 2);
+});
@@ -0,0 +1,147 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./harness');
+const { createLogRedactor } = require('../redact');
+const { createLogSink } = require('../logsink');
+
+let h;
+
+before(async () => {
+  h = await createHarness({ fixtures: ['ip'], env: { LOG_CHANNEL_MODES: 'history=off' } });
+  await h.register(40);
+});
+
+after(() => h.close());
+
+const mirrored = async () => (await h.logs()).map(r => r.text).join('\n---\n');
+
+test('lookups of people are mirrored without arguments or results', async () => {
+  const from = (await h.logs()).length;
+  await h.send(40, '/ip 8.8.8.8');
+  const digests = (await h.logs()).slice(from).map(r => r.text);
+
+  assert.equal(digests.length, 1);
+  const lines = digests[0].split('\n');
+  assert.match(lines[0], /^🧾 LOG \d+ entr(y|ies) · /);
+  assert.match(lines[1], /📥 @user40 40 \/ip \(arguments hidden\)$/);
+  assert.ok(lines.slice(2).every(t => /📤 @user40 40 \w+: \(hidden, \d+ characters\)$/.test(t)));
+  assert.doesNotMatch(digests[0], /8\.8\.8\.8|Google/);
+});
+
+test('other commands are mirrored with personal data scrubbed', async () => {
+  await h.send(40, '/credits me@example.com +91 98765 43210');
+
+  const text = await mirrored();
+  assert.match(text, /\/credits ‹email› ‹phone›/);
+  assert.doesNotMatch(text, /me@example\.com|98765/);
+});
+
+test('generated redeem codes never reach the log channel', async () => {
+  const from = (await h.logs()).length;
+  const [reply] = await h.send(1, '/gencode 40 1 24');
+  const code = /<pre>([A-Z0-9-]+)<\/pre>/.exec(reply.html)?.[1];
+  assert.ok(code, reply.html);
+
+  await h.send(40, `/redeem ${code}`);
+
+  // Replies follow the mode of their command, like the arguments
+  const text = (await h.logs()).slice(from).map(r => r.text).join('\n');
+  assert.match(text, /\/gencode \(arguments hidden\)/);
+  assert.match(text, /\/redeem \(arguments hidden\)/);
+  assert.match(text, /Code: …[A-Z0-9]{4}/);
+  assert.ok(!text.includes(code));
+});
+
+test('LOG_CHANNEL_MODES can turn a command off', async () => {
+  const from = (await h.logs()).length;
+  const replies = await h.send(40, '/history');
+
+  assert.ok(replies.length > 0);
+  assert.equal((await h.logs()).length, from);
+});
+
+test('the redactor masks secrets, ids and phones and truncates', () => {
+  const r = createLogRedactor({ secrets: ['s3cr3t-key'], maxChars: 120 });
+
+  assert.equal(r.clean('https://api.example/?q=1&apikey=abc123&x=2'), 'https://api.example/?q=1&apikey=‹secret›&x=2');
+  assert.equal(r.clean('Password: hunter22, key s3cr3t-key'), 'Password: ‹secret›, key ‹secret›');
+  assert.equal(r.clean('PAN ABCDE1234F, Aadhaar 1234 5678 9012, card 4111 1111 1111 1111'), 'PAN ‹pan›, Aadhaar ‹aadhaar›, card ‹card›');
+  assert.equal(r.clean('Joined 2024-01-31 10:20, call 9876543210'), 'Joined 2024-01-31 10:20, call ‹phone›');
+  assert.match(r.clean('x'.repeat(200)), /^x{120}… \[80 more characters\]$/);
+  assert.equal(r.mode('ip'), 'full');
+  assert.throws(() => createLogRedactor({ modes: { ip: 'verbose' } }), /Unknown log mode/);
+});
+
+function sinkWith(options = {}) {
+  const sent = [];
+  const sink = createLogSink({
+    intervalMs: 60000,
+    render: (entries, info) => `${entries.length} entries, ${info.dropped} dropped, ${info.sampled} sampled\n${entries.map(e => e.text).join('\n')}`,
+    summarize: (entries) => `${entries.length} entries`,
+    sendText: (text) => { sent.push({ text }); },
+    sendFile: (buffer, filename, caption) => { sent.push({ filename, caption, lines: buffer.toString().trim().split('\n').map(l => JSON.parse(l)) }); },
+    ...options
+  });
+  return { sink, sent };
+}
+
+test('the log sink posts a digest once enough entries wait, or on flush', async () => {
+  const { sink, sent } = sinkWith({ maxEntries: 3 });
+  for (const text of ['a', 'b', 'c', 'd']) sink.add({ text });
+  await new Promise(r => setImmediate(r));
+
+  assert.deepEqual(sent, [{ text: '3 entries, 0 dropped, 0 sampled\na\nb\nc' }]);
+  await sink.close();
+  assert.equal(sent[1].text, '1 entries, 0 dropped, 0 sampled\nd');
+  assert.equal(sink.stats().digests, 2);
+});
+
+test('the log sink posts on its interval', async () => {
+  const { sink, sent } = sinkWith({ intervalMs: 20 });
+  sink.add({ text: 'a' });
+  await new Promise(r => setTimeout(r, 60));
+  await sink.close();
+
+  assert.deepEqual(sent, [{ text: '1 entries, 0 dropped, 0 sampled\na' }]);
+});
+
+test('a digest too long for one message is attached as .jsonl', async () => {
+  const { sink, sent } = sinkWith({ maxDigestChars: 40 });
+  sink.add({ text: 'x'.repeat(30) });
+  sink.add({ text: 'y' });
+  await sink.flush();
+
+  assert.equal(sent.length, 1);
+  assert.match(sent[0].filename, /^log-\d{8}T\d{6}Z\.jsonl$/);
+  assert.equal(sent[0].caption, '2 entries');
+  assert.deepEqual(sent[0].lines.map(e => e.text), ['x'.repeat(30), 'y']);
+  assert.ok(sent[0].lines.every(e => typeof e.at === 'string'));
+});
+
+test('under pressure the log sink samples, then drops, and reports both', async () => {
+  let release;
+  const blocked = new Promise(r => { release = r; });
+  const texts = [];
+  const drops = [];
+  const { sink } = sinkWith({
+    maxEntries: 2,
+    maxBuffered: 10,
+    sampleAbove: 4,
+    sampleEvery: 2,
+    sendText: async (text) => { texts.push(text); await blocked; },
+    onDrop: (reason) => drops.push(reason)
+  });
+
+  sink.add({ text: 'first' });
+  sink.add({ text: 'second' }); // flushed, the send hangs
+  for (let i = 0; i < 20; i++) sink.add({ text: `n${i}` });
+
+  // 4 kept, then every 2nd of the next 12 until 10 wait, the last 4 dropped
+  assert.deepEqual(sink.stats(), { buffered: 10, flushing: true, added: 12, dropped: 4, sampled: 6, digests: 0, files: 0 });
+  assert.equal(drops.filter(r => r === 'full').length, 4);
+  release();
+  await sink.close();
+
+  assert.equal(texts.length, 2);
+  assert.match(texts[1], /^10 entries, 4 dropped, 6 sampled\nn0\nn1\nn2\nn3\nn5\n/);
+});
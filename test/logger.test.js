@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { AsyncLocalStorage } = require('async_hooks');
+const { createLogger } = require('../logger');
+const { createJobQueue } = require('../jobs');
+
+function collect(options = {}) {
+  const lines = [];
+  const logger = createLogger({ ...options, write: (line, level) => lines.push({ line, level }) });
+  return { logger, lines, entries: () => lines.map(l => JSON.parse(l.line)) };
+}
+
+test('levels are set per module with * as the default', () => {
+  const { logger, entries } = collect({ levels: { '*': 'warn', http: 'debug', broadcast: 'off' } });
+  logger.child('storage').info('hidden');
+  logger.child('storage').warn('shown');
+  logger.child('http').debug('request');
+  logger.child('broadcast').error('muted');
+
+  assert.deepEqual(entries().map(e => [e.module, e.level, e.msg]), [['storage', 'warn', 'shown'], ['http', 'debug', 'request']]);
+});
+
+test('entries merge the context and serialize errors', () => {
+  const als = new AsyncLocalStorage();
+  const { logger, entries } = collect({ context: () => als.getStore() });
+  const err = Object.assign(new Error('boom'), { code: 'ETIMEDOUT' });
+
+  als.run({ update_id: 7, user_id: 30 }, () => logger.child('jobs').error('failed', { job: 'a1', err }));
+  logger.child('jobs').warn('outside', err);
+
+  const [inside, outside] = entries();
+  assert.equal(inside.update_id, 7);
+  assert.equal(inside.user_id, 30);
+  assert.equal(inside.job, 'a1');
+  assert.deepEqual([inside.err.name, inside.err.message, inside.err.code], ['Error', 'boom', 'ETIMEDOUT']);
+  assert.match(inside.err.stack, /boom/);
+  assert.equal(outside.update_id, undefined);
+  assert.equal(outside.err.message, 'boom');
+});
+
+test('the text format prints the fields after the message', () => {
+  const { logger, lines } = collect({ format: 'text' });
+  logger.child('server').info('listening', { port: 8080, url: 'http://a b' });
+
+  assert.match(lines[0].line, /^\S+ INFO  \[server\] listening port=8080 url="http:\/\/a b"$/);
+});
+
+test('a queued job runs in the context it was submitted from', async () => {
+  const als = new AsyncLocalStorage();
+  const queue = createJobQueue({ concurrency: 1 });
+  let release;
+  const first = als.run({ user: 'a' }, () => queue.submit({ userId: 'a', run: () => new Promise(r => { release = r; }) }));
+  // Queued behind the first job, so it is started from that job's completion
+  const second = als.run({ user: 'b' }, () => queue.submit({ userId: 'b', run: async () => als.getStore()?.user }));
+
+  await new Promise(r => setImmediate(r));
+  release();
+  await first.done;
+  assert.equal(await second.done, 'b');
+});
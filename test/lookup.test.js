@@ -0,0 +1,120 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./harness');
+
+let h;
+
+before(async () => {
+  h = await createHarness({ fixtures: ['ip'], recordTo: 'ip', env: { CREDIT_TX_TIMEOUT_MS: '1000' } });
+  await h.register(30);
+});
+
+after(() => h.close());
+
+test('/ip shows the provider response and charges one credit', async () => {
+  const replies = await h.send(30, '/ip 8.8.8.8');
+  const result = replies.pop();
+
+  assert.match(result.text, /IP Intelligence Results/);
+  assert.match(result.html, /<pre><code class="language-json">/);
+  assert.match(result.text, /"org": "AS15169 Google LLC"/);
+  assert.equal(h.user(30).credits, 24);
+  const last = h.ledger().filter(e => e.userId === '30').pop();
+  assert.deepEqual([last.reason, last.command, last.delta], ['charge', 'ip', -1]);
+});
+
+test('a repeated lookup is served from the cache and still charged', async () => {
+  const before = h.http.requests.length;
+  const replies = await h.send(30, '/ip 8.8.8.8');
+
+  assert.match(replies.pop().text, /Cached result/);
+  assert.equal(h.http.requests.length, before);
+  assert.equal(h.user(30).credits, 23);
+});
+
+test('/ip falls over to the next provider when the first one fails', async () => {
+  const replies = await h.send(30, '/ip 1.1.1.1');
+
+  assert.deepEqual(h.http.requests.slice(-2).map(r => r.url), ['https://ipinfo.io/1.1.1.1/json', 'https://ipwho.is/1.1.1.1']);
+  const text = replies.pop().text;
+  assert.match(text, /"city": "Brisbane"/);
+  assert.match(text, /"org": "AS13335 APNIC and Cloudflare DNS Resolver project"/);
+  assert.equal(h.user(30).credits, 22);
+});
+
+test('the credit is refunded when every provider fails', async () => {
+  const replies = await h.send(30, '/ip 9.9.9.9');
+
+  assert.deepEqual(h.http.unmatched, [
+    'GET https://ipinfo.io/9.9.9.9/json',
+    'GET https://ipwho.is/9.9.9.9',
+    'GET http://ip-api.com/json/9.9.9.9'
+  ]);
+  const text = replies.pop().text;
+  assert.match(text, /Failed to fetch IP information/);
+  assert.match(text, /1 credit refunded/);
+  assert.equal(h.user(30).credits, 22);
+  assert.deepEqual(h.ledger().filter(e => e.userId === '30').slice(-2).map(e => e.reason), ['charge', 'refund']);
+});
+
+test('log entries of a failed lookup carry the update, user and command', async () => {
+  const failures = h.logEntries({ module: 'http', msg: 'request failed', user_id: 30 })
+    .filter(e => e.url.includes('9.9.9.9'));
+
+  assert.deepEqual(failures.map(e => e.provider), ['ipinfo.io', 'ipwho.is', 'ip-api.com']);
+  assert.ok(failures.every(e => e.command === 'ip' && e.update_id === failures[0].update_id));
+  assert.equal(typeof failures[0].duration_ms, 'number');
+});
+
+test('verified but unregistered users are not charged', async () => {
+  await h.click(31, 'verify_31');
+  const requests = h.http.requests.length;
+  const replies = await h.send(31, '/ip 8.8.8.8');
+
+  assert.match(replies.pop().text, /register/i);
+  assert.equal(h.http.requests.length, requests);
+  assert.equal(h.user(31)?.credits ?? 0, 0);
+});
+
+// Upstream answers arrive after the 1s command timeout set above
+async function withSlowUpstream(fn) {
+  h.app.httpClient.useTransport((req) => new Promise(r => setTimeout(r, 1200)).then(() => h.http.transport(req)));
+  try {
+    return await fn();
+  } finally {
+    h.app.httpClient.useTransport(h.http.transport);
+  }
+}
+
+const settle = (ms) => new Promise(r => setTimeout(r, ms));
+
+test('a lookup that still answers after the timeout keeps its charge', async () => {
+  h.http.stub('GET', 'https://ipinfo.io/8.8.4.4/json', { data: { ip: '8.8.4.4', org: 'AS15169 Google LLC' } });
+  const credits = h.user(30).credits;
+
+  await withSlowUpstream(async () => {
+    const replies = await h.send(30, '/ip 8.8.4.4');
+    assert.match(replies.pop().text, /taking too long/);
+    assert.doesNotMatch(replies.map(r => r.text).join('\n'), /refunded/);
+    await settle(600);
+  });
+
+  assert.match(h.replies(30).pop().text, /"ip": "8\.8\.4\.4"/);
+  assert.equal(h.user(30).credits, credits - 1);
+  assert.deepEqual(h.user(30).creditHolds, {});
+  assert.equal(h.ledger().filter(e => e.userId === '30').pop().reason, 'charge');
+});
+
+test('a timed out lookup is refunded once it has failed', async () => {
+  const credits = h.user(30).credits;
+
+  await withSlowUpstream(async () => {
+    await h.send(30, '/ip 9.9.9.8');
+    assert.equal(h.user(30).credits, credits - 1); // held until the handler is done
+    await settle(3200);
+  });
+
+  assert.match(h.replies(30).pop().text, /1 credit refunded/);
+  assert.equal(h.user(30).credits, credits);
+  assert.deepEqual(h.user(30).creditHolds, {});
+});
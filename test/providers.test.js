@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createProviderRegistry } = require('../providers');
+const { HttpError } = require('../http');
+
+// Two downloaders that answer like index.js's: { success: false, status } on failure
+function registry(answers) {
+  const calls = [];
+  const providers = createProviderRegistry({ failureThreshold: 2, cooldownMs: 60000 });
+  providers.define('videoDownload', ['first', 'second'].map(name => ({
+    name,
+    call: async (url) => {
+      calls.push(name);
+      return answers[name](url);
+    }
+  })));
+  const state = () => providers.stats().map(s => s.state);
+  return { providers, calls, state };
+}
+
+test('links the upstream refuses fail over without opening breakers', async () => {
+  const refused = () => ({ success: false, error: 'Failed to download', status: 404 });
+  const { providers, calls, state } = registry({ first: refused, second: refused });
+
+  for (let i = 0; i < 5; i++) {
+    const result = await providers.call('videoDownload', `https://example.com/dead/${i}`);
+    assert.equal(result.status, 404);
+  }
+
+  assert.equal(calls.length, 10);
+  assert.deepEqual(state(), ['closed', 'closed']);
+  const [first] = providers.stats();
+  assert.deepEqual([first.failures, first.clientErrors, first.lastError], [0, 5, null]);
+});
+
+test('network errors, timeouts, 5xx and 429 open the breaker', async () => {
+  for (const failure of [
+    () => { throw new HttpError('socket hang up', { code: 'ECONNRESET' }); },
+    () => { throw new HttpError('timeout', { code: 'ETIMEDOUT' }); },
+    () => ({ success: false, status: 502 }),
+    () => ({ success: false, status: 429 }),
+    () => ({ success: false }) // no status: the upstream said no for its own reasons
+  ]) {
+    const { providers, calls, state } = registry({ first: failure, second: () => ({ success: true }) });
+    await providers.call('videoDownload', 'https://example.com/a');
+    await providers.call('videoDownload', 'https://example.com/b');
+    await providers.call('videoDownload', 'https://example.com/c');
+
+    assert.deepEqual(state(), ['open', 'closed']);
+    assert.deepEqual(calls, ['first', 'second', 'first', 'second', 'second']);
+  }
+});
+
+test('a thrown 4xx does not count either, and a client error frees the half-open trial', async () => {
+  let now = 0;
+  let fail = true;
+  const providers = createProviderRegistry({ failureThreshold: 1, cooldownMs: 1000, now: () => now });
+  providers.define('imageDownload', [{
+    name: 'only',
+    call: async () => {
+      if (fail) throw new HttpError('HTTP 503', { status: 503 });
+      throw new HttpError('HTTP 403', { status: 403 });
+    }
+  }]);
+
+  await assert.rejects(providers.call('imageDownload'), /503/);
+  assert.equal(providers.stats()[0].state, 'open');
+
+  now = 1000;
+  fail = false;
+  await assert.rejects(providers.call('imageDownload'), /403/);
+  assert.equal(providers.stats()[0].state, 'half_open');
+  await assert.rejects(providers.call('imageDownload'), /403/); // trial slot free again
+  assert.equal(providers.stats()[0].clientErrors, 2);
+});
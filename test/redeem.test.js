@@ -0,0 +1,68 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./harness');
+
+const ADMIN = 1;
+let h;
+let code;
+
+before(async () => {
+  h = await createHarness();
+  await h.register(20);
+  await h.register(21);
+});
+
+after(() => h.close());
+
+test('/gencode is admin only', async () => {
+  const [reply] = await h.send(20, '/gencode 40');
+  assert.match(reply.text, /only available to administrators/);
+  assert.deepEqual((await h.state()).redeemCodes, {});
+});
+
+test('/gencode creates a code that is saved with the state', async () => {
+  const [reply] = await h.send(ADMIN, '/gencode 40 1 24');
+  code = /<pre>([A-Z0-9-]+)<\/pre>/.exec(reply.html)?.[1];
+  assert.ok(code, reply.html);
+
+  const saved = Object.values((await h.state()).redeemCodes);
+  assert.equal(saved.length, 1);
+  assert.equal(saved[0].displayCode, code);
+  assert.equal(saved[0].credits, 40);
+  assert.equal(saved[0].maxUses, 1);
+});
+
+test('/redeem adds the credits and records them in the ledger', async () => {
+  const [reply] = await h.send(20, `/redeem ${code.toLowerCase()}`);
+
+  assert.match(reply.text, /Code Redeemed Successfully/);
+  assert.match(reply.text, /New Balance: 65 credits/);
+  assert.equal(h.user(20).credits, 65);
+  const last = h.ledger().filter(e => e.userId === '20').pop();
+  assert.deepEqual([last.reason, last.delta, last.balance], ['redeem', 40, 65]);
+  assert.equal((await h.state()).users['20'].credits, 65);
+});
+
+test('a used-up code cannot be redeemed again', async () => {
+  const [reply] = await h.send(21, `/redeem ${code}`);
+
+  assert.match(reply.text, /Invalid or expired code/);
+  assert.equal(h.user(21).credits, 25);
+  assert.deepEqual((await h.state()).redeemCodes, {});
+});
+
+test('a revoked code is refused', async () => {
+  const [generated] = await h.send(ADMIN, '/gencode 10 5');
+  const other = /<pre>([A-Z0-9-]+)<\/pre>/.exec(generated.html)[1];
+  await h.send(ADMIN, `/revoke ${other}`);
+
+  const [reply] = await h.send(21, `/redeem ${other}`);
+  assert.match(reply.text, /revoked/);
+  assert.equal(h.user(21).credits, 25);
+});
+
+test('unregistered users have to register first', async () => {
+  await h.click(22, 'verify_22');
+  const [reply] = await h.send(22, `/redeem ${code}`);
+  assert.match(reply.text, /not approved yet/);
+});
@@ -0,0 +1,84 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./harness');
+
+const ADMIN = 1;
+let h;
+
+const membership = (status) => (p) => ({ status, user: { id: p.user_id, is_bot: false, first_name: 'User' } });
+
+before(async () => {
+  h = await createHarness();
+});
+
+after(() => h.close());
+
+test('commands are locked until the channel membership is verified', async () => {
+  const [reply] = await h.send(10, '/register');
+
+  assert.match(reply.text, /must join our channel/);
+  assert.deepEqual(reply.keyboard.map(b => b.data || b.url), ['https://t.me/OsintShitUpdates', 'verify_10']);
+  assert.equal(h.user(10), null);
+});
+
+test('verifying without joining the channel fails', async () => {
+  h.telegram.handle('getChatMember', membership('left'));
+  const [reply] = await h.click(10, 'verify_10');
+  h.telegram.handle('getChatMember', membership('member'));
+
+  assert.match(reply.text, /Verification Failed/);
+  assert.equal((await h.state()).verifiedUsers.includes('10'), false);
+});
+
+test('/register approves a member right away while auto-register is on', async () => {
+  const [verified] = await h.click(10, 'verify_10');
+  assert.match(verified.text, /Verification Successful/);
+
+  const replies = await h.send(10, '/register');
+  assert.match(replies[0].text, /Registration successful/);
+  assert.equal(h.user(10).isApproved, true);
+  assert.equal(h.user(10).credits, 25);
+
+  const state = await h.state();
+  assert.equal(state.users['10'].isApproved, true);
+  assert.equal(state.users['10'].credits, 25);
+  assert.ok(state.verifiedUsers.includes('10'));
+  assert.ok(state.registeredUsers.includes('10'));
+  assert.deepEqual(h.ledger().filter(e => e.userId === '10').map(e => [e.reason, e.delta, e.balance]), [['approval_bonus', 25, 25]]);
+});
+
+test('/register again leaves the account as it is', async () => {
+  const [reply] = await h.send(10, '/register');
+  assert.match(reply.text, /already registered/i);
+  assert.equal(h.user(10).credits, 25);
+});
+
+test('with auto-register off an admin approves the request', async () => {
+  await h.send(ADMIN, '/autoregister off');
+  assert.equal((await h.state()).autoRegisterEnabled, false);
+
+  const replies = await h.register(11);
+  assert.equal(h.user(11)?.isApproved ?? false, false);
+  const request = replies.find(r => r.chatId === String(ADMIN));
+  assert.match(request.text, /Registration Request/);
+  assert.deepEqual(request.keyboard.map(b => b.data), ['approve_11', 'reject_11']);
+  assert.ok((await h.state()).registrationRequests['11']);
+
+  const approved = await h.click(ADMIN, 'approve_11');
+  assert.match(approved.find(r => r.chatId === '11').text, /Registration Approved/);
+  assert.equal(h.user(11).isApproved, true);
+  assert.equal(h.user(11).credits, 25);
+
+  const state = await h.state();
+  assert.equal(state.registrationRequests['11'], undefined);
+  assert.equal(state.users['11'].credits, 25);
+});
+
+test('only admins can approve requests', async () => {
+  await h.register(12);
+  await h.click(10, 'approve_12');
+
+  assert.equal(h.user(12)?.isApproved ?? false, false);
+  const answer = h.telegram.calls.filter(c => c.method === 'answerCallbackQuery').pop();
+  assert.match(answer.payload.text, /Only admins/);
+});
@@ -0,0 +1,48 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./harness');
+
+const ADMIN = 1;
+let h;
+
+before(async () => {
+  h = await createHarness();
+  await h.register(50);
+});
+
+after(() => h.close());
+
+test('a long reply with the version footer is split within the limit, footer on the last part only', async () => {
+  for (let i = 0; i < 120; i++) {
+    h.app.users.set(String(9000 + i), { telegramId: String(9000 + i), username: `member_${'x'.repeat(30)}_${i}`, credits: 0, isApproved: true });
+  }
+  const [toggled] = await h.send(ADMIN, '/togglefooter');
+  assert.match(toggled.text, /footer is now: ON/);
+
+  const replies = await h.send(ADMIN, '/users');
+  await h.send(ADMIN, '/togglefooter');
+
+  assert.ok(replies.length > 1);
+  for (const r of replies) assert.ok(r.html.length <= 4096, `part of ${r.html.length} characters`);
+  assert.deepEqual(replies.map(r => r.text.includes('🧩 Version:')), replies.map((_, i) => i === replies.length - 1));
+});
+
+test('markup Telegram cannot parse is escaped where it points, the rest keeps its formatting', async () => {
+  let rejected = false;
+  h.telegram.handle('sendMessage', (p) => {
+    const at = p.text.indexOf('<b>Your Info</b>');
+    if (rejected || at === -1) return { message_id: 1, date: 0, chat: { id: p.chat_id, type: 'private' }, text: p.text };
+    rejected = true;
+    const offset = Buffer.byteLength(p.text.slice(0, at));
+    return { ok: false, error_code: 400, description: `Bad Request: can't parse entities: Unsupported start tag "b" at byte offset ${offset}` };
+  });
+  const replies = await h.send(50, '/start');
+  h.telegram.handle('sendMessage', undefined);
+
+  const retried = h.telegram.calls.filter(c => c.method === 'sendMessage' && /Your Info/.test(c.payload.text)).at(-1);
+  assert.ok(rejected);
+  assert.equal(retried.payload.parse_mode, 'HTML');
+  assert.match(retried.payload.text, /&lt;b>Your Info<\/b>/);
+  assert.match(retried.payload.text, /<b>Bot Info<\/b>/);
+  assert.ok(replies.length > 0);
+});
@@ -0,0 +1,111 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./harness');
+
+const ADMIN = 1;
+let h;
+let files = 0;
+
+before(async () => {
+  h = await createHarness();
+  await h.register(60);
+  await h.register(61);
+});
+
+after(() => h.close());
+
+// /restore as a reply to `doc`; resolves with the preview's Restore button
+async function offer(doc) {
+  const fileId = `backup${++files}`;
+  h.http.stub('GET', `https://api.telegram.org/file/bot424242:test-token/documents/${fileId}`, { data: JSON.stringify(doc) });
+  const replies = await h.send(ADMIN, '/restore', {
+    message: { reply_to_message: { message_id: 1, date: 0, chat: { id: ADMIN, type: 'private' }, document: { file_id: fileId, file_unique_id: fileId, file_name: 'backup.json' } } }
+  });
+  const button = replies.flatMap(r => r.keyboard || []).find(b => /^restore_ok_/.test(b.data || ''));
+  assert.ok(button, 'restore preview with a Restore button');
+  return button.data;
+}
+
+const answers = () => h.telegram.calls.filter(c => c.method === 'answerCallbackQuery').map(c => c.payload.text);
+
+test('a restore waits while a command holds credits', async () => {
+  const doc = await h.state();
+  doc.users['60'].credits = 40;
+  const ok = await offer(doc);
+
+  h.user(60).creditHolds = { tx1: { amount: 1, command: 'ip', at: new Date().toISOString() } };
+  await h.click(ADMIN, ok);
+  assert.match(answers().pop(), /still running/);
+  assert.equal(h.user(60).credits, 25);
+
+  // The same button works once the command has settled
+  h.user(60).creditHolds = {};
+  await h.click(ADMIN, ok);
+  assert.equal(h.user(60).credits, 40);
+});
+
+test('restored records replace the live ones in place, without saved holds', async () => {
+  const doc = await h.state();
+  doc.users['60'].credits = 30;
+  doc.users['60'].creditHolds = { old: { amount: 2, command: 'dl', at: '2024-01-01T00:00:00.000Z' } };
+  const live = h.user(60);
+
+  await h.click(ADMIN, await offer(doc));
+
+  assert.equal(h.user(60), live);
+  assert.equal(live.credits, 30);
+  assert.equal(live.creditHolds, undefined);
+  const last = h.ledger().filter(e => e.userId === '60').pop();
+  assert.deepEqual([last.reason, last.delta, last.balance], ['restore', -10, 30]);
+});
+
+test('users the restore removes have their balance written off in the ledger', async () => {
+  const doc = await h.state();
+  delete doc.users['61'];
+
+  await h.click(ADMIN, await offer(doc));
+
+  assert.equal(h.user(61), null);
+  const last = h.ledger().filter(e => e.userId === '61').pop();
+  assert.deepEqual([last.reason, last.delta, last.balance], ['restore', -25, 0]);
+});
+
+test('configured admins missing from the backup are kept', async () => {
+  const doc = await h.state();
+  delete doc.users['1'];
+  const admin = h.user(1);
+  const credits = admin.credits;
+
+  await h.click(ADMIN, await offer(doc));
+
+  assert.equal(h.user(1), admin);
+  assert.equal(admin.credits, credits);
+  assert.equal(h.ledger().filter(e => e.userId === '1' && e.reason === 'restore').length, 0);
+});
+
+test('a restore waits while a broadcast is sending', async () => {
+  let release;
+  const held = new Promise(r => { release = r; });
+  h.telegram.handle('sendMessage', async (p) => {
+    if (String(p.chat_id) !== String(ADMIN) && /Restore drill/.test(p.text || '')) await held;
+    return { message_id: 1, date: 0, chat: { id: p.chat_id, type: 'private' }, text: p.text };
+  });
+  const preview = (await h.send(ADMIN, '/broadcast Restore drill')).pop();
+  await h.click(ADMIN, preview.keyboard.find(b => /^bcsend_/.test(b.data)).data);
+
+  const doc = await h.state();
+  doc.users['60'].credits = 55;
+  const ok = await offer(doc);
+  await h.click(ADMIN, ok);
+  assert.match(answers().pop(), /broadcast is sending/);
+  assert.notEqual(h.user(60).credits, 55);
+
+  release();
+  const until = Date.now() + 10000;
+  while (Object.values((await h.state()).broadcasts).some(b => b.status === 'running')) {
+    assert.ok(Date.now() < until, 'broadcast finished');
+    await new Promise(r => setTimeout(r, 50));
+  }
+  await h.click(ADMIN, ok);
+  assert.equal(h.user(60).credits, 55);
+});
@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseWhen, nextRun, zonedToUtc, describeRule } = require('../schedule');
+
+const NY = 'America/New_York';
+const KOLKATA = 'Asia/Kolkata';
+const iso = (ms) => (ms === null ? null : new Date(ms).toISOString());
+
+// Saturday 2024-06-15 10:00 in Kolkata (UTC+5:30, no DST)
+const NOW = Date.parse('2024-06-15T04:30:00Z');
+
+test('wall-clock times convert to UTC, with and without DST', () => {
+  assert.equal(iso(zonedToUtc(2024, 12, 31, 23, 59, KOLKATA)), '2024-12-31T18:29:00.000Z');
+  assert.equal(iso(zonedToUtc(2024, 1, 32, 9, 0, KOLKATA)), '2024-02-01T03:30:00.000Z'); // day overflows into the next month
+  assert.equal(iso(zonedToUtc(2024, 6, 15, 9, 0, NY)), '2024-06-15T13:00:00.000Z');
+  assert.equal(iso(zonedToUtc(2024, 1, 15, 9, 0, NY)), '2024-01-15T14:00:00.000Z');
+});
+
+test('a time skipped by the spring DST jump resolves to the same clock time after it', () => {
+  // 2024-03-10 in New York: 02:00 EST jumps to 03:00 EDT
+  assert.equal(iso(zonedToUtc(2024, 3, 10, 1, 30, NY)), '2024-03-10T06:30:00.000Z');
+  assert.equal(iso(zonedToUtc(2024, 3, 10, 2, 30, NY)), '2024-03-10T07:30:00.000Z');
+  assert.equal(iso(zonedToUtc(2024, 3, 10, 3, 0, NY)), '2024-03-10T07:00:00.000Z');
+});
+
+test('a time repeated by the autumn DST change resolves to its first occurrence', () => {
+  // 2024-11-03 in New York: 02:00 EDT falls back to 01:00 EST, so 01:30 happens twice
+  assert.equal(iso(zonedToUtc(2024, 11, 3, 0, 30, NY)), '2024-11-03T04:30:00.000Z');
+  assert.equal(iso(zonedToUtc(2024, 11, 3, 1, 30, NY)), '2024-11-03T05:30:00.000Z');
+  assert.equal(iso(zonedToUtc(2024, 11, 3, 2, 0, NY)), '2024-11-03T07:00:00.000Z');
+});
+
+test('weekly rules run on the next matching day, wrapping around the week', () => {
+  const weekly = (day, time) => iso(nextRun({ type: 'weekly', day, time }, NOW, KOLKATA));
+
+  assert.equal(weekly(1, '09:00'), '2024-06-17T03:30:00.000Z'); // Monday after
+  assert.equal(weekly(6, '11:00'), '2024-06-15T05:30:00.000Z'); // later today
+  assert.equal(weekly(6, '09:00'), '2024-06-22T03:30:00.000Z'); // earlier today: next Saturday
+  assert.equal(weekly(6, '10:00'), '2024-06-22T04:30:00.000Z'); // strictly after now
+});
+
+test('recurring rules keep their local time across a DST change', () => {
+  const saturdayNoon = Date.parse('2024-03-09T17:00:00Z'); // 12:00 EST
+
+  assert.equal(iso(nextRun({ type: 'daily', time: '09:00' }, saturdayNoon, NY)), '2024-03-10T13:00:00.000Z'); // 09:00 EDT
+  assert.equal(iso(nextRun({ type: 'weekly', day: 0, time: '02:30' }, saturdayNoon, NY)), '2024-03-10T07:30:00.000Z');
+  assert.equal(nextRun({ type: 'once', at: saturdayNoon }, saturdayNoon, NY), null);
+});
+
+test('parseWhen reads each kind of spec and leaves the rest of the text', () => {
+  const parse = (text) => parseWhen(text, { now: NOW, timeZone: KOLKATA });
+
+  assert.deepEqual(parse('in 2h Good morning'), { rule: { type: 'once', at: NOW + 2 * 3600 * 1000 }, rest: 'Good morning' });
+  assert.deepEqual(parse('daily 9:00 hi'), { rule: { type: 'daily', time: '09:00' }, rest: 'hi' });
+  assert.deepEqual(parse('weekly Mon 02:00 hi').rule, { type: 'weekly', day: 1, time: '02:00' });
+  assert.equal(iso(parse('2024-06-15 10:01 hi').rule.at), '2024-06-15T04:31:00.000Z');
+  assert.equal(iso(parse('09:59 hi').rule.at), '2024-06-16T04:29:00.000Z'); // already past today: tomorrow
+  assert.equal(describeRule(parse('weekly sun 18:30').rule, KOLKATA), 'every Sunday at 18:30');
+});
+
+test('parseWhen refuses invalid dates and times, and times in the past', () => {
+  const parse = (text) => () => parseWhen(text, { now: NOW, timeZone: KOLKATA });
+
+  assert.throws(parse('2024-02-30 10:00 hi'), /2024-02-30 is not a valid date/);
+  assert.throws(parse('2024-13-01 10:00 hi'), /not a valid date/);
+  assert.throws(parse('2024-06-15 25:00 hi'), /"25:00" is not a time/);
+  assert.throws(parse('2024-06-15 10:00 hi'), /already passed/);
+  assert.throws(parse('2023-12-31 23:59 hi'), /already passed/);
+  assert.throws(parse('in 30s hi'), /at least one minute/);
+  assert.throws(parse('in soon hi'), /not a duration/);
+  assert.throws(parse('weekly xyz 10:00 hi'), /not a day of the week/);
+  assert.throws(parse('tomorrow hi'), /Start with a time/);
+});
@@ -0,0 +1,117 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createHarness } = require('./harness');
+
+const SECRET = 'test_webhook_secret';
+let h;
+let server;
+let updateId = 0;
+
+before(async () => {
+  h = await createHarness({ env: { BOT_MODE: 'webhook', WEBHOOK_URL: 'https://bot.example', WEBHOOK_SECRET: SECRET, WEBHOOK_MAX_QUEUED_PER_CHAT: '2' } });
+  server = await h.app.startHttpServer(0);
+});
+
+after(async () => {
+  await new Promise(r => server.close(r));
+  await h.close();
+});
+
+function post(body, secret = SECRET) {
+  return fetch(`http://127.0.0.1:${server.address().port}/telegram`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-telegram-bot-api-secret-token': secret },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+}
+
+function message(userId, text) {
+  const from = { id: userId, is_bot: false, first_name: `User${userId}`, username: `user${userId}` };
+  const msg = { message_id: ++updateId, date: Math.floor(Date.now() / 1000), chat: { id: userId, type: 'private' }, from, text };
+  if (text.startsWith('/')) msg.entities = [{ type: 'bot_command', offset: 0, length: text.split(' ')[0].length }];
+  return { update_id: ++updateId, message: msg };
+}
+
+function click(userId, data) {
+  const from = { id: userId, is_bot: false, first_name: `User${userId}`, username: `user${userId}` };
+  return {
+    update_id: ++updateId,
+    callback_query: { id: String(updateId), from, chat_instance: String(userId), data, message: { message_id: 1, date: 0, chat: { id: userId, type: 'private' }, text: '' } }
+  };
+}
+
+async function waitFor(check, ms = 5000) {
+  const until = Date.now() + ms;
+  while (!check()) {
+    if (Date.now() > until) throw new Error('timed out waiting');
+    await new Promise(r => setTimeout(r, 20));
+  }
+}
+
+test('an update with the right secret is acknowledged and handled', async () => {
+  const res = await post(message(50, '/start'));
+
+  assert.equal(res.status, 200);
+  await waitFor(() => h.replies(50).length > 0);
+  assert.match(h.replies(50)[0].text, /Welcome/);
+});
+
+test('a wrong secret is refused', async () => {
+  const res = await post(message(50, '/start'), 'not-the-secret');
+
+  assert.equal(res.status, 401);
+});
+
+test('a body that is not an update is refused', async () => {
+  assert.equal((await post('{"update_id": 1,')).status, 400);
+  assert.equal((await post({ message: {} })).status, 400);
+});
+
+test('updates of one chat are handled in the order they arrived', async () => {
+  // The verify button waits for the channel check; /register must not overtake it
+  await post(click(51, 'verify_51'));
+  await post(message(51, '/register'));
+
+  await waitFor(() => h.replies(51).length >= 2);
+  const texts = h.replies(51).map(r => r.text);
+  assert.match(texts[0], /Verification Successful/);
+  assert.match(texts[1], /Registration successful/);
+});
+
+const journal = () => path.join(h.dataDir, 'webhook_pending.jsonl');
+const journaled = () => fs.readFileSync(journal(), 'utf8').split('\n').filter(Boolean).map(l => JSON.parse(l));
+
+test('a chat past its queue limit is refused until its updates are handled', async () => {
+  // The channel check of the verify button hangs until released
+  let release;
+  const checked = new Promise(r => { release = r; });
+  h.telegram.handle('getChatMember', async (p) => {
+    await checked;
+    return { status: 'member', user: { id: p.user_id, is_bot: false, first_name: 'User' } };
+  });
+
+  assert.equal((await post(click(52, 'verify_52'))).status, 200);
+  assert.equal((await post(message(52, '/register'))).status, 200);
+  assert.equal((await post(message(52, '/credits'))).status, 429);
+  assert.equal((await post(message(53, '/start'))).status, 200); // other chats are not held up
+  assert.equal(journaled().filter(r => r.update).length, 3);
+
+  release();
+  await waitFor(() => h.replies(52).length >= 2 && h.replies(53).length >= 1);
+  await waitFor(() => fs.readFileSync(journal(), 'utf8') === '');
+  assert.equal((await post(message(52, '/credits'))).status, 200);
+});
+
+test('updates a previous run accepted but did not handle are handled on start', async () => {
+  const left = message(54, '/start');
+  const handled = message(55, '/start');
+  fs.writeFileSync(journal(), [{ update: left }, { update: handled }, { done: handled.update_id }].map(r => JSON.stringify(r)).join('\n') + '\n');
+
+  await h.app.startWebhookMode();
+
+  await waitFor(() => h.replies(54).length > 0);
+  assert.match(h.replies(54)[0].text, /Welcome/);
+  assert.equal(h.replies(55).length, 0);
+});